@@ -6,13 +6,45 @@ const logger = require(resolve('utils/logger'));
 // Agent execution timeout (30 seconds)
 const AGENT_TIMEOUT_MS = 30000;
 
+// Failed attempts (invalid value or rejected read-back) before escalating
+const MAX_FIELD_ATTEMPTS = 3;
+
+// Format checks for well-known fields (other fields only need a value)
+const FIELD_VALIDATORS = {
+  order_id: value => /^#?(?:[A-Z]+-)?\d{4,10}$/i.test(value),
+  pin_code: value => /^[1-9]\d{5}$/.test(value),
+  phone: value => /^[6-9]\d{9}$/.test(normalizePhone(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value)
+};
+
+// Fields read back to the caller before the agent acts on them
+const DEFAULT_CONFIRM_FIELDS = ['order_id', 'phone', 'pin_code', 'email'];
+
+const FIELD_LABELS = {
+  order_id: 'Order number',
+  phone: 'Mobile number',
+  pin_code: 'PIN code',
+  email: 'Email'
+};
+
+/**
+ * Strip spaces, dashes and the +91 / 0 prefix from an Indian mobile number
+ */
+function normalizePhone(value) {
+  return String(value).replace(/[\s-]/g, '').replace(/^(?:\+?91|0)(?=\d{10}$)/, '');
+}
+
 class BaseAgent extends EventEmitter {
   constructor(callId, initialData = {}) {
     super();
     this.callId = callId;
+    this.clientId = null; // Tenant of the call, set by the orchestrator (selects the Shopify store)
     this.data = initialData;
     this.state = 'INITIALIZING';
     this.requiredFields = []; // Override in subclass
+    this.confirmFields = [...DEFAULT_CONFIRM_FIELDS]; // Override in subclass
+    this.confirmedFields = new Set();
+    this.fieldAttempts = {};
     this.result = null;
     this.isCancelled = false;
     this.timeoutHandle = null;
@@ -22,39 +54,72 @@ class BaseAgent extends EventEmitter {
   }
 
   /**
-   * Check if agent has all required data
+   * Check if agent has all required data (valid and, where needed, confirmed)
    */
   hasRequiredData() {
-    for (const field of this.requiredFields) {
-      if (!this.data[field]) {
-        return false;
-      }
+    return this.getMissingFields().length === 0 &&
+      this.getUnconfirmedFields().length === 0;
+  }
+
+  /**
+   * Check a single field value (override in subclass for stricter rules)
+   */
+  isFieldValid(field) {
+    const value = this.data[field];
+    if (!value) {
+      return false;
     }
-    return true;
+
+    const validator = FIELD_VALIDATORS[field];
+    return validator ? validator(String(value).trim()) : true;
   }
 
   /**
-   * Get missing required fields
+   * Get missing (or invalid) required fields
    */
   getMissingFields() {
-    return this.requiredFields.filter(field => !this.data[field]);
+    return this.requiredFields.filter(field => !this.isFieldValid(field));
   }
 
   /**
-   * Request missing information
+   * Get valid required fields still waiting for the caller's confirmation
+   */
+  getUnconfirmedFields() {
+    return this.requiredFields.filter(field =>
+      this.confirmFields.includes(field) &&
+      this.isFieldValid(field) &&
+      !this.confirmedFields.has(field)
+    );
+  }
+
+  /**
+   * Request missing information, or a read-back confirmation once every
+   * required field has a valid value
    */
   requestMissingInfo() {
     const missing = this.getMissingFields();
     
     if (missing.length === 0) {
+      this.requestConfirmation();
       return;
     }
 
     const field = missing[0]; // Request one at a time
+    const value = this.data[field];
+    const reason = value ? 'invalid' : 'missing';
+
+    if (reason === 'invalid') {
+      // Drop the bad value so it is never passed on to Shopify
+      delete this.data[field];
+      if (this.recordFailedAttempt(field, reason, value)) {
+        return;
+      }
+    }
     
     logger.info('Agent requesting info', { 
       callId: this.callId,
       field,
+      reason,
       agentType: this.constructor.name 
     });
 
@@ -63,8 +128,135 @@ class BaseAgent extends EventEmitter {
 
     this.emit('need_info', {
       field,
-      prompt
+      prompt,
+      reason,
+      value: reason === 'invalid' ? value : undefined,
+      attempt: (this.fieldAttempts[field] || 0) + 1
+    });
+  }
+
+  /**
+   * Ask the caller to confirm the next unconfirmed field
+   */
+  requestConfirmation() {
+    const field = this.getUnconfirmedFields()[0];
+
+    if (!field) {
+      return;
+    }
+
+    const value = String(this.data[field]).trim();
+    const readBack = this.formatReadBack(field, value);
+
+    logger.info('Agent requesting confirmation', { 
+      callId: this.callId,
+      field,
+      agentType: this.constructor.name 
+    });
+
+    this.emit('need_confirmation', {
+      field,
+      value,
+      readBack,
+      prompt: this.getConfirmationPrompt(field, readBack),
+      attempt: (this.fieldAttempts[field] || 0) + 1
+    });
+  }
+
+  /**
+   * Handle the caller's answer to a read-back
+   * @param {string} field - Field being confirmed
+   * @param {boolean} isConfirmed - Caller said yes
+   * @param {string} [correction] - Value the caller said along with the answer
+   */
+  confirmField(field, isConfirmed, correction) {
+    if (correction) {
+      // Repeating the read-back value confirms it, a different value replaces it
+      isConfirmed = String(correction).trim() === String(this.data[field]).trim();
+    }
+
+    if (isConfirmed) {
+      this.confirmedFields.add(field);
+      logger.info('Field confirmed', { callId: this.callId, field });
+    } else {
+      const rejected = this.data[field];
+      delete this.data[field];
+      this.confirmedFields.delete(field);
+
+      if (this.recordFailedAttempt(field, 'rejected', rejected)) {
+        return;
+      }
+      if (correction) {
+        this.data[field] = correction;
+      }
+    }
+
+    this.resume();
+  }
+
+  /**
+   * Count a failed attempt at a field and escalate once the limit is reached
+   * @returns {boolean} - True if the agent escalated
+   */
+  recordFailedAttempt(field, reason, value) {
+    const attempts = (this.fieldAttempts[field] || 0) + 1;
+    this.fieldAttempts[field] = attempts;
+
+    logger.warn('Field attempt failed', { 
+      callId: this.callId,
+      agentType: this.constructor.name,
+      field,
+      reason,
+      value,
+      attempts 
     });
+
+    if (attempts >= MAX_FIELD_ATTEMPTS) {
+      this.escalate({ field, reason: 'max_attempts', attempts });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Give up on automated handling (caller should be offered other help)
+   */
+  escalate(details) {
+    if (this.isCancelled) {
+      return;
+    }
+
+    logger.warn('Agent escalated', { 
+      callId: this.callId,
+      agentType: this.constructor.name,
+      ...details 
+    });
+
+    this.state = 'ESCALATED';
+    this.clearTimeout();
+    this.emit('escalated', details);
+  }
+
+  /**
+   * Format a value for reading back over the phone
+   */
+  formatReadBack(field, value) {
+    if (field === 'email') {
+      return value.replace(/@/g, ' at the rate ').replace(/\./g, ' dot ');
+    }
+    if (field === 'phone') {
+      return normalizePhone(value).split('').join(' ');
+    }
+    // Digits one by one so "12345" is not read as a single large number
+    return value.replace(/\d/g, digit => ` ${digit} `).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Get read-back question for field (override in subclass for custom wording)
+   */
+  getConfirmationPrompt(field, readBack) {
+    const label = FIELD_LABELS[field] || field;
+    return `${label} ${readBack}, sahi hai na?`;
   }
 
   /**
@@ -84,8 +276,22 @@ class BaseAgent extends EventEmitter {
 
   /**
    * Update agent data
+   * @param {object} newData - Field values
+   * @param {string[]} confirmedFields - Fields that need no read-back (e.g. keyed in on the keypad)
    */
-  updateData(newData) {
+  updateData(newData, confirmedFields = []) {
+    // A changed value has to be confirmed again
+    for (const [field, value] of Object.entries(newData)) {
+      if (this.data[field] !== value) {
+        this.confirmedFields.delete(field);
+      }
+    }
+    for (const field of confirmedFields) {
+      if (newData[field] !== undefined) {
+        this.confirmedFields.add(field);
+      }
+    }
+
     this.data = { ...this.data, ...newData };
     
     logger.debug('Agent data updated', { 
@@ -94,10 +300,22 @@ class BaseAgent extends EventEmitter {
       data: this.data 
     });
 
-    // If we now have required data, continue execution
-    if (this.state === 'WAITING_FOR_INFO' && this.hasRequiredData()) {
+    this.resume();
+  }
+
+  /**
+   * Continue once all required data is in, otherwise ask for the next piece
+   */
+  resume() {
+    if (this.state !== 'WAITING_FOR_INFO') {
+      return;
+    }
+
+    if (this.hasRequiredData()) {
       this.state = 'RUNNING';
       this.continueExecution();
+    } else {
+      this.requestMissingInfo();
     }
   }
 
@@ -206,6 +424,8 @@ class BaseAgent extends EventEmitter {
       state: this.state,
       hasRequiredData: this.hasRequiredData(),
       missingFields: this.getMissingFields(),
+      unconfirmedFields: this.getUnconfirmedFields(),
+      fieldAttempts: { ...this.fieldAttempts },
       result: this.result
     };
   }
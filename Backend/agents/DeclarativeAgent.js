@@ -0,0 +1,187 @@
+// agents/DeclarativeAgent.js - Generic agent driven by a JSON/YAML definition
+//
+// Runs the same flow the hand-coded agents implement:
+//   collect required slots -> call ShopifyService actions -> complete()
+// See agents/definitionLoader.js for the definition format.
+
+const BaseAgent = require('./BaseAgent');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const db = require(resolve('db/postgres'));
+const ShopifyService = require(resolve('services/ShopifyService'));
+
+class DeclarativeAgent extends BaseAgent {
+  /**
+   * @param {string} callId - Call identifier
+   * @param {object} initialData - Slot values already known
+   * @param {object} definition - Validated agent definition
+   */
+  constructor(callId, initialData = {}, definition) {
+    super(callId, initialData);
+    this.definition = definition;
+    this.agentType = definition.name;
+    this.requiredFields = definition.slots
+      .filter(slot => slot.required !== false)
+      .map(slot => slot.name);
+    this.slots = Object.fromEntries(definition.slots.map(slot => [slot.name, slot]));
+    // `confirm: true|false` on a slot overrides the default read-back fields
+    this.confirmFields = definition.slots
+      .filter(slot => slot.confirm ?? this.confirmFields.includes(slot.name))
+      .map(slot => slot.name);
+  }
+
+  /**
+   * Execute the definition's steps
+   */
+  async execute() {
+    try {
+      if (!this.hasRequiredData()) {
+        this.state = 'WAITING_FOR_INFO';
+        this.requestMissingInfo();
+        return;
+      }
+
+      this.state = 'RUNNING';
+      const { name, actionType, steps, responses } = this.definition;
+
+      logger.info('Executing declarative agent', {
+        callId: this.callId,
+        agentType: name
+      });
+
+      const action = await db.actions.create({
+        call_id: this.callId,
+        action_type: actionType,
+        params: this.getSlotValues(),
+        confidence: 0.9
+      });
+
+      const context = { ...this.data };
+      const results = {};
+
+      for (const step of steps) {
+        const args = (step.args || []).map(arg => this.renderValue(arg, context));
+        const result = await ShopifyService[step.action](this.clientId, ...args);
+
+        if (step.as) {
+          context[step.as] = result;
+          results[step.as] = result;
+        }
+
+        const isEmpty = !result || (Array.isArray(result) && result.length === 0);
+        if (step.required && isEmpty) {
+          const responseKey = step.onEmpty || 'not_found';
+
+          await db.actions.updateStatus(action.id, 'failed', {
+            error: `${step.action} returned no result`
+          });
+
+          this.complete({
+            success: false,
+            message: `${step.action} returned no result`,
+            contextUpdate: this.renderTemplate(responses[responseKey] || responses.failure, context)
+          });
+          return;
+        }
+      }
+
+      await db.actions.updateStatus(action.id, 'success', results);
+
+      this.complete({
+        success: true,
+        ...results,
+        contextUpdate: this.renderTemplate(responses.success, context)
+      });
+
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Apply the slot's validation rules on top of the presence check
+   */
+  isFieldValid(field) {
+    if (!super.isFieldValid(field)) {
+      return false;
+    }
+
+    const rules = this.slots[field]?.validate;
+    if (!rules) {
+      return true;
+    }
+
+    const value = String(this.data[field]);
+
+    if (rules.pattern && !new RegExp(rules.pattern, 'i').test(value)) {
+      return false;
+    }
+    if (rules.minLength && value.length < rules.minLength) {
+      return false;
+    }
+    if (rules.maxLength && value.length > rules.maxLength) {
+      return false;
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get prompt for missing field from the slot definition
+   */
+  getPromptForField(field) {
+    return this.slots[field]?.prompt || super.getPromptForField(field);
+  }
+
+  /**
+   * Slot values to log with the action
+   */
+  getSlotValues() {
+    const values = {};
+    for (const slot of this.definition.slots) {
+      if (this.data[slot.name] !== undefined) {
+        values[slot.name] = this.data[slot.name];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Resolve a step argument. "{{path}}" on its own passes the raw value
+   * (e.g. a whole order object); anything else is rendered as a string.
+   */
+  renderValue(arg, context) {
+    if (typeof arg !== 'string') {
+      return arg;
+    }
+
+    const whole = arg.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      return lookup(context, whole[1]);
+    }
+
+    return this.renderTemplate(arg, context);
+  }
+
+  /**
+   * Replace {{path.to.value}} placeholders in a response template
+   */
+  renderTemplate(template, context) {
+    return (template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = lookup(context, path);
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+}
+
+function lookup(context, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    context
+  );
+}
+
+module.exports = DeclarativeAgent;
@@ -0,0 +1,110 @@
+// agents/ReversePickupAgent.js - Base class for agents that send an item back by courier
+//
+// Shared by ReturnAgent and ExchangeAgent once their request is filed:
+//   offer pickup slots -> caller picks one (pickup_slot) -> book -> completePickup()
+// Subclasses implement completePickup(pickupData) to log and report their request.
+
+const BaseAgent = require('./BaseAgent');
+const resolve = require('../utils/moduleResolver');
+const ReversePickupService = require(resolve('services/reversePickupService'));
+
+class ReversePickupAgent extends BaseAgent {
+  constructor(callId, initialData = {}) {
+    super(callId, initialData);
+    // Request filed and pickup slots offered, waiting for the caller's pick
+    this.pickup = null;
+  }
+
+  /**
+   * Record the return and offer its pickup slots, booking straight away when
+   * there is nothing to choose
+   * @param {object} pickup - { action, orderData, request, pending, type, shopifyReturnId, reason, exchangeFor }
+   */
+  async offerPickup({ action, orderData, request, pending, ...details }) {
+    const options = await ReversePickupService.getOptions(this.clientId, orderData);
+    const record = await ReversePickupService.recordReturn(this.clientId, {
+      ...details,
+      callId: this.callId,
+      orderId: this.data.order_id,
+      orderData,
+      options,
+      existing: pending
+    });
+    this.pickup = { action, orderData, request, options, record };
+
+    if (!options.serviceable) {
+      await this.finish(record);
+      return;
+    }
+
+    // A single day (e.g. Delhivery schedules its own) needs no choice
+    if (options.slots.length === 1) {
+      this.data.pickup_slot = '1';
+      await this.bookPickup();
+      return;
+    }
+
+    // Let the caller pick a slot (any value heard earlier doesn't count)
+    delete this.data.pickup_slot;
+    this.requiredFields = [...this.requiredFields, 'pickup_slot'];
+    this.state = 'WAITING_FOR_INFO';
+    this.requestMissingInfo();
+  }
+
+  /**
+   * Book the slot the caller picked and finish
+   */
+  async bookPickup() {
+    const { orderData, options, record } = this.pickup;
+    const slot = ReversePickupService.resolveChoice(this.data.pickup_slot, options.slots);
+    const booked = await ReversePickupService.book(this.clientId, record, orderData, options, slot);
+    await this.finish(booked || record, slot);
+  }
+
+  /**
+   * Complete with what happened to the pickup
+   * @param {object} record - returns row
+   * @param {object} slot - Slot booked, if any
+   */
+  async finish(record, slot = null) {
+    const scheduled = record.status === ReversePickupService.RETURN_STATUS.PICKUP_SCHEDULED;
+
+    await this.completePickup({
+      return_record_id: record.id,
+      status: record.status,
+      awb: record.awb || null,
+      courier: record.courier || null,
+      slot: scheduled ? slot : null
+    });
+  }
+
+  /**
+   * Log the action and complete the agent
+   * @param {object} pickupData - { return_record_id, status, awb, courier, slot }
+   */
+  async completePickup(pickupData) {
+    throw new Error(`${this.agentType} must implement completePickup()`);
+  }
+
+  /**
+   * A pickup slot is valid once it names one of the offered options
+   */
+  isFieldValid(field) {
+    if (field === 'pickup_slot') {
+      return Boolean(this.pickup && ReversePickupService.resolveChoice(this.data.pickup_slot, this.pickup.options.slots));
+    }
+    return super.isFieldValid(field);
+  }
+
+  /**
+   * Read the offered slots out as options
+   */
+  getPromptForField(field) {
+    if (field === 'pickup_slot' && this.pickup) {
+      return ReversePickupService.slotPrompt(this.pickup.options.slots);
+    }
+    return super.getPromptForField(field);
+  }
+}
+
+module.exports = ReversePickupAgent;
@@ -0,0 +1,101 @@
+// agents/classifiers/EmbeddingIntentClassifier.js - Nearest-example intent classifier
+//
+// Embeds the utterance and scores each intent by its cosine similarity to the
+// closest example utterance of that intent. Works with any embedder exposing
+// `embed(texts) -> Promise<number[][]>` (LocalEmbedder, OpenAIEmbedder).
+
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const defaultExamples = require('./intentExamples');
+
+class EmbeddingIntentClassifier {
+  /**
+   * @param {object} options
+   * @param {object} options.embedder - Embedding backend
+   * @param {object} [options.examples] - { INTENT: [utterance, ...] }
+   */
+  constructor(options = {}) {
+    if (!options.embedder) {
+      throw new Error('EmbeddingIntentClassifier requires an embedder');
+    }
+
+    this.embedder = options.embedder;
+    this.name = `embedding:${this.embedder.name || 'custom'}`;
+    this.examples = options.examples || defaultExamples;
+    this.exampleVectors = null; // Promise resolving to [{ intent, vector }]
+  }
+
+  /**
+   * Embed example utterances once and reuse them for every call
+   */
+  loadExampleVectors() {
+    if (!this.exampleVectors) {
+      const entries = [];
+      for (const [intent, utterances] of Object.entries(this.examples)) {
+        utterances.forEach(text => entries.push({ intent, text }));
+      }
+
+      this.exampleVectors = this.embedder.embed(entries.map(e => e.text))
+        .then(vectors => entries.map((entry, i) => ({
+          intent: entry.intent,
+          vector: vectors[i]
+        })))
+        .catch(error => {
+          // Allow a retry on the next call instead of caching the failure
+          this.exampleVectors = null;
+          throw error;
+        });
+    }
+
+    return this.exampleVectors;
+  }
+
+  /**
+   * Score all intents for the given text
+   * @param {string} text - Normalized (lowercased, trimmed) user text
+   * @param {object} [options] - { signal } aborts the embedding request
+   * @returns {Promise<object>} - { scores: { INTENT: number } }
+   */
+  async classify(text, { signal } = {}) {
+    const [examples, [vector]] = await Promise.all([
+      this.loadExampleVectors(),
+      this.embedder.embed([text], { signal })
+    ]);
+
+    const scores = {};
+    for (const intent of Object.keys(this.examples)) {
+      scores[intent] = 0;
+    }
+
+    for (const example of examples) {
+      const similarity = Math.max(0, cosineSimilarity(vector, example.vector));
+      if (similarity > scores[example.intent]) {
+        scores[example.intent] = similarity;
+      }
+    }
+
+    logger.debug('Embedding classification', { classifier: this.name, text });
+
+    return { scores };
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = EmbeddingIntentClassifier;
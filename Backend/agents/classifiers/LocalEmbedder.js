@@ -0,0 +1,55 @@
+// agents/classifiers/LocalEmbedder.js - Offline embedding stand-in
+//
+// Hashes word unigrams and character trigrams into a fixed-size vector.
+// It has no notion of meaning, but it tolerates the spelling drift of
+// transliterated Hinglish ("pahuncha" / "pohncha") well enough to serve as a
+// local stand-in for a real embedding model in development and tests.
+
+const DEFAULT_DIMENSIONS = 512;
+
+class LocalEmbedder {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} - L2-normalized vectors
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().replace(/[^a-z0-9ऀ-ॿ\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+    for (const word of words) {
+      vector[this.hash(`w:${word}`)] += 1;
+
+      const padded = `#${word}#`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        vector[this.hash(`c:${padded.substring(i, i + 3)}`)] += 0.5;
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * FNV-1a hash into the vector range
+   */
+  hash(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+      hash ^= token.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % this.dimensions;
+  }
+}
+
+module.exports = LocalEmbedder;
@@ -0,0 +1,36 @@
+// agents/classifiers/OpenAIEmbedder.js - OpenAI embeddings backend
+const OpenAI = require('openai');
+const resolve = require('../../utils/moduleResolver');
+const { TIMEOUTS } = require(resolve('config/timeoutConfig'));
+
+const DEFAULT_MODEL = 'text-embedding-3-small';
+
+class OpenAIEmbedder {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.INTENT_EMBEDDING_MODEL || DEFAULT_MODEL;
+    this.client = new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      timeout: TIMEOUTS.OPENAI_TIMEOUT
+    });
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts
+   * @param {object} [options] - { signal } aborts the request
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts, { signal } = {}) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts
+    }, { signal });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbedder;
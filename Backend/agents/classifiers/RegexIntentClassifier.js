@@ -0,0 +1,37 @@
+// agents/classifiers/RegexIntentClassifier.js - Pattern based intent classifier
+//
+// Scores every intent by how many of its patterns match the utterance.
+// One matching pattern scores 0.6, two score 0.84, three 0.936 and so on,
+// so a phrase that hits several patterns of the same intent wins over a
+// phrase that only brushes past one pattern of another intent.
+
+// Score contributed by each additional matching pattern
+const MATCH_DECAY = 0.4;
+
+class RegexIntentClassifier {
+  /**
+   * @param {object} intentPatterns - { INTENT: [RegExp, ...] }
+   */
+  constructor(intentPatterns) {
+    this.name = 'regex';
+    this.intentPatterns = intentPatterns;
+  }
+
+  /**
+   * Score all intents for the given text
+   * @param {string} text - Normalized (lowercased, trimmed) user text
+   * @returns {Promise<object>} - { scores: { INTENT: number } }
+   */
+  async classify(text) {
+    const scores = {};
+
+    for (const [intent, patterns] of Object.entries(this.intentPatterns)) {
+      const matches = patterns.filter(pattern => pattern.test(text)).length;
+      scores[intent] = matches > 0 ? 1 - Math.pow(MATCH_DECAY, matches) : 0;
+    }
+
+    return { scores };
+  }
+}
+
+module.exports = RegexIntentClassifier;
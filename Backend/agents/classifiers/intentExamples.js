@@ -0,0 +1,104 @@
+// agents/classifiers/intentExamples.js - Example utterances per intent
+//
+// Used by the embedding classifier as nearest-neighbour anchors. Add real
+// caller phrasings here whenever the regex patterns miss them.
+
+module.exports = {
+  ORDER_LOOKUP: [
+    'mera order kahan hai',
+    'order ka status kya hai',
+    'parcel abhi tak nahi aaya',
+    'mera parcel kab aayega',
+    'saman abhi tak nahi mila',
+    'order abhi tak deliver nahi hua',
+    'where is my order',
+    'my order has not arrived yet'
+  ],
+  RETURN_REQUEST: [
+    'mujhe product return karna hai',
+    'ye saman wapas lena hai',
+    'galat item aaya hai wapas bhejna hai',
+    'product toota hua aaya hai',
+    'i want to return this item'
+  ],
+  REFUND: [
+    'mera paisa wapas kab aayega',
+    'refund abhi tak nahi mila',
+    'paise wapas chahiye',
+    'when will i get my refund'
+  ],
+  CANCEL_ORDER: [
+    'order cancel karna hai',
+    'mujhe ye order nahi chahiye cancel kar do',
+    'order mat bhejo',
+    'please cancel my order'
+  ],
+  TRACKING: [
+    'delivery boy kahan hai',
+    'parcel kahan tak pahuncha',
+    'tracking number batao',
+    'courier ka location kya hai',
+    'track my package'
+  ],
+  PRODUCT_INQUIRY: [
+    'ye product stock mein hai kya',
+    'iska price kya hai',
+    'product ki details batao',
+    'is this available in blue colour'
+  ],
+  PAYMENT_ISSUE: [
+    'paise kat gaye par order nahi hua',
+    'payment fail ho gaya',
+    'account se paisa debit ho gaya',
+    'transaction failed but money deducted'
+  ],
+  ADDRESS_CHANGE: [
+    'delivery address badalna hai',
+    'naya address dena hai',
+    'ghar ka pata change karna hai',
+    'change my shipping address'
+  ],
+  COMPLAINT: [
+    'mujhe shikayat darj karni hai',
+    'service bahut kharab hai',
+    'main bilkul khush nahi hoon',
+    'i want to file a complaint'
+  ],
+  EXCHANGE: [
+    'size badalna hai',
+    'dusra size chahiye',
+    'colour exchange karna hai',
+    'exchange for a different size'
+  ],
+  COD_ISSUE: [
+    'cash on delivery hai kya',
+    'delivery pe paise dene hain',
+    'cod option milega',
+    'can i pay cash at delivery'
+  ],
+  INVOICE: [
+    'bill chahiye',
+    'gst invoice bhej do',
+    'order ki receipt chahiye',
+    'send me the invoice'
+  ],
+  REGISTRATION: [
+    'naya account banana hai',
+    'sign up kaise karein',
+    'register karna hai',
+    'create a new account'
+  ],
+  TECHNICAL_SUPPORT: [
+    'app khul nahi raha',
+    'login nahi ho raha',
+    'website pe error aa raha hai',
+    'app keeps crashing'
+  ],
+  HUMAN_HANDOFF: [
+    'mujhe kisi insaan se baat karni hai',
+    'manager se baat karao',
+    'aapke senior se baat karwaiye',
+    'i want to talk to a real person',
+    'connect me to a customer care executive'
+  ]
+};
@@ -0,0 +1,218 @@
+// agents/definitionLoader.js - Load declarative agent definitions from JSON/YAML
+//
+// Each file in agents/definitions/ (or AGENT_DEFINITIONS_DIR) describes one agent:
+//
+//   name: WarrantyClaimAgent          # registry key, must end in "Agent"
+//   intent: WARRANTY_CLAIM            # intent that launches the agent
+//   patterns: ['warranty', 'guarantee']
+//   actionType: warranty_claim        # agent_actions.action_type
+//   slots:
+//     - name: order_id
+//       prompt: 'Apna order number batayein'
+//       validate: { pattern: '^\d{4,10}$' }   # also minLength, maxLength, enum
+//       extract: ['order.*?(\d{4,10})']      # optional entity patterns for this slot
+//       confirm: true                 # read back before acting (default for order_id, phone, ...)
+//   steps:
+//     - action: getOrder              # ShopifyService static method (the call's client_id is passed first)
+//       args: ['{{order_id}}']
+//       as: order
+//       required: true                # empty result -> responses[onEmpty]
+//   responses:
+//     success: 'Order {{order.name}} ...'
+//     not_found: '...'
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const ShopifyService = require(resolve('services/ShopifyService'));
+const DeclarativeAgent = require('./DeclarativeAgent');
+
+const DEFAULT_DEFINITIONS_DIR = path.join(__dirname, 'definitions');
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const AGENT_NAME = /^[A-Z][A-Za-z0-9]*Agent$/;
+const INTENT_NAME = /^[A-Z][A-Z0-9_]{1,49}$/;
+const SLOT_NAME = /^[a-z][a-z0-9_]{1,49}$/;
+
+let cachedDefinitions = null;
+
+/**
+ * Validate a parsed definition
+ * @returns {string[]} - List of problems (empty when valid)
+ */
+function validateDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return ['definition must be an object'];
+  }
+
+  if (!AGENT_NAME.test(definition.name || '')) {
+    errors.push('name must be PascalCase and end with "Agent"');
+  }
+  if (!INTENT_NAME.test(definition.intent || '')) {
+    errors.push('intent must be UPPER_SNAKE_CASE');
+  }
+  if (!Array.isArray(definition.patterns) || definition.patterns.length === 0) {
+    errors.push('patterns must be a non-empty array');
+  } else {
+    definition.patterns.forEach((pattern, i) => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`patterns[${i}]: invalid regex (${error.message})`);
+      }
+    });
+  }
+
+  if (!Array.isArray(definition.slots)) {
+    errors.push('slots must be an array');
+  } else {
+    definition.slots.forEach((slot, i) => {
+      if (!SLOT_NAME.test(slot?.name || '')) {
+        errors.push(`slots[${i}]: invalid name`);
+      }
+      (slot?.extract || []).forEach((pattern, j) => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          errors.push(`slots[${i}].extract[${j}]: invalid regex (${error.message})`);
+        }
+      });
+      if (slot?.validate?.pattern) {
+        try {
+          new RegExp(slot.validate.pattern, 'i');
+        } catch (error) {
+          errors.push(`slots[${i}]: invalid validate.pattern (${error.message})`);
+        }
+      }
+    });
+  }
+
+  if (!Array.isArray(definition.steps)) {
+    errors.push('steps must be an array');
+  } else {
+    definition.steps.forEach((step, i) => {
+      if (typeof ShopifyService[step?.action] !== 'function') {
+        errors.push(`steps[${i}]: unknown action "${step?.action}"`);
+      }
+      if (step?.required && !definition.responses?.[step.onEmpty || 'not_found']) {
+        errors.push(`steps[${i}]: missing response "${step.onEmpty || 'not_found'}"`);
+      }
+    });
+  }
+
+  if (typeof definition.responses?.success !== 'string') {
+    errors.push('responses.success is required');
+  }
+
+  return errors;
+}
+
+/**
+ * Build a BaseAgent subclass for a definition. The class is named after the
+ * definition so the orchestrator's constructor.name lookups keep working.
+ */
+function createAgentClass(definition) {
+  const { [definition.name]: AgentClass } = {
+    [definition.name]: class extends DeclarativeAgent {
+      constructor(callId, initialData = {}) {
+        super(callId, initialData, definition);
+      }
+    }
+  };
+
+  AgentClass.definition = definition;
+  return AgentClass;
+}
+
+/**
+ * Read and validate every definition file in a directory
+ * @param {string} [dir] - Definitions directory
+ * @returns {object[]} - Valid definitions (invalid files are logged and skipped)
+ */
+function readDefinitions(dir = process.env.AGENT_DEFINITIONS_DIR || DEFAULT_DEFINITIONS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const definitions = [];
+  const files = fs.readdirSync(dir)
+    .filter(file => DEFINITION_EXTENSIONS.includes(path.extname(file)))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const content = fs.readFileSync(path.join(dir, file), 'utf8');
+      const definition = path.extname(file) === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content);
+
+      const errors = validateDefinition(definition);
+      if (errors.length > 0) {
+        logger.error('Invalid agent definition', { file, errors });
+        continue;
+      }
+
+      definitions.push({
+        actionType: definition.name.replace(/Agent$/, '').replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase(),
+        ...definition
+      });
+    } catch (error) {
+      logger.error('Error loading agent definition', { file, error: error.message });
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Load definitions once per process
+ * @returns {object[]} - [{ definition, AgentClass }]
+ */
+function loadAgentDefinitions() {
+  if (!cachedDefinitions) {
+    cachedDefinitions = readDefinitions().map(definition => ({
+      definition,
+      AgentClass: createAgentClass(definition)
+    }));
+
+    if (cachedDefinitions.length > 0) {
+      logger.info('Loaded declarative agents', {
+        agents: cachedDefinitions.map(d => d.definition.name)
+      });
+    }
+  }
+
+  return cachedDefinitions;
+}
+
+/**
+ * Intent detector overrides contributed by the loaded definitions
+ * @returns {object} - { intentPatterns, entityPatterns, intentAgentMap }, see IntentDetector.applyOverrides()
+ */
+function getDefinitionOverrides() {
+  const overrides = { intentPatterns: {}, entityPatterns: {}, intentAgentMap: {} };
+
+  for (const { definition } of loadAgentDefinitions()) {
+    overrides.intentPatterns[definition.intent] = { mode: 'extend', patterns: definition.patterns };
+    overrides.intentAgentMap[definition.intent] = definition.name;
+
+    for (const slot of definition.slots) {
+      if (Array.isArray(slot.extract) && slot.extract.length > 0) {
+        overrides.entityPatterns[slot.name] = { mode: 'extend', patterns: slot.extract };
+      }
+    }
+  }
+
+  return overrides;
+}
+
+module.exports = {
+  loadAgentDefinitions,
+  getDefinitionOverrides,
+  readDefinitions,
+  validateDefinition,
+  createAgentClass
+};
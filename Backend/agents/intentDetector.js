@@ -1,9 +1,94 @@
 // agents/intentDetector.js - Intent detection and entity extraction
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
+const RegexIntentClassifier = require('./classifiers/RegexIntentClassifier');
+const EmbeddingIntentClassifier = require('./classifiers/EmbeddingIntentClassifier');
+const LocalEmbedder = require('./classifiers/LocalEmbedder');
+const OpenAIEmbedder = require('./classifiers/OpenAIEmbedder');
+const { getDefinitionOverrides } = require('./definitionLoader');
+
+// Below this top score the fallback classifier is consulted
+const DEFAULT_CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6;
+// Fallback results weaker than this are treated as plain chat
+const DEFAULT_FALLBACK_MIN_SCORE = parseFloat(process.env.INTENT_FALLBACK_MIN_SCORE) || 0.65;
+
+// Cancelling the order, not the running action (see detectSingle)
+const ORDER_CANCELLATION = /\border\b.*\bcancel|\bcancel\b.*\border\b/i;
+
+// Tie-break order when two intents score the same (cancellation always first)
+const INTENT_PRIORITY = [
+  'CANCEL_ACTION',
+  'HUMAN_HANDOFF',
+  'GREETING',
+  'ORDER_LOOKUP',
+  'RETURN_REQUEST',
+  'REFUND',
+  'CANCEL_ORDER',
+  'TRACKING',
+  'PRODUCT_INQUIRY',
+  'PAYMENT_ISSUE',
+  'ADDRESS_CHANGE',
+  'COMPLAINT',
+  'EXCHANGE',
+  'COD_ISSUE',
+  'INVOICE',
+  'REGISTRATION',
+  'TECHNICAL_SUPPORT'
+];
+
+// Conjunctions / punctuation that separate requests within one utterance
+const CLAUSE_SEPARATOR = /\s+(?:aur|and|also|phir|then|saath\s+hi|uske\s+baad)\s+|[,;?!]+/i;
+
+// Answers to a read-back ("order number 1 2 3 4 5, sahi hai na?")
+// Negatives are checked first so "sahi nahi hai" counts as a no
+const CONFIRM_NO = /\b(?:nahi|nahin|nai|no|galat|wrong|incorrect)\b/i;
+const CONFIRM_YES = /\b(?:haan|han|haa|ha|ji|jee|yes|yeah|sahi|correct|bilkul|theek|thik|right)\b/i;
+
+// Default intent -> agent mapping (tenants may remap via overrides)
+const INTENT_AGENT_MAP = {
+  ORDER_LOOKUP: 'OrderLookupAgent',
+  RETURN_REQUEST: 'ReturnAgent',
+  REFUND: 'RefundAgent',
+  CANCEL_ORDER: 'CancelOrderAgent',
+  TRACKING: 'TrackingAgent',
+  PRODUCT_INQUIRY: 'ProductInquiryAgent',
+  PAYMENT_ISSUE: 'PaymentIssueAgent',
+  ADDRESS_CHANGE: 'AddressChangeAgent',
+  COMPLAINT: 'ComplaintAgent',
+  EXCHANGE: 'ExchangeAgent',
+  COD_ISSUE: 'CODAgent',
+  INVOICE: 'InvoiceAgent',
+  REGISTRATION: 'RegistrationAgent',
+  TECHNICAL_SUPPORT: 'TechnicalSupportAgent'
+};
+
+/**
+ * Build the fallback classifier from environment configuration
+ * INTENT_FALLBACK_CLASSIFIER: 'embedding' (default) | 'none'
+ * INTENT_EMBEDDER: 'local' (default, offline stand-in) | 'openai'
+ */
+function createDefaultFallbackClassifier() {
+  if ((process.env.INTENT_FALLBACK_CLASSIFIER || 'embedding') === 'none') {
+    return null;
+  }
+
+  const embedder = process.env.INTENT_EMBEDDER === 'openai'
+    ? new OpenAIEmbedder()
+    : new LocalEmbedder();
+
+  return new EmbeddingIntentClassifier({ embedder });
+}
 
 class IntentDetector {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {object} [options.classifier] - Primary classifier (regex by default)
+   * @param {object|null} [options.fallbackClassifier] - Consulted on weak primary matches
+   * @param {number} [options.confidenceThreshold] - Primary score needed to skip the fallback
+   * @param {number} [options.fallbackMinScore] - Minimum fallback score to accept an intent
+   * @param {object} [options.overrides] - Tenant overrides, see applyOverrides()
+   */
+  constructor(options = {}) {
     // Intent patterns (Hindi/Hinglish)
     this.intentPatterns = {
       ORDER_LOOKUP: [
@@ -35,6 +120,7 @@ class IntentDetector {
         /cancel.*karna/i,
         /cancel.*kar.*do/i,
         /order.*cancel/i,
+        /order.*cancel.*kar/i,
         /nahi.*chahiye/i,
         /mat.*bhejo/i
       ],
@@ -113,6 +199,14 @@ class IntentDetector {
         /^ji$/i,
         /^yes$/i
       ],
+      HUMAN_HANDOFF: [
+        /manager.*(?:se|baat|connect)/i,
+        /(?:insaan|human|aadmi|real.*person).*(?:se|baat)/i,
+        /agent.*se.*baat/i,
+        /customer.*care.*(?:se|baat)/i,
+        /kisi.*se.*baat.*karwa/i,
+        /representative/i
+      ],
       CANCEL_ACTION: [
         /rehne.*do/i,
         /cancel.*karo/i,
@@ -147,85 +241,319 @@ class IntentDetector {
         /pin.*?(\d{6})/i,
         /pincode.*?(\d{6})/i,
         /postal.*?(\d{6})/i
+      ],
+      // Choice among offered options (pickup slots): "option 2", "doosra wala", or just "2"
+      pickup_slot: [
+        /option\s*(?:number\s*)?([1-9])\b/i,
+        /\b(pehla|pehli|pahla|pahli|first|doosra|doosri|dusra|dusri|second|teesra|teesri|tisra|tisri|third)\b/i,
+        /^\s*([1-9])\s*$/
       ]
     };
+
+    this.agentMapping = { ...INTENT_AGENT_MAP };
+
+    // Declarative agents bring their own intent phrases and slot extractors
+    this.applyOverrides(getDefinitionOverrides());
+
+    if (options.overrides) {
+      this.applyOverrides(options.overrides);
+    }
+
+    this.classifier = options.classifier || new RegexIntentClassifier(this.intentPatterns);
+    this.fallbackClassifier = options.fallbackClassifier !== undefined
+      ? options.fallbackClassifier
+      : createDefaultFallbackClassifier();
+    this.confidenceThreshold = options.confidenceThreshold ?? DEFAULT_CONFIDENCE_THRESHOLD;
+    this.fallbackMinScore = options.fallbackMinScore ?? DEFAULT_FALLBACK_MIN_SCORE;
   }
 
   /**
-   * Detect intent from user transcript
+   * Detect intents from user transcript
+   *
+   * Top-level fields describe the first (primary) intent. `intents` lists every
+   * agent-triggering request in the order the caller made them, e.g.
+   * "order cancel karo aur refund kab milega" -> [CANCEL_ORDER, REFUND].
+   *
    * @param {string} transcript - User's speech text
    * @param {object} conversationContext - Previous conversation
-   * @returns {object} - { intent, confidence, entities, requiresAgent }
+   * @param {object} [options] - { signal } aborts the fallback classifier's request
+   * @returns {Promise<object>} - { intent, confidence, scores, classifier, entities, requiresAgent, intents }
+   */
+  async detect(transcript, conversationContext = [], { signal } = {}) {
+    const clauses = this.splitClauses(transcript);
+
+    if (clauses.length > 1) {
+      const results = await Promise.all(clauses.map(clause => this.detectSingle(clause, { signal })));
+      const sharedEntities = this.extractEntities(transcript.trim());
+      const intents = [];
+
+      for (const result of results) {
+        if (!result.requiresAgent || intents.some(i => i.agentType === result.agentType)) {
+          continue;
+        }
+        intents.push({
+          intent: result.intent,
+          confidence: result.confidence,
+          agentType: result.agentType,
+          // An order ID said once applies to every request in the utterance
+          entities: { ...sharedEntities, ...result.entities },
+          text: result.originalText
+        });
+      }
+
+      if (intents.length > 1) {
+        const primary = results.find(r => r.agentType === intents[0].agentType);
+
+        logger.debug('Multiple intents detected', {
+          intents: intents.map(i => i.intent)
+        });
+
+        return {
+          ...primary,
+          entities: intents[0].entities,
+          originalText: transcript,
+          intents
+        };
+      }
+    }
+
+    const result = await this.detectSingle(transcript, { signal });
+
+    result.intents = result.requiresAgent
+      ? [{
+        intent: result.intent,
+        confidence: result.confidence,
+        agentType: result.agentType,
+        entities: result.entities,
+        text: transcript
+      }]
+      : [];
+
+    return result;
+  }
+
+  /**
+   * Split an utterance into separately classifiable requests
    */
-  detect(transcript, conversationContext = []) {
+  splitClauses(transcript) {
+    return transcript
+      .split(CLAUSE_SEPARATOR)
+      .map(clause => clause.trim())
+      .filter(clause => clause.length >= 3);
+  }
+
+  /**
+   * Detect the single best intent for a piece of text
+   */
+  async detectSingle(transcript, { signal } = {}) {
     const text = transcript.toLowerCase().trim();
 
     logger.debug('Detecting intent', { transcript: text });
 
-    // Check for cancellation first
-    if (this.matchesIntent(text, 'CANCEL_ACTION')) {
+    // Cancellation is an override: "ruko, rehne do" stops the agent however
+    // many patterns of another intent the rest of the sentence matches. Asking
+    // to cancel the order ("order cancel karo") is left to scoring.
+    if (this.matchesIntent(text, 'CANCEL_ACTION') && !ORDER_CANCELLATION.test(text)) {
+      return this.cancelResult(transcript, 0.95, { CANCEL_ACTION: 0.95 }, 'regex');
+    }
+
+    const { scores, classifier } = await this.classify(text, { signal });
+    const top = this.pickTopIntent(scores, text);
+    const scoreReport = this.roundScores(scores);
+
+    // No specific intent detected - normal conversation
+    if (!top) {
       return {
-        intent: 'CANCEL_ACTION',
-        confidence: 0.95,
-        entities: {},
+        intent: 'CHAT',
+        confidence: 0.7,
+        scores: scoreReport,
+        classifier,
+        entities: this.extractEntities(transcript.trim()),
         requiresAgent: false,
-        shouldCancelAgent: true
+        originalText: transcript
       };
     }
 
-    // Check for simple greetings
-    if (this.matchesIntent(text, 'GREETING') && text.length < 20) {
+    const confidence = Number(top.score.toFixed(3));
+
+    if (top.intent === 'CANCEL_ACTION') {
+      return this.cancelResult(transcript, confidence, scoreReport, classifier);
+    }
+
+    if (top.intent === 'HUMAN_HANDOFF') {
+      return {
+        intent: 'HUMAN_HANDOFF',
+        confidence,
+        scores: scoreReport,
+        classifier,
+        entities: this.extractEntities(transcript.trim()),
+        requiresAgent: false,
+        shouldHandoff: true,
+        originalText: transcript
+      };
+    }
+
+    if (top.intent === 'GREETING') {
       return {
         intent: 'GREETING',
-        confidence: 0.9,
+        confidence,
+        scores: scoreReport,
+        classifier,
         entities: {},
-        requiresAgent: false
+        requiresAgent: false,
+        originalText: transcript
       };
     }
 
-    // Check all agent-triggering intents
-    const intents = [
-      'ORDER_LOOKUP',
-      'RETURN_REQUEST',
-      'REFUND',
-      'CANCEL_ORDER',
-      'TRACKING',
-      'PRODUCT_INQUIRY',
-      'PAYMENT_ISSUE',
-      'ADDRESS_CHANGE',
-      'COMPLAINT',
-      'EXCHANGE',
-      'COD_ISSUE',
-      'INVOICE',
-      'REGISTRATION',
-      'TECHNICAL_SUPPORT'
-    ];
+    // Tenant-defined intents without an agent mapping are informational only
+    const agentType = this.intentToAgent(top.intent);
 
-    for (const intent of intents) {
-      if (this.matchesIntent(text, intent)) {
-        const entities = this.extractEntities(text);
-        
-        return {
-          intent,
-          confidence: 0.85,
-          entities,
-          requiresAgent: true,
-          agentType: this.intentToAgent(intent),
-          originalText: transcript
-        };
+    return {
+      intent: top.intent,
+      confidence,
+      scores: scoreReport,
+      classifier,
+      entities: this.extractEntities(transcript.trim()),
+      requiresAgent: Boolean(agentType),
+      agentType,
+      originalText: transcript
+    };
+  }
+
+  /**
+   * Create a detector for one tenant, sharing this detector's fallback classifier
+   * @param {object} overrides - Tenant overrides, see applyOverrides()
+   * @returns {IntentDetector}
+   */
+  withOverrides(overrides) {
+    return new IntentDetector({
+      fallbackClassifier: this.fallbackClassifier,
+      confidenceThreshold: this.confidenceThreshold,
+      fallbackMinScore: this.fallbackMinScore,
+      overrides
+    });
+  }
+
+  /**
+   * Apply tenant overrides on top of the built-in patterns
+   *
+   * intentPatterns / entityPatterns: { NAME: { mode: 'extend'|'replace', patterns: [string] } }
+   * 'extend' puts the tenant patterns ahead of the built-in ones, 'replace' drops the built-ins.
+   * intentAgentMap: { INTENT: 'AgentType' }
+   */
+  applyOverrides(overrides = {}) {
+    const merge = (target, entries = {}) => {
+      for (const [name, { mode, patterns }] of Object.entries(entries)) {
+        const compiled = patterns.map(pattern => new RegExp(pattern, 'i'));
+        target[name] = mode === 'replace'
+          ? compiled
+          : [...compiled, ...(target[name] || [])];
       }
+    };
+
+    merge(this.intentPatterns, overrides.intentPatterns);
+    merge(this.entityPatterns, overrides.entityPatterns);
+    Object.assign(this.agentMapping, overrides.intentAgentMap || {});
+  }
+
+  /**
+   * Score intents with the primary classifier, falling back to the secondary
+   * classifier when the primary's best match is below the confidence threshold
+   * @returns {Promise<object>} - { scores, classifier }
+   */
+  async classify(text, { signal } = {}) {
+    const primary = await this.classifier.classify(text);
+    const primaryTop = this.pickTopIntent(primary.scores, text);
+    const primaryScore = primaryTop ? primaryTop.score : 0;
+
+    if (primaryScore >= this.confidenceThreshold || !this.fallbackClassifier) {
+      return { scores: primary.scores, classifier: this.classifier.name };
     }
 
-    // No specific intent detected - normal conversation
+    try {
+      signal?.throwIfAborted();
+      const fallback = await this.fallbackClassifier.classify(text, { signal });
+      const fallbackTop = this.pickTopIntent(fallback.scores, text);
+
+      if (fallbackTop && fallbackTop.score >= this.fallbackMinScore && fallbackTop.score > primaryScore) {
+        logger.info('Intent resolved by fallback classifier', {
+          classifier: this.fallbackClassifier.name,
+          intent: fallbackTop.intent,
+          score: fallbackTop.score,
+          primaryScore
+        });
+        return { scores: fallback.scores, classifier: this.fallbackClassifier.name };
+      }
+    } catch (error) {
+      // A cancelled turn has no use for the primary scores either
+      if (signal?.aborted) {
+        throw error;
+      }
+      logger.warn('Fallback intent classifier failed', {
+        classifier: this.fallbackClassifier.name,
+        error: error.message
+      });
+    }
+
+    return { scores: primary.scores, classifier: this.classifier.name };
+  }
+
+  /**
+   * Result that cancels the running agent
+   */
+  cancelResult(transcript, confidence, scores, classifier) {
     return {
-      intent: 'CHAT',
-      confidence: 0.7,
-      entities: this.extractEntities(text),
+      intent: 'CANCEL_ACTION',
+      confidence,
+      scores,
+      classifier,
+      entities: {},
       requiresAgent: false,
+      shouldCancelAgent: true,
       originalText: transcript
     };
   }
 
+  /**
+   * Pick the highest scoring intent, breaking ties by INTENT_PRIORITY
+   * @returns {object|null} - { intent, score } or null if nothing scored
+   */
+  pickTopIntent(scores, text) {
+    const ordered = [
+      ...INTENT_PRIORITY,
+      ...Object.keys(scores).filter(intent => !INTENT_PRIORITY.includes(intent))
+    ];
+
+    let top = null;
+    for (const intent of ordered) {
+      const score = scores[intent] || 0;
+
+      // Greetings only count for short utterances
+      if (intent === 'GREETING' && text.length >= 20) {
+        continue;
+      }
+
+      if (score > 0 && (!top || score > top.score)) {
+        top = { intent, score };
+      }
+    }
+
+    return top;
+  }
+
+  /**
+   * Round scores for logging and API responses, dropping zero entries
+   */
+  roundScores(scores) {
+    const rounded = {};
+    for (const [intent, score] of Object.entries(scores)) {
+      if (score > 0) {
+        rounded[intent] = Number(score.toFixed(3));
+      }
+    }
+    return rounded;
+  }
+
   /**
    * Check if text matches intent patterns
    */
@@ -253,28 +581,35 @@ class IntentDetector {
     return entities;
   }
 
+  /**
+   * Interpret the caller's answer to a read-back confirmation
+   * @param {string} transcript - User's speech text
+   * @returns {boolean|null} - true (yes), false (no) or null if neither
+   */
+  detectConfirmation(transcript) {
+    const text = transcript.toLowerCase().trim();
+
+    if (CONFIRM_NO.test(text)) {
+      return false;
+    }
+    if (CONFIRM_YES.test(text)) {
+      return true;
+    }
+    return null;
+  }
+
+  /**
+   * Every intent this detector can detect or route to an agent
+   */
+  getIntentNames() {
+    return [...new Set([...Object.keys(this.intentPatterns), ...Object.keys(this.agentMapping)])];
+  }
+
   /**
    * Map intent to agent type
    */
   intentToAgent(intent) {
-    const mapping = {
-      ORDER_LOOKUP: 'OrderLookupAgent',
-      RETURN_REQUEST: 'ReturnAgent',
-      REFUND: 'RefundAgent',
-      CANCEL_ORDER: 'CancelOrderAgent',
-      TRACKING: 'TrackingAgent',
-      PRODUCT_INQUIRY: 'ProductInquiryAgent',
-      PAYMENT_ISSUE: 'PaymentIssueAgent',
-      ADDRESS_CHANGE: 'AddressChangeAgent',
-      COMPLAINT: 'ComplaintAgent',
-      EXCHANGE: 'ExchangeAgent',
-      COD_ISSUE: 'CODAgent',
-      INVOICE: 'InvoiceAgent',
-      REGISTRATION: 'RegistrationAgent',
-      TECHNICAL_SUPPORT: 'TechnicalSupportAgent'
-    };
-
-    return mapping[intent] || null;
+    return this.agentMapping[intent] || null;
   }
 
   /**
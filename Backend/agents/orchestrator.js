@@ -20,19 +20,24 @@ const {
   RegistrationAgent,
   TechnicalSupportAgent
 } = require('./types/RemainingAgents');
+const { loadAgentDefinitions } = require('./definitionLoader');
+
+// Orchestrator states after which the next queued task may start
+const FINISHED_STATES = ['COMPLETED', 'ERROR', 'CANCELLED', 'ESCALATED'];
 
 class AgentOrchestrator extends EventEmitter {
   constructor() {
     super();
     this.activeAgents = new Map(); // callId -> { agent, state, startTime }
+    this.taskQueues = new Map(); // callId -> [{ agentType, initialData, intent }]
     this.agentRegistry = this.registerAgents();
   }
 
   /**
-   * Register all 14 agents
+   * Register the 14 built-in agents plus declarative agents from agents/definitions
    */
   registerAgents() {
-    return {
+    const registry = {
       // Core agents
       OrderLookupAgent,
       ReturnAgent,
@@ -51,13 +56,32 @@ class AgentOrchestrator extends EventEmitter {
       RegistrationAgent,
       TechnicalSupportAgent
     };
+
+    for (const { definition, AgentClass } of loadAgentDefinitions()) {
+      if (registry[definition.name]) {
+        logger.warn('Agent definition ignored, name already registered', {
+          agentType: definition.name
+        });
+        continue;
+      }
+      registry[definition.name] = AgentClass;
+    }
+
+    return registry;
   }
 
   /**
    * Launch agent with optimized execution
+   * @param {object} options - { confirmedFields } values that need no read-back, { clientId } tenant of the call
    */
-  async launchAgent(callId, agentType, initialData = {}) {
+  async launchAgent(callId, agentType, initialData = {}, options = {}) {
     try {
+      // Finished agents are simply replaced
+      const previous = this.activeAgents.get(callId);
+      if (previous && FINISHED_STATES.includes(previous.state)) {
+        this.activeAgents.delete(callId);
+      }
+
       // Check if agent already active
       if (this.activeAgents.has(callId)) {
         const existing = this.activeAgents.get(callId);
@@ -88,6 +112,8 @@ class AgentOrchestrator extends EventEmitter {
 
       // Create agent instance
       const agent = new AgentClass(callId, initialData);
+      agent.clientId = options.clientId || null;
+      (options.confirmedFields || []).forEach(field => agent.confirmedFields.add(field));
 
       // Store agent
       this.activeAgents.set(callId, {
@@ -135,8 +161,42 @@ class AgentOrchestrator extends EventEmitter {
       this.emit('agent_needs_info', {
         callId,
         field: data.field,
-        prompt: data.prompt
+        prompt: data.prompt,
+        reason: data.reason,
+        value: data.value,
+        attempt: data.attempt
+      });
+    });
+
+    // Agent wants the caller to confirm a value it read back
+    agent.on('need_confirmation', (data) => {
+      logger.info('Agent needs confirmation', { 
+        callId,
+        field: data.field 
+      });
+
+      this.emit('agent_needs_confirmation', {
+        callId,
+        agentType: agent.constructor.name,
+        ...data
+      });
+    });
+
+    // Agent gave up collecting a field
+    agent.on('escalated', (details) => {
+      const agentData = this.activeAgents.get(callId);
+      if (agentData) {
+        agentData.state = 'ESCALATED';
+      }
+
+      this.emit('agent_escalated', {
+        callId,
+        agentType: agent.constructor.name,
+        ...details,
+        remainingTasks: this.getQueuedTasks(callId).length
       });
+
+      this.startNextTask(callId);
     });
 
     // Agent completed
@@ -158,8 +218,11 @@ class AgentOrchestrator extends EventEmitter {
         callId,
         agentType: agent.constructor.name,
         result,
-        duration
+        duration,
+        remainingTasks: this.getQueuedTasks(callId).length
       });
+
+      this.startNextTask(callId);
     });
 
     // Agent error
@@ -178,9 +241,110 @@ class AgentOrchestrator extends EventEmitter {
       this.emit('agent_error', {
         callId,
         agentType: agent.constructor.name,
-        error
+        error,
+        duration: agentData ? Date.now() - agentData.startTime : 0,
+        remainingTasks: this.getQueuedTasks(callId).length
+      });
+
+      // One failed request shouldn't drop the caller's other requests
+      this.startNextTask(callId);
+    });
+  }
+
+  /**
+   * Queue agents to run one after another for a call
+   * Starts the first task right away if no agent is in progress
+   * @param {string} callId - Call identifier
+   * @param {object[]} tasks - [{ agentType, initialData, intent, confirmedFields, clientId }]
+   */
+  async queueAgents(callId, tasks) {
+    const queue = this.taskQueues.get(callId) || [];
+    queue.push(...tasks);
+    this.taskQueues.set(callId, queue);
+
+    logger.info('Agents queued', { 
+      callId,
+      queued: tasks.map(task => task.agentType),
+      queueLength: queue.length 
+    });
+
+    tasks.forEach(task => {
+      this.emit('agent_queued', {
+        callId,
+        agentType: task.agentType,
+        intent: task.intent,
+        position: queue.indexOf(task) + 1
       });
     });
+
+    if (this.isAgentInProgress(callId)) {
+      return null;
+    }
+
+    return this.startNextTask(callId);
+  }
+
+  /**
+   * Launch the next queued agent for a call (if any)
+   */
+  async startNextTask(callId) {
+    const queue = this.taskQueues.get(callId);
+
+    if (!queue || queue.length === 0) {
+      this.taskQueues.delete(callId);
+      return null;
+    }
+
+    const task = queue.shift();
+    if (queue.length === 0) {
+      this.taskQueues.delete(callId);
+    }
+
+    logger.info('Starting queued agent', { 
+      callId,
+      agentType: task.agentType,
+      remaining: queue.length 
+    });
+
+    try {
+      return await this.launchAgent(callId, task.agentType, task.initialData, {
+        confirmedFields: task.confirmedFields,
+        clientId: task.clientId
+      });
+    } catch (error) {
+      logger.error('Queued agent failed to launch', { 
+        callId,
+        agentType: task.agentType,
+        error: error.message 
+      });
+      return this.startNextTask(callId);
+    }
+  }
+
+  /**
+   * Get tasks still waiting to run for a call
+   */
+  getQueuedTasks(callId) {
+    return [...(this.taskQueues.get(callId) || [])];
+  }
+
+  /**
+   * Drop all queued tasks for a call (active agent is left alone)
+   */
+  clearQueue(callId) {
+    const queue = this.taskQueues.get(callId);
+    if (queue && queue.length > 0) {
+      logger.info('Clearing agent queue', { callId, dropped: queue.length });
+    }
+    this.taskQueues.delete(callId);
+  }
+
+  /**
+   * Check if an agent is still working (running or waiting for info)
+   */
+  isAgentInProgress(callId) {
+    const agentData = this.activeAgents.get(callId);
+    return Boolean(agentData) && !FINISHED_STATES.includes(agentData.state);
   }
 
   /**
@@ -200,8 +364,11 @@ class AgentOrchestrator extends EventEmitter {
 
   /**
    * Update agent with new data
+   * @param {string} callId - Call identifier
+   * @param {object} data - Field values
+   * @param {object} options - { confirmedFields } fields that skip the read-back
    */
-  updateAgent(callId, data) {
+  updateAgent(callId, data, options = {}) {
     const agentData = this.activeAgents.get(callId);
     
     if (!agentData) {
@@ -215,7 +382,26 @@ class AgentOrchestrator extends EventEmitter {
       data 
     });
 
-    agentData.agent.updateData(data);
+    agentData.agent.updateData(data, options.confirmedFields);
+    return true;
+  }
+
+  /**
+   * Pass the caller's yes/no answer to a read-back on to the active agent
+   * @param {string} callId - Call identifier
+   * @param {string} field - Field that was read back
+   * @param {boolean} isConfirmed - Caller confirmed the value
+   * @param {string} [correction] - Corrected value given with a "no"
+   */
+  confirmAgentField(callId, field, isConfirmed, correction) {
+    const agentData = this.activeAgents.get(callId);
+
+    if (!agentData) {
+      logger.warn('No active agent to confirm', { callId, field });
+      return false;
+    }
+
+    agentData.agent.confirmField(field, isConfirmed, correction);
     return true;
   }
 
@@ -270,7 +456,8 @@ class AgentOrchestrator extends EventEmitter {
       agentType: agentData.agentType,
       state: agentData.state,
       startTime: agentData.startTime,
-      duration: Date.now() - agentData.startTime
+      duration: Date.now() - agentData.startTime,
+      queued: this.getQueuedTasks(callId).map(task => task.agentType)
     } : null;
   }
 
@@ -303,10 +490,15 @@ class AgentOrchestrator extends EventEmitter {
   getAgentStats() {
     const stats = {
       totalActive: this.activeAgents.size,
+      totalQueued: 0,
       byType: {},
       byState: {}
     };
 
+    for (const queue of this.taskQueues.values()) {
+      stats.totalQueued += queue.length;
+    }
+
     for (const agentData of this.activeAgents.values()) {
       // Count by type
       stats.byType[agentData.agentType] = (stats.byType[agentData.agentType] || 0) + 1;
@@ -326,7 +518,7 @@ class AgentOrchestrator extends EventEmitter {
     const MAX_AGE = 5 * 60 * 1000; // 5 minutes
 
     for (const [callId, agentData] of this.activeAgents) {
-      if (agentData.state === 'COMPLETED' || agentData.state === 'ERROR') {
+      if (FINISHED_STATES.includes(agentData.state)) {
         const age = now - agentData.startTime;
         if (age > MAX_AGE) {
           logger.debug('Cleaning up old agent', { 
@@ -344,9 +536,9 @@ class AgentOrchestrator extends EventEmitter {
 // Singleton instance
 const orchestrator = new AgentOrchestrator();
 
-// Cleanup every 2 minutes
+// Cleanup every 2 minutes (unref'd so it never keeps the process alive on its own)
 setInterval(() => {
   orchestrator.cleanup();
-}, 2 * 60 * 1000);
+}, 2 * 60 * 1000).unref();
 
 module.exports = orchestrator;
\ No newline at end of file
@@ -36,7 +36,7 @@ class AddressChangeAgent extends BaseAgent {
         confidence: 0.9
       });
 
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Order not found' });
@@ -66,6 +66,7 @@ class AddressChangeAgent extends BaseAgent {
 
       // Update address in Shopify
       const updateResult = await ShopifyService.updateShippingAddress(
+        this.clientId,
         orderData.id,
         parsedAddress
       );
@@ -77,6 +78,7 @@ class AddressChangeAgent extends BaseAgent {
       // Update tracking system (Shiprocket/Delhivery)
       if (orderData.tracking_number) {
         await ShopifyService.updateTrackingAddress(
+          this.clientId,
           orderData.tracking_number,
           parsedAddress
         );
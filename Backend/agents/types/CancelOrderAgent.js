@@ -29,7 +29,7 @@ class CancelOrderAgent extends BaseAgent {
         confidence: 0.9
       });
 
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Order not found' });
@@ -39,7 +39,7 @@ class CancelOrderAgent extends BaseAgent {
 
       // Add eligibility check here (e.g., if order is already shipped)
 
-      const cancellationData = await ShopifyService.cancelOrder(orderData);
+      const cancellationData = await ShopifyService.cancelOrder(this.clientId, orderData);
 
       if (!cancellationData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Cancellation failed' });
@@ -39,7 +39,7 @@ class OrderLookupAgent extends BaseAgent {
       });
 
       // Call Shopify Service
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         // Order not found
@@ -58,10 +58,7 @@ class OrderLookupAgent extends BaseAgent {
       // Get tracking info if order is shipped
       let trackingInfo = null;
       if (orderData && (orderData.fulfillment_status === 'fulfilled' || orderData.fulfillment_status === 'partial')) {
-        const trackingId = orderData.tracking_number;
-        if (trackingId) {
-          trackingInfo = await ShopifyService.getTrackingInfo(trackingId);
-        }
+        trackingInfo = await ShopifyService.getOrderTracking(this.clientId, orderData);
       }
 
       // Update action status
@@ -101,10 +98,19 @@ class OrderLookupAgent extends BaseAgent {
 
     if (trackingInfo) {
       context += `\nTracking Information:\n`;
-      context += `- Current Status: ${trackingInfo.status}\n`;
-      context += `- Location: ${trackingInfo.current_location}\n`;
-      context += `- Expected Delivery: ${this.formatETA(trackingInfo.eta)}\n`;
-      context += `- Last Update: ${trackingInfo.last_update}\n`;
+      context += `- Current Status: ${trackingInfo.status_label}\n`;
+      if (trackingInfo.current_location) {
+        context += `- Location: ${trackingInfo.current_location}\n`;
+      }
+      if (trackingInfo.eta) {
+        context += `- Expected Delivery: ${this.formatETA(trackingInfo.eta)}\n`;
+      }
+      if (trackingInfo.last_update) {
+        context += `- Last Update: ${trackingInfo.last_update}\n`;
+      }
+      if (trackingInfo.ndr) {
+        context += `- Delivery Failed: ${trackingInfo.ndr.attempts} attempt(s)${trackingInfo.ndr.reason ? ` (${trackingInfo.ndr.reason})` : ''}\n`;
+      }
     }
 
     context += `\nTell customer this information in natural Hindi/Hinglish.`;
@@ -39,8 +39,8 @@ class PaymentIssueAgent extends BaseAgent {
 
       // Fetch order and payment details in parallel
       const [orderData, transactions] = await Promise.all([
-        ShopifyService.getOrder(this.data.order_id),
-        ShopifyService.getOrderTransactions(this.data.order_id)
+        ShopifyService.getOrder(this.clientId, this.data.order_id),
+        ShopifyService.getOrderTransactions(this.clientId, this.data.order_id)
       ]);
 
       if (!orderData) {
@@ -151,7 +151,7 @@ class PaymentIssueAgent extends BaseAgent {
       action: 'retry_payment',
       failureReason: lastFailure?.message || 'Unknown error',
       suggestion: 'Customer can retry payment or use different payment method',
-      paymentLink: await ShopifyService.generatePaymentLink(orderData.id)
+      paymentLink: await ShopifyService.generatePaymentLink(this.clientId, orderData.id)
     };
   }
 
@@ -165,7 +165,7 @@ class PaymentIssueAgent extends BaseAgent {
 
   async handleDoubleCharge(orderData, transactions) {
     // Create automatic refund for duplicate charge
-    const refundResult = await ShopifyService.createRefund(orderData.id, {
+    const refundResult = await ShopifyService.createRefund(this.clientId, orderData.id, {
       amount: parseFloat(orderData.total_price),
       reason: 'Duplicate charge'
     });
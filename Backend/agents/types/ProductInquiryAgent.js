@@ -35,7 +35,7 @@ class ProductInquiryAgent extends BaseAgent {
 
       // Specific product lookup
       if (this.data.product_id) {
-        const product = await ShopifyService.getProduct(this.data.product_id);
+        const product = await ShopifyService.getProduct(this.clientId, this.data.product_id);
         
         if (!product) {
           await db.actions.updateStatus(action.id, 'failed', { 
@@ -57,6 +57,7 @@ class ProductInquiryAgent extends BaseAgent {
       // Search query
       else if (this.data.query) {
         const products = await ShopifyService.searchProducts(
+          this.clientId,
           this.data.query, 
           5 // Top 5 results
         );
@@ -81,7 +82,7 @@ class ProductInquiryAgent extends BaseAgent {
       }
       // Popular/featured products
       else {
-        const products = await ShopifyService.getPopularProducts(5);
+        const products = await ShopifyService.getPopularProducts(this.clientId, 5);
 
         results = {
           type: 'popular_products',
@@ -171,7 +172,7 @@ class ProductInquiryAgent extends BaseAgent {
    */
   async checkStock(productId) {
     try {
-      const product = await ShopifyService.getProduct(productId);
+      const product = await ShopifyService.getProduct(this.clientId, productId);
       
       if (!product) {
         return { available: false, quantity: 0 };
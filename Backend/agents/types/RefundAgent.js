@@ -29,7 +29,7 @@ class RefundAgent extends BaseAgent {
         confidence: 0.9
       });
 
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Order not found' });
@@ -37,7 +37,7 @@ class RefundAgent extends BaseAgent {
         return;
       }
 
-      const refundData = await ShopifyService.createRefund(orderData);
+      const refundData = await ShopifyService.createRefund(this.clientId, orderData);
 
       if (!refundData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Refund processing failed' });
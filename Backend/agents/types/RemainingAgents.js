@@ -3,8 +3,10 @@ const BaseAgent = require('../BaseAgent');
 const logger = require('../../utils/logger');
 const db = require('../../db/postgres');
 const ShopifyService = require('../../services/ShopifyService');
+const ReversePickupService = require('../../services/reversePickupService');
+const ReversePickupAgent = require('../ReversePickupAgent');
 
-class ExchangeAgent extends BaseAgent {
+class ExchangeAgent extends ReversePickupAgent {
   constructor(callId, initialData = {}) {
     super(callId, initialData);
     this.requiredFields = ['order_id', 'reason'];
@@ -20,6 +22,13 @@ class ExchangeAgent extends BaseAgent {
       }
 
       this.state = 'RUNNING';
+
+      // Caller picked one of the offered pickup slots
+      if (this.pickup) {
+        await this.bookPickup();
+        return;
+      }
+
       logger.info('Executing exchange request', { 
         callId: this.callId,
         orderId: this.data.order_id 
@@ -36,7 +45,7 @@ class ExchangeAgent extends BaseAgent {
         confidence: 0.9
       });
 
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Order not found' });
@@ -56,27 +65,30 @@ class ExchangeAgent extends BaseAgent {
         return;
       }
 
-      // Create exchange request
-      const exchangeData = await ShopifyService.createExchange({
-        order_id: orderData.id,
-        line_items: orderData.line_items,
-        reason: this.data.reason,
-        exchange_variant: this.data.exchange_for
-      });
-
-      // Schedule pickup
-      const pickupData = await ShopifyService.schedulePickup(orderData, exchangeData);
+      // Create exchange request (once: see ReturnAgent)
+      const pending = await ReversePickupService.findPending(this.clientId, this.data.order_id, 'exchange');
+      const exchangeData = pending
+        ? { exchange_id: pending.shopify_return_id, order_id: orderData.id, status: 'pending', requires_pickup: true }
+        : await ShopifyService.createExchange(this.clientId, {
+          order_id: orderData.id,
+          line_items: orderData.line_items,
+          reason: this.data.reason,
+          exchange_variant: this.data.exchange_for
+        });
 
-      await db.actions.updateStatus(action.id, 'success', { 
-        exchange: exchangeData,
-        pickup: pickupData 
-      });
+      if (!exchangeData) {
+        throw new Error('Failed to create exchange request');
+      }
 
-      this.complete({
-        success: true,
-        exchangeData,
-        pickupData,
-        contextUpdate: `Exchange request created. Pickup scheduled for ${this.formatDate(pickupData.scheduled_date)}. New item will be shipped after receiving original.`
+      await this.offerPickup({
+        action,
+        orderData,
+        request: exchangeData,
+        pending,
+        type: 'exchange',
+        shopifyReturnId: exchangeData.exchange_id,
+        reason: this.data.reason,
+        exchangeFor: this.data.exchange_for
       });
     } catch (error) {
       this.handleError(error);
@@ -96,9 +108,21 @@ class ExchangeAgent extends BaseAgent {
     return { eligible: true };
   }
 
-  formatDate(dateStr) {
-    return new Date(dateStr).toLocaleDateString('en-IN', { 
-      day: 'numeric', month: 'short' 
+  async completePickup(pickupData) {
+    const { action, request: exchangeData } = this.pickup;
+
+    await db.actions.updateStatus(action.id, 'success', { 
+      exchange: exchangeData,
+      pickup: pickupData 
+    });
+
+    this.complete({
+      success: true,
+      exchangeData,
+      pickupData,
+      contextUpdate: pickupData.slot
+        ? `Exchange request created. Pickup scheduled for ${ReversePickupService.describeSlot(pickupData.slot)} (${pickupData.courier || 'courier partner'}, AWB ${pickupData.awb}). New item will be shipped after receiving original.`
+        : 'Exchange request created, but courier pickup could not be booked for this address right now. Our team will call within 24 hours to arrange the pickup. New item will be shipped after receiving original.'
     });
   }
 }
@@ -132,7 +156,7 @@ class CODAgent extends BaseAgent {
         confidence: 0.9
       });
 
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Order not found' });
@@ -196,7 +220,7 @@ class InvoiceAgent extends BaseAgent {
         confidence: 0.9
       });
 
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Order not found' });
@@ -205,10 +229,11 @@ class InvoiceAgent extends BaseAgent {
       }
 
       // Generate invoice PDF
-      const invoiceUrl = await ShopifyService.generateInvoice(orderData.id);
+      const invoiceUrl = await ShopifyService.generateInvoice(this.clientId, orderData.id);
 
       // Send via email/SMS
       await ShopifyService.sendInvoice(
+        this.clientId,
         orderData.email,
         orderData.phone || this.data.phone,
         invoiceUrl
@@ -264,7 +289,7 @@ class RegistrationAgent extends BaseAgent {
       });
 
       // Create customer in Shopify
-      const customerData = await ShopifyService.createCustomer({
+      const customerData = await ShopifyService.createCustomer(this.clientId, {
         phone: this.data.phone,
         email: this.data.email,
         first_name: this.data.name || 'Customer',
@@ -277,6 +302,7 @@ class RegistrationAgent extends BaseAgent {
 
       // Send welcome SMS/Email
       await ShopifyService.sendWelcomeMessage(
+        this.clientId,
         this.data.phone,
         this.data.email,
         this.data.name
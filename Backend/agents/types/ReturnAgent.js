@@ -1,10 +1,11 @@
 // agents/types/ReturnAgent.js - Return request agent
-const BaseAgent = require('../BaseAgent');
+const ReversePickupAgent = require('../ReversePickupAgent');
 const logger = require('../../utils/logger');
 const db = require('../../db/postgres');
 const ShopifyService = require('../../services/ShopifyService');
+const ReversePickupService = require('../../services/reversePickupService');
 
-class ReturnAgent extends BaseAgent {
+class ReturnAgent extends ReversePickupAgent {
   constructor(callId, initialData = {}) {
     super(callId, initialData);
     this.requiredFields = ['order_id'];
@@ -25,6 +26,12 @@ class ReturnAgent extends BaseAgent {
 
       this.state = 'RUNNING';
 
+      // Caller picked one of the offered pickup slots
+      if (this.pickup) {
+        await this.bookPickup();
+        return;
+      }
+
       logger.info('Executing return request', { 
         callId: this.callId,
         orderId: this.data.order_id,
@@ -43,7 +50,7 @@ class ReturnAgent extends BaseAgent {
       });
 
       // Step 1: Get order details
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', {
@@ -74,42 +81,45 @@ class ReturnAgent extends BaseAgent {
         return;
       }
 
-      // Step 3: Create return request
-      const returnData = await ShopifyService.createReturn({
-        order_id: orderData.id,
-        line_items: orderData.line_items.map(item => ({
-          id: item.id,
-          quantity: item.quantity
-        })),
-        reason: this.data.reason || 'Customer request',
-        customer_note: this.data.customer_note
-      });
+      // Step 3: Create return request (once: a return filed on an earlier call
+      // whose pickup was never booked is taken up again)
+      const pending = await ReversePickupService.findPending(this.clientId, this.data.order_id, 'return');
+      const returnData = pending
+        ? { return_id: pending.shopify_return_id, order_id: orderData.id, status: 'pending', requires_pickup: true }
+        : await ShopifyService.createReturn(this.clientId, {
+          order_id: orderData.id,
+          line_items: orderData.line_items.map(item => ({
+            id: item.id,
+            quantity: item.quantity
+          })),
+          reason: this.data.reason || 'Customer request',
+          customer_note: this.data.customer_note
+        });
 
       if (!returnData) {
         throw new Error('Failed to create return request in Shopify');
       }
 
-      // Step 4: Schedule pickup (if applicable)
-      let pickupData = null;
-      if (returnData.requires_pickup) {
-        pickupData = await ShopifyService.schedulePickup(orderData, returnData);
+      if (!returnData.requires_pickup) {
+        await db.actions.updateStatus(action.id, 'success', { return_request: returnData });
+        this.complete({
+          success: true,
+          returnData,
+          pickupData: null,
+          contextUpdate: this.formatContextUpdate(returnData, null)
+        });
+        return;
       }
 
-      // Update action status
-      await db.actions.updateStatus(action.id, 'success', {
-        return_request: returnData,
-        pickup: pickupData
-      });
-
-      // Format context update
-      const contextUpdate = this.formatContextUpdate(returnData, pickupData);
-
-      // Complete agent
-      this.complete({
-        success: true,
-        returnData,
-        pickupData,
-        contextUpdate
+      // Step 4: Offer reverse pickup slots for the customer's pincode
+      await this.offerPickup({
+        action,
+        orderData,
+        request: returnData,
+        pending,
+        type: 'return',
+        shopifyReturnId: returnData.return_id,
+        reason: this.data.reason || 'Customer request'
       });
 
     } catch (error) {
@@ -117,6 +127,25 @@ class ReturnAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Log the action and complete with what happened to the pickup
+   */
+  async completePickup(pickupData) {
+    const { action, request: returnData } = this.pickup;
+
+    await db.actions.updateStatus(action.id, 'success', {
+      return_request: returnData,
+      pickup: pickupData
+    });
+
+    this.complete({
+      success: true,
+      returnData,
+      pickupData,
+      contextUpdate: this.formatContextUpdate(returnData, pickupData)
+    });
+  }
+
   /**
    * Check if order is eligible for return
    */
@@ -165,11 +194,14 @@ class ReturnAgent extends BaseAgent {
     let context = `Return request created successfully!\n`;
     context += `- Return ID: ${returnData.return_id || 'RET' + Date.now()}\n`;
     
-    if (pickupData) {
+    if (pickupData?.slot) {
       context += `\nPickup Details:\n`;
-      context += `- Scheduled: ${this.formatPickupDate(pickupData.scheduled_date)}\n`;
-      context += `- Time: ${pickupData.time_slot}\n`;
-      context += `- Status: Pickup scheduled\n`;
+      context += `- Scheduled: ${ReversePickupService.describeSlot(pickupData.slot)}\n`;
+      context += `- Courier: ${pickupData.courier || 'Courier partner'}, AWB ${pickupData.awb}\n`;
+      context += `- Status: Pickup scheduled, keep the product packed with its tags\n`;
+    } else if (pickupData) {
+      context += `\nCourier pickup could not be booked for this address right now. `;
+      context += `Our team will call the customer within 24 hours to arrange the pickup.\n`;
     }
 
     context += `\nRefund will be processed within 5-7 business days after pickup.\n`;
@@ -178,31 +210,6 @@ class ReturnAgent extends BaseAgent {
     return context;
   }
 
-  /**
-   * Format pickup date
-   */
-  formatPickupDate(dateStr) {
-    const date = new Date(dateStr);
-    const today = new Date();
-    
-    if (date.toDateString() === today.toDateString()) {
-      return 'Today';
-    }
-    
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    if (date.toDateString() === tomorrow.toDateString()) {
-      return 'Tomorrow';
-    }
-
-    return date.toLocaleDateString('en-IN', { 
-      day: 'numeric', 
-      month: 'short',
-      year: 'numeric'
-    });
-  }
-
   /**
    * Get prompt for missing field
    */
@@ -3,6 +3,7 @@ const BaseAgent = require('../BaseAgent');
 const logger = require('../../utils/logger');
 const db = require('../../db/postgres');
 const ShopifyService = require('../../services/ShopifyService');
+const TrackingService = require('../../services/trackingService');
 
 class TrackingAgent extends BaseAgent {
   constructor(callId, initialData = {}) {
@@ -29,7 +30,7 @@ class TrackingAgent extends BaseAgent {
         confidence: 0.9
       });
 
-      const orderData = await ShopifyService.getOrder(this.data.order_id);
+      const orderData = await ShopifyService.getOrder(this.clientId, this.data.order_id);
 
       if (!orderData) {
         await db.actions.updateStatus(action.id, 'failed', { error: 'Order not found' });
@@ -37,23 +38,33 @@ class TrackingAgent extends BaseAgent {
         return;
       }
 
-      let trackingInfo = null;
-      if (orderData.tracking_number) {
-        trackingInfo = await ShopifyService.getTrackingInfo(orderData.tracking_number);
-      }
+      const trackingInfo = await ShopifyService.getOrderTracking(this.clientId, orderData);
 
       await db.actions.updateStatus(action.id, 'success', { tracking: trackingInfo });
 
       this.complete({
         success: true,
         tracking: trackingInfo,
-        contextUpdate: `Package is out for delivery. Expected arrival: Today by 6 PM.`
+        contextUpdate: trackingInfo ? TrackingService.describe(trackingInfo) : this.describeUntracked(orderData)
       });
 
     } catch (error) {
       this.handleError(error);
     }
   }
+
+  /**
+   * What to tell the caller when there is no live tracking
+   */
+  describeUntracked(orderData) {
+    if (orderData.cancelled_at) {
+      return `Order ${orderData.name || orderData.order_number} was cancelled.`;
+    }
+    if (!orderData.fulfillment_status) {
+      return `Order ${orderData.name || orderData.order_number} has not shipped yet.`;
+    }
+    return `Order ${orderData.name || orderData.order_number} has shipped. ${TrackingService.describe(null)}`;
+  }
 }
 
 module.exports = TrackingAgent;
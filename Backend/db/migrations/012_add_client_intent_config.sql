@@ -0,0 +1,19 @@
+-- Migration 012: Per-tenant intent and entity pattern overrides
+-- Purpose: Let each client add/override intent phrases, entity regexes
+-- (e.g. their own order-number format) and remap intents to agents
+
+CREATE TABLE IF NOT EXISTS client_intent_config (
+  client_id UUID PRIMARY KEY REFERENCES clients(id) ON DELETE CASCADE,
+  -- { "INTENT": { "mode": "extend"|"replace", "patterns": ["regex", ...] } }
+  intent_patterns JSONB NOT NULL DEFAULT '{}',
+  -- { "entity_name": { "mode": "extend"|"replace", "patterns": ["regex", ...] } }
+  entity_patterns JSONB NOT NULL DEFAULT '{}',
+  -- { "INTENT": "AgentType" }
+  intent_agent_map JSONB NOT NULL DEFAULT '{}',
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_client_intent_config_updated_at ON client_intent_config;
+CREATE TRIGGER update_client_intent_config_updated_at BEFORE UPDATE ON client_intent_config FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
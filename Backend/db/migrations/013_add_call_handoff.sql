@@ -0,0 +1,17 @@
+-- Migration 013: Human agent handoff (warm transfer)
+-- Purpose: Per-tenant transfer target and the transfer outcome of each call
+
+-- Number to bridge callers to; a comma-separated list is dialled as a queue
+ALTER TABLE clients
+ADD COLUMN IF NOT EXISTS handoff_target TEXT DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS handoff_enabled BOOLEAN DEFAULT TRUE;
+
+-- handoff_status: transfer_pending | transferred | no_answer | busy | failed
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS handoff_status TEXT DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS handoff_reason TEXT DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS handoff_target TEXT DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS handoff_requested_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS handoff_completed_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_calls_handoff_status ON calls(handoff_status) WHERE handoff_status IS NOT NULL;
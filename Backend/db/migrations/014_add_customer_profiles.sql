@@ -0,0 +1,23 @@
+-- Migration 014: Cross-call customer profiles
+-- Purpose: Remember repeat callers (per tenant, by normalized phone) so they
+-- don't have to re-explain an open return or complaint on every call
+
+CREATE TABLE IF NOT EXISTS customer_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  phone TEXT NOT NULL, -- E.164, e.g. +919876543210
+  name TEXT DEFAULT NULL,
+  preferred_language TEXT DEFAULT NULL, -- hi | hinglish | en
+  call_count INTEGER NOT NULL DEFAULT 0,
+  last_call_id UUID DEFAULT NULL,
+  last_call_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  -- Newest first: [{ callId, at, summary, intents, outcome }]
+  call_summaries JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Tickets/returns raised on calls: [{ type, id, orderId, status, openedAt, callId }]
+  open_issues JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (client_id, phone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_profiles_last_call ON customer_profiles(client_id, last_call_at DESC);
@@ -0,0 +1,14 @@
+-- Migration 015: Post-call summary, disposition and tags
+-- Purpose: Let supervisors see what happened on a call without reading the transcript
+
+-- summary: { reason, actionsTaken, resolution, disposition, followUpRequired, tags, text }
+-- disposition: resolved | partially_resolved | ticket_raised | transferred | failed | information | abandoned
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS summary JSONB DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS disposition TEXT DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS follow_up_required BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_calls_disposition ON calls(client_id, disposition);
+CREATE INDEX IF NOT EXISTS idx_calls_follow_up ON calls(client_id) WHERE follow_up_required = TRUE;
+CREATE INDEX IF NOT EXISTS idx_calls_tags ON calls USING GIN (tags);
@@ -0,0 +1,12 @@
+-- Migration 016: Caller sentiment and CSAT proxy
+-- Purpose: Measure how callers felt without a post-call survey
+
+-- sentiment_score: average per-utterance sentiment (-1..1)
+-- frustration_peak: highest rolling frustration reached during the call (0..1)
+-- csat_proxy: estimated satisfaction (1-5) from sentiment, frustration and resolution
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS sentiment_score NUMERIC(4,2) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS frustration_peak NUMERIC(3,2) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS csat_proxy NUMERIC(2,1) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_calls_csat_proxy ON calls(client_id, start_ts) WHERE csat_proxy IS NOT NULL;
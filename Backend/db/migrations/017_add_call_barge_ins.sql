@@ -0,0 +1,6 @@
+-- Migration 017: Barge-in count per call
+-- Purpose: Measure how often callers talk over the bot
+
+-- barge_in_count: times the caller interrupted assistant audio during the call
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS barge_in_count INTEGER DEFAULT 0;
@@ -0,0 +1,22 @@
+-- Migration 018: Per-turn call latency
+-- Purpose: Keep where each caller turn's time went (speech end -> transcript ->
+-- intent -> agent -> first audio) so latency can be reported per tenant and agent
+
+CREATE TABLE IF NOT EXISTS call_turn_latency (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  turn_number INTEGER NOT NULL,
+  item_id TEXT DEFAULT NULL, -- Speech session item of the caller's utterance
+  agent_type TEXT DEFAULT NULL, -- First agent the turn dispatched, NULL for chat turns
+  speech_to_transcript_ms INTEGER DEFAULT NULL,
+  transcript_to_intent_ms INTEGER DEFAULT NULL,
+  agent_ms INTEGER DEFAULT NULL,
+  time_to_first_audio_ms INTEGER DEFAULT NULL,
+  -- { marks, stages, agents } as reported by the call pipeline
+  timings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_turn_latency_call ON call_turn_latency(call_id, turn_number);
+CREATE INDEX IF NOT EXISTS idx_call_turn_latency_client ON call_turn_latency(client_id, created_at DESC);
@@ -0,0 +1,8 @@
+-- Migration 019: Stereo call recording metadata
+-- Purpose: Sync playback of the session's own recording with the transcript
+
+-- recording_metadata: { format, encoding, sampleRate, channels: ['caller', 'assistant'],
+--   startedAt, durationMs, offsets: { callerMs, assistantMs }, truncated,
+--   segments: [{ channel, itemId, startMs, endMs, interrupted, text }] }
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS recording_metadata JSONB DEFAULT NULL;
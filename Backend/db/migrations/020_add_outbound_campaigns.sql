@@ -0,0 +1,59 @@
+-- Migration 020: Outbound calling campaigns
+-- Purpose: Proactive calls (COD verification, order confirmation, delivery
+-- reminders) dialled from contact lists within calling hours
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL, -- cod_confirmation | order_confirmation | delivery_reminder | custom
+  agent_type TEXT NOT NULL, -- Agent launched when the customer answers, e.g. CODAgent
+  script TEXT NOT NULL, -- What the bot says/asks after the customer picks up
+  status TEXT NOT NULL DEFAULT 'draft', -- draft | active | paused | completed
+  calling_window_start TIME NOT NULL DEFAULT '09:00',
+  calling_window_end TIME NOT NULL DEFAULT '21:00',
+  timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+  max_concurrent_calls INTEGER NOT NULL DEFAULT 5,
+  -- { "no-answer": { maxAttempts, delayMinutes }, "busy": {...}, "failed": {...} }
+  retry_rules JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by UUID DEFAULT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_client ON campaigns(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_campaigns_active ON campaigns(status) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS campaign_contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  phone TEXT NOT NULL, -- E.164, e.g. +919876543210
+  name TEXT DEFAULT NULL,
+  order_id TEXT DEFAULT NULL,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb, -- Extra fields from the CSV/Shopify order (amount, items...)
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | calling | retry | completed | failed | cancelled
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  last_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  last_call_id UUID DEFAULT NULL,
+  last_call_status TEXT DEFAULT NULL, -- Exotel status of the last attempt: completed | no-answer | busy | failed
+  outcome TEXT DEFAULT NULL, -- confirmed | declined | cancelled | informed | no_response | unreachable
+  outcome_data JSONB DEFAULT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_contacts_unique
+  ON campaign_contacts(campaign_id, phone, COALESCE(order_id, ''));
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_due
+  ON campaign_contacts(campaign_id, next_attempt_at) WHERE status IN ('pending', 'retry');
+
+-- Outbound calls: phone_from is still the customer's number (the number dialled)
+-- so caller lookup, profiles and call history work the same for both directions
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS direction TEXT DEFAULT 'inbound',
+ADD COLUMN IF NOT EXISTS campaign_id UUID DEFAULT NULL REFERENCES campaigns(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS campaign_contact_id UUID DEFAULT NULL REFERENCES campaign_contacts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_calls_campaign ON calls(campaign_id) WHERE campaign_id IS NOT NULL;
@@ -0,0 +1,20 @@
+-- Migration 021: Answering-machine detection and callbacks
+-- Purpose: Record who picked up outbound calls, per-campaign voicemail text,
+-- and a per-tenant 'callback' campaign for inbound callers who hung up mid-flow
+
+-- human | machine | unknown (outbound calls only; Exotel's raw AnsweredBy until the session decides)
+ALTER TABLE calls
+ADD COLUMN IF NOT EXISTS answered_by TEXT DEFAULT NULL;
+
+-- Left when a machine answers; NULL uses the campaign type's template ({name}, {store}, {order})
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS voicemail_template TEXT DEFAULT NULL;
+
+-- Callback contacts carry their own agent (contact data.callback.agentType)
+ALTER TABLE campaigns ALTER COLUMN agent_type DROP NOT NULL;
+
+-- One callback campaign per tenant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_campaigns_callback
+  ON campaigns(client_id) WHERE type = 'callback';
+
+-- campaign_contacts.outcome can now also be 'voicemail' (a machine answered every attempt)
@@ -0,0 +1,14 @@
+-- Migration 022: Shopify app install (OAuth)
+-- Purpose: Merchants connect their store through Shopify's OAuth install flow
+-- instead of pasting private-app keys. The offline access token is stored
+-- encrypted in clients.shopify_api_secret like pasted tokens; installed
+-- stores have no shopify_api_key.
+
+ALTER TABLE clients
+ADD COLUMN IF NOT EXISTS shopify_scopes TEXT DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS shopify_installed_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS shopify_uninstalled_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+-- app/uninstalled webhooks identify the store by its myshopify.com domain
+CREATE INDEX IF NOT EXISTS idx_clients_shopify_store_url
+  ON clients(shopify_store_url) WHERE shopify_store_url IS NOT NULL;
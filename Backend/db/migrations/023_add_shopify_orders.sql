@@ -0,0 +1,30 @@
+-- Migration 023: Shopify orders kept in sync by webhooks
+-- Purpose: Order lookups read this table before calling Shopify. Installed stores
+-- push orders/updated, orders/cancelled, fulfillments/create|update and
+-- refunds/create to /webhooks/shopify, so rows stay current and survive restarts.
+
+CREATE TABLE IF NOT EXISTS shopify_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  shopify_order_id BIGINT NOT NULL,
+  name TEXT DEFAULT NULL, -- What customers quote, e.g. #1042
+  order_number TEXT DEFAULT NULL, -- e.g. 1042
+  email TEXT DEFAULT NULL,
+  phone TEXT DEFAULT NULL,
+  financial_status TEXT DEFAULT NULL, -- pending | paid | refunded | partially_refunded | voided ...
+  fulfillment_status TEXT DEFAULT NULL, -- null (unfulfilled) | partial | fulfilled
+  cancelled_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  total_price NUMERIC(12, 2) DEFAULT NULL,
+  currency TEXT DEFAULT NULL,
+  tracking_number TEXT DEFAULT NULL, -- From the latest fulfillment with tracking
+  tracking_company TEXT DEFAULT NULL,
+  tracking_url TEXT DEFAULT NULL,
+  data JSONB NOT NULL, -- The Shopify order as the Admin API returns it (what agents read)
+  source TEXT NOT NULL DEFAULT 'api', -- webhook (kept current by Shopify) | api (fetched on a lookup)
+  shopify_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (client_id, shopify_order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopify_orders_name ON shopify_orders(client_id, name);
+CREATE INDEX IF NOT EXISTS idx_shopify_orders_number ON shopify_orders(client_id, order_number);
@@ -0,0 +1,35 @@
+-- Migration 024: Returns and exchanges with their reverse pickups
+-- Purpose: Every return or exchange an agent files on a call is recorded with
+-- the pickup booked through the tenant's courier provider (AWB, day and
+-- window), so the dashboard can list returns and track the pickups.
+
+CREATE TABLE IF NOT EXISTS returns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  call_id UUID DEFAULT NULL, -- Call the return was requested on
+  type TEXT NOT NULL DEFAULT 'return', -- return | exchange
+  order_id TEXT NOT NULL, -- Order number the caller gave, e.g. 1042
+  shopify_order_id BIGINT DEFAULT NULL,
+  shopify_return_id TEXT DEFAULT NULL, -- Return / exchange id from ShopifyService
+  reason TEXT DEFAULT NULL,
+  exchange_for TEXT DEFAULT NULL, -- Size / variant wanted instead (exchanges)
+  items JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ id, name, sku, quantity, price }]
+  status TEXT NOT NULL DEFAULT 'requested', -- requested | pickup_scheduled | pickup_unavailable | pickup_failed | picked_up | received | cancelled
+  customer_name TEXT DEFAULT NULL,
+  customer_phone TEXT DEFAULT NULL,
+  pickup_address JSONB DEFAULT NULL, -- Shopify shipping address the courier collects from
+  pickup_pincode TEXT DEFAULT NULL,
+  provider TEXT DEFAULT NULL, -- shiprocket | delhivery | fake
+  courier TEXT DEFAULT NULL,
+  awb TEXT DEFAULT NULL,
+  pickup_reference TEXT DEFAULT NULL, -- Provider's shipment / upload id
+  pickup_date DATE DEFAULT NULL,
+  pickup_window_start TIME DEFAULT NULL,
+  pickup_window_end TIME DEFAULT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_returns_client ON returns(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_returns_status ON returns(client_id, status);
+CREATE INDEX IF NOT EXISTS idx_returns_awb ON returns(awb) WHERE awb IS NOT NULL;
@@ -105,12 +105,30 @@ const calls = {
     return result.rows[0];
   },
 
+  // Create a campaign call before it is dialled (CallSid is set once Exotel accepts it)
+  createOutbound: async (data) => {
+    const { client_id, phone_from, phone_to, campaign_id, campaign_contact_id } = data;
+    const result = await query(
+      `INSERT INTO calls (client_id, phone_from, phone_to, direction, campaign_id, campaign_contact_id) 
+       VALUES ($1, $2, $3, 'outbound', $4, $5) 
+       RETURNING *`,
+      [client_id, phone_from, phone_to, campaign_id, campaign_contact_id]
+    );
+    return result.rows[0];
+  },
+
   // Get call by ID
   getById: async (id) => {
     const result = await query('SELECT * FROM calls WHERE id = $1', [id]);
     return result.rows[0];
   },
 
+  // Get call by Exotel CallSid
+  getBySid: async (callSid) => {
+    const result = await query('SELECT * FROM calls WHERE call_sid = $1', [callSid]);
+    return result.rows[0];
+  },
+
   // Get calls by client
   getByClient: async (clientId, limit = 100, offset = 0) => {
     const result = await query(
@@ -208,6 +226,610 @@ const clients = {
   getActive: async () => {
     const result = await query('SELECT * FROM clients WHERE active = true');
     return result.rows;
+  },
+
+  // Update human handoff target
+  updateHandoff: async (id, data) => {
+    const { target, enabled } = data;
+    const result = await query(
+      `UPDATE clients 
+       SET handoff_target = $2, handoff_enabled = $3, updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, handoff_target, handoff_enabled`,
+      [id, target, enabled]
+    );
+    return result.rows[0];
+  },
+
+  // Update pasted Shopify store credentials (access token already encrypted)
+  updateShopifyCredentials: async (id, data) => {
+    const { storeUrl, apiKey, encryptedSecret } = data;
+    const result = await query(
+      `UPDATE clients 
+       SET shopify_store_url = $2, shopify_api_key = $3, shopify_api_secret = $4,
+           shopify_scopes = NULL, shopify_installed_at = NULL, shopify_uninstalled_at = NULL, updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, shopify_store_url`,
+      [id, storeUrl, apiKey, encryptedSecret]
+    );
+    return result.rows[0];
+  },
+
+  // Store an app install's offline access token (already encrypted)
+  saveShopifyInstall: async (id, data) => {
+    const { shop, encryptedToken, scopes } = data;
+    const result = await query(
+      `UPDATE clients 
+       SET shopify_store_url = $2, shopify_api_key = NULL, shopify_api_secret = $3, shopify_scopes = $4,
+           shopify_installed_at = NOW(), shopify_uninstalled_at = NULL, updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, shopify_store_url, shopify_scopes, shopify_installed_at`,
+      [id, shop, encryptedToken, scopes]
+    );
+    return result.rows[0];
+  },
+
+  // Drop the access token of every client connected to an uninstalled store
+  markShopifyUninstalled: async (shop) => {
+    const result = await query(
+      `UPDATE clients 
+       SET shopify_api_secret = NULL, shopify_uninstalled_at = NOW(), updated_at = NOW() 
+       WHERE shopify_store_url = $1 AND shopify_installed_at IS NOT NULL AND shopify_uninstalled_at IS NULL 
+       RETURNING id`,
+      [shop]
+    );
+    return result.rows;
+  },
+
+  // Clients currently connected to a store (Shopify webhooks name the shop, not the client)
+  getByShopifyStore: async (shop) => {
+    const result = await query(
+      `SELECT id FROM clients 
+       WHERE shopify_store_url = $1 AND shopify_api_secret IS NOT NULL`,
+      [shop]
+    );
+    return result.rows;
+  },
+
+  // Update speech pipeline selection (settings.speech)
+  updateSpeechSettings: async (id, speech) => {
+    const result = await query(
+      `UPDATE clients 
+       SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('speech', $2::jsonb), updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, settings`,
+      [id, JSON.stringify(speech)]
+    );
+    return result.rows[0];
+  },
+
+  // Update courier tracking providers (settings.tracking)
+  updateTrackingSettings: async (id, tracking) => {
+    const result = await query(
+      `UPDATE clients 
+       SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('tracking', $2::jsonb), updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, settings`,
+      [id, JSON.stringify(tracking)]
+    );
+    return result.rows[0];
+  },
+
+  // Set or clear (null) the tenant's outbound call flow (settings.exotel.outboundAppId)
+  updateOutboundApp: async (id, appId) => {
+    const result = await query(
+      `UPDATE clients 
+       SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('exotel',
+             (COALESCE(settings->'exotel', '{}'::jsonb) - 'outboundAppId') || jsonb_strip_nulls(jsonb_build_object('outboundAppId', $2::text))),
+           updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, settings`,
+      [id, appId]
+    );
+    return result.rows[0];
+  },
+
+  // Update automatic callbacks for dropped calls (settings.callbacks)
+  updateCallbackSettings: async (id, callbacks) => {
+    const result = await query(
+      `UPDATE clients 
+       SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('callbacks', $2::jsonb), updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, settings`,
+      [id, JSON.stringify(callbacks)]
+    );
+    return result.rows[0];
+  },
+
+  // Update keypad menu (settings.dtmf)
+  updateDtmfSettings: async (id, dtmf) => {
+    const result = await query(
+      `UPDATE clients 
+       SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('dtmf', $2::jsonb), updated_at = NOW() 
+       WHERE id = $1 
+       RETURNING id, settings`,
+      [id, JSON.stringify(dtmf)]
+    );
+    return result.rows[0];
+  }
+};
+
+// Per-client intent/entity pattern overrides
+const intentConfigs = {
+  // Get overrides for a client (undefined if none configured)
+  getByClient: async (clientId) => {
+    const result = await query(
+      `SELECT client_id, intent_patterns, entity_patterns, intent_agent_map, updated_at
+       FROM client_intent_config WHERE client_id = $1`,
+      [clientId]
+    );
+    return result.rows[0];
+  },
+
+  // Create or replace overrides for a client
+  upsert: async (clientId, data, userId = null) => {
+    const { intentPatterns, entityPatterns, intentAgentMap } = data;
+    const result = await query(
+      `INSERT INTO client_intent_config (client_id, intent_patterns, entity_patterns, intent_agent_map, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (client_id) DO UPDATE
+       SET intent_patterns = EXCLUDED.intent_patterns,
+           entity_patterns = EXCLUDED.entity_patterns,
+           intent_agent_map = EXCLUDED.intent_agent_map,
+           updated_by = EXCLUDED.updated_by
+       RETURNING *`,
+      [
+        clientId,
+        JSON.stringify(intentPatterns || {}),
+        JSON.stringify(entityPatterns || {}),
+        JSON.stringify(intentAgentMap || {}),
+        userId
+      ]
+    );
+    return result.rows[0];
+  },
+
+  // Remove overrides (client falls back to built-in patterns)
+  remove: async (clientId) => {
+    const result = await query(
+      'DELETE FROM client_intent_config WHERE client_id = $1',
+      [clientId]
+    );
+    return result.rowCount > 0;
+  }
+};
+
+// Cross-call customer profiles (per tenant, keyed by E.164 phone)
+const customerProfiles = {
+  // Get profile for a caller (undefined if they never called)
+  getByPhone: async (clientId, phone) => {
+    const result = await query(
+      'SELECT * FROM customer_profiles WHERE client_id = $1 AND phone = $2',
+      [clientId, phone]
+    );
+    return result.rows[0];
+  },
+
+  // Create or replace a caller's profile
+  upsert: async (clientId, phone, data) => {
+    const { name, preferred_language, call_count, last_call_id, last_call_at, call_summaries, open_issues } = data;
+    const result = await query(
+      `INSERT INTO customer_profiles
+         (client_id, phone, name, preferred_language, call_count, last_call_id, last_call_at, call_summaries, open_issues)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (client_id, phone) DO UPDATE
+       SET name = COALESCE(EXCLUDED.name, customer_profiles.name),
+           preferred_language = COALESCE(EXCLUDED.preferred_language, customer_profiles.preferred_language),
+           call_count = EXCLUDED.call_count,
+           last_call_id = EXCLUDED.last_call_id,
+           last_call_at = EXCLUDED.last_call_at,
+           call_summaries = EXCLUDED.call_summaries,
+           open_issues = EXCLUDED.open_issues,
+           updated_at = NOW()
+       RETURNING *`,
+      [
+        clientId,
+        phone,
+        name || null,
+        preferred_language || null,
+        call_count,
+        last_call_id,
+        last_call_at,
+        JSON.stringify(call_summaries || []),
+        JSON.stringify(open_issues || [])
+      ]
+    );
+    return result.rows[0];
+  }
+};
+
+// Outbound calling campaigns
+const CAMPAIGN_FIELDS = [
+  'name', 'type', 'agent_type', 'script', 'status', 'calling_window_start', 'calling_window_end',
+  'timezone', 'max_concurrent_calls', 'retry_rules', 'voicemail_template'
+];
+
+const campaigns = {
+  create: async (clientId, data, userId = null) => {
+    const columns = CAMPAIGN_FIELDS.filter(field => data[field] !== undefined);
+    const values = columns.map(field => (field === 'retry_rules' ? JSON.stringify(data[field]) : data[field]));
+    const result = await query(
+      `INSERT INTO campaigns (client_id, created_by, ${columns.join(', ')})
+       VALUES ($1, $2, ${columns.map((_, i) => `$${i + 3}`).join(', ')})
+       RETURNING *`,
+      [clientId, userId, ...values]
+    );
+    return result.rows[0];
+  },
+
+  // Tenant-scoped lookup (undefined if the campaign belongs to someone else)
+  getById: async (id, clientId) => {
+    const result = await query('SELECT * FROM campaigns WHERE id = $1 AND client_id = $2', [id, clientId]);
+    return result.rows[0];
+  },
+
+  listByClient: async (clientId) => {
+    const result = await query(
+      `SELECT c.*,
+              COUNT(cc.id) AS contacts,
+              COUNT(cc.id) FILTER (WHERE cc.status IN ('completed', 'failed', 'cancelled')) AS finished
+       FROM campaigns c
+       LEFT JOIN campaign_contacts cc ON cc.campaign_id = c.id
+       WHERE c.client_id = $1
+       GROUP BY c.id
+       ORDER BY c.created_at DESC`,
+      [clientId]
+    );
+    return result.rows;
+  },
+
+  update: async (id, clientId, data) => {
+    const columns = CAMPAIGN_FIELDS.filter(field => data[field] !== undefined);
+    if (columns.length === 0) {
+      return campaigns.getById(id, clientId);
+    }
+    const values = columns.map(field => (field === 'retry_rules' ? JSON.stringify(data[field]) : data[field]));
+    const result = await query(
+      `UPDATE campaigns SET ${columns.map((field, i) => `${field} = $${i + 3}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND client_id = $2
+       RETURNING *`,
+      [id, clientId, ...values]
+    );
+    return result.rows[0];
+  },
+
+  // A tenant's system campaign of a type (e.g. 'callback')
+  getByType: async (clientId, type) => {
+    const result = await query(
+      'SELECT * FROM campaigns WHERE client_id = $1 AND type = $2 ORDER BY created_at LIMIT 1',
+      [clientId, type]
+    );
+    return result.rows[0];
+  },
+
+  // Campaigns the dialer works on
+  getActive: async () => {
+    const result = await query(`SELECT * FROM campaigns WHERE status = 'active' ORDER BY created_at`);
+    return result.rows;
+  },
+
+  // Contacts per status and outcome
+  getStats: async (id) => {
+    const result = await query(
+      `SELECT status, outcome, COUNT(*) AS count
+       FROM campaign_contacts
+       WHERE campaign_id = $1
+       GROUP BY status, outcome`,
+      [id]
+    );
+    return result.rows;
+  }
+};
+
+const campaignContacts = {
+  // Add contacts, skipping ones already on the campaign (same phone and order)
+  createMany: async (campaignId, clientId, contacts) => {
+    if (contacts.length === 0) {
+      return [];
+    }
+
+    const params = [campaignId, clientId];
+    const values = contacts.map(contact => {
+      params.push(contact.phone, contact.name || null, contact.order_id || null, JSON.stringify(contact.data || {}));
+      const n = params.length;
+      return `($1, $2, $${n - 3}, $${n - 2}, $${n - 1}, $${n})`;
+    });
+
+    const result = await query(
+      `INSERT INTO campaign_contacts (campaign_id, client_id, phone, name, order_id, data)
+       VALUES ${values.join(', ')}
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      params
+    );
+    return result.rows;
+  },
+
+  getById: async (id) => {
+    const result = await query('SELECT * FROM campaign_contacts WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  // Add a contact, or reopen it with fresh data if it is already on the campaign
+  // (undefined if that contact is being called right now)
+  upsertPending: async (campaignId, clientId, contact, nextAttemptAt = null) => {
+    const result = await query(
+      `INSERT INTO campaign_contacts (campaign_id, client_id, phone, name, order_id, data, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (campaign_id, phone, (COALESCE(order_id, '')))
+       DO UPDATE SET name = COALESCE(EXCLUDED.name, campaign_contacts.name),
+                     data = EXCLUDED.data,
+                     status = 'pending',
+                     attempts = 0,
+                     next_attempt_at = EXCLUDED.next_attempt_at,
+                     last_call_status = NULL,
+                     outcome = NULL,
+                     outcome_data = NULL,
+                     updated_at = NOW()
+       WHERE campaign_contacts.status <> 'calling'
+       RETURNING *`,
+      [campaignId, clientId, contact.phone, contact.name || null, contact.order_id || null,
+        JSON.stringify(contact.data || {}), nextAttemptAt]
+    );
+    return result.rows[0];
+  },
+
+  listByCampaign: async (campaignId, { status, limit = 50, offset = 0 } = {}) => {
+    const params = [campaignId, limit, offset];
+    let statusClause = '';
+    if (status) {
+      params.push(status);
+      statusClause = 'AND status = $4';
+    }
+    const result = await query(
+      `SELECT * FROM campaign_contacts
+       WHERE campaign_id = $1 ${statusClause}
+       ORDER BY created_at
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+    return result.rows;
+  },
+
+  countCalling: async (campaignId) => {
+    const result = await query(
+      `SELECT COUNT(*) AS count FROM campaign_contacts WHERE campaign_id = $1 AND status = 'calling'`,
+      [campaignId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  },
+
+  // Lock the next due contacts and mark them as being called
+  claimDue: async (campaignId, limit) => {
+    const result = await query(
+      `UPDATE campaign_contacts
+       SET status = 'calling', attempts = attempts + 1, last_attempt_at = NOW(), updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM campaign_contacts
+         WHERE campaign_id = $1
+           AND status IN ('pending', 'retry')
+           AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+         ORDER BY next_attempt_at NULLS FIRST, created_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [campaignId, limit]
+    );
+    return result.rows;
+  },
+
+  update: async (id, data) => {
+    const fields = Object.keys(data);
+    const values = fields.map(field => (field === 'outcome_data' && data[field] !== null ? JSON.stringify(data[field]) : data[field]));
+    const result = await query(
+      `UPDATE campaign_contacts SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...values]
+    );
+    return result.rows[0];
+  },
+
+  // Calls that never reported a status (e.g. a lost callback)
+  getStale: async (minutes) => {
+    const result = await query(
+      `SELECT * FROM campaign_contacts
+       WHERE status = 'calling' AND last_attempt_at < NOW() - ($1 * INTERVAL '1 minute')`,
+      [minutes]
+    );
+    return result.rows;
+  },
+
+  // Nothing left to dial (used to mark a campaign completed)
+  countOpen: async (campaignId) => {
+    const result = await query(
+      `SELECT COUNT(*) AS count FROM campaign_contacts
+       WHERE campaign_id = $1 AND status IN ('pending', 'retry', 'calling')`,
+      [campaignId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+};
+
+// Shopify orders mirrored from webhooks and lookups (see services/shopifyOrderSync.js)
+const SHOPIFY_ORDER_FIELDS = [
+  'name', 'order_number', 'email', 'phone', 'financial_status', 'fulfillment_status', 'cancelled_at',
+  'total_price', 'currency', 'tracking_number', 'tracking_company', 'tracking_url', 'shopify_updated_at'
+];
+
+const shopifyOrders = {
+  // Insert or refresh an order. An older copy (by Shopify's updated_at) never
+  // overwrites a newer one, so out-of-order webhooks are harmless.
+  upsert: async (clientId, order, source) => {
+    const params = [clientId, order.shopify_order_id, JSON.stringify(order.data), source];
+    const placeholders = SHOPIFY_ORDER_FIELDS.map(field => {
+      params.push(order[field] ?? null);
+      return `$${params.length}`;
+    });
+
+    const result = await query(
+      `INSERT INTO shopify_orders (client_id, shopify_order_id, data, source, ${SHOPIFY_ORDER_FIELDS.join(', ')})
+       VALUES ($1, $2, $3, $4, ${placeholders.join(', ')})
+       ON CONFLICT (client_id, shopify_order_id)
+       DO UPDATE SET data = EXCLUDED.data,
+                     source = EXCLUDED.source,
+                     synced_at = NOW(),
+                     ${SHOPIFY_ORDER_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(', ')}
+       WHERE shopify_orders.shopify_updated_at IS NULL
+          OR EXCLUDED.shopify_updated_at IS NULL
+          OR EXCLUDED.shopify_updated_at >= shopify_orders.shopify_updated_at
+       RETURNING *`,
+      params
+    );
+    return result.rows[0];
+  },
+
+  getByShopifyId: async (clientId, shopifyOrderId) => {
+    const result = await query(
+      'SELECT * FROM shopify_orders WHERE client_id = $1 AND shopify_order_id = $2',
+      [clientId, shopifyOrderId]
+    );
+    return result.rows[0];
+  },
+
+  // Find an order by what a caller or agent has: "#1042", "1042" or Shopify's order id
+  findByReference: async (clientId, reference) => {
+    const ref = String(reference).trim().replace(/^#/, '');
+    const result = await query(
+      `SELECT * FROM shopify_orders 
+       WHERE client_id = $1 
+         AND (name = $2 OR name = '#' || $2 OR order_number = $2 OR shopify_order_id::text = $2) 
+       ORDER BY shopify_updated_at DESC NULLS LAST 
+       LIMIT 1`,
+      [clientId, ref]
+    );
+    return result.rows[0];
+  },
+
+  // Drop an order after we change it in Shopify; the next lookup fetches it again
+  remove: async (clientId, reference) => {
+    const ref = String(reference).trim().replace(/^#/, '');
+    await query(
+      `DELETE FROM shopify_orders 
+       WHERE client_id = $1 
+         AND (name = $2 OR name = '#' || $2 OR order_number = $2 OR shopify_order_id::text = $2)`,
+      [clientId, ref]
+    );
+  },
+
+  removeForClient: async (clientId) => {
+    await query('DELETE FROM shopify_orders WHERE client_id = $1', [clientId]);
+  }
+};
+
+// Returns and exchanges filed by agents, with their reverse pickups
+const RETURN_FIELDS = [
+  'call_id', 'type', 'order_id', 'shopify_order_id', 'shopify_return_id', 'reason', 'exchange_for', 'items',
+  'status', 'customer_name', 'customer_phone', 'pickup_address', 'pickup_pincode', 'provider', 'courier',
+  'awb', 'pickup_reference', 'pickup_date', 'pickup_window_start', 'pickup_window_end'
+];
+const RETURN_JSON_FIELDS = ['items', 'pickup_address'];
+
+const returnValue = (field, value) => (RETURN_JSON_FIELDS.includes(field) ? JSON.stringify(value) : value);
+
+const returns = {
+  create: async (clientId, data) => {
+    const columns = RETURN_FIELDS.filter(field => data[field] !== undefined);
+    const result = await query(
+      `INSERT INTO returns (client_id, ${columns.join(', ')})
+       VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+       RETURNING *`,
+      [clientId, ...columns.map(field => returnValue(field, data[field]))]
+    );
+    return result.rows[0];
+  },
+
+  // Tenant-scoped lookup (undefined if the return belongs to someone else)
+  getById: async (id, clientId) => {
+    const result = await query('SELECT * FROM returns WHERE id = $1 AND client_id = $2', [id, clientId]);
+    return result.rows[0];
+  },
+
+  // Latest return for an order still waiting for its pickup to be booked
+  getPendingForOrder: async (clientId, orderId, type) => {
+    const result = await query(
+      `SELECT * FROM returns
+       WHERE client_id = $1 AND order_id = $2 AND type = $3 AND status IN ('requested', 'pickup_unavailable')
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [clientId, orderId, type]
+    );
+    return result.rows[0];
+  },
+
+  listByClient: async (clientId, { status, limit = 50, offset = 0 } = {}) => {
+    const params = [clientId];
+    let where = 'client_id = $1';
+    if (status) {
+      params.push(status);
+      where += ` AND status = $${params.length}`;
+    }
+
+    const result = await query(
+      `SELECT *, COUNT(*) OVER() AS total
+       FROM returns
+       WHERE ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return result.rows;
+  },
+
+  update: async (id, clientId, data) => {
+    const columns = RETURN_FIELDS.filter(field => data[field] !== undefined);
+    if (columns.length === 0) {
+      return returns.getById(id, clientId);
+    }
+    const result = await query(
+      `UPDATE returns SET ${columns.map((field, i) => `${field} = $${i + 3}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND client_id = $2
+       RETURNING *`,
+      [id, clientId, ...columns.map(field => returnValue(field, data[field]))]
+    );
+    return result.rows[0];
+  }
+};
+
+// Per-turn call latency
+const turnLatency = {
+  // Store every timed turn of a call in one insert
+  createMany: async (rows) => {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const columns = [
+      'call_id', 'client_id', 'turn_number', 'item_id', 'agent_type',
+      'speech_to_transcript_ms', 'transcript_to_intent_ms', 'agent_ms', 'time_to_first_audio_ms', 'timings'
+    ];
+    const params = [];
+    const values = rows.map(row => {
+      const placeholders = columns.map(column => {
+        params.push(column === 'timings' ? JSON.stringify(row.timings || {}) : row[column] ?? null);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const result = await query(
+      `INSERT INTO call_turn_latency (${columns.join(', ')})
+       VALUES ${values.join(', ')}
+       RETURNING *`,
+      params
+    );
+    return result.rows;
   }
 };
 
@@ -234,6 +856,13 @@ module.exports = {
   actions,
   entities,
   clients,
+  customerProfiles,
+  intentConfigs,
+  turnLatency,
+  campaigns,
+  campaignContacts,
+  shopifyOrders,
+  returns,
   auditLog,
   close,
   pool
@@ -7,11 +7,22 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 
+/**
+ * Raw query string of a request, as sent ('' when there is none)
+ */
+function signedQuery(req) {
+  const url = req.originalUrl || req.url || '';
+  const index = url.indexOf('?');
+  return index === -1 ? '' : url.slice(index + 1);
+}
+
 /**
  * Verify Exotel webhook signature
  * 
  * Exotel signs webhooks with HMAC-SHA1:
  * Signature = Base64(HMAC-SHA1(secret, request_body))
+ * GET callbacks (e.g. the Connect applet's handoff-target URL) have no body,
+ * so their query string (CallSid=...) is what is signed.
  */
 function verifyExotelWebhook(req, res, next) {
   try {
@@ -34,7 +45,9 @@ function verifyExotelWebhook(req, res, next) {
     }
 
     // Reconstruct message body for verification
-    const rawBody = req.rawBody || JSON.stringify(req.body);
+    const rawBody = req.method === 'GET'
+      ? signedQuery(req)
+      : req.rawBody || JSON.stringify(req.body);
 
     // Calculate expected signature
     const hmac = crypto.createHmac('sha1', process.env.EXOTEL_WEBHOOK_SECRET);
@@ -56,7 +69,7 @@ function verifyExotelWebhook(req, res, next) {
       logger.warn('⚠️  Invalid webhook signature', {
         path: req.path,
         ip: req.ip,
-        callSid: req.body?.CallSid,
+        callSid: req.body?.CallSid || req.query?.CallSid,
         received: signature.substring(0, 10) + '...',
         expected: expectedSignature.substring(0, 10) + '...'
       });
@@ -74,7 +87,7 @@ function verifyExotelWebhook(req, res, next) {
         logger.warn('Webhook timestamp too old (potential replay attack)', {
           timeDiff,
           path: req.path,
-          callSid: req.body?.CallSid
+          callSid: req.body?.CallSid || req.query?.CallSid
         });
         // Don't reject - Exotel timestamp may have clock drift
       }
@@ -82,7 +95,7 @@ function verifyExotelWebhook(req, res, next) {
 
     logger.info('✅ Webhook signature verified', {
       path: req.path,
-      callSid: req.body?.CallSid,
+      callSid: req.body?.CallSid || req.query?.CallSid,
       signature: signature.substring(0, 10) + '...'
     });
 
@@ -96,6 +109,40 @@ function verifyExotelWebhook(req, res, next) {
   }
 }
 
+/**
+ * Token that authorises an /audio stream
+ *
+ * The stream WebSocket carries no Exotel signature, so the stream URL (or the
+ * Voicebot applet's custom parameters) carries this HMAC of what it is for:
+ * the call ID the call start webhook created, or - for a Voicebot applet with
+ * a static URL - the tenant's Exotel number.
+ *
+ * @param {string} subject - Call ID or Exotel number
+ * @returns {string|null} - Hex token, or null without EXOTEL_WEBHOOK_SECRET
+ */
+function signStreamToken(subject) {
+  if (!process.env.EXOTEL_WEBHOOK_SECRET) {
+    return null;
+  }
+  return crypto
+    .createHmac('sha1', process.env.EXOTEL_WEBHOOK_SECRET)
+    .update(`stream:${subject}`)
+    .digest('hex');
+}
+
+/**
+ * Check a stream token (constant-time)
+ */
+function verifyStreamToken(subject, token) {
+  const expected = subject ? signStreamToken(String(subject)) : null;
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
 module.exports = {
-  verifyExotelWebhook
+  verifyExotelWebhook,
+  signStreamToken,
+  verifyStreamToken
 };
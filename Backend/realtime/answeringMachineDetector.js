@@ -0,0 +1,161 @@
+// realtime/answeringMachineDetector.js - Human vs answering machine on outbound calls
+//
+// Decides from the first seconds of the answered call, the same way a person
+// would: people pick up with a short "Hello?" and wait, voicemail greetings
+// talk for several seconds without a pause. Exotel's AnsweredBy metadata,
+// when present, settles it straight away.
+//
+// write() reports the verdict once:
+//   { type: 'result', answeredBy: 'human' | 'machine' | 'unknown', reason, afterMs }
+// and, after a machine result, once the greeting has finished (time to leave
+// the voicemail):
+//   { type: 'greeting_end', reason, afterMs }
+const resolve = require('../utils/moduleResolver');
+const { decode } = require(resolve('realtime/audioTranscoder'));
+
+const FRAME_MS = 20;
+const DEFAULTS = {
+  speechThreshold: 600, // Frame RMS (pcm16) counted as speech
+  machineGreetingMs: 2400, // Speech without a real pause for this long is a recorded greeting
+  humanSilenceMs: 800, // Pause after a short greeting - a person waiting for us
+  maxInitialSilenceMs: 4000, // Nobody said anything
+  maxAnalysisMs: 6000,
+  greetingEndSilenceMs: 1200, // Pause that ends a voicemail greeting (or the beep)
+  maxGreetingMs: 20000 // Speak anyway if the greeting never seems to end
+};
+
+class AnsweringMachineDetector {
+  /**
+   * @param {object} format - Telephony audio format { encoding, sampleRate }
+   * @param {object} options - Overrides for DEFAULTS
+   */
+  constructor(format, options = {}) {
+    this.format = format;
+    this.options = { ...DEFAULTS, ...options };
+    this.frameSamples = Math.round(format.sampleRate * FRAME_MS / 1000);
+    this.pending = new Int16Array(0);
+
+    this.audioMs = 0;
+    this.speechStartMs = null;
+    this.silenceMs = 0;
+
+    this.result = null;
+    this.finished = false;
+  }
+
+  /**
+   * Exotel's verdict (AnsweredBy), if the call flow provides one
+   * @param {string} answeredBy - e.g. human, machine, machine_start, fax
+   * @returns {object|null} - Result event, or null if not conclusive
+   */
+  setAnsweredBy(answeredBy) {
+    if (this.result || !answeredBy) {
+      return null;
+    }
+
+    const value = String(answeredBy).toLowerCase();
+    if (/machine|voicemail|fax/.test(value)) {
+      return this.decide('machine', 'exotel');
+    }
+    if (value.includes('human')) {
+      return this.decide('human', 'exotel');
+    }
+    return null;
+  }
+
+  /**
+   * Analyse caller audio (telephony format)
+   * @param {Buffer} chunk
+   * @returns {object|null} - Event, if this audio settled something
+   */
+  write(chunk) {
+    if (this.finished) {
+      return null;
+    }
+
+    const incoming = decode(chunk, this.format.encoding);
+    const samples = new Int16Array(this.pending.length + incoming.length);
+    samples.set(this.pending);
+    samples.set(incoming, this.pending.length);
+
+    let offset = 0;
+    let event = null;
+    while (!event && samples.length - offset >= this.frameSamples) {
+      event = this.processFrame(samples.subarray(offset, offset + this.frameSamples));
+      offset += this.frameSamples;
+    }
+    this.pending = samples.slice(offset);
+
+    return event;
+  }
+
+  processFrame(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) {
+      sum += frame[i] * frame[i];
+    }
+    const voiced = Math.sqrt(sum / frame.length) >= this.options.speechThreshold;
+
+    this.audioMs += FRAME_MS;
+    if (voiced) {
+      if (this.speechStartMs === null) {
+        this.speechStartMs = this.audioMs - FRAME_MS;
+      }
+      this.silenceMs = 0;
+    } else {
+      this.silenceMs += FRAME_MS;
+    }
+
+    return this.result ? this.checkGreetingEnd() : this.classify(voiced);
+  }
+
+  classify(voiced) {
+    const { machineGreetingMs, humanSilenceMs, maxInitialSilenceMs, maxAnalysisMs } = this.options;
+
+    if (this.speechStartMs === null) {
+      return this.audioMs >= maxInitialSilenceMs ? this.decide('unknown', 'silence') : null;
+    }
+
+    // Length of the current utterance (short gaps between words don't end it)
+    const utteranceMs = this.audioMs - this.speechStartMs - this.silenceMs;
+    if (voiced && utteranceMs >= machineGreetingMs) {
+      return this.decide('machine', 'long_greeting');
+    }
+    if (this.silenceMs >= humanSilenceMs) {
+      return this.decide('human', 'short_greeting');
+    }
+    if (this.audioMs >= maxAnalysisMs) {
+      return this.decide('unknown', 'timeout');
+    }
+    return null;
+  }
+
+  checkGreetingEnd() {
+    if (this.result.answeredBy !== 'machine') {
+      return null;
+    }
+
+    const { greetingEndSilenceMs, maxGreetingMs } = this.options;
+    if (this.speechStartMs !== null && this.silenceMs >= greetingEndSilenceMs) {
+      return this.endGreeting('silence');
+    }
+    if (this.audioMs >= maxGreetingMs) {
+      return this.endGreeting('timeout');
+    }
+    return null;
+  }
+
+  decide(answeredBy, reason) {
+    this.result = { answeredBy, reason, afterMs: this.audioMs };
+    // A person (or nobody) - nothing more to listen for
+    this.finished = answeredBy !== 'machine';
+    return { type: 'result', ...this.result };
+  }
+
+  endGreeting(reason) {
+    this.finished = true;
+    return { type: 'greeting_end', reason, afterMs: this.audioMs };
+  }
+}
+
+module.exports = AnsweringMachineDetector;
@@ -0,0 +1,342 @@
+// realtime/audioTranscoder.js - Streaming audio conversion between telephony and STS formats
+//
+// Telephony legs carry 8kHz audio (16-bit PCM, G.711 mu-law or A-law) while the
+// Realtime API speaks 24kHz 16-bit PCM. An AudioTranscoder converts one direction
+// of a call chunk by chunk, carrying partial samples, resampler phase and filter
+// history across chunks so chunk boundaries don't click.
+
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+
+// Formats: { encoding: 'pcm16' | 'mulaw' | 'alaw', sampleRate: 8000 | 16000 | 24000 }
+const ENCODINGS = ['pcm16', 'mulaw', 'alaw'];
+const SAMPLE_RATES = [8000, 16000, 24000];
+const BYTES_PER_SAMPLE = { pcm16: 2, mulaw: 1, alaw: 1 };
+// Encoded digital silence per encoding (used to pad frames)
+const SILENCE_BYTE = { pcm16: 0x00, mulaw: 0xff, alaw: 0xd5 };
+
+// Anti-aliasing filter length for downsampling (odd, windowed sinc)
+const LOWPASS_TAPS = 31;
+
+// ---- G.711 (ITU-T reference algorithms) ----
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const mulawToLinear = (value) => {
+  const u = ~value & 0xff;
+  let sample = ((u & 0x0f) << 3) + MULAW_BIAS;
+  sample <<= (u & 0x70) >> 4;
+  return u & 0x80 ? MULAW_BIAS - sample : sample - MULAW_BIAS;
+};
+
+const linearToMulaw = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+const ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+const alawToLinear = (value) => {
+  const a = value ^ 0x55;
+  let sample = (a & 0x0f) << 4;
+  const segment = (a & 0x70) >> 4;
+
+  if (segment === 0) {
+    sample += 8;
+  } else {
+    sample = (sample + 0x108) << (segment - 1);
+  }
+  return a & 0x80 ? sample : -sample;
+};
+
+const linearToAlaw = (sample) => {
+  let value = sample >> 3;
+  let mask;
+  if (value >= 0) {
+    mask = 0xd5;
+  } else {
+    mask = 0x55;
+    value = -value - 1;
+  }
+
+  const segment = ALAW_SEGMENT_ENDS.findIndex(end => value <= end);
+  if (segment === -1) {
+    return 0x7f ^ mask;
+  }
+
+  const mantissa = segment < 2 ? (value >> 1) & 0x0f : (value >> segment) & 0x0f;
+  return ((segment << 4) | mantissa) ^ mask;
+};
+
+// Decoding is a lookup per byte
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, i) => mulawToLinear(i));
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (_, i) => alawToLinear(i));
+
+/**
+ * Decode a buffer of whole samples to linear PCM
+ * @returns {Int16Array}
+ */
+const decode = (buffer, encoding) => {
+  if (encoding === 'pcm16') {
+    const samples = new Int16Array(buffer.length / 2);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = buffer.readInt16LE(i * 2);
+    }
+    return samples;
+  }
+
+  const table = encoding === 'mulaw' ? MULAW_TABLE : ALAW_TABLE;
+  return Int16Array.from(buffer, byte => table[byte]);
+};
+
+/**
+ * Encode linear PCM samples
+ * @returns {Buffer}
+ */
+const encode = (samples, encoding) => {
+  if (encoding === 'pcm16') {
+    const buffer = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+      buffer.writeInt16LE(samples[i], i * 2);
+    }
+    return buffer;
+  }
+
+  const toByte = encoding === 'mulaw' ? linearToMulaw : linearToAlaw;
+  return Buffer.from(Array.from(samples, toByte));
+};
+
+// ---- Resampling ----
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Windowed-sinc low-pass coefficients
+ * @param {number} cutoff - Cutoff as a fraction of the input sample rate (0..0.5)
+ */
+const designLowPass = (cutoff, taps = LOWPASS_TAPS) => {
+  const middle = (taps - 1) / 2;
+  const coefficients = Array.from({ length: taps }, (_, i) => {
+    const n = i - middle;
+    const sinc = n === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * n) / (Math.PI * n);
+    const hamming = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (taps - 1));
+    return sinc * hamming;
+  });
+
+  const sum = coefficients.reduce((total, c) => total + c, 0);
+  return coefficients.map(c => c / sum);
+};
+
+/**
+ * Streaming sample-rate converter (linear interpolation; low-pass first when downsampling)
+ */
+class Resampler {
+  constructor(fromRate, toRate) {
+    // Position is kept in whole 1/`up` input-sample steps so chunking can't drift
+    const divisor = gcd(fromRate, toRate);
+    this.up = toRate / divisor;
+    this.down = fromRate / divisor;
+    this.position = 0;
+    this.previous = null;
+    this.filter = toRate < fromRate ? designLowPass(0.45 * (toRate / fromRate)) : null;
+    this.history = this.filter ? new Array(this.filter.length - 1).fill(0) : null;
+  }
+
+  /**
+   * @param {Int16Array} samples
+   * @returns {Int16Array}
+   */
+  process(samples) {
+    const filtered = this.filter ? this.lowPass(samples) : Array.from(samples);
+    const input = this.previous === null ? filtered : [this.previous, ...filtered];
+    const output = [];
+
+    while (this.position + this.up < input.length * this.up) {
+      const index = Math.floor(this.position / this.up);
+      const fraction = (this.position % this.up) / this.up;
+      output.push(Math.round(input[index] * (1 - fraction) + input[index + 1] * fraction));
+      this.position += this.down;
+    }
+
+    if (input.length > 0) {
+      this.position -= (input.length - 1) * this.up;
+      this.previous = input[input.length - 1];
+    }
+
+    return Int16Array.from(output);
+  }
+
+  lowPass(samples) {
+    const input = [...this.history, ...samples];
+    const output = new Array(samples.length);
+
+    for (let i = 0; i < samples.length; i++) {
+      let sum = 0;
+      for (let tap = 0; tap < this.filter.length; tap++) {
+        sum += this.filter[tap] * input[i + tap];
+      }
+      output[i] = Math.max(-32768, Math.min(32767, sum));
+    }
+
+    this.history = input.slice(input.length - this.history.length);
+    return output;
+  }
+}
+
+// ---- Framing ----
+
+/**
+ * Re-chunk a byte stream into fixed-size frames
+ */
+class Reframer {
+  constructor(frameBytes, padByte = 0) {
+    this.frameBytes = frameBytes;
+    this.padByte = padByte;
+    this.pending = Buffer.alloc(0);
+  }
+
+  /**
+   * @returns {Buffer} - As many whole frames as are available (may be empty)
+   */
+  push(chunk) {
+    const data = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    const whole = data.length - (data.length % this.frameBytes);
+    this.pending = data.subarray(whole);
+    return data.subarray(0, whole);
+  }
+
+  /**
+   * @returns {Buffer} - The last partial frame padded to a full frame (or empty)
+   */
+  flush() {
+    if (this.pending.length === 0) {
+      return Buffer.alloc(0);
+    }
+    const frame = Buffer.alloc(this.frameBytes, this.padByte);
+    this.pending.copy(frame);
+    this.pending = Buffer.alloc(0);
+    return frame;
+  }
+
+  reset() {
+    this.pending = Buffer.alloc(0);
+  }
+}
+
+// ---- Transcoder ----
+
+const validateFormat = (format, label) => {
+  if (!format || !ENCODINGS.includes(format.encoding)) {
+    throw new Error(`${label} encoding must be one of: ${ENCODINGS.join(', ')}`);
+  }
+  if (!SAMPLE_RATES.includes(format.sampleRate)) {
+    throw new Error(`${label} sample rate must be one of: ${SAMPLE_RATES.join(', ')}`);
+  }
+};
+
+class AudioTranscoder {
+  /**
+   * @param {object} from - Input format { encoding, sampleRate }
+   * @param {object} to - Output format { encoding, sampleRate, frameMs? }
+   */
+  constructor(from, to) {
+    validateFormat(from, 'Input');
+    validateFormat(to, 'Output');
+
+    this.from = from;
+    this.to = to;
+    this.passthrough = from.encoding === to.encoding && from.sampleRate === to.sampleRate && !to.frameMs;
+    this.reset();
+  }
+
+  /**
+   * Convert one chunk
+   * @param {Buffer} chunk - Audio in the input format (any length)
+   * @returns {Buffer} - Audio in the output format (may be empty)
+   */
+  transcode(chunk) {
+    if (this.passthrough) {
+      return chunk;
+    }
+
+    // A chunk may end halfway through a 16-bit sample
+    const input = this.inputFrames.push(chunk);
+    if (input.length === 0) {
+      return Buffer.alloc(0);
+    }
+
+    let samples = decode(input, this.from.encoding);
+    if (this.resampler) {
+      samples = this.resampler.process(samples);
+    }
+
+    const output = encode(samples, this.to.encoding);
+    return this.outputFrames ? this.outputFrames.push(output) : output;
+  }
+
+  /**
+   * Emit the last partial output frame (end of a bot response)
+   */
+  flush() {
+    return this.outputFrames ? this.outputFrames.flush() : Buffer.alloc(0);
+  }
+
+  /**
+   * Drop buffered audio and filter state (e.g. after barge-in)
+   */
+  reset() {
+    this.inputFrames = new Reframer(BYTES_PER_SAMPLE[this.from.encoding]);
+    this.resampler = this.from.sampleRate !== this.to.sampleRate
+      ? new Resampler(this.from.sampleRate, this.to.sampleRate)
+      : null;
+    this.outputFrames = this.to.frameMs
+      ? new Reframer(
+        (this.to.sampleRate * this.to.frameMs / 1000) * BYTES_PER_SAMPLE[this.to.encoding],
+        SILENCE_BYTE[this.to.encoding]
+      )
+      : null;
+  }
+}
+
+/**
+ * Telephony format from Exotel stream metadata
+ *
+ * Exotel's media_format.encoding describes the transport (base64), not the
+ * codec; the Voicebot applet streams 16-bit PCM unless configured otherwise,
+ * so the codec comes from TELEPHONY_AUDIO_ENCODING. A sample rate the
+ * transcoder can't handle falls back to 8kHz rather than failing the call.
+ */
+const telephonyFormat = (mediaFormat = {}) => {
+  const encoding = ENCODINGS.includes(mediaFormat.encoding)
+    ? mediaFormat.encoding
+    : process.env.TELEPHONY_AUDIO_ENCODING || 'pcm16';
+
+  let sampleRate = mediaFormat.sampleRate || 8000;
+  if (!SAMPLE_RATES.includes(sampleRate)) {
+    logger.warn('Unsupported telephony sample rate, using 8000 Hz', { sampleRate });
+    sampleRate = 8000;
+  }
+
+  return { encoding, sampleRate };
+};
+
+module.exports = {
+  AudioTranscoder,
+  Resampler,
+  Reframer,
+  decode,
+  encode,
+  linearToMulaw,
+  mulawToLinear,
+  linearToAlaw,
+  alawToLinear,
+  telephonyFormat
+};
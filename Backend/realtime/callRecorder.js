@@ -0,0 +1,216 @@
+// realtime/callRecorder.js - Two-channel recording of a live call
+//
+// Left channel: caller audio as received from the telephony stream.
+// Right channel: assistant audio as sent to the caller.
+//
+// Caller audio is a continuous real-time stream, so it is laid down back to
+// back from its first frame. Assistant audio arrives in bursts faster than
+// real time and is queued for playback, so each chunk starts where the
+// previous one ends or now, whichever is later; a barge-in (Exotel "clear")
+// drops whatever had not been played yet. Segment offsets (ms from the start
+// of the recording) let playback be synced with the transcript.
+const resolve = require('../utils/moduleResolver');
+const { decode, encode } = require(resolve('realtime/audioTranscoder'));
+
+const CHANNELS = ['caller', 'assistant'];
+const WAV_HEADER_BYTES = 44;
+// Longest call kept in memory (8kHz stereo pcm16 is ~57 MB per 30 minutes)
+const MAX_RECORDING_SECONDS = parseInt(process.env.CALL_RECORDING_MAX_SECONDS) || 1800;
+
+class CallRecorder {
+  /**
+   * @param {object} format - Telephony audio format { encoding, sampleRate } of both channels
+   * @param {object} options - { maxSeconds }
+   */
+  constructor(format, options = {}) {
+    this.format = format;
+    this.sampleRate = format.sampleRate;
+    this.maxSamples = (options.maxSeconds || MAX_RECORDING_SECONDS) * this.sampleRate;
+    this.startedAt = Date.now();
+    this.truncated = false;
+
+    // Caller: contiguous from startSample
+    this.caller = { startSample: null, chunks: [], samples: 0 };
+    // Assistant: { at (sample), samples } pieces in playback order
+    this.assistant = { pieces: [], cursor: 0 };
+    // { channel, itemId, startMs, endMs, interrupted? }
+    this.segments = [];
+    this.openSegments = {};
+  }
+
+  nowSample() {
+    return Math.round((Date.now() - this.startedAt) * this.sampleRate / 1000);
+  }
+
+  toMs(sample) {
+    return Math.round(sample * 1000 / this.sampleRate);
+  }
+
+  /**
+   * Caller audio (telephony format)
+   */
+  writeCaller(chunk) {
+    const samples = decode(chunk, this.format.encoding);
+    if (samples.length === 0) return;
+
+    const caller = this.caller;
+    if (caller.startSample === null) {
+      caller.startSample = this.nowSample();
+    }
+    if (!this.hasRoom(caller.startSample + caller.samples + samples.length)) return;
+
+    caller.chunks.push(samples);
+    caller.samples += samples.length;
+  }
+
+  /**
+   * Assistant audio (telephony format) as it is sent to the caller
+   * @param {Buffer} chunk
+   * @param {string|null} itemId - Speech session item the audio belongs to
+   */
+  writeAssistant(chunk, itemId = null) {
+    const samples = decode(chunk, this.format.encoding);
+    if (samples.length === 0) return;
+
+    const at = Math.max(this.assistant.cursor, this.nowSample());
+    if (!this.hasRoom(at + samples.length)) return;
+
+    this.assistant.pieces.push({ at, samples });
+    this.assistant.cursor = at + samples.length;
+
+    const segment = this.openSegments.assistant;
+    if (!segment || segment.itemId !== itemId) {
+      this.openSegments.assistant = { channel: 'assistant', itemId, startMs: this.toMs(at), endMs: null };
+      this.segments.push(this.openSegments.assistant);
+    }
+    this.openSegments.assistant.endMs = this.toMs(this.assistant.cursor);
+  }
+
+  /**
+   * Queued assistant audio was discarded (caller barged in)
+   */
+  clearAssistant() {
+    const now = this.nowSample();
+    if (this.assistant.cursor <= now) {
+      this.openSegments.assistant = null;
+      return;
+    }
+
+    this.assistant.pieces = this.assistant.pieces
+      .filter(piece => piece.at < now)
+      .map(piece => (piece.at + piece.samples.length > now
+        ? { at: piece.at, samples: piece.samples.subarray(0, now - piece.at) }
+        : piece));
+    this.assistant.cursor = now;
+
+    const segment = this.openSegments.assistant;
+    if (segment) {
+      segment.endMs = this.toMs(now);
+      segment.interrupted = true;
+    }
+    this.openSegments.assistant = null;
+  }
+
+  /**
+   * Caller started or stopped talking (VAD)
+   */
+  markCallerSpeech(event, itemId = null) {
+    const ms = Date.now() - this.startedAt;
+
+    if (event === 'started') {
+      this.openSegments.caller = { channel: 'caller', itemId, startMs: ms, endMs: null };
+      this.segments.push(this.openSegments.caller);
+    } else if (this.openSegments.caller) {
+      this.openSegments.caller.itemId = this.openSegments.caller.itemId || itemId;
+      this.openSegments.caller.endMs = ms;
+      this.openSegments.caller = null;
+    }
+  }
+
+  hasRoom(endSample) {
+    if (endSample > this.maxSamples) {
+      this.truncated = true;
+      return false;
+    }
+    return true;
+  }
+
+  get totalSamples() {
+    const callerEnd = this.caller.startSample === null ? 0 : this.caller.startSample + this.caller.samples;
+    return Math.max(callerEnd, this.assistant.cursor);
+  }
+
+  isEmpty() {
+    return this.caller.samples === 0 && this.assistant.pieces.length === 0;
+  }
+
+  /**
+   * Stereo 16-bit PCM WAV: left = caller, right = assistant
+   * @returns {Buffer}
+   */
+  toWav() {
+    const frames = this.totalSamples;
+    const interleaved = new Int16Array(frames * CHANNELS.length);
+
+    let at = this.caller.startSample || 0;
+    for (const samples of this.caller.chunks) {
+      for (let i = 0; i < samples.length; i++) {
+        interleaved[(at + i) * CHANNELS.length] = samples[i];
+      }
+      at += samples.length;
+    }
+    for (const piece of this.assistant.pieces) {
+      for (let i = 0; i < piece.samples.length; i++) {
+        interleaved[(piece.at + i) * CHANNELS.length + 1] = piece.samples[i];
+      }
+    }
+
+    const data = encode(interleaved, 'pcm16');
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(WAV_HEADER_BYTES - 8 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(CHANNELS.length, 22);
+    header.writeUInt32LE(this.sampleRate, 24);
+    header.writeUInt32LE(this.sampleRate * CHANNELS.length * 2, 28); // byte rate
+    header.writeUInt16LE(CHANNELS.length * 2, 32); // block align
+    header.writeUInt16LE(16, 34); // bits per sample
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+
+    return Buffer.concat([header, data]);
+  }
+
+  /**
+   * Channel layout and offsets for syncing playback with the transcript
+   * @param {object[]} history - Conversation turns with itemId, used to label segments
+   */
+  getMetadata(history = []) {
+    const textByItem = new Map(history.filter(turn => turn.itemId).map(turn => [turn.itemId, turn.content]));
+
+    return {
+      format: 'wav',
+      encoding: 'pcm16',
+      sampleRate: this.sampleRate,
+      channels: CHANNELS,
+      startedAt: new Date(this.startedAt).toISOString(),
+      durationMs: this.toMs(this.totalSamples),
+      offsets: {
+        callerMs: this.caller.startSample === null ? null : this.toMs(this.caller.startSample),
+        assistantMs: this.assistant.pieces.length > 0 ? this.toMs(this.assistant.pieces[0].at) : null
+      },
+      truncated: this.truncated,
+      segments: this.segments
+        .filter(segment => segment.endMs !== null)
+        .map(segment => ({
+          ...segment,
+          text: textByItem.get(segment.itemId) ?? null
+        }))
+    };
+  }
+}
+
+module.exports = CallRecorder;
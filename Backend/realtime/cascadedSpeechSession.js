@@ -0,0 +1,320 @@
+// realtime/cascadedSpeechSession.js - Speech session built from separate ASR, LLM and TTS providers
+//
+// Caller audio -> streaming ASR -> final transcript -> LLM (streamed) ->
+// sentence by sentence -> streaming TTS -> audio_output. Speaking starts as
+// soon as the first sentence is complete instead of after the whole reply.
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const SpeechSession = require(resolve('realtime/speechSession'));
+
+// Sentence end (Latin punctuation or the Devanagari danda) followed by whitespace
+const SENTENCE_END = /[.!?।]+\s+/g;
+// Messages sent to the LLM besides the system prompt
+const MAX_CONTEXT_MESSAGES = 30;
+
+class CascadedSpeechSession extends SpeechSession {
+  /**
+   * @param {object} providers - { asr, llm, tts } (see realtime/providers)
+   */
+  constructor({ asr, llm, tts }) {
+    super();
+    this.asr = asr;
+    this.llm = llm;
+    this.tts = tts;
+    this.instructions = null;
+    this.idCount = 0;
+    // Caller utterance in progress
+    this.userItemId = null;
+    // Response being generated, and the last one spoken (kept for truncation)
+    this.response = null;
+    this.lastResponse = null;
+  }
+
+  get inputFormat() {
+    return this.asr.format;
+  }
+
+  get outputFormat() {
+    return this.tts.format;
+  }
+
+  async start(callId, config = {}) {
+    try {
+      this.callId = callId;
+      this.instructions = SpeechSession.buildInstructions(config);
+
+      this.asr.on('speech_started', () => {
+        this.userItemId = this.nextId('item');
+        this.emit('speech_started', { item_id: this.userItemId });
+      });
+      this.asr.on('speech_stopped', () => this.emit('speech_stopped', { item_id: this.userItemId }));
+      this.asr.on('partial', ({ text }) => {
+        this.emit('user_transcript_partial', { transcript: text, item_id: this.userItemId });
+      });
+      this.asr.on('final', ({ text }) => this.handleUserTranscript(text));
+      this.asr.on('error', (error) => {
+        logger.error('ASR error', { callId, provider: this.asr.name, error: error.message });
+        this.emit('error', error);
+      });
+
+      await this.asr.start();
+      this.isConnected = true;
+
+      logger.info('Cascaded speech session started', {
+        callId,
+        asr: this.asr.name,
+        llm: this.llm.name,
+        tts: this.tts.name
+      });
+
+    } catch (error) {
+      logger.error('Error starting cascaded speech session', {
+        callId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  nextId(prefix) {
+    return `${prefix}_${this.callId}_${++this.idCount}`;
+  }
+
+  /**
+   * @param {Buffer} audioChunk - Audio in the ASR provider's format
+   */
+  sendAudio(audioChunk) {
+    if (!this.isConnected) {
+      logger.warn('Cannot send audio, speech session not started', { callId: this.callId });
+      return;
+    }
+    this.asr.write(audioChunk);
+  }
+
+  updateContext(contextUpdate) {
+    logger.info('Updating conversation context', {
+      callId: this.callId,
+      update: contextUpdate.substring(0, 100)
+    });
+
+    this.conversationContext.push({
+      role: 'system',
+      content: contextUpdate,
+      timestamp: Date.now()
+    });
+  }
+
+  handleUserTranscript(text) {
+    if (!text || !text.trim()) {
+      return;
+    }
+
+    logger.info('USER TRANSCRIPT COMPLETED', { callId: this.callId, transcript: text });
+
+    this.conversationContext.push({ role: 'user', content: text, timestamp: Date.now() });
+    this.emit('user_transcript_completed', { transcript: text, item_id: this.userItemId || this.nextId('item') });
+
+    this.respond();
+  }
+
+  requestResponse() {
+    if (this.response) {
+      return;
+    }
+    this.respond();
+  }
+
+  buildMessages() {
+    return [
+      { role: 'system', content: this.instructions },
+      ...this.conversationContext
+        .slice(-MAX_CONTEXT_MESSAGES)
+        .map(({ role, content }) => ({ role, content }))
+    ];
+  }
+
+  /**
+   * Generate and speak one reply
+   */
+  async respond() {
+    // A new turn replaces a reply that is still being generated
+    if (this.response) {
+      this.response.controller.abort();
+    }
+
+    const response = {
+      id: this.nextId('resp'),
+      itemId: this.nextId('item'),
+      controller: new AbortController(),
+      // { text, startMs } - where each sentence starts in the reply's audio
+      sentences: []
+    };
+    this.response = response;
+    this.lastResponse = response;
+    const { signal } = response.controller;
+
+    let pending = '';
+    let speaking = Promise.resolve();
+    const speak = (sentence) => {
+      speaking = speaking.then(() => this.synthesize(response, sentence));
+      // Awaited below - this only stops an early TTS failure being reported as unhandled
+      speaking.catch(() => {});
+    };
+
+    try {
+      const text = await this.llm.generate(this.buildMessages(), {
+        signal,
+        onDelta: (delta) => {
+          if (signal.aborted) return;
+          this.emit('ai_transcript_delta', { delta, response_id: response.id });
+
+          pending += delta;
+          let end = 0;
+          for (const match of pending.matchAll(SENTENCE_END)) {
+            end = match.index + match[0].length;
+          }
+          if (end > 0) {
+            speak(pending.slice(0, end).trim());
+            pending = pending.slice(end);
+          }
+        }
+      });
+
+      if (pending.trim()) {
+        speak(pending.trim());
+      }
+      await speaking;
+
+      if (signal.aborted) {
+        return;
+      }
+
+      if (this.playback?.itemId === response.itemId) {
+        this.playback.generating = false;
+      }
+      this.emit('audio_output_done');
+      this.completeResponse(response, text);
+      this.emit('response_done', { id: response.id });
+
+    } catch (error) {
+      if (signal.aborted) {
+        return;
+      }
+      logger.error('Error generating response', {
+        callId: this.callId,
+        llm: this.llm.name,
+        tts: this.tts.name,
+        error: error.message
+      });
+      this.emit('error', error);
+    } finally {
+      if (this.response === response) {
+        this.response = null;
+      }
+    }
+  }
+
+  async synthesize(response, sentence) {
+    const { signal } = response.controller;
+    if (signal.aborted) {
+      return;
+    }
+
+    response.sentences.push({
+      text: sentence,
+      startMs: this.playback?.itemId === response.itemId ? this.playback.audioMs : 0
+    });
+
+    await this.tts.synthesize(sentence, {
+      signal,
+      onAudio: (chunk) => {
+        if (signal.aborted) return;
+        this.trackPlayback(response.itemId, chunk.length);
+        this.emit('audio_output', chunk);
+      }
+    });
+  }
+
+  /**
+   * Record the assistant turn (as much of it as the caller heard)
+   */
+  completeResponse(response, text) {
+    logger.info('AI TRANSCRIPT COMPLETED', { callId: this.callId, transcript: text });
+
+    this.conversationContext.push({
+      role: 'assistant',
+      content: text,
+      itemId: response.itemId,
+      timestamp: Date.now()
+    });
+
+    this.emit('ai_transcript_completed', {
+      transcript: text,
+      response_id: response.id,
+      item_id: response.itemId
+    });
+  }
+
+  /**
+   * Stop generation and playback when the caller talks over the reply
+   *
+   * The reply is cut back to the sentences the caller started hearing so the
+   * LLM's context matches what was actually said.
+   */
+  interrupt() {
+    if (!this.isConnected || !this.isPlaying()) {
+      return null;
+    }
+
+    const { itemId, audioMs } = this.playback;
+    const playedMs = Math.floor(this.getPlayedMs());
+    const response = this.lastResponse?.itemId === itemId ? this.lastResponse : null;
+
+    logger.debug('Interrupting current response', { callId: this.callId, itemId, playedMs });
+
+    if (response) {
+      const heard = response.sentences
+        .filter(sentence => sentence.startMs < playedMs)
+        .map(sentence => sentence.text)
+        .join(' ');
+
+      if (this.response === response) {
+        response.controller.abort();
+        this.response = null;
+        if (heard) {
+          this.completeResponse(response, heard);
+        }
+      } else {
+        const turn = this.conversationContext.find(t => t.itemId === itemId);
+        if (turn) {
+          turn.content = heard;
+        }
+      }
+    }
+
+    this.playback = null;
+
+    return { itemId, playedMs, audioMs: Math.round(audioMs) };
+  }
+
+  async stop() {
+    try {
+      if (this.response) {
+        this.response.controller.abort();
+        this.response = null;
+      }
+      this.removeAllListeners();
+      this.asr.removeAllListeners();
+      await this.asr.stop();
+      this.isConnected = false;
+      logger.info('Cascaded speech session stopped', { callId: this.callId });
+    } catch (error) {
+      logger.error('Error stopping cascaded speech session', {
+        callId: this.callId,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = CascadedSpeechSession;
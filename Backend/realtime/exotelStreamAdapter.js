@@ -0,0 +1,250 @@
+// realtime/exotelStreamAdapter.js - Exotel Voicebot (bidirectional stream) protocol
+//
+// Inbound JSON frames:  connected | start | media | dtmf | mark | stop
+// Outbound JSON frames: media (base64 audio) | mark | clear
+//
+// Exotel plays outbound audio in order and echoes each mark once everything
+// sent before it has been played, so pending marks tell us whether the caller
+// is still hearing the bot. `clear` drops whatever has not been played yet.
+const WebSocket = require('ws');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const EventEmitter = require('events');
+
+// Exotel wants outbound chunks in multiples of 320 bytes (20ms of 8kHz 16-bit),
+// at least 3.2KB and at most 100KB
+const FRAME_BYTES = 320;
+const MIN_CHUNK_BYTES = 3200;
+const MAX_CHUNK_BYTES = 100000;
+
+const INBOUND_EVENTS = ['connected', 'start', 'media', 'dtmf', 'mark', 'stop'];
+
+class ExotelStreamAdapter extends EventEmitter {
+  /**
+   * @param {WebSocket} ws - Exotel stream connection
+   * @param {object} options - { callId } for logging before the start frame
+   */
+  constructor(ws, options = {}) {
+    super();
+    this.ws = ws;
+    this.callId = options.callId || null;
+    this.streamSid = null;
+    this.mediaFormat = null;
+    this.pendingAudio = Buffer.alloc(0);
+    this.pendingMarks = new Set();
+    this.unmarkedAudio = false; // Media sent since the last mark (a response still streaming)
+    this.markCount = 0;
+
+    this.ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+  }
+
+  /**
+   * Parse one Exotel frame into a typed event
+   * @param {string|Buffer} raw - WebSocket message
+   * @returns {object|null} - { type, ... } or null if not a known frame
+   */
+  static parseFrame(raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch (error) {
+      return null;
+    }
+
+    if (!frame || !INBOUND_EVENTS.includes(frame.event)) {
+      return null;
+    }
+
+    const base = {
+      type: frame.event,
+      sequenceNumber: frame.sequence_number !== undefined ? parseInt(frame.sequence_number) : null,
+      streamSid: frame.stream_sid || null
+    };
+
+    switch (frame.event) {
+      case 'connected':
+        return base;
+
+      case 'start': {
+        const start = frame.start || {};
+        const mediaFormat = start.media_format || {};
+        return {
+          ...base,
+          streamSid: start.stream_sid || base.streamSid,
+          callSid: start.call_sid || null,
+          accountSid: start.account_sid || null,
+          from: start.from || null,
+          to: start.to || null,
+          customParameters: start.custom_parameters || {},
+          mediaFormat: {
+            encoding: mediaFormat.encoding || 'base64',
+            sampleRate: parseInt(mediaFormat.sample_rate) || 8000,
+            bitRate: mediaFormat.bit_rate || null
+          }
+        };
+      }
+
+      case 'media': {
+        const media = frame.media || {};
+        return {
+          ...base,
+          chunk: media.chunk !== undefined ? parseInt(media.chunk) : null,
+          timestamp: media.timestamp !== undefined ? parseInt(media.timestamp) : null,
+          audio: Buffer.from(media.payload || '', 'base64')
+        };
+      }
+
+      case 'dtmf':
+        return {
+          ...base,
+          digit: frame.dtmf?.digit ?? null,
+          duration: frame.dtmf?.duration !== undefined ? parseInt(frame.dtmf.duration) : null
+        };
+
+      case 'mark':
+        return { ...base, name: frame.mark?.name || null };
+
+      case 'stop':
+        return {
+          ...base,
+          callSid: frame.stop?.call_sid || null,
+          reason: frame.stop?.reason || null
+        };
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle an inbound WebSocket message
+   */
+  handleMessage(data, isBinary = false) {
+    const event = isBinary ? null : ExotelStreamAdapter.parseFrame(data);
+
+    if (!event) {
+      logger.warn('Ignoring unrecognised stream frame', {
+        callId: this.callId,
+        binary: isBinary,
+        size: data?.length
+      });
+      return;
+    }
+
+    if (event.type === 'start') {
+      this.streamSid = event.streamSid;
+      this.mediaFormat = event.mediaFormat;
+      logger.info('Exotel stream started', {
+        callId: this.callId,
+        streamSid: event.streamSid,
+        callSid: event.callSid,
+        sampleRate: event.mediaFormat.sampleRate
+      });
+    }
+
+    if (event.type === 'mark') {
+      this.pendingMarks.delete(event.name);
+    }
+
+    if (event.type === 'stop') {
+      logger.info('Exotel stream stopped', { callId: this.callId, reason: event.reason });
+    }
+
+    this.emit(event.type, event);
+  }
+
+  /**
+   * Queue outbound audio; full chunks are sent right away
+   * @param {Buffer} audio - PCM audio in the stream's media format
+   */
+  sendAudio(audio) {
+    this.pendingAudio = Buffer.concat([this.pendingAudio, audio]);
+
+    while (this.pendingAudio.length >= MIN_CHUNK_BYTES) {
+      const size = Math.min(
+        this.pendingAudio.length - (this.pendingAudio.length % FRAME_BYTES),
+        MAX_CHUNK_BYTES
+      );
+      this.sendMedia(this.pendingAudio.subarray(0, size));
+      this.pendingAudio = this.pendingAudio.subarray(size);
+    }
+  }
+
+  /**
+   * Send whatever audio is left (padded with silence) followed by a mark
+   * Call at the end of each bot response
+   * @returns {string|null} - Mark name, or null if nothing was sent
+   */
+  flush() {
+    if (this.pendingAudio.length > 0) {
+      const size = Math.max(MIN_CHUNK_BYTES, Math.ceil(this.pendingAudio.length / FRAME_BYTES) * FRAME_BYTES);
+      const padded = Buffer.alloc(size);
+      this.pendingAudio.copy(padded);
+      this.pendingAudio = Buffer.alloc(0);
+      this.sendMedia(padded);
+    }
+
+    return this.sendMark(`response-${++this.markCount}`);
+  }
+
+  /**
+   * Send a mark; Exotel echoes it back once the audio before it has played
+   */
+  sendMark(name) {
+    if (!this.send({ event: 'mark', stream_sid: this.streamSid, mark: { name } })) {
+      return null;
+    }
+    this.pendingMarks.add(name);
+    this.unmarkedAudio = false;
+    return name;
+  }
+
+  /**
+   * Stop playback of audio already sent (caller barged in)
+   * @returns {boolean} - true if there was audio to clear
+   */
+  clear() {
+    const wasPlaying = this.isPlaying();
+
+    this.pendingAudio = Buffer.alloc(0);
+    this.pendingMarks.clear();
+    this.unmarkedAudio = false;
+
+    if (wasPlaying) {
+      this.send({ event: 'clear', stream_sid: this.streamSid });
+      logger.debug('Cleared Exotel playback', { callId: this.callId });
+    }
+    return wasPlaying;
+  }
+
+  /**
+   * Whether the caller may still be hearing bot audio
+   */
+  isPlaying() {
+    return this.pendingMarks.size > 0 || this.unmarkedAudio || this.pendingAudio.length > 0;
+  }
+
+  sendMedia(audio) {
+    const sent = this.send({
+      event: 'media',
+      stream_sid: this.streamSid,
+      media: { payload: audio.toString('base64') }
+    });
+    this.unmarkedAudio = this.unmarkedAudio || sent;
+    return sent;
+  }
+
+  send(frame) {
+    if (!this.streamSid) {
+      logger.warn('Cannot send to Exotel before stream start', { callId: this.callId, event: frame.event });
+      return false;
+    }
+    if (this.ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    this.ws.send(JSON.stringify(frame));
+    return true;
+  }
+}
+
+module.exports = ExotelStreamAdapter;
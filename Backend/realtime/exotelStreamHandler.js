@@ -0,0 +1,196 @@
+// realtime/exotelStreamHandler.js - /audio WebSocket: Exotel stream <-> call session
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const ExotelStreamAdapter = require(resolve('realtime/exotelStreamAdapter'));
+const CallerLookupService = require(resolve('services/callerLookupService'));
+const { verifyStreamToken } = require(resolve('middleware/webhookVerifier'));
+
+// Close the stream if Exotel never sends a start frame
+const START_TIMEOUT_MS = 10000;
+
+/**
+ * Find the call a stream belongs to
+ *
+ * The call start webhook passes ?callId=&token= on the stream URL; a Voicebot
+ * applet with a static URL only identifies the call through the start frame,
+ * so fall back to custom parameters, then the CallSid, then create the call
+ * from the dialled number like the call start webhook does. Either way the
+ * stream must carry a token signed with the webhook secret (see
+ * signStreamToken): over the call ID, or over the dialled Exotel number for a
+ * static URL (GET /api/clients/:id/stream-config gives the tenant that URL).
+ *
+ * @param {object} start - Parsed start frame
+ * @param {object} params - { callId, token } from the stream URL
+ * @returns {Promise<object|null>} - calls row, or null if unknown or not authorised
+ */
+const resolveStreamCall = async (start, { callId: urlCallId = null, token: urlToken = null } = {}) => {
+  const callId = urlCallId || start.customParameters?.callId;
+  const token = urlToken || start.customParameters?.token;
+
+  if (callId) {
+    if (!verifyStreamToken(callId, token)) {
+      logger.warn('Rejected stream - invalid token for call', { callId, callSid: start.callSid });
+      return null;
+    }
+    return db.calls.getById(callId);
+  }
+
+  if (!verifyStreamToken(start.to, token)) {
+    logger.warn('Rejected stream - invalid token for number', { to: start.to, callSid: start.callSid });
+    return null;
+  }
+
+  if (start.callSid) {
+    const existing = await db.calls.getBySid(start.callSid);
+    if (existing) {
+      // The token only vouches for this number's calls
+      return existing.phone_to === start.to ? existing : null;
+    }
+  }
+
+  const clients = await db.clients.getActive();
+  const client = clients.find(c => c.exotel_number === start.to);
+  if (!client) {
+    logger.error('No client found for streamed call', { to: start.to, callSid: start.callSid });
+    return null;
+  }
+
+  CallerLookupService.prefetch(client.id, start.from);
+
+  return db.calls.create({
+    client_id: client.id,
+    call_sid: start.callSid,
+    phone_from: start.from,
+    phone_to: start.to
+  });
+};
+
+/**
+ * Bridge one Exotel stream connection to a call session
+ * @param {WebSocket} ws - Incoming stream connection
+ * @param {object} req - Upgrade request
+ * @param {CallSessionManager} sessionManager - Session manager
+ */
+const handleStreamConnection = (ws, req, sessionManager) => {
+  const urlParams = new URLSearchParams(req.url.split('?')[1]);
+  const urlCallId = urlParams.get('callId');
+  const urlToken = urlParams.get('token');
+  const adapter = new ExotelStreamAdapter(ws, { callId: urlCallId });
+
+  let callId = null;
+  let sessionReady = false;
+  // Set once the socket closes; setup still in flight must then undo itself
+  let closed = false;
+  const sessionListeners = [];
+
+  const onSession = (event, handler) => {
+    const listener = (data) => {
+      if (data.callId === callId) handler(data);
+    };
+    sessionManager.on(event, listener);
+    sessionListeners.push([event, listener]);
+  };
+
+  const startTimeout = setTimeout(() => {
+    logger.error('Exotel stream closed - no start frame', { callId: urlCallId });
+    ws.close();
+  }, START_TIMEOUT_MS);
+
+  logger.info('WebSocket connection established', { callId: urlCallId });
+
+  adapter.once('start', async (start) => {
+    clearTimeout(startTimeout);
+
+    try {
+      const call = await resolveStreamCall(start, { callId: urlCallId, token: urlToken });
+
+      if (!call) {
+        logger.error('Call not found for stream', { callId: urlCallId, callSid: start.callSid });
+        ws.close();
+        return;
+      }
+      if (closed) {
+        return;
+      }
+
+      callId = call.id;
+      adapter.callId = callId;
+
+      await sessionManager.createSession(callId, call, {
+        streamSid: start.streamSid,
+        mediaFormat: start.mediaFormat,
+        customParameters: start.customParameters
+      });
+
+      // Caller hung up while the speech session was connecting
+      if (closed) {
+        logger.info('Stream closed during session setup', { callId });
+        await sessionManager.endSession(callId);
+        return;
+      }
+      sessionReady = true;
+
+      // Bot audio -> Exotel media frames, one mark per response
+      onSession('audio_output', (data) => adapter.sendAudio(data.audioData));
+      onSession('audio_output_done', () => adapter.flush());
+      onSession('barge_in', () => adapter.clear());
+
+      // Transfer announced - closing the stream lets Exotel's Connect applet bridge the call
+      onSession('handoff_ready', () => {
+        logger.info('Closing stream for human handoff', { callId });
+        ws.close();
+      });
+
+      // Voicemail left - closing the stream moves the call flow on to its Hangup applet
+      onSession('hangup_ready', () => {
+        logger.info('Closing stream to hang up', { callId });
+        ws.close();
+      });
+
+    } catch (error) {
+      logger.error('Error setting up audio session', {
+        callId: callId || urlCallId,
+        error: error.message
+      });
+      ws.close();
+    }
+  });
+
+  adapter.on('media', (event) => {
+    if (sessionReady) {
+      sessionManager.processIncomingAudio(callId, event.audio);
+    }
+  });
+
+  adapter.on('dtmf', (event) => {
+    logger.info('DTMF received', { callId, digit: event.digit });
+    if (sessionReady) {
+      sessionManager.processDtmf(callId, event.digit).catch(error => {
+        logger.error('Error handling DTMF', { callId, error: error.message });
+      });
+    }
+  });
+
+  ws.on('close', async () => {
+    closed = true;
+    clearTimeout(startTimeout);
+    logger.info('WebSocket connection closed', { callId: callId || urlCallId });
+
+    sessionListeners.forEach(([event, listener]) => sessionManager.removeListener(event, listener));
+    adapter.removeAllListeners();
+
+    if (callId) {
+      await sessionManager.endSession(callId);
+    }
+  });
+
+  ws.on('error', (error) => {
+    logger.error('WebSocket error', { callId: callId || urlCallId, error: error.message });
+  });
+};
+
+module.exports = {
+  handleStreamConnection,
+  resolveStreamCall
+};
@@ -0,0 +1,120 @@
+// realtime/providers/DeepgramASR.js - Deepgram live streaming speech recognition
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+
+const DEFAULT_MODEL = 'nova-2';
+const LISTEN_URL = 'wss://api.deepgram.com/v1/listen';
+
+class DeepgramASR extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'deepgram';
+    this.apiKey = options.apiKey || process.env.DEEPGRAM_API_KEY;
+    this.model = options.model || process.env.DEEPGRAM_MODEL || DEFAULT_MODEL;
+    this.language = options.language || 'hi';
+    this.format = { encoding: 'pcm16', sampleRate: 16000 };
+    this.ws = null;
+    // Final segments of the utterance in progress
+    this.segments = [];
+  }
+
+  async start() {
+    const params = new URLSearchParams({
+      model: this.model,
+      language: this.language,
+      encoding: 'linear16',
+      sample_rate: String(this.format.sampleRate),
+      channels: '1',
+      interim_results: 'true',
+      vad_events: 'true',
+      endpointing: '300',
+      utterance_end_ms: '1000',
+      smart_format: 'true'
+    });
+
+    this.ws = new WebSocket(`${LISTEN_URL}?${params}`, {
+      headers: { Authorization: `Token ${this.apiKey}` }
+    });
+
+    this.ws.on('message', (data) => {
+      try {
+        this.handleMessage(JSON.parse(data.toString()));
+      } catch (error) {
+        logger.error('Error parsing Deepgram message', { error: error.message });
+      }
+    });
+    this.ws.on('error', (error) => this.emit('error', error));
+
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+  }
+
+  /**
+   * Map Deepgram results to speech_started / partial / final / speech_stopped
+   */
+  handleMessage(message) {
+    if (message.type === 'SpeechStarted') {
+      this.emit('speech_started');
+      return;
+    }
+
+    if (message.type === 'UtteranceEnd') {
+      this.endUtterance();
+      return;
+    }
+
+    if (message.type !== 'Results') {
+      return;
+    }
+
+    const transcript = message.channel?.alternatives?.[0]?.transcript || '';
+    if (message.is_final && transcript) {
+      this.segments.push(transcript);
+    }
+
+    const text = message.is_final ? this.segments.join(' ') : [...this.segments, transcript].join(' ');
+    if (text.trim()) {
+      this.emit('partial', { text: text.trim() });
+    }
+
+    if (message.speech_final) {
+      this.endUtterance();
+    }
+  }
+
+  endUtterance() {
+    if (this.segments.length === 0) {
+      return;
+    }
+    const text = this.segments.join(' ').trim();
+    this.segments = [];
+    this.emit('speech_stopped');
+    this.emit('final', { text });
+  }
+
+  /**
+   * @param {Buffer} chunk - pcm16 audio at 16kHz
+   */
+  write(chunk) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(chunk);
+    }
+  }
+
+  async stop() {
+    if (!this.ws) {
+      return;
+    }
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+    }
+    this.ws.close();
+    this.ws = null;
+  }
+}
+
+module.exports = DeepgramASR;
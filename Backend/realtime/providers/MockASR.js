@@ -0,0 +1,79 @@
+// realtime/providers/MockASR.js - Offline speech recognition for tests and local runs
+//
+// Detects speech with a simple energy VAD and "recognizes" each utterance as
+// the next scripted transcript. say() skips the audio entirely.
+const EventEmitter = require('events');
+
+const SPEECH_RMS = 500;
+const END_OF_SPEECH_MS = 500;
+
+class MockASR extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'mock';
+    this.format = { encoding: 'pcm16', sampleRate: options.sampleRate || 16000 };
+    this.script = [...(options.script || [])];
+    this.inSpeech = false;
+    this.silenceMs = 0;
+  }
+
+  async start() {}
+
+  /**
+   * @param {Buffer} chunk - pcm16 audio
+   */
+  write(chunk) {
+    const samples = Math.floor(chunk.length / 2);
+    if (samples === 0) {
+      return;
+    }
+
+    let energy = 0;
+    for (let i = 0; i < samples; i++) {
+      const sample = chunk.readInt16LE(i * 2);
+      energy += sample * sample;
+    }
+    const loud = Math.sqrt(energy / samples) >= SPEECH_RMS;
+    const chunkMs = (samples / this.format.sampleRate) * 1000;
+
+    if (loud) {
+      this.silenceMs = 0;
+      if (!this.inSpeech) {
+        this.inSpeech = true;
+        this.emit('speech_started');
+      }
+      return;
+    }
+
+    if (this.inSpeech) {
+      this.silenceMs += chunkMs;
+      if (this.silenceMs >= END_OF_SPEECH_MS) {
+        this.inSpeech = false;
+        this.silenceMs = 0;
+        this.finish(this.script.shift() || '');
+      }
+    }
+  }
+
+  /**
+   * Emit a complete utterance without audio
+   */
+  say(text) {
+    this.emit('speech_started');
+    this.finish(text);
+  }
+
+  finish(text) {
+    this.emit('speech_stopped');
+    if (text) {
+      this.emit('partial', { text });
+      this.emit('final', { text });
+    }
+  }
+
+  async stop() {
+    this.inSpeech = false;
+  }
+}
+
+module.exports = MockASR;
@@ -0,0 +1,40 @@
+// realtime/providers/MockLLM.js - Offline LLM for tests and local runs
+//
+// Replies with scripted responses in order (or from a reply function) and
+// streams them word by word so callers see deltas like a real model.
+
+const abortError = () => Object.assign(new Error('Generation aborted'), { name: 'AbortError' });
+
+class MockLLM {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.responses = [...(options.responses || [])];
+    this.reply = options.reply || null;
+    this.calls = [];
+  }
+
+  /**
+   * @param {object[]} messages - [{ role, content }]
+   * @param {object} options - { onDelta(text), signal }
+   * @returns {Promise<string>}
+   */
+  async generate(messages, { onDelta, signal } = {}) {
+    this.calls.push(messages);
+
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const text = this.reply
+      ? this.reply(messages)
+      : this.responses.shift() || `Ji, aapne kaha: ${lastUser?.content || ''}`;
+
+    for (const word of text.split(/(?<= )/)) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal?.aborted) {
+        throw abortError();
+      }
+      onDelta?.(word);
+    }
+    return text;
+  }
+}
+
+module.exports = MockLLM;
@@ -0,0 +1,45 @@
+// realtime/providers/MockTTS.js - Offline speech synthesis for tests and local runs
+//
+// "Speaks" each sentence as a quiet tone whose length follows the text, in
+// 20ms chunks, so playback timing and barge-in behave like a real voice.
+
+const TONE_HZ = 220;
+const TONE_AMPLITUDE = 3000;
+const CHUNK_MS = 20;
+
+class MockTTS {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.format = { encoding: 'pcm16', sampleRate: options.sampleRate || 24000 };
+    this.msPerChar = options.msPerChar || 60;
+    this.spoken = [];
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} options - { onAudio(Buffer), signal }
+   */
+  async synthesize(text, { onAudio, signal } = {}) {
+    this.spoken.push(text);
+
+    const totalSamples = Math.round((text.length * this.msPerChar / 1000) * this.format.sampleRate);
+    const chunkSamples = (CHUNK_MS / 1000) * this.format.sampleRate;
+
+    for (let offset = 0; offset < totalSamples; offset += chunkSamples) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal?.aborted) {
+        return;
+      }
+
+      const count = Math.min(chunkSamples, totalSamples - offset);
+      const chunk = Buffer.alloc(count * 2);
+      for (let i = 0; i < count; i++) {
+        const t = (offset + i) / this.format.sampleRate;
+        chunk.writeInt16LE(Math.round(TONE_AMPLITUDE * Math.sin(2 * Math.PI * TONE_HZ * t)), i * 2);
+      }
+      onAudio?.(chunk);
+    }
+  }
+}
+
+module.exports = MockTTS;
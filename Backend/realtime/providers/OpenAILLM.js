@@ -0,0 +1,45 @@
+// realtime/providers/OpenAILLM.js - OpenAI chat completions (streamed) for the cascaded pipeline
+const OpenAI = require('openai');
+const resolve = require('../../utils/moduleResolver');
+const { TIMEOUTS } = require(resolve('config/timeoutConfig'));
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+class OpenAILLM {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.SPEECH_LLM_MODEL || DEFAULT_MODEL;
+    this.client = new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      timeout: TIMEOUTS.OPENAI_TIMEOUT
+    });
+  }
+
+  /**
+   * Generate the assistant reply, streaming text as it arrives
+   * @param {object[]} messages - [{ role, content }]
+   * @param {object} options - { onDelta(text), signal }
+   * @returns {Promise<string>} - Full reply
+   */
+  async generate(messages, { onDelta, signal } = {}) {
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      stream: true,
+      temperature: 0.8,
+      max_tokens: 300
+    }, { signal });
+
+    let text = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta?.(delta);
+      }
+    }
+    return text;
+  }
+}
+
+module.exports = OpenAILLM;
@@ -0,0 +1,50 @@
+// realtime/providers/OpenAITTS.js - OpenAI speech synthesis streamed as raw PCM
+const axios = require('axios');
+const resolve = require('../../utils/moduleResolver');
+const { TIMEOUTS } = require(resolve('config/timeoutConfig'));
+
+const DEFAULT_MODEL = 'gpt-4o-mini-tts';
+const SPEECH_URL = 'https://api.openai.com/v1/audio/speech';
+
+class OpenAITTS {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.SPEECH_TTS_MODEL || DEFAULT_MODEL;
+    this.voice = options.voice || 'alloy';
+    // response_format 'pcm' is 24kHz 16-bit little-endian mono
+    this.format = { encoding: 'pcm16', sampleRate: 24000 };
+  }
+
+  /**
+   * Synthesize one sentence, streaming audio as it arrives
+   * @param {string} text
+   * @param {object} options - { onAudio(Buffer), signal }
+   */
+  async synthesize(text, { onAudio, signal } = {}) {
+    const response = await axios.post(SPEECH_URL, {
+      model: this.model,
+      voice: this.voice,
+      input: text,
+      response_format: 'pcm'
+    }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      responseType: 'stream',
+      timeout: TIMEOUTS.OPENAI_TIMEOUT,
+      signal
+    });
+
+    // Network chunks can split a 16-bit sample
+    let carry = Buffer.alloc(0);
+    for await (const chunk of response.data) {
+      const data = carry.length > 0 ? Buffer.concat([carry, chunk]) : chunk;
+      const whole = data.length - (data.length % 2);
+      carry = data.subarray(whole);
+      if (whole > 0) {
+        onAudio?.(data.subarray(0, whole));
+      }
+    }
+  }
+}
+
+module.exports = OpenAITTS;
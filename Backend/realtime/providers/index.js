@@ -0,0 +1,62 @@
+// realtime/providers/index.js - ASR / LLM / TTS adapters for the cascaded speech pipeline
+//
+// ASR: EventEmitter with { name, format }, start(), write(chunk), stop()
+//      emits speech_started, speech_stopped, partial { text }, final { text }, error
+// LLM: { name }, generate(messages, { onDelta, signal }) -> Promise<string>
+// TTS: { name, format }, synthesize(text, { onAudio, signal }) -> Promise
+//
+// Adding a provider (e.g. Whisper ASR, self-hosted TTS) means writing one
+// adapter and registering it here.
+const DeepgramASR = require('./DeepgramASR');
+const OpenAILLM = require('./OpenAILLM');
+const OpenAITTS = require('./OpenAITTS');
+const MockASR = require('./MockASR');
+const MockLLM = require('./MockLLM');
+const MockTTS = require('./MockTTS');
+
+const PROVIDERS = {
+  asr: {
+    deepgram: (options) => new DeepgramASR(options),
+    mock: (options) => new MockASR(options)
+  },
+  llm: {
+    openai: (options) => new OpenAILLM(options),
+    mock: (options) => new MockLLM(options)
+  },
+  tts: {
+    openai: (options) => new OpenAITTS(options),
+    mock: (options) => new MockTTS(options)
+  }
+};
+
+/**
+ * Create one provider
+ * @param {string} kind - asr | llm | tts
+ * @param {string} name - Registered provider name
+ * @param {object} options - Provider options
+ */
+const createProvider = (kind, name, options = {}) => {
+  const factory = PROVIDERS[kind]?.[name];
+  if (!factory) {
+    throw new Error(`Unknown ${kind} provider: ${name}`);
+  }
+  return factory(options);
+};
+
+/**
+ * Provider names available per kind
+ */
+const listProviders = () => Object.fromEntries(
+  Object.entries(PROVIDERS).map(([kind, providers]) => [kind, Object.keys(providers)])
+);
+
+module.exports = {
+  createProvider,
+  listProviders,
+  DeepgramASR,
+  OpenAILLM,
+  OpenAITTS,
+  MockASR,
+  MockLLM,
+  MockTTS
+};
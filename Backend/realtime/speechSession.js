@@ -0,0 +1,176 @@
+// realtime/speechSession.js - Interface CallSessionManager talks to for caller audio
+//
+// Implementations:
+//   STSSession             - OpenAI Realtime speech-to-speech over one WebSocket
+//   CascadedSpeechSession  - Separate streaming ASR -> LLM -> streaming TTS providers
+//
+// Events emitted by every implementation:
+//   speech_started / speech_stopped { item_id } - caller VAD
+//   user_transcript_partial { transcript, item_id } - transcript so far while the caller talks
+//   user_transcript_completed { transcript, item_id }
+//   ai_transcript_delta { delta, response_id }
+//   ai_transcript_completed { transcript, response_id, item_id }
+//   audio_output (Buffer in outputFormat) / audio_output_done
+//   response_done, error, closed
+const EventEmitter = require('events');
+
+const DEFAULT_AUDIO_FORMAT = { encoding: 'pcm16', sampleRate: 24000 };
+
+const SYSTEM_PROMPT = `You are Caly, a highly empathetic, professional Hindi/Hinglish customer support agent for e-commerce.
+
+CRITICAL RULES:
+1. Speak ONLY in Hindi/Hinglish - natural, conversational tone with "ji", "sir/madam"
+2. Be warm, helpful, and patient like a professional sales person
+3. Keep responses SHORT (5-10 seconds of speech)
+4. NEVER say you're performing actions - just acknowledge naturally
+5. When collecting info (order_id, phone), ask politely and confirm
+
+TONE EXAMPLES:
+- Greeting: "Namaste ji, main Caly hoon. Aapki kaise madad kar sakti hoon?"
+- Asking for info: "Ji sir, apna order number batayiye please"
+- Confirming: "Ji, order number 12345, sahi hai na?"
+- Processing: "Ek minute sir, check kar rahi hoon"
+- Success: "Ji ho gaya sir, aapka return request create ho gaya hai"
+- Error: "Maaf kijiye sir, thoda technical issue aa raha hai. Main aapka ticket create kar deti hoon"
+
+IMPORTANT:
+- DO NOT mention APIs, databases, or technical terms
+- DO NOT say "I'm executing" or "calling backend" - just be natural
+- If user says "rehne do" or "cancel karo" - acknowledge and move on
+- Only say you are connecting the caller to a team member when a SYSTEM message tells you to
+- Always be humble and respectful`;
+
+class SpeechSession extends EventEmitter {
+  static AUDIO_FORMAT = DEFAULT_AUDIO_FORMAT;
+
+  /**
+   * System instructions shared by every pipeline
+   * @param {object} config - { callerContext }
+   */
+  static buildInstructions(config = {}) {
+    // Known caller (looked up by phone at call start)
+    return config.callerContext
+      ? `${SYSTEM_PROMPT}\n\nCALLER:\n${config.callerContext}`
+      : SYSTEM_PROMPT;
+  }
+
+  constructor() {
+    super();
+    this.callId = null;
+    this.isConnected = false;
+    this.conversationContext = [];
+    // Assistant audio item being played to the caller (for barge-in truncation)
+    this.playback = null;
+
+    // Prevent memory leak warnings
+    this.setMaxListeners(15);
+  }
+
+  /**
+   * Audio the session expects from the caller
+   */
+  get inputFormat() {
+    return this.constructor.AUDIO_FORMAT;
+  }
+
+  /**
+   * Audio the session emits on audio_output
+   */
+  get outputFormat() {
+    return this.constructor.AUDIO_FORMAT;
+  }
+
+  /**
+   * Start the session
+   * @param {string} callId - Call identifier
+   * @param {object} config - { callerContext, voice }
+   */
+  async start(callId, config = {}) {
+    throw new Error(`${this.constructor.name} must implement start()`);
+  }
+
+  /**
+   * Send caller audio (in inputFormat)
+   * @param {Buffer} audioChunk
+   */
+  sendAudio(audioChunk) {
+    throw new Error(`${this.constructor.name} must implement sendAudio()`);
+  }
+
+  /**
+   * Add a system message to the conversation (agent results, tone changes)
+   * @param {string} contextUpdate
+   */
+  updateContext(contextUpdate) {
+    throw new Error(`${this.constructor.name} must implement updateContext()`);
+  }
+
+  /**
+   * Have the assistant reply now, without waiting for caller speech
+   * (e.g. after keypad input). Does nothing while a reply is in progress.
+   */
+  requestResponse() {
+    throw new Error(`${this.constructor.name} must implement requestResponse()`);
+  }
+
+  /**
+   * Stop the assistant when the caller talks over it
+   * @returns {object|null} - { itemId, playedMs, audioMs } or null if nothing was playing
+   */
+  interrupt() {
+    throw new Error(`${this.constructor.name} must implement interrupt()`);
+  }
+
+  /**
+   * Stop the session and release provider connections
+   */
+  async stop() {
+    throw new Error(`${this.constructor.name} must implement stop()`);
+  }
+
+  /**
+   * Get conversation history
+   */
+  getConversationHistory() {
+    return this.conversationContext;
+  }
+
+  /**
+   * Track how much assistant audio has been streamed for the current item
+   *
+   * Playback is assumed to start with the first chunk and run in real time,
+   * so elapsed time (capped at the audio received) estimates what the caller
+   * has heard.
+   */
+  trackPlayback(itemId, bytes, contentIndex = 0) {
+    if (!this.playback || this.playback.itemId !== itemId) {
+      this.playback = {
+        itemId,
+        contentIndex,
+        audioMs: 0,
+        startedAt: Date.now(),
+        generating: true
+      };
+    }
+    this.playback.audioMs += bytes / ((this.outputFormat.sampleRate * 2) / 1000);
+  }
+
+  /**
+   * Milliseconds of the current item the caller has heard so far
+   */
+  getPlayedMs() {
+    if (!this.playback) {
+      return 0;
+    }
+    return Math.min(Date.now() - this.playback.startedAt, this.playback.audioMs);
+  }
+
+  /**
+   * Whether assistant audio is still being generated or played
+   */
+  isPlaying() {
+    return !!this.playback && (this.playback.generating || this.getPlayedMs() < this.playback.audioMs);
+  }
+}
+
+module.exports = SpeechSession;
@@ -0,0 +1,151 @@
+// realtime/speechSessionFactory.js - Pick the speech pipeline per tenant
+//
+// clients.settings.speech = {
+//   pipeline: 'realtime' | 'cascaded',
+//   asr: 'deepgram', llm: 'openai', tts: 'openai',   // cascaded only
+//   voice: 'alloy', language: 'hi'
+// }
+// Anything not set falls back to SPEECH_PIPELINE / SPEECH_ASR_PROVIDER /
+// SPEECH_LLM_PROVIDER / SPEECH_TTS_PROVIDER, then to the Realtime API.
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const STSSession = require(resolve('realtime/stsSession'));
+const CascadedSpeechSession = require(resolve('realtime/cascadedSpeechSession'));
+const { createProvider, listProviders } = require(resolve('realtime/providers/index'));
+
+const PIPELINES = ['realtime', 'cascaded'];
+const DEFAULT_PROVIDERS = { asr: 'deepgram', llm: 'openai', tts: 'openai' };
+
+/**
+ * Providers a tenant may pick; the mock ones are for tests and local development only
+ */
+const selectableProviders = () => {
+  const providers = listProviders();
+  if (process.env.NODE_ENV !== 'production') {
+    return providers;
+  }
+  return Object.fromEntries(
+    Object.entries(providers).map(([kind, names]) => [kind, names.filter(name => name !== 'mock')])
+  );
+};
+
+/**
+ * Build a provider, swapping one that isn't selectable here (a mock saved
+ * before a production deploy) for the default. Unknown names still throw.
+ */
+const buildProvider = (kind, name, options) => {
+  if (listProviders()[kind].includes(name) && !selectableProviders()[kind].includes(name)) {
+    logger.warn('Speech provider not available - using default', { kind, provider: name, fallback: DEFAULT_PROVIDERS[kind] });
+    return createProvider(kind, DEFAULT_PROVIDERS[kind], options);
+  }
+  return createProvider(kind, name, options);
+};
+
+class SpeechSessionFactory {
+  static PIPELINES = PIPELINES;
+
+  /**
+   * Tenant speech settings merged over environment defaults
+   * @param {object} speech - clients.settings.speech
+   */
+  static getConfig(speech = {}) {
+    return {
+      pipeline: speech.pipeline || process.env.SPEECH_PIPELINE || 'realtime',
+      asr: speech.asr || process.env.SPEECH_ASR_PROVIDER || DEFAULT_PROVIDERS.asr,
+      llm: speech.llm || process.env.SPEECH_LLM_PROVIDER || DEFAULT_PROVIDERS.llm,
+      tts: speech.tts || process.env.SPEECH_TTS_PROVIDER || DEFAULT_PROVIDERS.tts,
+      voice: speech.voice || null,
+      language: speech.language || null
+    };
+  }
+
+  /**
+   * Validate tenant speech settings before they are stored
+   * @returns {object} - { valid, errors }
+   */
+  static validate(speech) {
+    const errors = [];
+
+    if (typeof speech !== 'object' || speech === null || Array.isArray(speech)) {
+      return { valid: false, errors: ['speech must be an object'] };
+    }
+
+    if (speech.pipeline !== undefined && !PIPELINES.includes(speech.pipeline)) {
+      errors.push(`pipeline must be one of: ${PIPELINES.join(', ')}`);
+    }
+
+    const providers = selectableProviders();
+    for (const kind of ['asr', 'llm', 'tts']) {
+      if (speech[kind] !== undefined && !providers[kind].includes(speech[kind])) {
+        errors.push(`${kind} must be one of: ${providers[kind].join(', ')}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Build a speech session for resolved settings
+   * @param {object} config - Output of getConfig()
+   * @returns {SpeechSession}
+   */
+  static create(config) {
+    if (config.pipeline === 'cascaded') {
+      const options = { voice: config.voice || undefined, language: config.language || undefined };
+      return new CascadedSpeechSession({
+        asr: buildProvider('asr', config.asr, options),
+        llm: buildProvider('llm', config.llm, options),
+        tts: buildProvider('tts', config.tts, options)
+      });
+    }
+
+    return new STSSession(process.env.OPENAI_API_KEY);
+  }
+
+  /**
+   * Speech session for a client's call
+   * @param {string} clientId - Client ID
+   */
+  static async forClient(clientId) {
+    const config = this.getConfig(await this.loadSettings(clientId));
+    try {
+      return this.create(config);
+    } catch (error) {
+      // A bad stored provider name must not take calls down
+      logger.error('Invalid speech settings - using Realtime API', { clientId, error: error.message });
+      return this.create({ pipeline: 'realtime' });
+    }
+  }
+
+  /**
+   * TTS provider in the tenant's voice, for audio spoken without the LLM
+   * (e.g. a voicemail left word for word)
+   * @param {string} clientId - Client ID
+   */
+  static async ttsForClient(clientId) {
+    const config = this.getConfig(await this.loadSettings(clientId));
+    const options = { voice: config.voice || undefined, language: config.language || undefined };
+    try {
+      return buildProvider('tts', config.tts, options);
+    } catch (error) {
+      logger.error('Invalid TTS provider - using OpenAI', { clientId, error: error.message });
+      return createProvider('tts', DEFAULT_PROVIDERS.tts, options);
+    }
+  }
+
+  /**
+   * clients.settings.speech ({} if unset or unavailable)
+   */
+  static async loadSettings(clientId) {
+    try {
+      const client = clientId ? await db.clients.getById(clientId) : null;
+      return client?.settings?.speech || {};
+    } catch (error) {
+      logger.error('Error loading speech settings', { clientId, error: error.message });
+      return {};
+    }
+  }
+}
+
+module.exports = SpeechSessionFactory;
@@ -2,26 +2,30 @@
 const WebSocket = require('ws');
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
-const EventEmitter = require('events');
+const SpeechSession = require(resolve('realtime/speechSession'));
 
 // Reconnection settings
 const MAX_RECONNECT_ATTEMPTS = 3;
 const RECONNECT_DELAY_MS = 1000;
 
-class STSSession extends EventEmitter {
+// Realtime API 'pcm16' audio: 16-bit little-endian mono at 24kHz (both directions)
+const AUDIO_FORMAT = { encoding: 'pcm16', sampleRate: 24000 };
+
+class STSSession extends SpeechSession {
+  static AUDIO_FORMAT = AUDIO_FORMAT;
+
   constructor(apiKey) {
     super();
     this.apiKey = apiKey;
     this.ws = null;
-    this.isConnected = false;
-    this.callId = null;
     this.sessionId = null;
-    this.conversationContext = [];
     this.reconnectAttempts = 0;
     this.isStopping = false;
-    
-    // Prevent memory leak warnings
-    this.setMaxListeners(15);
+    this.truncatedItemId = null;
+    // A response is being generated (only one may run at a time)
+    this.responseActive = false;
+    // item_id -> transcript so far
+    this.partialTranscripts = new Map();
   }
 
   /**
@@ -66,37 +70,16 @@ class STSSession extends EventEmitter {
    * Configure session with system prompt
    */
   async configureSession(config = {}) {
-    const systemPrompt = `You are Caly, a highly empathetic, professional Hindi/Hinglish customer support agent for e-commerce.
-
-CRITICAL RULES:
-1. Speak ONLY in Hindi/Hinglish - natural, conversational tone with "ji", "sir/madam"
-2. Be warm, helpful, and patient like a professional sales person
-3. Keep responses SHORT (5-10 seconds of speech)
-4. NEVER say you're performing actions - just acknowledge naturally
-5. When collecting info (order_id, phone), ask politely and confirm
-
-TONE EXAMPLES:
-- Greeting: "Namaste ji, main Caly hoon. Aapki kaise madad kar sakti hoon?"
-- Asking for info: "Ji sir, apna order number batayiye please"
-- Confirming: "Ji, order number 12345, sahi hai na?"
-- Processing: "Ek minute sir, check kar rahi hoon"
-- Success: "Ji ho gaya sir, aapka return request create ho gaya hai"
-- Error: "Maaf kijiye sir, thoda technical issue aa raha hai. Main manager se connect karti hoon"
-
-IMPORTANT: 
-- DO NOT mention APIs, databases, or technical terms
-- DO NOT say "I'm executing" or "calling backend" - just be natural
-- If user says "rehne do" or "cancel karo" - acknowledge and move on
-- Always be humble and respectful`;
+    const instructions = SpeechSession.buildInstructions(config);
 
     const sessionConfig = {
       type: 'session.update',
       session: {
         modalities: ['text', 'audio'],
-        instructions: systemPrompt,
+        instructions,
         voice: config.voice || 'alloy',
-        input_audio_format: 'pcm16',
-        output_audio_format: 'pcm16',
+        input_audio_format: AUDIO_FORMAT.encoding,
+        output_audio_format: AUDIO_FORMAT.encoding,
         input_audio_transcription: {
           model: 'whisper-1'
         },
@@ -178,12 +161,12 @@ IMPORTANT:
       // Audio input events
       case 'input_audio_buffer.speech_started':
         logger.info('User started speaking', { callId: this.callId });
-        this.emit('speech_started');
+        this.emit('speech_started', { item_id: event.item_id });
         break;
 
       case 'input_audio_buffer.speech_stopped':
         logger.info('User stopped speaking', { callId: this.callId });
-        this.emit('speech_stopped');
+        this.emit('speech_stopped', { item_id: event.item_id });
         break;
 
       case 'input_audio_buffer.committed':
@@ -191,8 +174,20 @@ IMPORTANT:
         break;
 
       // Transcript events - CRITICAL FOR INTENT DETECTION
+      case 'conversation.item.input_audio_transcription.delta': {
+        // Partial transcript while the caller is still talking
+        const partial = (this.partialTranscripts.get(event.item_id) || '') + (event.delta || '');
+        this.partialTranscripts.set(event.item_id, partial);
+        this.emit('user_transcript_partial', {
+          transcript: partial,
+          item_id: event.item_id
+        });
+        break;
+      }
+
       case 'conversation.item.input_audio_transcription.completed':
         const userTranscript = event.transcript;
+        this.partialTranscripts.delete(event.item_id);
         logger.info('USER TRANSCRIPT COMPLETED', { 
           callId: this.callId,
           transcript: userTranscript 
@@ -235,7 +230,8 @@ IMPORTANT:
 
         this.emit('ai_transcript_completed', {
           transcript: event.transcript,
-          response_id: event.response_id
+          response_id: event.response_id,
+          item_id: event.item_id
         });
         break;
 
@@ -243,19 +239,36 @@ IMPORTANT:
       case 'response.audio.delta':
         // Stream audio chunk to user
         const audioChunk = Buffer.from(event.delta, 'base64');
+
+        // Audio of a response the caller already talked over
+        if (event.item_id && event.item_id === this.truncatedItemId) {
+          break;
+        }
+        this.trackPlayback(event.item_id, audioChunk.length, event.content_index || 0);
         this.emit('audio_output', audioChunk);
         break;
 
       case 'response.audio.done':
+        if (event.item_id && event.item_id === this.truncatedItemId) {
+          break;
+        }
         this.emit('audio_output_done');
         break;
 
       // Turn events
+      case 'response.created':
+        this.responseActive = true;
+        break;
+
       case 'response.done':
         logger.debug('Response completed', { 
           callId: this.callId,
           response_id: event.response.id 
         });
+        this.responseActive = false;
+        if (this.playback) {
+          this.playback.generating = false;
+        }
         this.emit('response_done', event.response);
         break;
 
@@ -341,27 +354,52 @@ IMPORTANT:
   }
 
   /**
-   * Interrupt current response (when user speaks)
+   * Ask the model to respond to the conversation as it stands
    */
-  interrupt() {
-    if (!this.isConnected) {
+  requestResponse() {
+    if (this.responseActive) {
       return;
     }
-
-    logger.debug('Interrupting current response', { callId: this.callId });
-    
-    const event = {
-      type: 'response.cancel'
-    };
-
-    this.send(event);
+    this.responseActive = true;
+    this.send({ type: 'response.create' });
   }
 
   /**
-   * Get conversation history
+   * Interrupt current response (when user speaks)
+   *
+   * Cancels generation if it is still running and truncates the assistant
+   * item at the point the caller stopped hearing it, so the model's memory of
+   * the conversation matches what was actually said.
+   *
+   * @returns {object|null} - { itemId, playedMs, audioMs } or null if nothing was playing
    */
-  getConversationHistory() {
-    return this.conversationContext;
+  interrupt() {
+    if (!this.isConnected || !this.isPlaying()) {
+      return null;
+    }
+
+    const { itemId, contentIndex, audioMs, generating } = this.playback;
+    const playedMs = Math.floor(this.getPlayedMs());
+
+    logger.debug('Interrupting current response', { callId: this.callId, itemId, playedMs });
+
+    if (generating) {
+      this.send({ type: 'response.cancel' });
+    }
+
+    if (itemId) {
+      this.send({
+        type: 'conversation.item.truncate',
+        item_id: itemId,
+        content_index: contentIndex,
+        audio_end_ms: playedMs
+      });
+      this.truncatedItemId = itemId;
+    }
+
+    this.playback = null;
+
+    return { itemId, playedMs, audioMs: Math.round(audioMs) };
   }
 
   /**
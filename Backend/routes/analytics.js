@@ -50,6 +50,24 @@ router.get('/kpis', async (req, res) => {
       params
     );
 
+    // Caller satisfaction (CSAT proxy from call sentiment)
+    const csatResult = await db.query(
+      `SELECT AVG(c.csat_proxy) as avg_csat,
+              COUNT(CASE WHEN c.csat_proxy >= 4 THEN 1 END) * 100.0 / NULLIF(COUNT(*), 0) as satisfaction_rate,
+              AVG(c.sentiment_score) as avg_sentiment,
+              COUNT(*) as rated_calls
+       FROM calls c ${whereClause} AND c.csat_proxy IS NOT NULL`,
+      params
+    );
+
+    // Barge-ins (callers talking over the bot)
+    const bargeInResult = await db.query(
+      `SELECT COALESCE(SUM(c.barge_in_count), 0) as total_barge_ins,
+              COUNT(CASE WHEN c.barge_in_count > 0 THEN 1 END) * 100.0 / NULLIF(COUNT(*), 0) as barge_in_rate
+       FROM calls c ${whereClause} AND c.end_ts IS NOT NULL`,
+      params
+    );
+
     // Actions breakdown
     const actionsResult = await db.query(
       `SELECT a.action_type, a.status, COUNT(*) as count
@@ -64,12 +82,20 @@ router.get('/kpis', async (req, res) => {
     const resolvedCalls = parseInt(resolvedCallsResult.rows[0].resolved);
     const automationRate = totalCalls > 0 ? (resolvedCalls / totalCalls) * 100 : 0;
     const avgHandlingTime = parseFloat(avgDurationResult.rows[0].avg_duration) || 0;
+    const csat = csatResult.rows[0];
+    const bargeIns = bargeInResult.rows[0];
 
     res.json({
       total_calls: totalCalls,
       resolved_calls: resolvedCalls,
       automation_rate: automationRate.toFixed(2) + '%',
       avg_handling_time_seconds: Math.round(avgHandlingTime),
+      csat_proxy: csat.avg_csat !== null ? parseFloat(parseFloat(csat.avg_csat).toFixed(2)) : null,
+      satisfaction_rate: parseFloat(parseFloat(csat.satisfaction_rate || 0).toFixed(2)),
+      avg_sentiment: csat.avg_sentiment !== null ? parseFloat(parseFloat(csat.avg_sentiment).toFixed(2)) : null,
+      csat_rated_calls: parseInt(csat.rated_calls),
+      barge_ins: parseInt(bargeIns.total_barge_ins),
+      barge_in_rate: parseFloat(parseFloat(bargeIns.barge_in_rate || 0).toFixed(2)),
       actions_breakdown: actionsResult.rows,
       period: {
         start: start_date || 'all_time',
@@ -46,7 +46,7 @@ router.get('/comprehensive', async (req, res) => {
           COUNT(*)::numeric * 100, 1
         ) as automation_rate,
         ROUND(AVG(EXTRACT(EPOCH FROM (end_ts - start_ts))), 1) as avg_handling_time,
-        ROUND(AVG(customer_satisfaction)::numeric, 2) as avg_satisfaction,
+        ROUND(AVG(COALESCE(customer_satisfaction, csat_proxy))::numeric, 2) as avg_satisfaction,
         ROUND(
           SUM(CASE WHEN resolved = false THEN 1 ELSE 0 END)::numeric / 
           COUNT(*)::numeric * 100, 1
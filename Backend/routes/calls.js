@@ -87,10 +87,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Call not found' });
     }
 
-    // Get associated actions
+    // Get associated actions (ownership already verified above)
     const actions = await db.query(
-      'SELECT * FROM actions WHERE call_id = $1 AND client_id = $2 ORDER BY timestamp ASC',
-      [id, userClientId]
+      'SELECT * FROM actions WHERE call_id = $1 ORDER BY created_at ASC',
+      [id]
     );
 
     // Get extracted entities
@@ -101,10 +101,16 @@ router.get('/:id', async (req, res) => {
       [id, userClientId]
     );
 
+    const callRow = call.rows[0];
+
     res.json({
-      call,
-      actions,
-      entities
+      call: callRow,
+      summary: callRow.summary || null,
+      disposition: callRow.disposition || null,
+      followUpRequired: callRow.follow_up_required || false,
+      tags: callRow.tags || [],
+      actions: actions.rows,
+      entities: entities.rows
     });
 
   } catch (error) {
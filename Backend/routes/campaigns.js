@@ -0,0 +1,261 @@
+// routes/campaigns.js - Outbound calling campaigns (MULTI-TENANT: scoped to user's client_id)
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const orchestrator = require(resolve('agents/orchestrator'));
+const CampaignService = require(resolve('services/campaignService'));
+const ExotelClient = require(resolve('services/exotelClient'));
+
+const CONTACT_STATUSES = ['pending', 'calling', 'retry', 'completed', 'failed', 'cancelled'];
+
+// Load a campaign of the user's tenant (sends 404 and returns null otherwise)
+const loadCampaign = async (req, res) => {
+  const campaign = await db.campaigns.getById(req.params.id, req.user.client_id);
+  if (!campaign) {
+    res.status(404).json({ error: 'Campaign not found' });
+    return null;
+  }
+  return campaign;
+};
+
+// Store contacts and report what was skipped
+const addContacts = async (campaign, { contacts, errors }) => {
+  const created = await db.campaignContacts.createMany(campaign.id, campaign.client_id, contacts);
+  return {
+    added: created.length,
+    duplicates: contacts.length - created.length,
+    invalid: errors.length,
+    errors: errors.slice(0, 50)
+  };
+};
+
+// GET /api/campaigns - Campaigns with contact counts
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await db.campaigns.listByClient(req.user.client_id);
+    res.json({
+      campaigns: campaigns.map(campaign => ({
+        ...campaign,
+        contacts: parseInt(campaign.contacts, 10),
+        finished: parseInt(campaign.finished, 10)
+      })),
+      types: Object.keys(CampaignService.TYPES).filter(type => !CampaignService.TYPES[type].system)
+    });
+  } catch (error) {
+    logger.error('Error listing campaigns', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to list campaigns' });
+  }
+});
+
+// POST /api/campaigns - Create a campaign (draft)
+router.post('/', async (req, res) => {
+  try {
+    const data = CampaignService.withDefaults({ ...req.body, status: 'draft' });
+    const validation = CampaignService.validate(data, Object.keys(orchestrator.agentRegistry));
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid campaign', details: validation.errors });
+    }
+
+    const campaign = await db.campaigns.create(req.user.client_id, data, req.user.id);
+
+    logger.info('Campaign created', {
+      campaignId: campaign.id,
+      clientId: req.user.client_id,
+      type: campaign.type,
+      userId: req.user.id
+    });
+
+    res.status(201).json(campaign);
+  } catch (error) {
+    logger.error('Error creating campaign', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// GET /api/campaigns/:id - Campaign with contact and outcome counts
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    res.json({
+      ...campaign,
+      stats: await CampaignService.getStats(campaign.id),
+      withinCallingWindow: CampaignService.isWithinCallingWindow(campaign)
+    });
+  } catch (error) {
+    logger.error('Error fetching campaign', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+// PUT /api/campaigns/:id - Edit script, voicemail, calling hours, concurrency or retry rules
+router.put('/:id', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    // Status changes go through /start and /pause
+    const { status, ...data } = req.body;
+    if (data.retry_rules) {
+      data.retry_rules = { ...campaign.retry_rules, ...data.retry_rules };
+    }
+    const validation = CampaignService.validate(
+      {
+        ...data,
+        calling_window_start: data.calling_window_start ?? campaign.calling_window_start.slice(0, 5),
+        calling_window_end: data.calling_window_end ?? campaign.calling_window_end.slice(0, 5)
+      },
+      Object.keys(orchestrator.agentRegistry),
+      true
+    );
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid campaign', details: validation.errors });
+    }
+
+    const updated = await db.campaigns.update(campaign.id, req.user.client_id, data);
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error updating campaign', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+// POST /api/campaigns/:id/start - Start (or resume) dialling
+router.post('/:id/start', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (!CampaignService.canTransition(campaign.status, 'active')) {
+      return res.status(409).json({ error: `Campaign is ${campaign.status}` });
+    }
+    if (!CampaignService.TYPES[campaign.type]?.system && await db.campaignContacts.countOpen(campaign.id) === 0) {
+      return res.status(400).json({ error: 'Campaign has no contacts left to call' });
+    }
+
+    const client = await db.clients.getById(req.user.client_id);
+    if (!ExotelClient.getCredentials(client)) {
+      return res.status(400).json({ error: 'Exotel outbound calling is not configured for this account' });
+    }
+
+    const updated = await db.campaigns.update(campaign.id, req.user.client_id, { status: 'active' });
+    logger.info('Campaign started', { campaignId: campaign.id, clientId: req.user.client_id, userId: req.user.id });
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error starting campaign', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to start campaign' });
+  }
+});
+
+// POST /api/campaigns/:id/pause - Stop placing new calls (calls in progress finish)
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (!CampaignService.canTransition(campaign.status, 'paused')) {
+      return res.status(409).json({ error: `Campaign is ${campaign.status}` });
+    }
+
+    const updated = await db.campaigns.update(campaign.id, req.user.client_id, { status: 'paused' });
+    logger.info('Campaign paused', { campaignId: campaign.id, clientId: req.user.client_id, userId: req.user.id });
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error pausing campaign', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to pause campaign' });
+  }
+});
+
+// POST /api/campaigns/:id/contacts - Upload contacts: { csv: "phone,name,order_id\n..." } or { contacts: [...] }
+router.post('/:id/contacts', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status === 'completed') {
+      return res.status(409).json({ error: 'Campaign is completed' });
+    }
+
+    let parsed;
+    if (typeof req.body.csv === 'string') {
+      parsed = CampaignService.parseCsv(req.body.csv);
+    } else if (Array.isArray(req.body.contacts)) {
+      if (req.body.contacts.length > CampaignService.MAX_CONTACTS_PER_UPLOAD) {
+        return res.status(400).json({ error: `At most ${CampaignService.MAX_CONTACTS_PER_UPLOAD} contacts per upload` });
+      }
+      parsed = CampaignService.normalizeContacts(
+        req.body.contacts.map((row, i) => ({ line: i + 1, row }))
+      );
+    } else {
+      return res.status(400).json({ error: 'Send a csv string or a contacts array' });
+    }
+
+    if (parsed.contacts.length === 0) {
+      return res.status(400).json({ error: 'No valid contacts', details: parsed.errors.slice(0, 50) });
+    }
+
+    const result = await addContacts(campaign, parsed);
+    logger.info('Campaign contacts uploaded', { campaignId: campaign.id, added: result.added, invalid: result.invalid });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Error uploading campaign contacts', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to upload contacts' });
+  }
+});
+
+// POST /api/campaigns/:id/contacts/shopify - Import contacts from open Shopify orders
+// Body: { codOnly, createdAtMin, fulfillmentStatus }
+router.post('/:id/contacts/shopify', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status === 'completed') {
+      return res.status(409).json({ error: 'Campaign is completed' });
+    }
+
+    const client = await db.clients.getById(req.user.client_id);
+    if (!client?.shopify_store_url) {
+      return res.status(400).json({ error: 'Shopify is not connected for this account' });
+    }
+
+    const parsed = await CampaignService.contactsFromShopify(client, {
+      codOnly: req.body.codOnly ?? campaign.type === 'cod_confirmation',
+      createdAtMin: req.body.createdAtMin,
+      fulfillmentStatus: req.body.fulfillmentStatus
+    });
+
+    const result = await addContacts(campaign, parsed);
+    logger.info('Campaign contacts imported from Shopify', { campaignId: campaign.id, added: result.added });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Error importing campaign contacts from Shopify', { error: error.message, userId: req.user?.id });
+    res.status(502).json({ error: 'Failed to import contacts from Shopify' });
+  }
+});
+
+// GET /api/campaigns/:id/contacts?status=&limit=&offset= - Contacts with their outcomes
+router.get('/:id/contacts', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const { status } = req.query;
+    if (status && !CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CONTACT_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const contacts = await db.campaignContacts.listByCampaign(campaign.id, { status, limit, offset });
+    res.json({ contacts, limit, offset });
+  } catch (error) {
+    logger.error('Error listing campaign contacts', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to list contacts' });
+  }
+});
+
+module.exports = router;
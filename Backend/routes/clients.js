@@ -6,6 +6,21 @@ const db = require(resolve('db/postgres'));
 const logger = require(resolve('utils/logger'));
 const { enforceClientAccess } = require(resolve('auth/authMiddleware'));
 const { validateBody, commonSchemas } = require(resolve('middleware/validation')); // ✅ PHASE 2 FIX 4
+const IntentConfigService = require(resolve('services/intentConfigService'));
+const IntentDetector = require(resolve('agents/intentDetector'));
+const HandoffService = require(resolve('services/handoffService'));
+const orchestrator = require(resolve('agents/orchestrator'));
+const SpeechSessionFactory = require(resolve('realtime/speechSessionFactory'));
+const DtmfService = require(resolve('services/dtmfService'));
+const ShopifyService = require(resolve('services/ShopifyService'));
+const TrackingService = require(resolve('services/trackingService'));
+const ExotelClient = require(resolve('services/exotelClient'));
+const { encrypt } = require(resolve('utils/encryption'));
+const { signStreamToken } = require(resolve('middleware/webhookVerifier'));
+const { getWebhookBaseUrl } = require(resolve('routes/exotel'));
+
+// Built-in intents, for checking keypad menu options
+const builtInIntents = new IntentDetector({ fallbackClassifier: null });
 
 // GET /api/clients/:id - Get single client (MULTI-TENANT: user can only access their own)
 router.get('/:id', enforceClientAccess, async (req, res) => {
@@ -72,12 +87,22 @@ router.put('/:id', enforceClientAccess, validateBody(commonSchemas.settingsUpdat
 
     // Note: validateBody middleware already validated required fields and formats
 
+    // Shopify credentials are stored on the client row with the token encrypted
+    // (agents connect with them); a blank secret keeps the saved credentials
+    const shopifyChanged = Boolean(shopifyStore && shopifyApiSecret);
+    if (shopifyChanged) {
+      await db.clients.updateShopifyCredentials(userClientId, {
+        storeUrl: shopifyStore.replace(/^https?:\/\//, '').replace(/\/+$/, ''),
+        apiKey: shopifyApiKey || null,
+        encryptedSecret: encrypt(shopifyApiSecret)
+      });
+    }
+
     // Build settings object
     const settings = {
       shopify: {
         store: shopifyStore,
-        apiKey: shopifyApiKey,
-        apiSecret: shopifyApiSecret
+        apiKey: shopifyApiKey
       },
       exotel: {
         number: exotelNumber,
@@ -101,10 +126,15 @@ router.put('/:id', enforceClientAccess, validateBody(commonSchemas.settingsUpdat
       }
     };
 
-    // Update client settings
+    // Update client settings (speech pipeline, keypad menu, courier tracking, callbacks and the outbound
+    // call flow are managed through /speech-config, /dtmf-config, /tracking-config, /callback-config
+    // and /outbound-config)
     const result = await db.query(
       `UPDATE clients 
-       SET settings = $1, updated_at = NOW() 
+       SET settings = $1::jsonb
+             || jsonb_build_object('exotel', ($1::jsonb->'exotel') || jsonb_strip_nulls(jsonb_build_object('outboundAppId', settings->'exotel'->'outboundAppId')))
+             || jsonb_strip_nulls(jsonb_build_object('speech', settings->'speech', 'dtmf', settings->'dtmf', 'tracking', settings->'tracking', 'callbacks', settings->'callbacks')),
+           updated_at = NOW() 
        WHERE id = $2 
        RETURNING id, name as company_name, settings`,
       [JSON.stringify(settings), userClientId]
@@ -116,6 +146,10 @@ router.put('/:id', enforceClientAccess, validateBody(commonSchemas.settingsUpdat
 
     const updatedClient = result.rows[0];
 
+    if (shopifyChanged) {
+      ShopifyService.invalidateClient(userClientId);
+    }
+
     logger.info('Client updated', { 
       clientId: userClientId, 
       userId: req.user.id 
@@ -171,10 +205,10 @@ router.get('/:id/stats', enforceClientAccess, async (req, res) => {
     // Get satisfaction rate
     const satisfactionResult = await db.query(
       `SELECT 
-        COUNT(CASE WHEN feedback_score >= 4 THEN 1 END) * 100.0 / 
+        COUNT(CASE WHEN csat_proxy >= 4 THEN 1 END) * 100.0 / 
         NULLIF(COUNT(*), 0) as satisfaction_rate
        FROM calls 
-       WHERE client_id = $1 AND feedback_score IS NOT NULL`,
+       WHERE client_id = $1 AND csat_proxy IS NOT NULL`,
       [userClientId]
     );
 
@@ -203,6 +237,631 @@ router.get('/:id/stats', enforceClientAccess, async (req, res) => {
   }
 });
 
+// GET /api/clients/:id/intent-config - Get custom intent/entity patterns (MULTI-TENANT)
+router.get('/:id/intent-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const row = await db.intentConfigs.getByClient(userClientId);
+
+    res.json({
+      clientId: userClientId,
+      ...IntentConfigService.fromRow(row),
+      availableAgents: Object.keys(orchestrator.agentRegistry),
+      updatedAt: row?.updated_at || null
+    });
+
+  } catch (error) {
+    logger.error('Error fetching intent config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch intent configuration' });
+  }
+});
+
+// PUT /api/clients/:id/intent-config - Replace custom intent/entity patterns (MULTI-TENANT)
+router.put('/:id/intent-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const { intentPatterns, entityPatterns, intentAgentMap } = req.body;
+    const config = { intentPatterns, entityPatterns, intentAgentMap };
+
+    const { valid, errors } = IntentConfigService.validate(
+      config,
+      Object.keys(orchestrator.agentRegistry)
+    );
+
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid intent configuration', details: errors });
+    }
+
+    const row = await db.intentConfigs.upsert(userClientId, config, req.user.id);
+
+    // New calls pick up the change immediately
+    IntentConfigService.invalidate(userClientId);
+
+    logger.info('Client intent config updated', {
+      clientId: userClientId,
+      userId: req.user.id,
+      intents: Object.keys(intentPatterns || {}),
+      entities: Object.keys(entityPatterns || {})
+    });
+
+    res.json({
+      clientId: userClientId,
+      ...IntentConfigService.fromRow(row),
+      updatedAt: row.updated_at,
+      message: 'Intent configuration updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating intent config', {
+      error: error.message,
+      userId: req.user?.id,
+      clientId: req.user?.client_id
+    });
+    res.status(500).json({ error: 'Failed to update intent configuration' });
+  }
+});
+
+// DELETE /api/clients/:id/intent-config - Reset to built-in patterns (MULTI-TENANT)
+router.delete('/:id/intent-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    await db.intentConfigs.remove(userClientId);
+    IntentConfigService.invalidate(userClientId);
+
+    logger.info('Client intent config reset', {
+      clientId: userClientId,
+      userId: req.user.id
+    });
+
+    res.json({ message: 'Intent configuration reset to defaults' });
+
+  } catch (error) {
+    logger.error('Error resetting intent config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to reset intent configuration' });
+  }
+});
+
+// GET /api/clients/:id/handoff-config - Get human handoff target (MULTI-TENANT)
+router.get('/:id/handoff-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      clientId: userClientId,
+      target: client.handoff_target || null,
+      enabled: client.handoff_enabled !== false
+    });
+
+  } catch (error) {
+    logger.error('Error fetching handoff config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch handoff configuration' });
+  }
+});
+
+// PUT /api/clients/:id/handoff-config - Set number(s) calls are transferred to (MULTI-TENANT)
+router.put('/:id/handoff-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const { target, enabled = true } = req.body;
+
+    // Clearing the target switches handoff off
+    if (target !== null && target !== '') {
+      const error = HandoffService.validateTarget(target);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid handoff target', details: error });
+      }
+    }
+
+    const normalizedTarget = target
+      ? target.split(',').map(n => n.trim()).join(',')
+      : null;
+
+    const row = await db.clients.updateHandoff(userClientId, {
+      target: normalizedTarget,
+      enabled: Boolean(enabled)
+    });
+
+    if (!row) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    logger.info('Client handoff config updated', {
+      clientId: userClientId,
+      userId: req.user.id,
+      enabled: row.handoff_enabled
+    });
+
+    res.json({
+      clientId: userClientId,
+      target: row.handoff_target,
+      enabled: row.handoff_enabled,
+      message: 'Handoff configuration updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating handoff config', {
+      error: error.message,
+      userId: req.user?.id,
+      clientId: req.user?.client_id
+    });
+    res.status(500).json({ error: 'Failed to update handoff configuration' });
+  }
+});
+
+// GET /api/clients/:id/speech-config - Speech pipeline and providers (MULTI-TENANT)
+router.get('/:id/speech-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      clientId: userClientId,
+      speech: SpeechSessionFactory.getConfig(client.settings?.speech),
+      overrides: client.settings?.speech || {}
+    });
+
+  } catch (error) {
+    logger.error('Error fetching speech config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch speech configuration' });
+  }
+});
+
+// PUT /api/clients/:id/speech-config - Choose Realtime or cascaded ASR/LLM/TTS (MULTI-TENANT)
+router.put('/:id/speech-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const { pipeline, asr, llm, tts, voice, language } = req.body;
+    // Unset fields fall back to the environment defaults
+    const speech = Object.fromEntries(
+      Object.entries({ pipeline, asr, llm, tts, voice, language }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+
+    const { valid, errors } = SpeechSessionFactory.validate(speech);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid speech configuration', details: errors });
+    }
+
+    const row = await db.clients.updateSpeechSettings(userClientId, speech);
+
+    if (!row) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    logger.info('Client speech config updated', {
+      clientId: userClientId,
+      userId: req.user.id,
+      pipeline: speech.pipeline
+    });
+
+    res.json({
+      clientId: userClientId,
+      speech: SpeechSessionFactory.getConfig(speech),
+      overrides: speech,
+      message: 'Speech configuration updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating speech config', {
+      error: error.message,
+      userId: req.user?.id,
+      clientId: req.user?.client_id
+    });
+    res.status(500).json({ error: 'Failed to update speech configuration' });
+  }
+});
+
+// GET /api/clients/:id/tracking-config - Courier tracking providers (MULTI-TENANT)
+router.get('/:id/tracking-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      clientId: userClientId,
+      tracking: TrackingService.describeConfig(client.settings?.tracking)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching tracking config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch tracking configuration' });
+  }
+});
+
+// PUT /api/clients/:id/tracking-config - Choose Shiprocket / Delhivery and their credentials (MULTI-TENANT)
+// Body: { provider, carriers: { 'blue dart': 'shiprocket' }, shiprocket: { email, password }, delhivery: { apiToken },
+//         returnAddress: { name, phone, address, city, state, pincode } }
+// Blank credentials keep the saved ones; null removes them. Reverse pickups need the return address.
+router.put('/:id/tracking-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const { provider, carriers, shiprocket, delhivery, returnAddress } = req.body;
+    const input = Object.fromEntries(
+      Object.entries({ provider, carriers, shiprocket, delhivery, returnAddress }).filter(([, value]) => value !== undefined && value !== '')
+    );
+
+    const { valid, errors } = TrackingService.validate(input);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid tracking configuration', details: errors });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const tracking = TrackingService.prepareSettings(input, client.settings?.tracking);
+    await db.clients.updateTrackingSettings(userClientId, tracking);
+    TrackingService.invalidateClient(userClientId);
+
+    logger.info('Client tracking config updated', {
+      clientId: userClientId,
+      userId: req.user.id,
+      provider: tracking.provider
+    });
+
+    res.json({
+      clientId: userClientId,
+      tracking: TrackingService.describeConfig(tracking),
+      message: 'Tracking configuration updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating tracking config', {
+      error: error.message,
+      userId: req.user?.id,
+      clientId: req.user?.client_id
+    });
+    res.status(500).json({ error: 'Failed to update tracking configuration' });
+  }
+});
+
+// GET /api/clients/:id/dtmf-config - Keypad menu (MULTI-TENANT)
+router.get('/:id/dtmf-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      clientId: userClientId,
+      menu: client.settings?.dtmf?.menu || { enabled: false, options: {} }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching DTMF config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch keypad configuration' });
+  }
+});
+
+// PUT /api/clients/:id/dtmf-config - Set the keypad menu, e.g. 1 = order status (MULTI-TENANT)
+router.put('/:id/dtmf-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const menu = {
+      enabled: req.body.enabled === true,
+      options: req.body.options || {}
+    };
+
+    const intents = await IntentConfigService.getIntentNames(userClientId, builtInIntents);
+    const { valid, errors } = DtmfService.validateMenu(menu, { intents });
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid keypad menu', details: errors });
+    }
+
+    const row = await db.clients.updateDtmfSettings(userClientId, { menu });
+
+    if (!row) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    logger.info('Client keypad menu updated', {
+      clientId: userClientId,
+      userId: req.user.id,
+      enabled: menu.enabled,
+      options: Object.keys(menu.options).length
+    });
+
+    res.json({
+      clientId: userClientId,
+      menu,
+      message: 'Keypad configuration updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating DTMF config', {
+      error: error.message,
+      userId: req.user?.id,
+      clientId: req.user?.client_id
+    });
+    res.status(500).json({ error: 'Failed to update keypad configuration' });
+  }
+});
+
+// GET /api/clients/:id/callback-config - Automatic callbacks for callers who hung up mid-flow (MULTI-TENANT)
+router.get('/:id/callback-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      clientId: userClientId,
+      enabled: client.settings?.callbacks?.enabled !== false
+    });
+
+  } catch (error) {
+    logger.error('Error fetching callback config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch callback configuration' });
+  }
+});
+
+// PUT /api/clients/:id/callback-config - Turn automatic callbacks on or off (MULTI-TENANT)
+router.put('/:id/callback-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid callback configuration', details: ['enabled must be true or false'] });
+    }
+
+    const callbacks = { enabled: req.body.enabled };
+    const row = await db.clients.updateCallbackSettings(userClientId, callbacks);
+
+    if (!row) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    logger.info('Client callback config updated', {
+      clientId: userClientId,
+      userId: req.user.id,
+      enabled: callbacks.enabled
+    });
+
+    res.json({
+      clientId: userClientId,
+      enabled: callbacks.enabled,
+      message: 'Callback configuration updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating callback config', {
+      error: error.message,
+      userId: req.user?.id,
+      clientId: req.user?.client_id
+    });
+    res.status(500).json({ error: 'Failed to update callback configuration' });
+  }
+});
+
+// GET /api/clients/:id/outbound-config - Call flow used for outbound calls (MULTI-TENANT)
+router.get('/:id/outbound-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      clientId: userClientId,
+      appId: client.settings?.exotel?.outboundAppId || null,
+      configured: Boolean(ExotelClient.getCredentials(client))
+    });
+
+  } catch (error) {
+    logger.error('Error fetching outbound config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch outbound calling configuration' });
+  }
+});
+
+// PUT /api/clients/:id/outbound-config - Exotel app (call flow with the Voicebot applet) that outbound
+// calls connect to; null falls back to EXOTEL_OUTBOUND_APP_ID (MULTI-TENANT)
+router.put('/:id/outbound-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const appId = req.body.appId === null || req.body.appId === '' ? null : String(req.body.appId ?? '').trim();
+    if (appId !== null && !/^\d{1,12}$/.test(appId)) {
+      return res.status(400).json({ error: 'Invalid outbound calling configuration', details: ['appId must be the numeric Exotel app ID'] });
+    }
+
+    const row = await db.clients.updateOutboundApp(userClientId, appId);
+
+    if (!row) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    logger.info('Client outbound config updated', {
+      clientId: userClientId,
+      userId: req.user.id,
+      appId
+    });
+
+    res.json({
+      clientId: userClientId,
+      appId,
+      message: 'Outbound calling configuration updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating outbound config', {
+      error: error.message,
+      userId: req.user?.id,
+      clientId: req.user?.client_id
+    });
+    res.status(500).json({ error: 'Failed to update outbound calling configuration' });
+  }
+});
+
+// GET /api/clients/:id/stream-config - Signed stream URL for a Voicebot applet with a static URL (MULTI-TENANT)
+router.get('/:id/stream-config', enforceClientAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userClientId = req.user.client_id;
+
+    if (id !== userClientId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const client = await db.clients.getById(userClientId);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const token = client.exotel_number ? signStreamToken(client.exotel_number) : null;
+    if (!token) {
+      return res.status(409).json({ error: 'An Exotel number and webhook secret are required for stream URLs' });
+    }
+
+    res.json({
+      clientId: userClientId,
+      exotelNumber: client.exotel_number,
+      url: `${getWebhookBaseUrl().replace(/^http/, 'ws')}/audio?token=${token}`
+    });
+
+  } catch (error) {
+    logger.error('Error fetching stream config', {
+      error: error.message,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to fetch stream configuration' });
+  }
+});
+
 // GET /api/analytics/dashboard - Get dashboard data (MULTI-TENANT)
 router.get('/analytics/dashboard', enforceClientAccess, async (req, res) => {
   try {
@@ -248,10 +907,10 @@ router.get('/analytics/dashboard', enforceClientAccess, async (req, res) => {
     // Satisfaction
     const satisfactionResult = await db.query(
       `SELECT 
-        ROUND(COUNT(CASE WHEN feedback_score >= 4 THEN 1 END) * 100.0 / 
+        ROUND(COUNT(CASE WHEN csat_proxy >= 4 THEN 1 END) * 100.0 / 
         NULLIF(COUNT(*), 0), 2) as satisfaction_rate
        FROM calls 
-       WHERE client_id = $1 AND feedback_score IS NOT NULL AND DATE(start_ts) = CURRENT_DATE`,
+       WHERE client_id = $1 AND csat_proxy IS NOT NULL AND DATE(start_ts) = CURRENT_DATE`,
       [userClientId]
     );
 
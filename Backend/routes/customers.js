@@ -0,0 +1,53 @@
+// routes/customers.js - Cross-call customer profiles for the dashboard
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const CallerLookupService = require(resolve('services/callerLookupService'));
+const CustomerProfileService = require(resolve('services/customerProfileService'));
+
+// GET /api/customers/:phone - Caller profile and recent calls (MULTI-TENANT: scoped to user's client_id)
+router.get('/:phone', async (req, res) => {
+  try {
+    const userClientId = req.user.client_id;
+    const phone = CallerLookupService.normalizePhone(req.params.phone);
+
+    if (!phone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const profile = await db.customerProfiles.getByPhone(userClientId, phone);
+
+    // phone_from is stored as Exotel sent it (e.g. 09876543210) - match on the last 10 digits
+    const callsResult = await db.query(
+      `SELECT id, start_ts, end_ts, duration_seconds, resolved, handoff_status
+       FROM calls
+       WHERE client_id = $1 AND RIGHT(regexp_replace(phone_from, '\\D', '', 'g'), 10) = $2
+       ORDER BY start_ts DESC
+       LIMIT 20`,
+      [userClientId, phone.slice(-10)]
+    );
+
+    if (!profile && callsResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json({
+      phone,
+      name: profile?.name || null,
+      preferredLanguage: profile?.preferred_language || null,
+      callCount: profile?.call_count || callsResult.rows.length,
+      lastCallAt: profile?.last_call_at || callsResult.rows[0]?.start_ts || null,
+      callSummaries: profile?.call_summaries || [],
+      openIssues: CustomerProfileService.getOpenIssues(profile),
+      recentCalls: callsResult.rows
+    });
+
+  } catch (error) {
+    logger.error('Error fetching customer profile', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch customer profile' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,12 @@ const resolve = require('../utils/moduleResolver');
 const db = require(resolve('db/postgres'));
 const logger = require(resolve('utils/logger'));
 const { queueRecordingUpload } = require(resolve('services/recordingService'));
+const HandoffService = require(resolve('services/handoffService'));
+const CallerLookupService = require(resolve('services/callerLookupService'));
+const CampaignService = require(resolve('services/campaignService'));
+const { signStreamToken } = require(resolve('middleware/webhookVerifier'));
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Get webhook base URL - strict production validation
 const getWebhookBaseUrl = () => {
@@ -24,6 +30,10 @@ const getWebhookBaseUrl = () => {
   return 'http://localhost:3000';
 };
 
+// Stream URL for a call created by a webhook, signed so /audio accepts it
+const getStreamUrl = (callId) =>
+  `${getWebhookBaseUrl().replace(/^http/, 'ws')}/audio?callId=${callId}&token=${signStreamToken(callId)}`;
+
 logger.info('Webhook base URL configured', {
   baseUrl: getWebhookBaseUrl(),
   isRailway: !!process.env.RAILWAY_PUBLIC_DOMAIN,
@@ -38,7 +48,8 @@ const handleCallStart = async (req, res) => {
       From,
       To,
       CallStatus,
-      Direction
+      Direction,
+      CustomField
     } = req.body;
 
     logger.info('Exotel call started', {
@@ -49,6 +60,12 @@ const handleCallStart = async (req, res) => {
       direction: Direction
     });
 
+    // Campaign call we dialled - CustomField carries our call ID
+    const outboundCall = UUID.test(CustomField || '') ? await db.calls.getById(CustomField) : null;
+    if (outboundCall?.direction === 'outbound') {
+      return startOutboundCall(req, res, outboundCall);
+    }
+
     // Get client by Exotel number
     const clients = await db.clients.getActive();
     const client = clients.find(c => c.exotel_number === To);
@@ -66,6 +83,9 @@ const handleCallStart = async (req, res) => {
       phone_to: To
     });
 
+    // Warm up the caller lookup while Exotel plays the greeting
+    CallerLookupService.prefetch(client.id, From);
+
     // Log audit event
     await db.auditLog({
       call_id: call.id,
@@ -86,7 +106,8 @@ const handleCallStart = async (req, res) => {
         },
         Stream: {
           _attributes: {
-            url: `${getWebhookBaseUrl()}/audio?callId=${call.id}`,
+            // Exotel opens the stream over wss:// (ws:// in local development)
+            url: getStreamUrl(call.id),
             track: 'both_tracks' // Record both inbound and outbound
           }
         }
@@ -105,6 +126,80 @@ const handleCallStart = async (req, res) => {
   }
 };
 
+// Answered campaign call: no greeting, the bot opens with the campaign script
+const startOutboundCall = async (req, res, call) => {
+  const { CallSid, CallStatus, AnsweredBy } = req.body;
+
+  // Exotel's answering-machine verdict, if the flow has one - the session
+  // falls back to listening to the first seconds of audio
+  const updates = {
+    ...(CallSid && call.call_sid !== CallSid && { call_sid: CallSid }),
+    ...(AnsweredBy && { answered_by: AnsweredBy })
+  };
+  if (Object.keys(updates).length > 0) {
+    await db.calls.update(call.id, updates);
+  }
+
+  CallerLookupService.prefetch(call.client_id, call.phone_from);
+
+  await db.auditLog({
+    call_id: call.id,
+    client_id: call.client_id,
+    event_type: 'call_started',
+    payload: { CallSid, direction: 'outbound', campaignId: call.campaign_id, CallStatus, AnsweredBy },
+    ip_address: req.ip
+  });
+
+  res.set('Content-Type', 'application/json');
+  res.status(200).json({
+    Response: {
+      Stream: {
+        _attributes: {
+          url: getStreamUrl(call.id),
+          track: 'both_tracks'
+        }
+      }
+    }
+  });
+};
+
+// Terminal status of a campaign call (StatusCallback of Calls/connect)
+const handleOutboundStatus = async (req, res) => {
+  try {
+    const { CallSid, Status, CustomField } = req.body;
+
+    logger.info('Exotel outbound call status', { callSid: CallSid, status: Status });
+
+    const call = (CallSid && await db.calls.getBySid(CallSid)) ||
+      (UUID.test(CustomField || '') ? await db.calls.getById(CustomField) : null);
+    if (!call) {
+      logger.error('Outbound call not found', { callSid: CallSid });
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    if (!call.end_ts && Status !== 'completed') {
+      await db.calls.update(call.id, { end_ts: new Date(), duration_seconds: 0 });
+    }
+    await CampaignService.recordCallStatus(call, Status);
+
+    await db.auditLog({
+      call_id: call.id,
+      client_id: call.client_id,
+      event_type: 'outbound_call_status',
+      payload: { CallSid, Status },
+      ip_address: req.ip
+    });
+
+    res.status(200).json({ status: 'success' });
+  } catch (error) {
+    logger.error('Error handling outbound call status', { 
+      error: error.message,
+      stack: error.stack 
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 // Handle call end webhook from Exotel
 const handleCallEnd = async (req, res) => {
   try {
@@ -262,8 +357,71 @@ const handleRecording = async (req, res) => {
   }
 };
 
+// Connect applet "dial whom" URL - number(s) to bridge a transferred call to
+const handleHandoffTarget = async (req, res) => {
+  try {
+    const { CallSid } = req.query;
+
+    const target = await HandoffService.getDialTarget(CallSid);
+
+    if (!target) {
+      logger.warn('No pending handoff for call', { callSid: CallSid });
+      return res.status(404).json({ error: 'No pending handoff' });
+    }
+
+    logger.info('Handoff target requested', { callSid: CallSid });
+
+    // Exotel expects a plain-text number (comma-separated numbers are dialled in turn)
+    res.set('Content-Type', 'text/plain');
+    res.status(200).send(target);
+
+  } catch (error) {
+    logger.error('Error handling handoff target', { 
+      error: error.message,
+      stack: error.stack 
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Connect applet status callback - outcome of the transfer
+const handleHandoffStatus = async (req, res) => {
+  try {
+    const {
+      CallSid,
+      DialCallStatus
+    } = req.body;
+
+    logger.info('Exotel handoff status', {
+      callSid: CallSid,
+      dialStatus: DialCallStatus
+    });
+
+    const call = await HandoffService.recordOutcome(CallSid, DialCallStatus);
+
+    if (!call) {
+      logger.error('Call not found for handoff status', { callSid: CallSid });
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    res.status(200).json({ status: 'success', handoffStatus: call.handoff_status });
+
+  } catch (error) {
+    logger.error('Error handling handoff status', { 
+      error: error.message,
+      stack: error.stack 
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
+  getWebhookBaseUrl,
+  getStreamUrl,
   handleCallStart,
+  handleOutboundStatus,
   handleCallEnd,
-  handleRecording
+  handleRecording,
+  handleHandoffTarget,
+  handleHandoffStatus
 };
\ No newline at end of file
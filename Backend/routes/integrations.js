@@ -0,0 +1,129 @@
+// routes/integrations.js - Store integrations (MULTI-TENANT: scoped to user's client_id)
+//
+// Shopify app install: POST /api/integrations/shopify/install returns Shopify's
+// authorize URL; Shopify calls back on handleShopifyCallback, notifies
+// uninstalls on handleShopifyUninstall and order changes on handleShopifyWebhook
+// (all public, registered in server.js).
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const ShopifyOAuthService = require(resolve('services/shopifyOAuthService'));
+const ShopifyOrderSync = require(resolve('services/shopifyOrderSync'));
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// GET /api/integrations/shopify - Connection status
+router.get('/shopify', async (req, res) => {
+  try {
+    const client = await db.clients.getById(req.user.client_id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const installed = ShopifyOAuthService.isInstalled(client);
+    const connected = Boolean(client.shopify_store_url && client.shopify_api_secret);
+
+    res.json({
+      connected,
+      method: connected ? (installed ? 'oauth' : 'manual') : null,
+      shop: client.shopify_store_url || null,
+      scopes: installed ? (client.shopify_scopes || '').split(',').filter(Boolean) : [],
+      installedAt: client.shopify_installed_at || null,
+      uninstalledAt: client.shopify_uninstalled_at || null,
+      installAvailable: Boolean(ShopifyOAuthService.getAppCredentials())
+    });
+  } catch (error) {
+    logger.error('Error fetching Shopify integration', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch Shopify integration' });
+  }
+});
+
+// POST /api/integrations/shopify/install - Start the app install
+// Body: { shop: 'your-store.myshopify.com', returnTo: 'onboarding' | 'settings' }
+router.post('/shopify/install', async (req, res) => {
+  try {
+    if (!ShopifyOAuthService.getAppCredentials()) {
+      return res.status(503).json({ error: 'Shopify app install is not configured' });
+    }
+
+    const shop = ShopifyOAuthService.normalizeShop(req.body.shop);
+    if (!shop) {
+      return res.status(400).json({ error: 'Enter your store as your-store.myshopify.com' });
+    }
+
+    const authorizeUrl = ShopifyOAuthService.buildInstallUrl(req.user.client_id, shop, req.body.returnTo);
+
+    logger.info('Shopify install started', { clientId: req.user.client_id, shop, userId: req.user.id });
+    res.json({ authorizeUrl, shop });
+  } catch (error) {
+    logger.error('Error starting Shopify install', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to start Shopify install' });
+  }
+});
+
+// GET /integrations/shopify/callback - Shopify's redirect after the merchant approves
+const handleShopifyCallback = async (req, res) => {
+  if (!ShopifyOAuthService.getAppCredentials()) {
+    return res.status(503).send('Shopify app install is not configured');
+  }
+
+  const result = await ShopifyOAuthService.completeInstall(req.query);
+  const page = result.returnTo || 'settings';
+
+  if (result.error) {
+    logger.warn('Shopify install rejected', { shop: req.query.shop, reason: result.error });
+    return res.redirect(`${frontendUrl()}/${page}?shopify=error&reason=${result.error}`);
+  }
+
+  res.redirect(`${frontendUrl()}/${page}?shopify=connected&shop=${encodeURIComponent(result.shop)}`);
+};
+
+// POST /webhooks/shopify/app-uninstalled - Merchant removed the app
+const handleShopifyUninstall = async (req, res) => {
+  try {
+    if (!ShopifyOAuthService.getAppCredentials()) {
+      return res.status(503).json({ error: 'Shopify app install is not configured' });
+    }
+    if (!ShopifyOAuthService.verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'))) {
+      logger.warn('Invalid Shopify webhook signature', { path: req.path, shop: req.get('X-Shopify-Shop-Domain') });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    await ShopifyOAuthService.handleUninstall(req.get('X-Shopify-Shop-Domain') || req.body?.myshopify_domain);
+    res.status(200).json({ received: true });
+  } catch (error) {
+    logger.error('Error handling Shopify uninstall', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// POST /webhooks/shopify - Order changes (orders/updated, orders/cancelled,
+// fulfillments/create|update, refunds/create) for shopify_orders
+const handleShopifyWebhook = async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+
+  try {
+    if (!ShopifyOAuthService.getAppCredentials()) {
+      return res.status(503).json({ error: 'Shopify app install is not configured' });
+    }
+    if (!ShopifyOAuthService.verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'))) {
+      logger.warn('Invalid Shopify webhook signature', { path: req.path, topic, shop });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    await ShopifyOrderSync.handleWebhook(topic, ShopifyOAuthService.normalizeShop(shop), req.body);
+    res.status(200).json({ received: true });
+  } catch (error) {
+    // Non-2xx makes Shopify retry the delivery
+    logger.error('Error handling Shopify webhook', { topic, shop, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = router;
+module.exports.handleShopifyCallback = handleShopifyCallback;
+module.exports.handleShopifyUninstall = handleShopifyUninstall;
+module.exports.handleShopifyWebhook = handleShopifyWebhook;
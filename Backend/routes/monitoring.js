@@ -3,6 +3,7 @@
  * GET /api/monitoring/health - Full health report
  * GET /api/monitoring/metrics - Performance metrics
  * GET /api/monitoring/circuit-breakers - Circuit breaker status
+ * GET /api/monitoring/latency - Call turn latency percentiles for the user's company
  */
 
 const express = require('express');
@@ -12,6 +13,7 @@ const logger = require(resolve('utils/logger'));
 const { authMiddleware } = require(resolve('auth/authMiddleware'));
 const { apm } = require(resolve('utils/apmMonitoring'));
 const { manager: cbManager } = require(resolve('utils/circuitBreaker'));
+const LatencyService = require(resolve('services/latencyService'));
 
 /**
  * Full health report - includes APM, circuit breakers, system info
@@ -115,6 +117,36 @@ router.get('/system', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Call turn latency - p50/p95/p99 overall and per agent type
+ * (MULTI-TENANT: only the user's company)
+ * GET /api/monitoring/latency?start_date=&end_date=&agent_type=
+ */
+router.get('/latency', authMiddleware, async (req, res) => {
+  try {
+    const userClientId = req.user.client_id;
+    const { start_date, end_date, agent_type } = req.query;
+
+    const breakdown = await LatencyService.getBreakdown(userClientId, {
+      startDate: start_date,
+      endDate: end_date,
+      agentType: agent_type
+    });
+
+    res.json({
+      clientId: userClientId,
+      period: { start_date: start_date || null, end_date: end_date || null },
+      ...breakdown
+    });
+  } catch (error) {
+    logger.error('Latency breakdown error', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Reset metrics (admin only) - useful for testing
  * POST /api/monitoring/reset
@@ -7,6 +7,8 @@ const db = require(resolve('db/postgres'));
 const { authMiddleware } = require(resolve('auth/authMiddleware'));
 const { encrypt, decrypt } = require(resolve('utils/encryption'));
 const { validateBody, commonSchemas } = require(resolve('middleware/validation')); // ✅ PHASE 2 FIX 4
+const ShopifyService = require(resolve('services/ShopifyService'));
+const ShopifyOAuthService = require(resolve('services/shopifyOAuthService'));
 
 // Validate Shopify credentials
 async function validateShopifyCredentials(apiKey, apiSecret, storeUrl) {
@@ -52,7 +54,8 @@ router.get('/status', authMiddleware, async (req, res) => {
 
     const result = await db.query(
       `SELECT 
-        shopify_api_key, 
+        shopify_store_url, 
+        shopify_api_secret, 
         exotel_number,
         is_configured,
         onboarding_completed_at
@@ -68,7 +71,7 @@ router.get('/status', authMiddleware, async (req, res) => {
     const client = result.rows[0];
     res.json({
       isConfigured: client.is_configured,
-      hasShopify: !!client.shopify_api_key,
+      hasShopify: !!(client.shopify_store_url && client.shopify_api_secret),
       hasExotel: !!client.exotel_number,
       completedAt: client.onboarding_completed_at
     });
@@ -104,8 +107,13 @@ router.post('/complete', authMiddleware, validateBody(commonSchemas.onboardingCo
 
     const errors = {};
 
+    // A store connected through the Shopify app install needs no pasted keys and is kept
+    const existing = await db.clients.getById(client_id);
+    const shopifyInstalled = ShopifyOAuthService.isInstalled(existing);
+    const manualShopify = !skipShopify && !shopifyInstalled;
+
     // ✅ NEW: Validate Shopify only if not skipped
-    if (!skipShopify) {
+    if (manualShopify) {
       if (!shopifyStore) errors.shopifyStore = 'Store URL required';
       if (!shopifyApiKey) errors.shopifyApiKey = 'API Key required';
       if (!shopifyApiSecret) errors.shopifyApiSecret = 'API Secret required';
@@ -124,7 +132,7 @@ router.post('/complete', authMiddleware, validateBody(commonSchemas.onboardingCo
 
     // ✅ NEW: Validate Shopify credentials only if Shopify is configured
     let encryptedShopifySecret = null;
-    if (!skipShopify && shopifyStore && shopifyApiKey && shopifyApiSecret) {
+    if (manualShopify && shopifyStore && shopifyApiKey && shopifyApiSecret) {
       logger.info('Validating Shopify credentials', { store: shopifyStore });
       const shopifyValid = await validateShopifyCredentials(shopifyApiKey, shopifyApiSecret, shopifyStore);
       
@@ -175,9 +183,9 @@ router.post('/complete', authMiddleware, validateBody(commonSchemas.onboardingCo
 
     const result = await db.query(query, [
       companyName || null,
-      skipShopify ? null : shopifyStore,
-      skipShopify ? null : shopifyApiKey,
-      skipShopify ? null : encryptedShopifySecret,
+      shopifyInstalled ? existing.shopify_store_url : (skipShopify ? null : shopifyStore),
+      shopifyInstalled ? existing.shopify_api_key : (skipShopify ? null : shopifyApiKey),
+      shopifyInstalled ? existing.shopify_api_secret : (skipShopify ? null : encryptedShopifySecret),
       skipExotel ? null : exotelNumber,
       skipExotel ? null : exotelSid,
       skipExotel ? null : encryptedExotelToken,
@@ -195,11 +203,14 @@ router.post('/complete', authMiddleware, validateBody(commonSchemas.onboardingCo
       return res.status(404).json({ error: 'Client not found' });
     }
 
+    // Agents pick up the new store on their next Shopify call
+    ShopifyService.invalidateClient(client_id);
+
     logger.info('Onboarding completed', { 
       client_id, 
       skipShopify,
       skipExotel,
-      store: skipShopify ? 'SKIPPED' : shopifyStore,
+      store: shopifyInstalled ? existing.shopify_store_url : (skipShopify ? 'SKIPPED' : shopifyStore),
       exotel_number: skipExotel ? 'SKIPPED' : exotelNumber
     });
 
@@ -217,7 +228,7 @@ router.post('/complete', authMiddleware, validateBody(commonSchemas.onboardingCo
   }
 });
 
-// POST - Test integration connection
+// POST - Test pasted private-app credentials (the app install at /api/integrations/shopify/install needs none)
 router.post('/test-shopify', authMiddleware, async (req, res) => {
   try {
     const { shopifyStore, shopifyApiKey, shopifyApiSecret } = req.body;
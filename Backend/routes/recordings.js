@@ -44,7 +44,9 @@ router.get('/:callId', authMiddleware, async (req, res) => {
       callId,
       recordingUrl: preSignedUrl,
       duration: call.duration_seconds,
-      uploadedAt: call.end_ts
+      uploadedAt: call.end_ts,
+      // Channel layout and segment offsets for syncing playback with the transcript
+      metadata: call.recording_metadata || null
     });
   } catch (error) {
     logger.error('Error retrieving recording', {
@@ -0,0 +1,54 @@
+// routes/returns.js - Returns and exchanges with their reverse pickups (MULTI-TENANT: scoped to user's client_id)
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const ReversePickupService = require(resolve('services/reversePickupService'));
+
+const STATUSES = Object.values(ReversePickupService.RETURN_STATUS);
+const MAX_LIMIT = 200;
+
+// GET /api/returns?status=pickup_scheduled&limit=50&offset=0 - Latest returns first
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const rows = await db.returns.listByClient(req.user.client_id, { status, limit, offset });
+
+    res.json({
+      returns: rows.map(({ total, ...row }) => row),
+      total: rows.length > 0 ? parseInt(rows[0].total, 10) : 0,
+      limit,
+      offset,
+      statuses: STATUSES
+    });
+  } catch (error) {
+    logger.error('Error listing returns', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to list returns' });
+  }
+});
+
+// GET /api/returns/:id - A return with live tracking of its pickup (the status follows the courier)
+router.get('/:id', async (req, res) => {
+  try {
+    const record = await db.returns.getById(req.params.id, req.user.client_id);
+    if (!record) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    const { record: current, tracking } = await ReversePickupService.refresh(req.user.client_id, record);
+    res.json({ ...current, tracking });
+  } catch (error) {
+    logger.error('Error fetching return', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch return' });
+  }
+});
+
+module.exports = router;
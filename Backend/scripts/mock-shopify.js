@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// Backend/scripts/mock-shopify.js
+// Local stand-in for Shopify's OAuth install and the Admin API calls it needs
+//
+// Run it and point the backend at it:
+//   SHOPIFY_API_KEY=mock-key SHOPIFY_API_SECRET=mock-secret node scripts/mock-shopify.js
+//   SHOPIFY_ADMIN_ORIGIN=http://localhost:4010 (plus the same key/secret) for the backend
+// Shops live under /<shop domain>/... (see shopify/storeOrigin.js). The authorize
+// page approves at once and redirects back with a signed code, like a merchant
+// clicking "Install". POST /_mock/uninstall?shop=... fires the app/uninstalled webhook;
+// POST /_mock/webhook?shop=...&topic=orders/updated delivers the JSON body to
+// the shop's subscriptions for that topic.
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * @param {object} options - { apiKey, apiSecret } the backend's app credentials
+ * @returns {express.Application} - with app.locals.shops (shop -> { token, scope, webhooks })
+ */
+function createMockShopify({ apiKey, apiSecret }) {
+  const app = express();
+  const codes = new Map(); // code -> { shop, scope }
+  const shops = new Map();
+  app.locals.shops = shops;
+  app.use(express.json());
+
+  const hmacHex = message => crypto.createHmac('sha256', apiSecret).update(message).digest('hex');
+
+  // Merchant approves the install
+  app.get('/:shop/admin/oauth/authorize', (req, res) => {
+    const { client_id, scope, redirect_uri, state } = req.query;
+    if (client_id !== apiKey) {
+      return res.status(400).send('Unknown app');
+    }
+
+    const code = crypto.randomBytes(8).toString('hex');
+    codes.set(code, { shop: req.params.shop, scope });
+
+    const params = { code, shop: req.params.shop, state, timestamp: String(Math.floor(Date.now() / 1000)) };
+    const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    res.redirect(`${redirect_uri}?${new URLSearchParams({ ...params, hmac: hmacHex(message) })}`);
+  });
+
+  app.post('/:shop/admin/oauth/access_token', (req, res) => {
+    const { client_id, client_secret, code } = req.body;
+    const grant = codes.get(code);
+    if (client_id !== apiKey || client_secret !== apiSecret || !grant || grant.shop !== req.params.shop) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+    codes.delete(code);
+
+    const token = `shpat_${crypto.randomBytes(16).toString('hex')}`;
+    shops.set(req.params.shop, { token, scope: grant.scope, webhooks: [] });
+    res.json({ access_token: token, scope: grant.scope });
+  });
+
+  // Admin API calls need the shop's token
+  app.use('/:shop/admin/api/:version', (req, res, next) => {
+    const shop = shops.get(req.params.shop);
+    if (!shop || req.get('X-Shopify-Access-Token') !== shop.token) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token' });
+    }
+    req.shop = shop;
+    next();
+  });
+
+  app.get('/:shop/admin/api/:version/shop.json', (req, res) => {
+    res.json({ shop: { name: req.params.shop.split('.')[0], myshopify_domain: req.params.shop } });
+  });
+
+  app.post('/:shop/admin/api/:version/webhooks.json', (req, res) => {
+    const webhook = { id: req.shop.webhooks.length + 1, ...req.body.webhook };
+    req.shop.webhooks.push(webhook);
+    res.status(201).json({ webhook });
+  });
+
+  app.get('/:shop/admin/api/:version/orders.json', (req, res) => {
+    res.json({ orders: [] });
+  });
+
+  // Deliver a signed webhook to a subscription, as Shopify does
+  const deliver = (webhook, shop, payload) => {
+    const body = JSON.stringify(payload);
+    return axios.post(webhook.address, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': webhook.topic,
+        'X-Shopify-Shop-Domain': shop,
+        'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', apiSecret).update(body).digest('base64')
+      },
+      validateStatus: () => true
+    });
+  };
+
+  // Simulate the merchant removing the app
+  app.post('/_mock/uninstall', async (req, res) => {
+    const shop = shops.get(req.query.shop);
+    const webhook = shop?.webhooks.find(hook => hook.topic === 'app/uninstalled');
+    if (!webhook) {
+      return res.status(404).json({ error: 'No app/uninstalled webhook for this shop' });
+    }
+
+    const response = await deliver(webhook, req.query.shop, { myshopify_domain: req.query.shop });
+    shops.delete(req.query.shop);
+    res.json({ delivered: response.status });
+  });
+
+  // Simulate an event on the store (order edited, shipped, refunded...)
+  app.post('/_mock/webhook', async (req, res) => {
+    const shop = shops.get(req.query.shop);
+    const webhooks = (shop?.webhooks || []).filter(hook => hook.topic === req.query.topic);
+    if (webhooks.length === 0) {
+      return res.status(404).json({ error: `No ${req.query.topic} webhook for this shop` });
+    }
+
+    const responses = await Promise.all(webhooks.map(webhook => deliver(webhook, req.query.shop, req.body)));
+    res.json({ delivered: responses.map(response => response.status) });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_SHOPIFY_PORT) || 4010;
+  createMockShopify({
+    apiKey: process.env.SHOPIFY_API_KEY || 'mock-key',
+    apiSecret: process.env.SHOPIFY_API_SECRET || 'mock-secret'
+  }).listen(port, () => {
+    console.log(`Mock Shopify listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockShopify };
@@ -333,6 +333,15 @@ const exotelRoutes = require(resolve('routes/exotel'));
 app.post('/webhooks/exotel/call-start', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleCallStart);
 app.post('/webhooks/exotel/call-end', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleCallEnd);
 app.post('/webhooks/exotel/recording', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleRecording);
+app.get('/webhooks/exotel/handoff-target', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleHandoffTarget);
+app.post('/webhooks/exotel/handoff-status', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleHandoffStatus);
+app.post('/webhooks/exotel/outbound-status', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleOutboundStatus);
+
+// Shopify app install and webhooks (public - Shopify redirects/posts here; all verify Shopify's HMAC)
+const integrationRoutes = require(resolve('routes/integrations'));
+app.get('/integrations/shopify/callback', webhookRateLimiter, integrationRoutes.handleShopifyCallback);
+app.post('/webhooks/shopify/app-uninstalled', webhookRateLimiter, integrationRoutes.handleShopifyUninstall);
+app.post('/webhooks/shopify', webhookRateLimiter, integrationRoutes.handleShopifyWebhook);
 
 // Protected dashboard API routes (require authentication)
 const { authMiddleware } = require(resolve('auth/authMiddleware'));
@@ -357,6 +366,10 @@ app.use('/api/analytics', authMiddleware, require(resolve('routes/analyticsEnhan
 app.use('/api/calls', authMiddleware, require(resolve('routes/livecalls')));
 app.use('/api/clients', authMiddleware, require(resolve('routes/clients'))); // Multi-tenancy + dashboard route
 app.use('/api/recordings', authMiddleware, require(resolve('routes/recordings'))); // Call recordings from Wasabi
+app.use('/api/customers', authMiddleware, require(resolve('routes/customers'))); // Cross-call customer profiles
+app.use('/api/campaigns', authMiddleware, require(resolve('routes/campaigns'))); // Outbound calling campaigns
+app.use('/api/returns', authMiddleware, require(resolve('routes/returns'))); // Returns / exchanges and their reverse pickups
+app.use('/api/integrations', authMiddleware, integrationRoutes); // Shopify app install
 
 // Dashboard endpoint (from clients route)
 app.get('/api/analytics/dashboard', authMiddleware, async (req, res) => {
@@ -403,10 +416,10 @@ app.get('/api/analytics/dashboard', authMiddleware, async (req, res) => {
     // Satisfaction
     const satisfactionResult = await db.query(
       `SELECT 
-        ROUND(COUNT(CASE WHEN feedback_score >= 4 THEN 1 END) * 100.0 / 
+        ROUND(COUNT(CASE WHEN csat_proxy >= 4 THEN 1 END) * 100.0 / 
         NULLIF(COUNT(*), 0), 2) as satisfaction_rate
        FROM calls 
-       WHERE client_id = $1 AND feedback_score IS NOT NULL AND DATE(start_ts) = CURRENT_DATE`,
+       WHERE client_id = $1 AND csat_proxy IS NOT NULL AND DATE(start_ts) = CURRENT_DATE`,
       [userClientId]
     );
 
@@ -432,69 +445,9 @@ app.get('/api/analytics/dashboard', authMiddleware, async (req, res) => {
   }
 });
 
-// WebSocket connection for audio streaming
-wss.on('connection', async (ws, req) => {
-  const urlParams = new URLSearchParams(req.url.split('?')[1]);
-  const callId = urlParams.get('callId');
-  
-  if (!callId) {
-    logger.error('WebSocket connection rejected - no callId');
-    ws.close();
-    return;
-  }
-
-  logger.info('WebSocket connection established', { callId });
-
-  try {
-    // Get call data
-    const call = await db.calls.getById(callId);
-    
-    if (!call) {
-      logger.error('Call not found', { callId });
-      ws.close();
-      return;
-    }
-
-    // Create audio session
-    await sessionManager.createSession(callId, call);
-
-    // Handle incoming audio chunks from Exotel
-    ws.on('message', async (data) => {
-      try {
-        const audioChunk = Buffer.from(data);
-        sessionManager.processIncomingAudio(callId, audioChunk);
-      } catch (error) {
-        logger.error('Error processing audio chunk', { 
-          callId, 
-          error: error.message 
-        });
-      }
-    });
-
-    // Handle session audio output (TTS to send back to Exotel)
-    sessionManager.on('audio_output', (data) => {
-      if (data.callId === callId && ws.readyState === WebSocket.OPEN) {
-        ws.send(data.audioData);
-      }
-    });
-
-    ws.on('close', async () => {
-      logger.info('WebSocket connection closed', { callId });
-      await sessionManager.endSession(callId);
-    });
-
-    ws.on('error', (error) => {
-      logger.error('WebSocket error', { callId, error: error.message });
-    });
-
-  } catch (error) {
-    logger.error('Error setting up audio session', {
-      callId,
-      error: error.message
-    });
-    ws.close();
-  }
-});
+// WebSocket connection for audio streaming (Exotel Voicebot stream protocol)
+const { handleStreamConnection } = require(resolve('realtime/exotelStreamHandler'));
+wss.on('connection', (ws, req) => handleStreamConnection(ws, req, sessionManager));
 
 // 404 handler - must come before error handler
 app.use((req, res, next) => {
@@ -622,6 +575,10 @@ async function startApplication() {
         }
       }, CLEANUP_INTERVAL);
 
+      // Outbound campaigns: dial due contacts within each campaign's calling hours
+      const campaignDialer = require('./services/campaignDialer');
+      campaignDialer.start();
+
       logger.info('🎉 Application ready to handle requests');
     });
 
@@ -1,6 +1,14 @@
 // Backend/services/ShopifyService.js - Enhanced with all methods
+//
+// Every method takes the call's client_id first and talks to that tenant's
+// store (see services/shopifyRegistry.js); cached data is scoped per client.
+// Orders are read from shopify_orders first (kept current by Shopify webhooks,
+// see services/shopifyOrderSync.js).
 const logger = require('../utils/logger');
-const shopifyConnector = require('../shopify');
+const db = require('../db/postgres');
+const ShopifyRegistry = require('./shopifyRegistry');
+const ShopifyOrderSync = require('./shopifyOrderSync');
+const TrackingService = require('./trackingService');
 const { LRUCache } = require('lru-cache');
 
 // LRU Cache for optimizations (5 min TTL)
@@ -9,23 +17,43 @@ const cache = new LRUCache({
   ttl: 1000 * 60 * 5
 });
 
+// Cache key scoped to a client, so tenants never see each other's orders
+const cacheKey = (clientId, key) => `${clientId}:${key}`;
+
 class ShopifyService {
   /**
-   * Get order with caching
+   * The client's connector (throws if the client has no store connected)
    */
-  static async getOrder(orderId) {
-    const cacheKey = `order_${orderId}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      logger.debug('Order cache hit', { orderId });
-      return cached;
+  static async connector(clientId) {
+    const connector = await ShopifyRegistry.forClient(clientId);
+    if (!connector) {
+      throw new Error('Shopify is not connected for this client');
     }
+    return connector;
+  }
 
+  /**
+   * Get order, from the synced orders table when it is current
+   */
+  static async getOrder(clientId, orderId) {
     try {
+      const stored = await db.shopifyOrders.findByReference(clientId, orderId);
+      if (stored && ShopifyOrderSync.isFresh(stored)) {
+        logger.debug('Order found in synced orders', { orderId, source: stored.source });
+        return stored.data;
+      }
+    } catch (error) {
+      logger.error('Error reading synced order', { orderId, error: error.message });
+    }
+
+    try {
+      const shopify = await this.connector(clientId);
       logger.info('Fetching order from Shopify', { orderId });
-      const orderData = await shopifyConnector.getOrder(orderId);
+      const orderData = await shopify.getOrder(orderId);
       if (orderData) {
-        cache.set(cacheKey, orderData);
+        await ShopifyOrderSync.saveOrder(clientId, orderData, 'api').catch(error => {
+          logger.error('Error saving fetched order', { orderId, error: error.message });
+        });
       }
       return orderData;
     } catch (error) {
@@ -37,15 +65,16 @@ class ShopifyService {
   /**
    * Get order transactions (for payment issues)
    */
-  static async getOrderTransactions(orderId) {
-    const cacheKey = `transactions_${orderId}`;
-    const cached = cache.get(cacheKey);
+  static async getOrderTransactions(clientId, orderId) {
+    const key = cacheKey(clientId, `transactions_${orderId}`);
+    const cached = cache.get(key);
     if (cached) return cached;
 
     try {
-      const transactions = await shopifyConnector.getTransactions(orderId);
+      const shopify = await this.connector(clientId);
+      const transactions = await shopify.getTransactions(orderId);
       if (transactions) {
-        cache.set(cacheKey, transactions);
+        cache.set(key, transactions);
       }
       return transactions || [];
     } catch (error) {
@@ -57,10 +86,11 @@ class ShopifyService {
   /**
    * Generate payment link for retry
    */
-  static async generatePaymentLink(orderId) {
+  static async generatePaymentLink(clientId, orderId) {
     try {
+      const shopify = await this.connector(clientId);
       // Create draft order invoice
-      const response = await shopifyConnector.createInvoice(orderId);
+      const response = await shopify.createInvoice(orderId);
       return response?.invoice_url || null;
     } catch (error) {
       logger.error('Error generating payment link', { error: error.message });
@@ -71,15 +101,16 @@ class ShopifyService {
   /**
    * Update shipping address
    */
-  static async updateShippingAddress(orderId, newAddress) {
+  static async updateShippingAddress(clientId, orderId, newAddress) {
     try {
+      const shopify = await this.connector(clientId);
       logger.info('Updating shipping address', { orderId });
-      const result = await shopifyConnector.updateOrder(orderId, {
+      const result = await shopify.updateOrder(orderId, {
         shipping_address: newAddress
       });
       
       // Invalidate cache
-      cache.delete(`order_${orderId}`);
+      await this.clearOrderCache(clientId, orderId);
       
       return result;
     } catch (error) {
@@ -91,7 +122,7 @@ class ShopifyService {
   /**
    * Update tracking address (Shiprocket/Delhivery)
    */
-  static async updateTrackingAddress(trackingNumber, newAddress) {
+  static async updateTrackingAddress(clientId, trackingNumber, newAddress) {
     try {
       // This would integrate with Shiprocket API
       logger.info('Updating tracking address', { trackingNumber });
@@ -106,15 +137,16 @@ class ShopifyService {
   /**
    * Search products
    */
-  static async searchProducts(query, limit = 10) {
-    const cacheKey = `search_${query}`;
-    const cached = cache.get(cacheKey);
+  static async searchProducts(clientId, query, limit = 10) {
+    const key = cacheKey(clientId, `search_${query}`);
+    const cached = cache.get(key);
     if (cached) return cached;
 
     try {
-      const products = await shopifyConnector.searchProducts(query, limit);
+      const shopify = await this.connector(clientId);
+      const products = await shopify.searchProducts(query, limit);
       if (products) {
-        cache.set(cacheKey, products);
+        cache.set(key, products);
       }
       return products;
     } catch (error) {
@@ -126,19 +158,20 @@ class ShopifyService {
   /**
    * Get popular/featured products
    */
-  static async getPopularProducts(limit = 10) {
-    const cacheKey = 'popular_products';
-    const cached = cache.get(cacheKey);
+  static async getPopularProducts(clientId, limit = 10) {
+    const key = cacheKey(clientId, 'popular_products');
+    const cached = cache.get(key);
     if (cached) return cached;
 
     try {
+      const shopify = await this.connector(clientId);
       // Get products sorted by sales
-      const products = await shopifyConnector.getProducts({ 
+      const products = await shopify.getProducts({ 
         limit,
         sort: 'best-selling'
       });
       if (products) {
-        cache.set(cacheKey, products);
+        cache.set(key, products);
       }
       return products;
     } catch (error) {
@@ -150,15 +183,16 @@ class ShopifyService {
   /**
    * Get product by ID
    */
-  static async getProduct(productId) {
-    const cacheKey = `product_${productId}`;
-    const cached = cache.get(cacheKey);
+  static async getProduct(clientId, productId) {
+    const key = cacheKey(clientId, `product_${productId}`);
+    const cached = cache.get(key);
     if (cached) return cached;
 
     try {
-      const product = await shopifyConnector.getProduct(productId);
+      const shopify = await this.connector(clientId);
+      const product = await shopify.getProduct(productId);
       if (product) {
-        cache.set(cacheKey, product);
+        cache.set(key, product);
       }
       return product;
     } catch (error) {
@@ -170,12 +204,12 @@ class ShopifyService {
   /**
    * Create exchange request
    */
-  static async createExchange(exchangeData) {
+  static async createExchange(clientId, exchangeData) {
     try {
       logger.info('Creating exchange', { orderId: exchangeData.order_id });
       
       // Shopify doesn't have native exchange - create return + new order
-      const returnResult = await this.createReturn(exchangeData);
+      const returnResult = await this.createReturn(clientId, exchangeData);
       
       return {
         exchange_id: 'EX' + Date.now(),
@@ -193,10 +227,11 @@ class ShopifyService {
   /**
    * Generate invoice PDF
    */
-  static async generateInvoice(orderId) {
+  static async generateInvoice(clientId, orderId) {
     try {
+      const shopify = await this.connector(clientId);
       // Use Shopify's order invoice endpoint
-      const invoice = await shopifyConnector.getOrderInvoice(orderId);
+      const invoice = await shopify.getOrderInvoice(orderId);
       return invoice?.invoice_url || `https://invoice.example.com/${orderId}`;
     } catch (error) {
       logger.error('Error generating invoice', { error: error.message });
@@ -207,7 +242,7 @@ class ShopifyService {
   /**
    * Send invoice via email/SMS
    */
-  static async sendInvoice(email, phone, invoiceUrl) {
+  static async sendInvoice(clientId, email, phone, invoiceUrl) {
     try {
       // Send email
       // await emailService.send({ to: email, template: 'invoice', url: invoiceUrl });
@@ -226,9 +261,10 @@ class ShopifyService {
   /**
    * Create customer
    */
-  static async createCustomer(customerData) {
+  static async createCustomer(clientId, customerData) {
     try {
-      const customer = await shopifyConnector.createCustomer(customerData);
+      const shopify = await this.connector(clientId);
+      const customer = await shopify.createCustomer(customerData);
       return customer;
     } catch (error) {
       logger.error('Error creating customer', { error: error.message });
@@ -236,10 +272,40 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Find a customer and their recent orders by phone (cached)
+   * @param {string} phone - Phone number in E.164 format
+   * @returns {Promise<object|null>} - { customer, orders } or null if not a customer
+   */
+  static async getCustomerByPhone(clientId, phone, orderLimit = 5) {
+    const key = cacheKey(clientId, `customer_phone_${phone}`);
+    const cached = cache.get(key);
+    if (cached) {
+      logger.debug('Customer cache hit', { phone });
+      return cached;
+    }
+
+    try {
+      const shopify = await this.connector(clientId);
+      const customer = await shopify.findCustomerByPhone(phone);
+      if (!customer) {
+        return null;
+      }
+
+      const orders = await shopify.getCustomerOrders(customer.id, orderLimit);
+      const result = { customer, orders };
+      cache.set(key, result);
+      return result;
+    } catch (error) {
+      logger.error('Error looking up customer by phone', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Send welcome message
    */
-  static async sendWelcomeMessage(phone, email, name) {
+  static async sendWelcomeMessage(clientId, phone, email, name) {
     try {
       // Send welcome email
       // await emailService.send({ to: email, template: 'welcome', name });
@@ -257,41 +323,36 @@ class ShopifyService {
   }
 
   /**
-   * Get tracking info with caching
+   * Get tracking info from the client's courier provider (see services/trackingService.js)
+   * @param {string} carrier - Courier name, e.g. the fulfillment's tracking_company
    */
-  static async getTrackingInfo(trackingId) {
-    const cacheKey = `tracking_${trackingId}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return cached;
+  static async getTrackingInfo(clientId, trackingId, carrier = null) {
+    return TrackingService.track(clientId, trackingId, carrier);
+  }
 
-    try {
-      logger.info('Fetching tracking info', { trackingId });
-      // Mock data - integrate with Shiprocket/Delhivery in production
-      const trackingInfo = {
-        status: 'in_transit',
-        current_location: 'Mumbai Distribution Center',
-        eta: new Date(Date.now() + 86400000).toISOString(),
-        last_update: 'Package out for delivery'
-      };
-      
-      cache.set(cacheKey, trackingInfo, 1000 * 60 * 2); // 2 min cache for tracking
-      return trackingInfo;
-    } catch (error) {
-      logger.error('Error fetching tracking', { error: error.message });
+  /**
+   * Tracking info for an order's latest shipment, or null if it hasn't shipped with tracking
+   */
+  static async getOrderTracking(clientId, orderData) {
+    const shipment = ShopifyOrderSync.latestShipment(orderData);
+    const trackingNumber = shipment?.tracking_number || orderData?.tracking_number;
+    if (!trackingNumber) {
       return null;
     }
+    return this.getTrackingInfo(clientId, trackingNumber, shipment?.tracking_company || null);
   }
 
   /**
    * Create return request
    */
-  static async createReturn(returnDetails) {
+  static async createReturn(clientId, returnDetails) {
     try {
+      const shopify = await this.connector(clientId);
       logger.info('Creating return', { orderId: returnDetails.order_id });
-      const returnData = await shopifyConnector.createReturn(returnDetails);
+      const returnData = await shopify.createReturn(returnDetails);
       
       // Invalidate order cache
-      cache.delete(`order_${returnDetails.order_id}`);
+      await this.clearOrderCache(clientId, returnDetails.order_id);
       
       return returnData;
     } catch (error) {
@@ -300,40 +361,19 @@ class ShopifyService {
     }
   }
 
-  /**
-   * Schedule pickup
-   */
-  static async schedulePickup(orderData, returnData) {
-    try {
-      logger.info('Scheduling pickup', { orderId: orderData.id });
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-
-      return {
-        pickup_id: 'PK' + Date.now(),
-        scheduled_date: tomorrow.toISOString(),
-        time_slot: '10:00 AM - 2:00 PM',
-        address: orderData.shipping_address,
-        status: 'scheduled'
-      };
-    } catch (error) {
-      logger.error('Error scheduling pickup', { error: error.message });
-      return null;
-    }
-  }
-
   /**
    * Create refund
    */
-  static async createRefund(orderData) {
+  static async createRefund(clientId, orderData) {
     try {
+      const shopify = await this.connector(clientId);
       logger.info('Creating refund', { orderId: orderData.id });
-      const refundData = await shopifyConnector.createRefund(orderData.id, {
+      const refundData = await shopify.createRefund(orderData.id, {
         amount: orderData.total_price
       });
       
       // Invalidate cache
-      cache.delete(`order_${orderData.id}`);
+      await this.clearOrderCache(clientId, orderData.id);
       
       return refundData;
     } catch (error) {
@@ -345,16 +385,17 @@ class ShopifyService {
   /**
    * Cancel order
    */
-  static async cancelOrder(orderData) {
+  static async cancelOrder(clientId, orderData) {
     try {
+      const shopify = await this.connector(clientId);
       logger.info('Cancelling order', { orderId: orderData.id });
-      const cancellationData = await shopifyConnector.cancelOrder(
+      const cancellationData = await shopify.cancelOrder(
         orderData.id,
         'Customer request'
       );
       
       // Invalidate cache
-      cache.delete(`order_${orderData.id}`);
+      await this.clearOrderCache(clientId, orderData.id);
       
       return cancellationData;
     } catch (error) {
@@ -364,13 +405,31 @@ class ShopifyService {
   }
 
   /**
-   * Clear cache for an order
+   * Clear cached data for an order (the next lookup fetches it from Shopify)
    */
-  static clearOrderCache(orderId) {
-    cache.delete(`order_${orderId}`);
-    cache.delete(`transactions_${orderId}`);
+  static async clearOrderCache(clientId, orderId) {
+    cache.delete(cacheKey(clientId, `transactions_${orderId}`));
+    try {
+      await db.shopifyOrders.remove(clientId, orderId);
+    } catch (error) {
+      logger.error('Error clearing synced order', { orderId, error: error.message });
+    }
     logger.debug('Cache cleared', { orderId });
   }
+
+  /**
+   * Forget a client's connector and cached data after its Shopify credentials change
+   * (synced orders too: webhooks from the old connection no longer keep them current)
+   */
+  static invalidateClient(clientId) {
+    ShopifyRegistry.invalidate(clientId);
+    [...cache.keys()]
+      .filter(key => key.startsWith(`${clientId}:`))
+      .forEach(key => cache.delete(key));
+    db.shopifyOrders.removeForClient(clientId).catch(error => {
+      logger.error('Error clearing synced orders', { clientId, error: error.message });
+    });
+  }
 }
 
 module.exports = ShopifyService;
\ No newline at end of file
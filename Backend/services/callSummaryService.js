@@ -0,0 +1,178 @@
+// services/callSummaryService.js - Post-call summary, disposition and tags
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const SentimentService = require(resolve('services/sentimentService'));
+
+// calls.disposition
+const DISPOSITIONS = {
+  RESOLVED: 'resolved',
+  PARTIALLY_RESOLVED: 'partially_resolved',
+  TICKET_RAISED: 'ticket_raised',
+  TRANSFERRED: 'transferred',
+  FAILED: 'failed',
+  INFORMATION: 'information',
+  ABANDONED: 'abandoned'
+};
+
+// Actions that leave work for the support team
+const FOLLOW_UP_ACTIONS = ['create_complaint', 'technical_support', 'warranty_claim'];
+
+const ACTION_LABELS = {
+  cancel_order: 'order cancellation',
+  change_address: 'address change',
+  cod_inquiry: 'COD enquiry',
+  create_complaint: 'complaint ticket',
+  create_exchange: 'exchange request',
+  create_return: 'return request',
+  generate_invoice: 'invoice',
+  lookup_order: 'order lookup',
+  process_refund: 'refund',
+  product_inquiry: 'product enquiry',
+  register_customer: 'registration',
+  resolve_payment_issue: 'payment issue',
+  technical_support: 'technical support ticket',
+  track_order: 'order tracking',
+  warranty_claim: 'warranty claim'
+};
+
+const humanize = (code) => code.toLowerCase().replace(/_/g, ' ');
+
+class CallSummaryService {
+  static DISPOSITIONS = DISPOSITIONS;
+
+  /**
+   * Reduce actions rows to what a supervisor needs
+   */
+  static describeActions(actions = []) {
+    return actions.map(action => {
+      const params = typeof action.params === 'string' ? JSON.parse(action.params) : (action.params || {});
+      return {
+        type: action.action_type,
+        label: ACTION_LABELS[action.action_type] || humanize(action.action_type),
+        status: action.status,
+        orderId: params.order_id || null
+      };
+    });
+  }
+
+  /**
+   * Pick the disposition code for a finished call
+   */
+  static getDisposition(session, actionsTaken) {
+    const userTurns = (session.conversationHistory || []).filter(turn => turn.role === 'user');
+    const succeeded = actionsTaken.filter(action => action.status === 'success');
+    const failed = actionsTaken.filter(action => action.status !== 'success');
+
+    if (session.handoff) {
+      return DISPOSITIONS.TRANSFERRED;
+    }
+    if (userTurns.length === 0) {
+      return DISPOSITIONS.ABANDONED;
+    }
+    if (actionsTaken.length === 0) {
+      return (session.agentFailures || 0) > 0 ? DISPOSITIONS.FAILED : DISPOSITIONS.INFORMATION;
+    }
+    if (succeeded.some(action => FOLLOW_UP_ACTIONS.includes(action.type))) {
+      return DISPOSITIONS.TICKET_RAISED;
+    }
+    if (failed.length === 0) {
+      return DISPOSITIONS.RESOLVED;
+    }
+    return succeeded.length > 0 ? DISPOSITIONS.PARTIALLY_RESOLVED : DISPOSITIONS.FAILED;
+  }
+
+  /**
+   * Build the structured summary of a finished call
+   * @param {object} session - Ended call session
+   * @param {object[]} actions - actions rows for the call
+   * @returns {object} - { reason, actionsTaken, resolution, disposition, followUpRequired, tags, text }
+   */
+  static buildSummary(session, actions = []) {
+    const intents = [...new Set(session.intentHistory || [])];
+    const actionsTaken = this.describeActions(actions);
+    const disposition = this.getDisposition(session, actionsTaken);
+
+    const resolution = {
+      [DISPOSITIONS.RESOLVED]: 'resolved',
+      [DISPOSITIONS.INFORMATION]: 'resolved',
+      [DISPOSITIONS.TICKET_RAISED]: 'pending',
+      [DISPOSITIONS.PARTIALLY_RESOLVED]: 'partial',
+      [DISPOSITIONS.TRANSFERRED]: 'transferred'
+    }[disposition] || 'unresolved';
+
+    const followUpRequired = [
+      DISPOSITIONS.TICKET_RAISED,
+      DISPOSITIONS.PARTIALLY_RESOLVED,
+      DISPOSITIONS.FAILED,
+      DISPOSITIONS.TRANSFERRED
+    ].includes(disposition);
+
+    const reason = intents.length > 0 ? intents.map(humanize).join(', ') : 'general enquiry';
+
+    const tags = [
+      ...intents.map(intent => intent.toLowerCase()),
+      ...(intents.length > 1 ? ['multi_intent'] : []),
+      ...(session.handoff ? ['handoff', `handoff_${session.handoff.reason}`] : []),
+      ...(SentimentService.wasFrustrated(session.sentiment) ? ['frustrated'] : []),
+      ...((session.agentFailures || 0) > 0 ? ['agent_failure'] : []),
+      ...(session.profile?.call_count ? ['repeat_caller'] : [])
+    ];
+
+    const sentences = [];
+    const orderId = session.entities?.order_id;
+    sentences.push(`Caller${session.caller?.name ? ` ${session.caller.name}` : ''} called about ${reason}${orderId ? ` (order ${orderId})` : ''}.`);
+    if (actionsTaken.length > 0) {
+      sentences.push(`${actionsTaken.map(action => `${action.label}: ${action.status}`).join('; ')}.`);
+    }
+    if (session.handoff) {
+      sentences.push(`Transferred to a human agent (${humanize(session.handoff.reason)}).`);
+    }
+
+    return {
+      reason,
+      actionsTaken,
+      resolution,
+      disposition,
+      followUpRequired,
+      tags,
+      text: sentences.join(' ')
+    };
+  }
+
+  /**
+   * Summarize a finished call and store it on the calls row
+   * @param {object} session - Ended call session
+   * @returns {Promise<object|null>} - Summary, or null if it could not be produced
+   */
+  static async process(session) {
+    const { callId } = session;
+
+    try {
+      const actions = await db.actions.getByCall(callId);
+      const summary = this.buildSummary(session, actions);
+
+      await db.calls.update(callId, {
+        summary: JSON.stringify(summary),
+        disposition: summary.disposition,
+        follow_up_required: summary.followUpRequired,
+        tags: summary.tags,
+        resolved: summary.resolution === 'resolved'
+      });
+
+      logger.info('Call summarized', {
+        callId,
+        disposition: summary.disposition,
+        followUpRequired: summary.followUpRequired
+      });
+
+      return summary;
+
+    } catch (error) {
+      logger.error('Error summarizing call', { callId, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = CallSummaryService;
@@ -0,0 +1,128 @@
+// services/callbackService.js - Call back inbound callers who hung up mid-flow
+//
+// When an inbound call ends while an agent is still waiting for information
+// (WAITING_FOR_INFO), the caller is queued for an automatic callback: a
+// contact on the tenant's 'callback' campaign, carrying the agent and the
+// slots collected so far so the callback picks up where the call stopped.
+// The campaign dialer places the call within calling hours.
+//   CALLBACK_DELAY_MINUTES - Wait before calling back (default 5)
+// Tenants can turn callbacks off with clients.settings.callbacks.enabled = false
+// (PUT /api/clients/:id/callback-config).
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const CallerLookupService = require(resolve('services/callerLookupService'));
+const CampaignService = require(resolve('services/campaignService'));
+
+const CALLBACK_DELAY_MINUTES = parseInt(process.env.CALLBACK_DELAY_MINUTES) || 5;
+const CALLBACK_TYPE = 'callback';
+
+class CallbackService {
+  /**
+   * What an unfinished agent had collected (read before the agent is cancelled)
+   * @param {object} session - Call session
+   * @param {object} agent - Active agent (BaseAgent)
+   * @param {string} agentType - Registry name of the agent
+   * @returns {object|null} - { agentType, intent, slots, confirmed, waitingFor } or null if it wasn't waiting for the caller
+   */
+  static getPartialTask(session, agent, agentType) {
+    if (!agent || agent.state !== 'WAITING_FOR_INFO') {
+      return null;
+    }
+
+    const slots = Object.fromEntries(
+      Object.entries(agent.data || {}).filter(([, value]) =>
+        value !== null && value !== undefined && value !== '' && typeof value !== 'object')
+    );
+
+    return {
+      agentType,
+      intent: session.currentIntent,
+      slots,
+      confirmed: [...(agent.confirmedFields || [])].filter(field => field in slots),
+      waitingFor: agent.getMissingFields?.()[0] || agent.getUnconfirmedFields?.()[0] || null
+    };
+  }
+
+  /**
+   * The tenant's callback campaign, created (active) on first use
+   */
+  static async getCampaign(clientId) {
+    const existing = await db.campaigns.getByType(clientId, CALLBACK_TYPE);
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      return await db.campaigns.create(clientId, CampaignService.withDefaults({
+        name: 'Callbacks',
+        type: CALLBACK_TYPE,
+        status: 'active',
+        max_concurrent_calls: 2
+      }));
+    } catch (error) {
+      // Created by a parallel call end in the meantime
+      return db.campaigns.getByType(clientId, CALLBACK_TYPE);
+    }
+  }
+
+  /**
+   * Queue a callback if the caller hung up while an agent waited on them
+   * @param {object} session - Ending call session
+   * @param {object|null} task - From getPartialTask()
+   * @returns {Promise<object|null>} - campaign_contacts row, or null if no callback was queued
+   */
+  static async scheduleForAbandonedCall(session, task) {
+    const { callId, callData } = session;
+
+    // Outbound calls are retried by their campaign; transfers are with a person
+    if (callData?.direction === 'outbound' || session.handoff) {
+      return null;
+    }
+
+    const phone = CallerLookupService.normalizePhone(callData?.phone_from);
+    if (!task || !phone || !callData?.client_id) {
+      return null;
+    }
+
+    try {
+      const client = await db.clients.getById(callData.client_id);
+      if (client?.settings?.callbacks?.enabled === false) {
+        return null;
+      }
+
+      const campaign = await this.getCampaign(callData.client_id);
+      const contact = await db.campaignContacts.upsertPending(
+        campaign.id,
+        callData.client_id,
+        {
+          phone,
+          name: session.caller?.name || session.profile?.name || null,
+          order_id: task.slots.order_id || null,
+          data: {
+            callback: { ...task, sourceCallId: callId }
+          }
+        },
+        new Date(Date.now() + CALLBACK_DELAY_MINUTES * 60 * 1000)
+      );
+
+      if (!contact) {
+        logger.info('Callback already in progress for caller', { callId });
+        return null;
+      }
+
+      logger.info('Callback scheduled for abandoned call', {
+        callId,
+        contactId: contact.id,
+        agentType: task.agentType,
+        waitingFor: task.waitingFor
+      });
+      return contact;
+    } catch (error) {
+      logger.error('Error scheduling callback', { callId, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = CallbackService;
@@ -0,0 +1,150 @@
+// services/callerLookupService.js - Identify callers by phone number at call start
+const { LRUCache } = require('lru-cache');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const ShopifyService = require(resolve('services/ShopifyService'));
+const { withTimeout } = require(resolve('utils/timeoutUtil'));
+
+// Never hold up the greeting for long - an unknown caller just gets asked
+const LOOKUP_TIMEOUT_MS = parseInt(process.env.CALLER_LOOKUP_TIMEOUT_MS) || 2500;
+const RECENT_ORDER_LIMIT = 5;
+
+// Caller refers to their most recent order ("mera last order", "pichla order")
+const LATEST_ORDER_REFERENCE = /\b(?:last|latest|recent|pichl[ae]|abhi\s+wala|naya)\b/i;
+
+// In-flight / recent lookups by client and phone, so the webhook can start the lookup
+// and the audio session picks up the same promise
+const lookups = new LRUCache({
+  max: 1000,
+  ttl: 1000 * 60 * 2
+});
+
+class CallerLookupService {
+  /**
+   * Normalize an Indian number from Exotel ("09876543210", "+919876543210") to E.164
+   * @returns {string|null}
+   */
+  static normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    const local = digits.replace(/^(?:91|0)(?=\d{10}$)/, '');
+    return /^[6-9]\d{9}$/.test(local) ? `+91${local}` : null;
+  }
+
+  /**
+   * Start looking up a caller without waiting for the result
+   */
+  static prefetch(clientId, phone) {
+    this.lookup(clientId, phone).catch(() => {});
+  }
+
+  /**
+   * Resolve a caller to a customer of the client's Shopify store and their recent orders
+   * @param {string} clientId - Client UUID (whose store to search)
+   * @param {string} phone - Caller number as received from Exotel
+   * @returns {Promise<object|null>} - Caller profile or null if unknown
+   */
+  static lookup(clientId, phone) {
+    const normalized = this.normalizePhone(phone);
+    if (!normalized || !clientId) {
+      return Promise.resolve(null);
+    }
+
+    const key = `${clientId}:${normalized}`;
+    let pending = lookups.get(key);
+    if (!pending) {
+      pending = withTimeout(
+        ShopifyService.getCustomerByPhone(clientId, normalized, RECENT_ORDER_LIMIT),
+        LOOKUP_TIMEOUT_MS,
+        'Caller lookup'
+      )
+        .then(result => (result ? this.toProfile(normalized, result) : null))
+        .catch(error => {
+          logger.warn('Caller lookup failed', { error: error.message });
+          lookups.delete(key);
+          return null;
+        });
+
+      lookups.set(key, pending);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Reduce a Shopify customer + orders to what the call needs
+   */
+  static toProfile(phone, { customer, orders }) {
+    const recentOrders = [...(orders || [])]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(order => ({
+        id: order.id,
+        orderNumber: String(order.order_number),
+        createdAt: order.created_at,
+        fulfillmentStatus: order.fulfillment_status || 'unfulfilled',
+        financialStatus: order.financial_status,
+        totalPrice: order.total_price,
+        items: (order.line_items || []).map(item => item.name)
+      }));
+
+    return {
+      phone,
+      customerId: customer.id,
+      name: [customer.first_name, customer.last_name].filter(Boolean).join(' ') || null,
+      email: customer.email || null,
+      ordersCount: customer.orders_count ?? recentOrders.length,
+      recentOrders
+    };
+  }
+
+  /**
+   * Data the caller never has to say again
+   * @param {object|null} caller - Profile from lookup()
+   * @param {object} entities - Entities detected in the utterance
+   * @param {string} text - Caller utterance
+   * @returns {object} - { data, confirmedFields }
+   */
+  static seedAgentData(caller, entities = {}, text = '') {
+    if (!caller) {
+      return { data: {}, confirmedFields: [] };
+    }
+
+    const data = { phone: caller.phone.slice(-10) };
+    if (caller.email) {
+      data.email = caller.email;
+    }
+
+    // "Mera last order kahan hai" - or the caller only has one order
+    const latest = caller.recentOrders[0];
+    if (!entities.order_id && latest &&
+        (LATEST_ORDER_REFERENCE.test(text) || caller.recentOrders.length === 1)) {
+      data.order_id = latest.orderNumber;
+    }
+
+    // Values from the caller's own customer record need no read-back
+    return { data, confirmedFields: Object.keys(data) };
+  }
+
+  /**
+   * Caller summary for the STS system prompt
+   */
+  static buildPromptContext(caller) {
+    if (!caller) {
+      return null;
+    }
+
+    const lines = [`Returning customer${caller.name ? `: ${caller.name}` : ''}. Greet them by name.`];
+
+    if (caller.recentOrders.length > 0) {
+      lines.push('Recent orders (newest first):');
+      caller.recentOrders.forEach(order => {
+        const date = new Date(order.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        lines.push(`- Order ${order.orderNumber} (${date}): ${order.fulfillmentStatus}, ₹${order.totalPrice}`);
+      });
+      lines.push('If they mention "last order" or only one order fits, do not ask for the order number.');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = CallerLookupService;
@@ -0,0 +1,192 @@
+// services/campaignDialer.js - Places outbound campaign calls
+//
+// Every tick, for each active campaign inside its calling hours, dials as many
+// due contacts as its max_concurrent_calls leaves room for. Exotel reports the
+// terminal status of each call to /webhooks/exotel/outbound-status (retries are
+// scheduled there, see CampaignService.recordCallStatus); answered calls are
+// settled by the call session when it ends.
+//   CAMPAIGN_DIALER_INTERVAL_MS   - Tick interval (default 30s)
+//   CAMPAIGN_DIALER_MAX_PER_TICK  - Calls placed per tick across all campaigns (default 20)
+//   CAMPAIGN_CALL_STALE_MINUTES   - A call with no status after this long is treated as failed (default 60)
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const CampaignService = require(resolve('services/campaignService'));
+const ExotelClient = require(resolve('services/exotelClient'));
+const { getWebhookBaseUrl } = require(resolve('routes/exotel'));
+
+const DIALER_INTERVAL_MS = parseInt(process.env.CAMPAIGN_DIALER_INTERVAL_MS) || 30 * 1000;
+const MAX_CALLS_PER_TICK = parseInt(process.env.CAMPAIGN_DIALER_MAX_PER_TICK) || 20;
+const STALE_CALL_MINUTES = parseInt(process.env.CAMPAIGN_CALL_STALE_MINUTES) || 60;
+
+class CampaignDialer {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+    this.ticking = false;
+  }
+
+  /**
+   * Start dialling on an interval
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Campaign dialer already running');
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info('📣 Starting campaign dialer', { intervalMs: DIALER_INTERVAL_MS });
+
+    this.interval = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Campaign dialer tick failed', { error: error.message });
+      });
+    }, DIALER_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      this.isRunning = false;
+      logger.info('📣 Campaign dialer stopped');
+    }
+  }
+
+  /**
+   * One pass over the active campaigns
+   * @param {Date} now
+   * @returns {Promise<number>} - Calls placed
+   */
+  async tick(now = new Date()) {
+    // A slow pass must not overlap the next one (contacts would be dialled twice)
+    if (this.ticking) {
+      return 0;
+    }
+    this.ticking = true;
+
+    try {
+      await this.releaseStaleCalls();
+
+      let budget = MAX_CALLS_PER_TICK;
+      const campaigns = await db.campaigns.getActive();
+
+      for (const campaign of campaigns) {
+        if (budget <= 0) break;
+        budget -= await this.dialCampaign(campaign, budget, now);
+      }
+
+      return MAX_CALLS_PER_TICK - budget;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Dial the due contacts of one campaign
+   * @returns {Promise<number>} - Calls placed
+   */
+  async dialCampaign(campaign, budget, now) {
+    try {
+      // System campaigns (callbacks) stay open for new contacts
+      const isSystem = CampaignService.TYPES[campaign.type]?.system;
+      if (!isSystem && await db.campaignContacts.countOpen(campaign.id) === 0) {
+        await db.campaigns.update(campaign.id, campaign.client_id, { status: 'completed' });
+        logger.info('Campaign completed', { campaignId: campaign.id, clientId: campaign.client_id });
+        return 0;
+      }
+
+      if (!CampaignService.isWithinCallingWindow(campaign, now)) {
+        return 0;
+      }
+
+      const slots = Math.min(
+        campaign.max_concurrent_calls - await db.campaignContacts.countCalling(campaign.id),
+        budget
+      );
+      if (slots <= 0) {
+        return 0;
+      }
+
+      const client = await db.clients.getById(campaign.client_id);
+      if (!ExotelClient.getCredentials(client)) {
+        logger.warn('Campaign skipped, Exotel outbound calling is not configured', {
+          campaignId: campaign.id,
+          clientId: campaign.client_id
+        });
+        return 0;
+      }
+
+      const contacts = await db.campaignContacts.claimDue(campaign.id, slots);
+      for (const contact of contacts) {
+        await this.dial(campaign, client, contact);
+      }
+      return contacts.length;
+    } catch (error) {
+      logger.error('Error dialling campaign', { campaignId: campaign.id, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Place one call (the contact is already marked as calling)
+   */
+  async dial(campaign, client, contact) {
+    const call = await db.calls.createOutbound({
+      client_id: client.id,
+      phone_from: contact.phone,
+      phone_to: client.exotel_number,
+      campaign_id: campaign.id,
+      campaign_contact_id: contact.id
+    });
+    await db.campaignContacts.update(contact.id, { last_call_id: call.id });
+
+    try {
+      const { callSid } = await ExotelClient.connectCall(client, {
+        to: contact.phone,
+        customField: call.id,
+        statusCallback: `${getWebhookBaseUrl()}/webhooks/exotel/outbound-status`
+      });
+      await db.calls.update(call.id, { call_sid: callSid });
+
+      logger.info('Campaign call placed', {
+        callId: call.id,
+        callSid,
+        campaignId: campaign.id,
+        contactId: contact.id,
+        attempt: contact.attempts
+      });
+    } catch (error) {
+      logger.error('Error placing campaign call', {
+        callId: call.id,
+        contactId: contact.id,
+        error: error.response?.data?.RestException?.Message || error.message
+      });
+      await db.calls.update(call.id, { end_ts: new Date() });
+      await db.campaignContacts.update(contact.id, CampaignService.planRetry(campaign, contact, 'failed'));
+    }
+  }
+
+  /**
+   * Contacts stuck in calling because Exotel's status callback never arrived
+   */
+  async releaseStaleCalls() {
+    const stale = await db.campaignContacts.getStale(STALE_CALL_MINUTES);
+
+    for (const contact of stale) {
+      try {
+        const campaign = await db.campaigns.getById(contact.campaign_id, contact.client_id);
+        await db.campaignContacts.update(contact.id, CampaignService.planRetry(campaign || {}, contact, 'failed'));
+        logger.warn('Released stale campaign call', { contactId: contact.id, callId: contact.last_call_id });
+      } catch (error) {
+        logger.error('Error releasing stale campaign call', { contactId: contact.id, error: error.message });
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const campaignDialer = new CampaignDialer();
+
+module.exports = campaignDialer;
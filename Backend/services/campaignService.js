@@ -0,0 +1,618 @@
+// services/campaignService.js - Outbound calling campaigns
+//
+// A campaign is a script plus the agent launched when the customer answers
+// (e.g. CODAgent for COD verification), dialled to a contact list from a CSV
+// upload or a Shopify order query. services/campaignDialer.js places the calls
+// within the campaign's calling hours; this module owns the definitions,
+// contact lists, retries and per-contact outcomes.
+//
+// Contact lifecycle: pending -> calling -> completed
+//                                       -> retry -> calling ... (no-answer/busy/failed/machine)
+//                                       -> failed (out of attempts, outcome 'unreachable' or 'voicemail')
+//
+// Callbacks for inbound callers who hung up mid-flow are contacts of a
+// per-tenant 'callback' campaign (services/callbackService.js).
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const CallerLookupService = require(resolve('services/callerLookupService'));
+const ShopifyRegistry = require(resolve('services/shopifyRegistry'));
+
+// Campaign types, the agent each one runs, whether it asks a yes/no question
+// and the voicemail left when a machine answers ({name}, {store}, {order})
+const TYPES = {
+  cod_confirmation: {
+    agentType: 'CODAgent',
+    asksQuestion: true,
+    purpose: 'verify a Cash on Delivery order before it is shipped',
+    script: 'Aapne humare store se Cash on Delivery order kiya hai. Kya aap is order ko confirm karte hain?',
+    voicemail: 'Namaste {name}, {store} se call tha aapke Cash on Delivery order {order} ko confirm karne ke liye. Hum thodi der mein dobara call karenge.'
+  },
+  order_confirmation: {
+    agentType: 'OrderLookupAgent',
+    asksQuestion: true,
+    purpose: 'confirm a new order with the customer',
+    script: 'Aapka order humein mil gaya hai. Kya aap order details confirm kar sakte hain?',
+    voicemail: 'Namaste {name}, {store} se call tha aapke order {order} ke baare mein. Hum thodi der mein dobara call karenge.'
+  },
+  delivery_reminder: {
+    agentType: 'TrackingAgent',
+    asksQuestion: false,
+    purpose: 'remind the customer that their order is arriving',
+    script: 'Aapka order aaj deliver hone wala hai. Kripya ghar par rahiye aur COD ho toh cash ready rakhiye.',
+    voicemail: 'Namaste {name}, {store} se yaad dilana tha ki aapka order {order} aaj deliver hone wala hai. Dhanyavaad.'
+  },
+  callback: {
+    agentType: null, // Per contact: the agent the caller was talking to
+    asksQuestion: false,
+    system: true, // Created by CallbackService, not by tenants
+    purpose: 'call back a customer whose earlier call got cut off while you were helping them, and finish their request',
+    script: 'Aapki pichli call beech mein kat gayi thi. Hum wahin se aage badhte hain.',
+    voicemail: 'Namaste {name}, {store} se call tha. Aapki pichli call beech mein kat gayi thi, hum thodi der mein dobara call karenge.'
+  },
+  custom: {
+    agentType: null,
+    asksQuestion: false,
+    purpose: 'deliver the message in the script',
+    script: null,
+    voicemail: 'Namaste {name}, {store} se call tha. Hum thodi der mein dobara call karenge.'
+  }
+};
+
+const STATUSES = ['draft', 'active', 'paused', 'completed'];
+// Statuses a tenant can set directly (completed is set by the dialer)
+const STATUS_TRANSITIONS = {
+  draft: ['active'],
+  active: ['paused'],
+  paused: ['active'],
+  completed: []
+};
+
+// Exotel terminal statuses that are worth another attempt
+const DEFAULT_RETRY_RULES = {
+  'no-answer': { maxAttempts: 3, delayMinutes: 60 },
+  busy: { maxAttempts: 3, delayMinutes: 30 },
+  failed: { maxAttempts: 2, delayMinutes: 120 },
+  machine: { maxAttempts: 3, delayMinutes: 180 } // Answering machine (voicemail left)
+};
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+// Hours customers may be called in, in the campaign's time zone (TRAI limits
+// promotional and service calls to 9 AM - 9 PM); calling windows must fit inside
+const PERMITTED_HOURS = { start: '09:00', end: '21:00' };
+
+const withSeconds = (time) => (time.length === 5 ? `${time}:00` : time);
+const MAX_NAME_LENGTH = 100;
+const MAX_SCRIPT_LENGTH = 2000;
+const MAX_VOICEMAIL_LENGTH = 500;
+const MAX_CONCURRENT_CALLS = 50;
+const MAX_CONTACTS_PER_UPLOAD = 5000;
+const SHOPIFY_ORDER_LIMIT = 250;
+
+class CampaignService {
+  static TYPES = TYPES;
+  static DEFAULT_RETRY_RULES = DEFAULT_RETRY_RULES;
+  static MAX_CONTACTS_PER_UPLOAD = MAX_CONTACTS_PER_UPLOAD;
+
+  /**
+   * Fill in the type's agent, script and retry rules
+   * @param {object} data - Campaign fields from the request
+   */
+  static withDefaults(data) {
+    const type = TYPES[data.type];
+    return {
+      ...data,
+      agent_type: data.agent_type || type?.agentType || undefined,
+      script: data.script || type?.script || undefined,
+      retry_rules: { ...DEFAULT_RETRY_RULES, ...(data.retry_rules || {}) }
+    };
+  }
+
+  /**
+   * Validate campaign fields before they are stored
+   * @param {object} data - Campaign fields
+   * @param {string[]} knownAgents - Agent types the orchestrator can launch
+   * @param {boolean} partial - Only validate fields that are present (update)
+   * @returns {object} - { valid, errors }
+   */
+  static validate(data, knownAgents, partial = false) {
+    const errors = [];
+    const present = field => data[field] !== undefined;
+    const required = field => !partial || present(field);
+
+    if (required('name') && (typeof data.name !== 'string' || !data.name.trim() || data.name.length > MAX_NAME_LENGTH)) {
+      errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (required('type') && (!TYPES[data.type] || TYPES[data.type].system)) {
+      const types = Object.keys(TYPES).filter(type => !TYPES[type].system);
+      errors.push(`type must be one of: ${types.join(', ')}`);
+    }
+    if (required('agent_type') && !knownAgents.includes(data.agent_type)) {
+      errors.push(`agent_type must be one of: ${knownAgents.join(', ')}`);
+    }
+    if (required('script') && (typeof data.script !== 'string' || !data.script.trim() || data.script.length > MAX_SCRIPT_LENGTH)) {
+      errors.push(`script must be a non-empty string of at most ${MAX_SCRIPT_LENGTH} characters`);
+    }
+    if (present('voicemail_template') && data.voicemail_template !== null &&
+        (typeof data.voicemail_template !== 'string' || data.voicemail_template.length > MAX_VOICEMAIL_LENGTH)) {
+      errors.push(`voicemail_template must be a string of at most ${MAX_VOICEMAIL_LENGTH} characters`);
+    }
+    if (present('status') && !STATUSES.includes(data.status)) {
+      errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    for (const field of ['calling_window_start', 'calling_window_end']) {
+      if (present(field) && !TIME.test(data[field] || '')) {
+        errors.push(`${field} must be HH:MM`);
+      }
+    }
+    if (TIME.test(data.calling_window_start || '') && TIME.test(data.calling_window_end || '') &&
+        data.calling_window_start >= data.calling_window_end) {
+      errors.push('calling_window_start must be before calling_window_end');
+    }
+    if (TIME.test(data.calling_window_start || '') && data.calling_window_start < PERMITTED_HOURS.start) {
+      errors.push(`calling_window_start must be ${PERMITTED_HOURS.start} or later`);
+    }
+    if (TIME.test(data.calling_window_end || '') && withSeconds(data.calling_window_end) > withSeconds(PERMITTED_HOURS.end)) {
+      errors.push(`calling_window_end must be ${PERMITTED_HOURS.end} or earlier`);
+    }
+
+    if (present('timezone')) {
+      try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: data.timezone });
+      } catch (error) {
+        errors.push('timezone must be an IANA time zone, e.g. Asia/Kolkata');
+      }
+    }
+
+    if (present('max_concurrent_calls') &&
+        (!Number.isInteger(data.max_concurrent_calls) || data.max_concurrent_calls < 1 || data.max_concurrent_calls > MAX_CONCURRENT_CALLS)) {
+      errors.push(`max_concurrent_calls must be an integer between 1 and ${MAX_CONCURRENT_CALLS}`);
+    }
+
+    if (present('retry_rules')) {
+      const rules = data.retry_rules;
+      if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        errors.push('retry_rules must be an object');
+      } else {
+        for (const [status, rule] of Object.entries(rules)) {
+          if (!DEFAULT_RETRY_RULES[status]) {
+            errors.push(`retry_rules.${status}: only ${Object.keys(DEFAULT_RETRY_RULES).join(', ')} can be retried`);
+          } else if (!Number.isInteger(rule?.maxAttempts) || rule.maxAttempts < 1 || rule.maxAttempts > 10 ||
+                     !Number.isInteger(rule?.delayMinutes) || rule.delayMinutes < 1) {
+            errors.push(`retry_rules.${status}: maxAttempts must be 1-10 and delayMinutes at least 1`);
+          }
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Whether a status change requested by the tenant is allowed
+   */
+  static canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Parse a contact list CSV (header row required, phone column required)
+   *
+   * Recognised columns: phone, name, order_id. Anything else is kept in the
+   * contact's data (e.g. amount) and made available to the script.
+   *
+   * @param {string} csv - File contents
+   * @returns {object} - { contacts, errors: [{ line, error }] }
+   */
+  static parseCsv(csv) {
+    const lines = String(csv || '').split(/\r?\n/)
+      .map((text, i) => ({ text, line: i + 1 }))
+      .filter(({ text }) => text.trim());
+    if (lines.length === 0) {
+      return { contacts: [], errors: [{ line: 1, error: 'file is empty' }] };
+    }
+
+    const header = this.splitCsvLine(lines[0].text).map(column => column.trim().toLowerCase());
+    if (!header.includes('phone')) {
+      return { contacts: [], errors: [{ line: 1, error: 'header must include a phone column' }] };
+    }
+    if (lines.length - 1 > MAX_CONTACTS_PER_UPLOAD) {
+      return { contacts: [], errors: [{ line: 1, error: `at most ${MAX_CONTACTS_PER_UPLOAD} contacts per upload` }] };
+    }
+
+    const rows = lines.slice(1).map(({ text, line }) => {
+      const values = this.splitCsvLine(text);
+      const row = {};
+      header.forEach((column, index) => {
+        row[column] = (values[index] || '').trim();
+      });
+      return { line, row };
+    });
+
+    return this.normalizeContacts(rows);
+  }
+
+  /**
+   * Split one CSV line, honouring double-quoted fields
+   */
+  static splitCsvLine(line) {
+    const values = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        values.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    values.push(current);
+    return values;
+  }
+
+  /**
+   * Validate and normalize contacts given as objects (JSON upload or parsed CSV)
+   * @param {object[]} rows - [{ line, row: { phone, name, order_id, ...data } }]
+   * @returns {object} - { contacts, errors }
+   */
+  static normalizeContacts(rows) {
+    const contacts = [];
+    const errors = [];
+
+    for (const { line, row } of rows) {
+      const { phone, name, order_id: orderId, ...data } = row || {};
+      const normalized = CallerLookupService.normalizePhone(phone);
+      if (!normalized) {
+        errors.push({ line, error: `invalid phone number "${phone || ''}"` });
+        continue;
+      }
+
+      contacts.push({
+        phone: normalized,
+        name: name || null,
+        order_id: orderId ? String(orderId).replace(/^#/, '') : null,
+        data: Object.fromEntries(Object.entries(data).filter(([, value]) => value !== '' && value !== undefined))
+      });
+    }
+
+    return { contacts, errors };
+  }
+
+  /**
+   * Build contacts from the tenant's Shopify orders
+   * @param {object} client - clients row
+   * @param {object} filters - { codOnly, createdAtMin, fulfillmentStatus }
+   * @returns {Promise<object>} - { contacts, errors }
+   */
+  static async contactsFromShopify(client, filters = {}) {
+    const shopify = await ShopifyRegistry.forClient(client?.id);
+    if (!shopify) {
+      throw new Error('Shopify is not connected for this client');
+    }
+
+    const orders = await shopify.listOrders({
+      status: 'open',
+      fulfillment_status: filters.fulfillmentStatus || 'unfulfilled',
+      created_at_min: filters.createdAtMin,
+      limit: SHOPIFY_ORDER_LIMIT
+    });
+
+    const selected = filters.codOnly ? orders.filter(order => this.isCodOrder(order)) : orders;
+    return this.normalizeContacts(selected.map(order => ({
+      line: order.name || order.id,
+      row: this.contactFromOrder(order)
+    })));
+  }
+
+  static isCodOrder(order) {
+    const gateways = [order.gateway, ...(order.payment_gateway_names || [])].filter(Boolean);
+    return gateways.some(gateway => /cash on delivery|cash_on_delivery|cod/i.test(gateway));
+  }
+
+  /**
+   * Contact row for a Shopify order (order_id is the Shopify order ID agents look up)
+   */
+  static contactFromOrder(order) {
+    const address = order.shipping_address || order.billing_address || {};
+    const customer = order.customer || {};
+    return {
+      phone: order.phone || address.phone || customer.phone,
+      name: address.name || [customer.first_name, customer.last_name].filter(Boolean).join(' ') || undefined,
+      order_id: order.id,
+      order_name: order.name,
+      amount: order.total_price,
+      currency: order.currency,
+      items: (order.line_items || []).map(item => item.title).slice(0, 5).join(', ')
+    };
+  }
+
+  /**
+   * Whether it is inside the campaign's calling hours right now
+   * (never outside PERMITTED_HOURS, whatever the campaign says)
+   * @param {object} campaign - campaigns row
+   * @param {Date} date - Defaults to now
+   */
+  static isWithinCallingWindow(campaign, date = new Date()) {
+    const localTime = new Intl.DateTimeFormat('en-GB', {
+      timeZone: campaign.timezone || 'Asia/Kolkata',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(date);
+
+    const start = (campaign.calling_window_start || PERMITTED_HOURS.start).slice(0, 5);
+    const end = (campaign.calling_window_end || PERMITTED_HOURS.end).slice(0, 5);
+    return localTime >= start && localTime >= PERMITTED_HOURS.start &&
+      localTime < end && localTime < PERMITTED_HOURS.end;
+  }
+
+  /**
+   * What to do with a contact after an unanswered attempt
+   * @param {object} campaign - campaigns row
+   * @param {object} contact - campaign_contacts row (attempts already counts this one)
+   * @param {string} callStatus - Exotel status (no-answer, busy, failed...) or 'machine'
+   * @param {Date} now
+   * @returns {object} - Fields to update on the contact
+   */
+  static planRetry(campaign, contact, callStatus, now = new Date()) {
+    const rules = { ...DEFAULT_RETRY_RULES, ...(campaign.retry_rules || {}) };
+    const rule = rules[callStatus];
+
+    if (rule && contact.attempts < rule.maxAttempts) {
+      return {
+        status: 'retry',
+        last_call_status: callStatus,
+        next_attempt_at: new Date(now.getTime() + rule.delayMinutes * 60 * 1000)
+      };
+    }
+
+    return {
+      status: 'failed',
+      last_call_status: callStatus,
+      next_attempt_at: null,
+      outcome: callStatus === 'machine' ? 'voicemail' : 'unreachable'
+    };
+  }
+
+  /**
+   * Terminal status of a campaign call (Exotel status callback)
+   * @param {object} call - calls row
+   * @param {string} callStatus - completed, no-answer, busy, failed, canceled
+   */
+  static async recordCallStatus(call, callStatus) {
+    if (!call?.campaign_contact_id) {
+      return null;
+    }
+
+    try {
+      const contact = await db.campaignContacts.getById(call.campaign_contact_id);
+      // Only the latest attempt counts, and an answered call is settled by the session
+      if (!contact || contact.last_call_id !== call.id || contact.status !== 'calling') {
+        return contact || null;
+      }
+
+      if (callStatus === 'completed') {
+        return await db.campaignContacts.update(contact.id, { last_call_status: callStatus });
+      }
+
+      const campaign = await db.campaigns.getById(call.campaign_id, call.client_id);
+      const status = callStatus === 'canceled' ? 'failed' : callStatus;
+      const update = this.planRetry(campaign || {}, contact, status);
+
+      logger.info('Campaign call not answered', {
+        callId: call.id,
+        contactId: contact.id,
+        callStatus,
+        next: update.status
+      });
+
+      return await db.campaignContacts.update(contact.id, update);
+    } catch (error) {
+      logger.error('Error recording campaign call status', { callId: call.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Campaign and contact behind an outbound call (null for inbound calls)
+   * @param {object} callData - calls row
+   */
+  static async getCallContext(callData) {
+    if (!callData?.campaign_contact_id) {
+      return null;
+    }
+
+    try {
+      const [campaign, contact] = await Promise.all([
+        db.campaigns.getById(callData.campaign_id, callData.client_id),
+        db.campaignContacts.getById(callData.campaign_contact_id)
+      ]);
+      if (!campaign || !contact) {
+        return null;
+      }
+
+      return {
+        campaign,
+        contact,
+        awaitingAnswer: !!TYPES[campaign.type]?.asksQuestion,
+        answer: null
+      };
+    } catch (error) {
+      logger.error('Error loading campaign for call', { callId: callData.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Instruction for the assistant on an outbound call
+   */
+  static buildContext({ campaign, contact }) {
+    const type = TYPES[campaign.type] || TYPES.custom;
+    const callback = contact.data?.callback;
+    const details = [
+      contact.name && `Customer name: ${contact.name}`,
+      contact.order_id && `Order: ${contact.data?.order_name || contact.order_id}`,
+      ...Object.entries(contact.data || {})
+        .filter(([key, value]) => key !== 'order_name' && typeof value !== 'object')
+        .map(([key, value]) => `${key}: ${value}`),
+      callback?.intent && `They were calling about: ${callback.intent.toLowerCase().replace(/_/g, ' ')}`,
+      callback && Object.keys(callback.slots || {}).length > 0 &&
+        `Already collected: ${Object.entries(callback.slots).map(([key, value]) => `${key} ${value}`).join(', ')}`,
+      callback?.waitingFor && `Still needed: ${callback.waitingFor}`
+    ].filter(Boolean);
+
+    const lines = [
+      `SYSTEM: This is an OUTBOUND call you placed on behalf of the store to ${type.purpose}. The customer has just picked up.`,
+      details.length > 0 ? `Details: ${details.join('; ')}.` : null,
+      `Script: "${campaign.script}"`,
+      'Speak first: greet the customer by name in Hindi, say you are calling from the store, then follow the script.'
+    ];
+    if (type.asksQuestion) {
+      lines.push('Ask clearly for a yes or no, and thank the customer once they answer.');
+    }
+    return lines.filter(Boolean).join(' ');
+  }
+
+  /**
+   * Voicemail text for a contact (campaign template or the type's default)
+   * @param {object} context - { campaign, contact } from getCallContext
+   * @param {string} storeName - Tenant name
+   */
+  static renderVoicemail({ campaign, contact }, storeName) {
+    const template = campaign.voicemail_template || (TYPES[campaign.type] || TYPES.custom).voicemail;
+    const values = {
+      name: contact.name || '',
+      store: storeName || 'humare store',
+      order: contact.data?.order_name || contact.order_id || ''
+    };
+
+    return template
+      .replace(/\{(name|store|order)\}/g, (_, key) => values[key])
+      .replace(/\s+([,.])/g, '$1')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Capture the customer's yes/no to the campaign question
+   * @param {object} session - Call session with session.campaign
+   * @param {boolean|null} answer - From intentDetector.detectConfirmation
+   * @returns {boolean} - True if this was the answer
+   */
+  static recordAnswer(session, answer) {
+    if (!session.campaign?.awaitingAnswer || answer === null) {
+      return false;
+    }
+
+    session.campaign.awaitingAnswer = false;
+    session.campaign.answer = answer ? 'confirmed' : 'declined';
+    logger.info('Campaign answer received', {
+      callId: session.callId,
+      contactId: session.campaign.contact.id,
+      answer: session.campaign.answer
+    });
+    return true;
+  }
+
+  /**
+   * Outcome of an answered campaign call
+   */
+  static resolveOutcome(session) {
+    const { campaign, answer } = session.campaign;
+    const outcomes = session.outcomes || [];
+
+    if (outcomes.some(outcome => outcome.agentType === 'CancelOrderAgent' && outcome.success)) {
+      return 'cancelled';
+    }
+    if (answer) {
+      return answer;
+    }
+    if (outcomes.some(outcome => outcome.agentType === campaign.agent_type && outcome.success)) {
+      return 'informed';
+    }
+    return 'no_response';
+  }
+
+  /**
+   * Store the contact's outcome when an answered campaign call ends
+   * @param {object} session - Ended call session
+   */
+  static async recordOutcome(session) {
+    if (!session.campaign) {
+      return null;
+    }
+
+    const { campaign, contact } = session.campaign;
+    try {
+      // Voicemail left - try the customer again later
+      if (session.answeredBy === 'machine') {
+        const update = this.planRetry(campaign, contact, 'machine');
+        logger.info('Campaign call reached an answering machine', {
+          callId: session.callId,
+          contactId: contact.id,
+          next: update.status
+        });
+        return await db.campaignContacts.update(contact.id, {
+          ...update,
+          outcome_data: { callId: session.callId, answeredBy: 'machine', voicemailLeft: !!session.voicemail?.played }
+        });
+      }
+
+      const outcome = this.resolveOutcome(session);
+      const updated = await db.campaignContacts.update(contact.id, {
+        status: 'completed',
+        last_call_status: 'completed',
+        next_attempt_at: null,
+        outcome,
+        outcome_data: {
+          callId: session.callId,
+          answeredBy: session.answeredBy || null,
+          answer: session.campaign.answer,
+          agents: (session.outcomes || []).map(({ agentType, success }) => ({ agentType, success })),
+          durationSeconds: Math.floor((Date.now() - session.startTime) / 1000)
+        }
+      });
+
+      logger.info('Campaign outcome recorded', { callId: session.callId, contactId: contact.id, outcome });
+      return updated;
+    } catch (error) {
+      logger.error('Error recording campaign outcome', { callId: session.callId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Contacts per status and outcome
+   */
+  static async getStats(campaignId) {
+    const rows = await db.campaigns.getStats(campaignId);
+    const stats = { total: 0, byStatus: {}, byOutcome: {} };
+
+    for (const row of rows) {
+      const count = parseInt(row.count, 10);
+      stats.total += count;
+      stats.byStatus[row.status] = (stats.byStatus[row.status] || 0) + count;
+      if (row.outcome) {
+        stats.byOutcome[row.outcome] = (stats.byOutcome[row.outcome] || 0) + count;
+      }
+    }
+    return stats;
+  }
+}
+
+module.exports = CampaignService;
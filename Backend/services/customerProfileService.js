@@ -0,0 +1,229 @@
+// services/customerProfileService.js - Cross-call customer memory
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const CallerLookupService = require(resolve('services/callerLookupService'));
+
+// Profile history limits (the profile row is read on every call start)
+const MAX_CALL_SUMMARIES = 10;
+const MAX_OPEN_ISSUES = 10;
+// Issues older than this are not brought up on the next call
+const OPEN_ISSUE_TTL_DAYS = 30;
+// Previous calls described to the model at call start
+const CONTEXT_CALLS = 3;
+
+// Agent results that leave something open for the customer
+const ISSUE_EXTRACTORS = {
+  ReturnAgent: result => result.returnData && {
+    type: 'return',
+    id: result.returnData.return_id,
+    status: result.returnData.status || 'pending'
+  },
+  ExchangeAgent: result => result.exchangeData && {
+    type: 'exchange',
+    id: result.exchangeData.exchange_id,
+    status: result.exchangeData.status || 'pending'
+  },
+  ComplaintAgent: result => result.ticketId && {
+    type: 'ticket',
+    id: result.ticketId,
+    status: 'open'
+  },
+  TechnicalSupportAgent: result => result.ticketId && {
+    type: 'ticket',
+    id: result.ticketId,
+    status: 'open'
+  }
+};
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+const HINGLISH_MARKERS = /\b(?:hai|hain|kya|mera|meri|mujhe|nahi|kahan|kab|karo|kijiye|chahiye|haan|ji)\b/i;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+class CustomerProfileService {
+  /**
+   * Get a caller's profile for a tenant
+   * @param {string} clientId - Tenant
+   * @param {string} phone - Caller number in any format
+   * @returns {Promise<object|null>} - Profile row or null for first-time/unknown callers
+   */
+  static async getProfile(clientId, phone) {
+    const normalized = CallerLookupService.normalizePhone(phone);
+    if (!clientId || !normalized) {
+      return null;
+    }
+
+    try {
+      return (await db.customerProfiles.getByPhone(clientId, normalized)) || null;
+    } catch (error) {
+      logger.error('Error loading customer profile', { clientId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Guess the caller's language from what they said
+   * @returns {string|null} - hi | hinglish | en, or null if they said nothing
+   */
+  static detectLanguage(conversationHistory = []) {
+    const userText = conversationHistory
+      .filter(turn => turn.role === 'user')
+      .map(turn => turn.content)
+      .join(' ');
+
+    if (!userText.trim()) {
+      return null;
+    }
+    if (DEVANAGARI.test(userText)) {
+      return 'hi';
+    }
+    return HINGLISH_MARKERS.test(userText) ? 'hinglish' : 'en';
+  }
+
+  /**
+   * Ticket/return left open by a completed agent, if any
+   */
+  static extractIssue(outcome) {
+    const extractor = ISSUE_EXTRACTORS[outcome.agentType];
+    const issue = outcome.success && extractor ? extractor(outcome.result || {}) : null;
+
+    if (!issue || !issue.id) {
+      return null;
+    }
+
+    return { ...issue, orderId: outcome.orderId || null };
+  }
+
+  /**
+   * One-line summary of a finished call
+   */
+  static summarizeCall(session) {
+    const parts = [];
+
+    const intents = [...new Set(session.intentHistory || [])];
+    parts.push(intents.length > 0 ? `Asked about ${intents.join(', ')}` : 'General enquiry');
+
+    if (session.entities?.order_id) {
+      parts.push(`order ${session.entities.order_id}`);
+    }
+
+    (session.outcomes || []).forEach(outcome => {
+      parts.push(`${outcome.agentType} ${outcome.success ? 'succeeded' : 'failed'}`);
+    });
+
+    if (session.handoff) {
+      parts.push(`handed off to a human (${session.handoff.reason})`);
+    }
+
+    return `${parts.join('; ')}.`;
+  }
+
+  /**
+   * Overall outcome of a finished call
+   */
+  static getCallOutcome(session) {
+    const outcomes = session.outcomes || [];
+
+    if (session.handoff) {
+      return 'handoff';
+    }
+    if (outcomes.length === 0) {
+      return 'no_action';
+    }
+    return outcomes.every(outcome => outcome.success) ? 'resolved' : 'unresolved';
+  }
+
+  /**
+   * Fold a finished call into the caller's profile
+   * @param {object} session - Ended call session
+   * @returns {Promise<object|null>} - Updated profile or null if not recorded
+   */
+  static async recordCall(session) {
+    const clientId = session.callData?.client_id;
+    const phone = CallerLookupService.normalizePhone(session.callData?.phone_from);
+    if (!clientId || !phone) {
+      return null;
+    }
+
+    try {
+      const existing = await db.customerProfiles.getByPhone(clientId, phone);
+      const now = new Date();
+
+      const summary = {
+        callId: session.callId,
+        at: now.toISOString(),
+        summary: session.summary?.text || this.summarizeCall(session),
+        intents: [...new Set(session.intentHistory || [])],
+        outcome: this.getCallOutcome(session)
+      };
+
+      const newIssues = (session.outcomes || [])
+        .map(outcome => this.extractIssue(outcome))
+        .filter(Boolean)
+        .map(issue => ({ ...issue, openedAt: now.toISOString(), callId: session.callId }));
+
+      return await db.customerProfiles.upsert(clientId, phone, {
+        name: session.caller?.name,
+        preferred_language: this.detectLanguage(session.conversationHistory),
+        call_count: (existing?.call_count || 0) + 1,
+        last_call_id: session.callId,
+        last_call_at: now,
+        call_summaries: [summary, ...(existing?.call_summaries || [])].slice(0, MAX_CALL_SUMMARIES),
+        open_issues: [...newIssues, ...(existing?.open_issues || [])].slice(0, MAX_OPEN_ISSUES)
+      });
+
+    } catch (error) {
+      logger.error('Error recording call on customer profile', {
+        callId: session.callId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Issues still worth mentioning on a new call
+   */
+  static getOpenIssues(profile) {
+    const cutoff = Date.now() - OPEN_ISSUE_TTL_DAYS * 24 * 60 * 60 * 1000;
+    return (profile?.open_issues || []).filter(issue => new Date(issue.openedAt).getTime() >= cutoff);
+  }
+
+  /**
+   * SYSTEM context for the start of a repeat caller's call
+   * @returns {string|null} - null for first-time callers
+   */
+  static buildContext(profile) {
+    if (!profile || !profile.call_count) {
+      return null;
+    }
+
+    const lines = [
+      `SYSTEM: Repeat caller - ${profile.call_count} previous call(s), last on ${formatDate(profile.last_call_at)}.`
+    ];
+
+    (profile.call_summaries || []).slice(0, CONTEXT_CALLS).forEach(call => {
+      lines.push(`- ${formatDate(call.at)}: ${call.summary}`);
+    });
+
+    const issues = this.getOpenIssues(profile);
+    if (issues.length > 0) {
+      lines.push('Open requests:');
+      issues.forEach(issue => {
+        const order = issue.orderId ? ` for order ${issue.orderId}` : '';
+        lines.push(`- ${issue.type} ${issue.id}${order} (${issue.status}, raised ${formatDate(issue.openedAt)})`);
+      });
+    }
+
+    if (profile.preferred_language === 'en') {
+      lines.push('The caller spoke English last time - reply in English unless they switch.');
+    }
+
+    lines.push('If they call about the same issue, acknowledge it and give the update - do not make them explain it again.');
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = CustomerProfileService;
@@ -0,0 +1,176 @@
+// services/dtmfService.js - Keypad (DTMF) input on live calls
+//
+// Numeric slots: while an agent waits for order_id, phone, pin_code or
+// pickup_slot (the number of an offered pickup option) the caller can key the
+// value in and finish with # (* starts over). Keyed values are exact, so they
+// are not read back.
+//
+// Read-back confirmation: while the caller is asked to confirm a value, 1 is
+// yes and 2 is no; other keys are ignored so a menu key can't start another
+// agent mid-confirmation.
+//
+// Keypad menu (optional, per tenant) in clients.settings.dtmf.menu = {
+//   enabled: true,
+//   options: { '1': { intent: 'ORDER_LOOKUP', label: 'order status' }, '2': { intent: 'RETURN_REQUEST', label: 'returns' } }
+// }
+// A single key picks an option whenever no slot is being keyed in. Options
+// must name an intent the tenant's calls know: a built-in one or one from the
+// tenant's intent config.
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+
+const NUMERIC_FIELDS = ['order_id', 'phone', 'pin_code', 'pickup_slot'];
+const END_KEY = '#';
+const CLEAR_KEY = '*';
+// Longer keypad entries are discarded (no valid slot value is this long)
+const MAX_DIGITS = 15;
+const MENU_KEYS = /^[0-9]$/;
+const CONFIRMATION_KEYS = { '1': true, '2': false };
+const INTENT_NAME = /^[A-Z][A-Z0-9_]{1,49}$/;
+const MAX_LABEL_LENGTH = 50;
+
+class DtmfService {
+  /**
+   * Per-call keypad state
+   */
+  static createState() {
+    return { field: null, digits: '' };
+  }
+
+  /**
+   * Slots that can be keyed in
+   */
+  static isNumericField(field) {
+    return NUMERIC_FIELDS.includes(field);
+  }
+
+  /**
+   * Add a key press to the entry for a slot
+   * @param {object} state - From createState()
+   * @param {string} field - Slot being keyed in
+   * @param {string} digit - 0-9, * or #
+   * @returns {object} - { status: 'collecting' | 'complete' | 'cleared' | 'too_long' | 'empty', value }
+   */
+  static collect(state, field, digit) {
+    // An entry belongs to the slot it was started for
+    if (state.field !== field) {
+      state.field = field;
+      state.digits = '';
+    }
+
+    if (digit === CLEAR_KEY) {
+      state.digits = '';
+      return { status: 'cleared', value: null };
+    }
+
+    if (digit === END_KEY) {
+      const value = state.digits;
+      state.digits = '';
+      return value ? { status: 'complete', value } : { status: 'empty', value: null };
+    }
+
+    if (!/^\d$/.test(digit || '')) {
+      return { status: 'collecting', value: null };
+    }
+
+    state.digits += digit;
+    if (state.digits.length > MAX_DIGITS) {
+      state.digits = '';
+      return { status: 'too_long', value: null };
+    }
+    return { status: 'collecting', value: null };
+  }
+
+  /**
+   * Answer to a read-back keyed in: true (1), false (2) or null for any other key
+   */
+  static confirmationAnswer(digit) {
+    return CONFIRMATION_KEYS[digit] ?? null;
+  }
+
+  /**
+   * Validate a keypad menu before it is stored
+   * @param {object} menu - { enabled, options: { key: { intent, label } } }
+   * @param {object} [options] - { intents } known intent names to check options against
+   * @returns {object} - { valid, errors }
+   */
+  static validateMenu(menu, { intents = null } = {}) {
+    const errors = [];
+
+    if (!menu || typeof menu !== 'object' || Array.isArray(menu)) {
+      return { valid: false, errors: ['menu must be an object'] };
+    }
+    if (menu.enabled !== undefined && typeof menu.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+
+    const options = menu.options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      errors.push('options must be an object');
+    } else {
+      for (const [key, option] of Object.entries(options)) {
+        if (!MENU_KEYS.test(key)) {
+          errors.push(`options.${key}: key must be a single digit 0-9`);
+          continue;
+        }
+        if (!option || !INTENT_NAME.test(option.intent || '')) {
+          errors.push(`options.${key}: intent must be an UPPER_SNAKE_CASE intent name`);
+        } else if (intents && !intents.includes(option.intent)) {
+          errors.push(`options.${key}: unknown intent "${option.intent}"`);
+        }
+        if (option?.label !== undefined && (typeof option.label !== 'string' || option.label.length > MAX_LABEL_LENGTH)) {
+          errors.push(`options.${key}: label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+        }
+      }
+      if (menu.enabled && Object.keys(options).length === 0) {
+        errors.push('an enabled menu needs at least one option');
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Enabled keypad menu for a tenant (null if none)
+   * @param {string} clientId - Tenant
+   */
+  static async getMenu(clientId) {
+    if (!clientId) {
+      return null;
+    }
+
+    try {
+      const client = await db.clients.getById(clientId);
+      const menu = client?.settings?.dtmf?.menu;
+      if (!menu?.enabled || !this.validateMenu(menu).valid) {
+        return null;
+      }
+      return menu;
+    } catch (error) {
+      logger.error('Error loading keypad menu', { clientId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Menu option for a key (null if the key isn't on the menu)
+   */
+  static selectOption(menu, digit) {
+    return menu?.options?.[digit] || null;
+  }
+
+  /**
+   * Instruction for the assistant to offer the menu at the start of the call
+   */
+  static buildMenuContext(menu) {
+    const choices = Object.entries(menu.options)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, option]) => `${key} for ${option.label || option.intent.toLowerCase().replace(/_/g, ' ')}`)
+      .join(', ');
+
+    return `SYSTEM: Callers can also use the phone keypad: press ${choices}. Mention this briefly in Hindi after greeting the caller, and again if they struggle to explain what they need.`;
+  }
+}
+
+module.exports = DtmfService;
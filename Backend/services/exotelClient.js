@@ -0,0 +1,101 @@
+// services/exotelClient.js - Exotel REST API (outbound calls)
+//
+// Outbound calls are placed with the Calls/connect API: Exotel dials the
+// customer and, once they answer, runs the tenant's call flow (the Voicebot
+// applet of that flow calls our call-start webhook and opens the /audio
+// stream, same as inbound). Credentials come from the tenant's onboarding
+// (exotel_sid + encrypted exotel_token), falling back to the platform account:
+//   EXOTEL_ACCOUNT_SID, EXOTEL_API_KEY, EXOTEL_API_TOKEN
+//   EXOTEL_SUBDOMAIN           - API host (default api.exotel.com, api.in.exotel.com for Mumbai)
+//   EXOTEL_OUTBOUND_APP_ID     - Call flow with the Voicebot applet (tenants override it with
+//                                settings.exotel.outboundAppId via PUT /api/clients/:id/outbound-config)
+const axios = require('axios');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const { decrypt } = require(resolve('utils/encryption'));
+const { TIMEOUTS } = require(resolve('config/timeoutConfig'));
+
+const DEFAULT_SUBDOMAIN = 'api.exotel.com';
+
+class ExotelClient {
+  /**
+   * Account, API credentials and caller ID for a tenant
+   * @param {object} client - clients row
+   * @returns {object|null} - { sid, apiKey, apiToken, callerId, appId, subdomain } or null if not configured
+   */
+  static getCredentials(client) {
+    let credentials;
+
+    if (client?.exotel_sid && client?.exotel_token) {
+      let apiToken;
+      try {
+        apiToken = decrypt(client.exotel_token);
+      } catch (error) {
+        logger.error('Could not decrypt Exotel token', { clientId: client.id, error: error.message });
+        return null;
+      }
+      credentials = { sid: client.exotel_sid, apiKey: client.exotel_sid, apiToken };
+    } else if (process.env.EXOTEL_ACCOUNT_SID && process.env.EXOTEL_API_KEY && process.env.EXOTEL_API_TOKEN) {
+      credentials = {
+        sid: process.env.EXOTEL_ACCOUNT_SID,
+        apiKey: process.env.EXOTEL_API_KEY,
+        apiToken: process.env.EXOTEL_API_TOKEN
+      };
+    } else {
+      return null;
+    }
+
+    const appId = client?.settings?.exotel?.outboundAppId || process.env.EXOTEL_OUTBOUND_APP_ID;
+    const callerId = client?.exotel_number;
+    if (!appId || !callerId) {
+      return null;
+    }
+
+    return {
+      ...credentials,
+      callerId,
+      appId,
+      subdomain: process.env.EXOTEL_SUBDOMAIN || DEFAULT_SUBDOMAIN
+    };
+  }
+
+  /**
+   * Dial a customer and connect them to the tenant's call flow
+   * @param {object} client - clients row
+   * @param {object} call - { to, customField, statusCallback }
+   * @returns {Promise<object>} - { callSid, status }
+   */
+  static async connectCall(client, { to, customField, statusCallback }) {
+    const credentials = this.getCredentials(client);
+    if (!credentials) {
+      throw new Error('Exotel outbound calling is not configured for this client');
+    }
+
+    const { sid, apiKey, apiToken, callerId, appId, subdomain } = credentials;
+    const form = new URLSearchParams({
+      From: to,
+      CallerId: callerId,
+      Url: `http://my.exotel.com/${sid}/exoml/start_voice/${appId}`,
+      CallType: 'trans',
+      CustomField: customField,
+      StatusCallback: statusCallback,
+      'StatusCallbackEvents[0]': 'terminal',
+      StatusCallbackContentType: 'application/json'
+    });
+
+    const response = await axios.post(
+      `https://${subdomain}/v1/Accounts/${sid}/Calls/connect.json`,
+      form.toString(),
+      {
+        auth: { username: apiKey, password: apiToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: TIMEOUTS.EXOTEL_TIMEOUT
+      }
+    );
+
+    const call = response.data?.Call || {};
+    return { callSid: call.Sid, status: call.Status };
+  }
+}
+
+module.exports = ExotelClient;
@@ -0,0 +1,215 @@
+// services/handoffService.js - Human agent handoff (warm transfer)
+//
+// Transfer flow (Exotel call flow: Voicebot/Stream applet -> Connect applet):
+//   1. The session decides to escalate and marks the call transfer_pending
+//   2. The caller is told they are being connected, then the media stream is closed
+//   3. Exotel moves on to the Connect applet, whose dynamic "dial whom" URL
+//      (GET /webhooks/exotel/handoff-target) returns the tenant's agent number(s)
+//   4. The Connect applet status callback (POST /webhooks/exotel/handoff-status)
+//      records the outcome on the calls row
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+
+const HANDOFF_REASONS = {
+  EXPLICIT_REQUEST: 'explicit_request',
+  AGENT_FAILURES: 'agent_failures',
+  NEGATIVE_SENTIMENT: 'negative_sentiment',
+  COMPLAINT: 'complaint'
+};
+
+// Agent failures (errors or escalations) in one call before handing off
+const MAX_AGENT_FAILURES = parseInt(process.env.HANDOFF_MAX_AGENT_FAILURES) || 2;
+
+// Agents whose completion should be followed by a human (e.g. complaint follow-up)
+const HANDOFF_AGENTS = ['ComplaintAgent'];
+
+// Exotel Connect applet DialCallStatus -> calls.handoff_status
+const DIAL_STATUS_MAP = {
+  completed: 'transferred',
+  answered: 'transferred',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+const TARGET_NUMBER = /^\+?\d{10,13}$/;
+
+class HandoffService {
+  static REASONS = HANDOFF_REASONS;
+
+  /**
+   * Check if a completed agent should be followed by a human handoff
+   */
+  static isHandoffAgent(agentType) {
+    return HANDOFF_AGENTS.includes(agentType);
+  }
+
+  /**
+   * Check if the session has failed often enough to escalate
+   */
+  static hasTooManyFailures(session) {
+    return (session.agentFailures || 0) >= MAX_AGENT_FAILURES;
+  }
+
+  /**
+   * Validate a handoff target (single number or comma-separated queue)
+   * @returns {string|null} - Error message or null if acceptable
+   */
+  static validateTarget(target) {
+    if (typeof target !== 'string' || target.trim().length === 0) {
+      return 'target must be a phone number or comma-separated list of numbers';
+    }
+
+    const numbers = target.split(',').map(n => n.trim());
+    const invalid = numbers.filter(n => !TARGET_NUMBER.test(n));
+    if (invalid.length > 0) {
+      return `invalid number(s): ${invalid.join(', ')}`;
+    }
+    if (numbers.length > 10) {
+      return 'at most 10 numbers allowed';
+    }
+    return null;
+  }
+
+  /**
+   * Get the transfer target configured for a client
+   * @returns {Promise<string|null>} - Number(s) to dial, or null if handoff is unavailable
+   */
+  static async getTarget(clientId) {
+    if (!clientId) {
+      return null;
+    }
+
+    try {
+      const client = await db.clients.getById(clientId);
+      if (!client || client.handoff_enabled === false || !client.handoff_target) {
+        return null;
+      }
+      return client.handoff_target;
+    } catch (error) {
+      logger.error('Error loading handoff target', { clientId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Short summary for the human agent picking up the call
+   */
+  static buildSummary(session, reason) {
+    const parts = [`Handoff reason: ${reason}.`];
+
+    const intents = [...new Set(session.intentHistory || [])];
+    if (intents.length > 0) {
+      parts.push(`Caller asked about: ${intents.join(', ')}.`);
+    }
+
+    const entities = Object.entries(session.entities || {});
+    if (entities.length > 0) {
+      parts.push(`Details: ${entities.map(([key, value]) => `${key}=${value}`).join(', ')}.`);
+    }
+
+    const lastUserTurn = [...(session.conversationHistory || [])]
+      .reverse()
+      .find(turn => turn.role === 'user');
+    if (lastUserTurn) {
+      parts.push(`Last said: "${lastUserTurn.content}".`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Build the handoff event payload
+   */
+  static buildPayload(session, reason, target) {
+    return {
+      callId: session.callId,
+      clientId: session.callData?.client_id || null,
+      callerNumber: session.callData?.phone_from || null,
+      reason,
+      target,
+      summary: this.buildSummary(session, reason),
+      entities: { ...(session.entities || {}) },
+      transcript: (session.conversationHistory || []).map(turn => ({
+        role: turn.role,
+        content: turn.content,
+        timestamp: turn.timestamp
+      })),
+      requestedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Put the call into transfer_pending and log the handoff
+   */
+  static async markPending(payload) {
+    await db.calls.update(payload.callId, {
+      handoff_status: 'transfer_pending',
+      handoff_reason: payload.reason,
+      handoff_target: payload.target,
+      handoff_requested_at: new Date()
+    });
+
+    await db.auditLog({
+      call_id: payload.callId,
+      client_id: payload.clientId,
+      event_type: 'handoff_requested',
+      payload: {
+        reason: payload.reason,
+        target: payload.target,
+        summary: payload.summary,
+        entities: payload.entities
+      }
+    });
+  }
+
+  /**
+   * Number(s) Exotel should dial for a pending transfer
+   * @returns {Promise<string|null>}
+   */
+  static async getDialTarget(callSid) {
+    const call = await db.calls.getBySid(callSid);
+
+    if (!call || call.handoff_status !== 'transfer_pending') {
+      return null;
+    }
+
+    return call.handoff_target || this.getTarget(call.client_id);
+  }
+
+  /**
+   * Record the outcome of the transfer reported by Exotel
+   * @param {string} callSid - Exotel CallSid
+   * @param {string} dialStatus - DialCallStatus from the Connect applet
+   * @returns {Promise<object|null>} - Updated call row or null if unknown
+   */
+  static async recordOutcome(callSid, dialStatus) {
+    const call = await db.calls.getBySid(callSid);
+
+    if (!call) {
+      return null;
+    }
+
+    const status = DIAL_STATUS_MAP[(dialStatus || '').toLowerCase()] || 'failed';
+
+    const updated = await db.calls.update(call.id, {
+      handoff_status: status,
+      handoff_completed_at: new Date()
+    });
+
+    await db.auditLog({
+      call_id: call.id,
+      client_id: call.client_id,
+      event_type: 'handoff_completed',
+      payload: { status, dialStatus }
+    });
+
+    logger.info('Handoff outcome recorded', { callId: call.id, status });
+
+    return updated;
+  }
+}
+
+module.exports = HandoffService;
@@ -0,0 +1,185 @@
+// services/intentConfigService.js - Per-tenant intent/entity pattern overrides
+const { LRUCache } = require('lru-cache');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+
+const MAX_PATTERNS_PER_ENTRY = 50;
+const MAX_PATTERN_LENGTH = 200;
+const OVERRIDE_MODES = ['extend', 'replace'];
+const INTENT_NAME = /^[A-Z][A-Z0-9_]{1,49}$/;
+const ENTITY_NAME = /^[a-z][a-z0-9_]{1,49}$/;
+// Nested quantifiers such as (a+)+ backtrack catastrophically on long transcripts
+const NESTED_QUANTIFIER = /\([^)]*[+*][^)]*\)\s*[+*{]/;
+
+// Built detectors per client (5 min TTL, invalidated on config change)
+const detectorCache = new LRUCache({
+  max: 500,
+  ttl: 1000 * 60 * 5
+});
+
+class IntentConfigService {
+  /**
+   * Convert a client_intent_config row to detector overrides
+   */
+  static fromRow(row) {
+    return {
+      intentPatterns: row?.intent_patterns || {},
+      entityPatterns: row?.entity_patterns || {},
+      intentAgentMap: row?.intent_agent_map || {}
+    };
+  }
+
+  /**
+   * Validate an override payload before it is stored
+   * @param {object} config - { intentPatterns, entityPatterns, intentAgentMap }
+   * @param {string[]} knownAgents - Registered agent types
+   * @returns {object} - { valid, errors }
+   */
+  static validate(config, knownAgents) {
+    const errors = {};
+    const { intentPatterns = {}, entityPatterns = {}, intentAgentMap = {} } = config || {};
+
+    const checkEntries = (field, entries, namePattern) => {
+      if (typeof entries !== 'object' || Array.isArray(entries) || entries === null) {
+        errors[field] = [`${field} must be an object`];
+        return;
+      }
+
+      for (const [name, entry] of Object.entries(entries)) {
+        const key = `${field}.${name}`;
+        const problems = [];
+
+        if (!namePattern.test(name)) {
+          problems.push(`invalid name "${name}"`);
+        }
+        if (!entry || !OVERRIDE_MODES.includes(entry.mode)) {
+          problems.push(`mode must be one of: ${OVERRIDE_MODES.join(', ')}`);
+        }
+        if (!entry || !Array.isArray(entry.patterns)) {
+          problems.push('patterns must be an array');
+        } else {
+          if (entry.patterns.length === 0 && entry.mode !== 'replace') {
+            problems.push('patterns must not be empty');
+          }
+          if (entry.patterns.length > MAX_PATTERNS_PER_ENTRY) {
+            problems.push(`at most ${MAX_PATTERNS_PER_ENTRY} patterns allowed`);
+          }
+          entry.patterns.forEach((pattern, i) => {
+            const error = this.checkPattern(pattern);
+            if (error) {
+              problems.push(`patterns[${i}]: ${error}`);
+            }
+          });
+        }
+
+        if (problems.length > 0) {
+          errors[key] = problems;
+        }
+      }
+    };
+
+    checkEntries('intentPatterns', intentPatterns, INTENT_NAME);
+    checkEntries('entityPatterns', entityPatterns, ENTITY_NAME);
+
+    if (typeof intentAgentMap !== 'object' || Array.isArray(intentAgentMap) || intentAgentMap === null) {
+      errors.intentAgentMap = ['intentAgentMap must be an object'];
+    } else {
+      for (const [intent, agentType] of Object.entries(intentAgentMap)) {
+        if (!INTENT_NAME.test(intent)) {
+          errors[`intentAgentMap.${intent}`] = [`invalid intent name "${intent}"`];
+        } else if (!knownAgents.includes(agentType)) {
+          errors[`intentAgentMap.${intent}`] = [`unknown agent type "${agentType}"`];
+        }
+      }
+    }
+
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check a single regex source string
+   * @returns {string|null} - Error message or null if acceptable
+   */
+  static checkPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      return 'must be a non-empty string';
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return `must not exceed ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (NESTED_QUANTIFIER.test(pattern)) {
+      return 'nested quantifiers are not allowed';
+    }
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return `invalid regex (${error.message})`;
+    }
+    return null;
+  }
+
+  /**
+   * Get the intent detector for a client, applying its overrides
+   * @param {string} clientId - Client UUID
+   * @param {IntentDetector} baseDetector - Detector with built-in patterns
+   * @returns {Promise<IntentDetector>}
+   */
+  static async getDetector(clientId, baseDetector) {
+    if (!clientId) {
+      return baseDetector;
+    }
+
+    const cached = detectorCache.get(clientId);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const row = await db.intentConfigs.getByClient(clientId);
+      const detector = row
+        ? baseDetector.withOverrides(this.fromRow(row))
+        : baseDetector;
+
+      detectorCache.set(clientId, detector);
+      return detector;
+    } catch (error) {
+      // Never block a live call on tenant config - use built-in patterns
+      logger.error('Error loading tenant intent config', {
+        clientId,
+        error: error.message
+      });
+      return baseDetector;
+    }
+  }
+
+  /**
+   * Intents a tenant's calls know: the built-in ones plus the tenant's own
+   * @param {string} clientId - Client UUID
+   * @param {IntentDetector} baseDetector - Detector with built-in patterns
+   * @returns {Promise<string[]>}
+   */
+  static async getIntentNames(clientId, baseDetector) {
+    const row = await db.intentConfigs.getByClient(clientId);
+    const { intentPatterns, intentAgentMap } = this.fromRow(row);
+
+    return [...new Set([
+      ...baseDetector.getIntentNames(),
+      ...Object.keys(intentPatterns),
+      ...Object.keys(intentAgentMap)
+    ])];
+  }
+
+  /**
+   * Drop the cached detector after a config change
+   */
+  static invalidate(clientId) {
+    detectorCache.delete(clientId);
+    logger.debug('Intent config cache cleared', { clientId });
+  }
+}
+
+module.exports = IntentConfigService;
@@ -0,0 +1,147 @@
+// services/latencyService.js - Per-turn call latency records and percentiles
+//
+// Each caller turn is timed by the call pipeline (services/parallelProcessor):
+//   speech_to_transcript_ms  - caller stopped talking -> final transcript
+//   transcript_to_intent_ms  - final transcript -> intent detected
+//   agent_ms                 - agents the turn dispatched, end to end
+//   time_to_first_audio_ms   - caller stopped talking -> first bot audio byte
+// The turns are stored when the call ends and reported as p50/p95/p99.
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+
+const METRICS = [
+  'speech_to_transcript_ms',
+  'transcript_to_intent_ms',
+  'agent_ms',
+  'time_to_first_audio_ms'
+];
+const PERCENTILES = { p50: 0.5, p95: 0.95, p99: 0.99 };
+
+class LatencyService {
+  /**
+   * Latency rows for the caller turns of a call
+   * Turns without a final transcript (noise, barge-ins cut short) are skipped.
+   * @param {object} session - Call session with a pipeline
+   * @returns {object[]} - call_turn_latency rows
+   */
+  static buildRows(session) {
+    if (!session.pipeline) {
+      return [];
+    }
+
+    return session.pipeline.getTurnTimings()
+      .filter(timing => timing.marks.transcript_final !== undefined)
+      .map(timing => ({
+        call_id: session.callId,
+        client_id: session.callData?.client_id || null,
+        turn_number: timing.turn,
+        item_id: timing.itemId,
+        agent_type: timing.agents[0]?.agentType || null,
+        speech_to_transcript_ms: timing.speechToTranscriptMs,
+        transcript_to_intent_ms: timing.transcriptToIntentMs,
+        agent_ms: timing.agentMs,
+        time_to_first_audio_ms: timing.timeToFirstAudioMs,
+        timings: {
+          startedAt: timing.startedAt,
+          marks: timing.marks,
+          stages: timing.stages,
+          agents: timing.agents
+        }
+      }));
+  }
+
+  /**
+   * Store the call's turn latencies
+   * @param {object} session - Ended call session
+   * @returns {Promise<number>} - Turns stored
+   */
+  static async recordCall(session) {
+    const rows = this.buildRows(session);
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    try {
+      await db.turnLatency.createMany(rows);
+      return rows.length;
+    } catch (error) {
+      logger.error('Error saving turn latency', { callId: session.callId, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * p50/p95/p99 of each latency for a tenant, overall and per agent type
+   * @param {string} clientId - Tenant
+   * @param {object} filters - { startDate, endDate, agentType }
+   * @returns {Promise<object>} - { overall, byAgentType }
+   */
+  static async getBreakdown(clientId, filters = {}) {
+    let whereClause = 'WHERE l.client_id = $1';
+    const params = [clientId];
+
+    if (filters.startDate) {
+      params.push(filters.startDate);
+      whereClause += ` AND l.created_at >= $${params.length}`;
+    }
+    if (filters.endDate) {
+      params.push(filters.endDate);
+      whereClause += ` AND l.created_at <= $${params.length}`;
+    }
+    if (filters.agentType) {
+      params.push(filters.agentType);
+      whereClause += ` AND l.agent_type = $${params.length}`;
+    }
+
+    const percentiles = `ARRAY[${Object.values(PERCENTILES).join(', ')}]`;
+    const selects = METRICS.map(metric =>
+      `percentile_cont(${percentiles}) WITHIN GROUP (ORDER BY l.${metric}) AS ${metric}`
+    ).join(',\n              ');
+
+    const [overall, byAgentType] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*) AS turns, COUNT(DISTINCT l.call_id) AS calls,
+              ${selects}
+         FROM call_turn_latency l ${whereClause}`,
+        params
+      ),
+      db.query(
+        `SELECT l.agent_type, COUNT(*) AS turns, COUNT(DISTINCT l.call_id) AS calls,
+              ${selects}
+         FROM call_turn_latency l ${whereClause} AND l.agent_type IS NOT NULL
+         GROUP BY l.agent_type
+         ORDER BY turns DESC`,
+        params
+      )
+    ]);
+
+    return {
+      overall: this.formatRow(overall.rows[0]),
+      byAgentType: byAgentType.rows.map(row => ({ agentType: row.agent_type, ...this.formatRow(row) }))
+    };
+  }
+
+  /**
+   * { turns, calls, [metric]: { p50, p95, p99 } } from a percentile row
+   */
+  static formatRow(row = {}) {
+    const formatted = {
+      turns: parseInt(row.turns, 10) || 0,
+      calls: parseInt(row.calls, 10) || 0
+    };
+
+    for (const metric of METRICS) {
+      const values = row[metric] || [];
+      formatted[metric] = Object.fromEntries(
+        Object.keys(PERCENTILES).map((name, i) => [
+          name,
+          values[i] === null || values[i] === undefined ? null : Math.round(values[i])
+        ])
+      );
+    }
+    return formatted;
+  }
+}
+
+module.exports = LatencyService;
@@ -1,196 +1,341 @@
 /**
- * Parallel Processor - Handles concurrent processing of audio streams
- * Enables simultaneous:
- * - ASR (Automatic Speech Recognition)
- * - Intent Detection
- * - Agent Execution
- * - Action Execution
- * 
- * This dramatically improves response times by processing in parallel instead of serial
+ * Parallel Processor - Streaming per-turn pipeline for live calls
+ *
+ * A turn starts when the caller starts speaking. While they talk, each
+ * partial transcript runs the 'partial' stages (speculative intent detection,
+ * order prefetch) concurrently and cancels the previous partial run. The final
+ * transcript runs the 'final' stages concurrently; they can pick up the
+ * speculative result for the same text instead of starting over. The speech
+ * session generates its reply at the same time.
+ *
+ * Every stage gets an AbortSignal and should pass it on to its ASR/LLM/TTS or
+ * API calls; a cancelled stage settles as 'cancelled' right away, and a stage
+ * whose signal is already aborted doesn't start. Speaking again cancels the
+ * previous turn's speculative work. Final stages are not cancelled by that -
+ * the caller did say it - only when the call ends, and late results are still
+ * attributed to their own turn.
+ *
+ * Every stage run is timed from the turn start, along with marks such as
+ * speech_stopped and first_audio, so time-to-first-audio is known per turn.
+ * Agents started by a turn report their run time back with recordAgent().
  */
 
-const logger = require('./logger');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
 
-class ParallelProcessor {
-  constructor() {
-    this.activeProcesses = new Map(); // callId -> { tasks: [] }
-  }
+const STAGE_TRIGGERS = ['partial', 'final'];
+// Turns kept per call for timing
+const MAX_TURNS = 50;
+// Partials arrive every few words - don't restart speculative stages more often than this
+const PARTIAL_INTERVAL_MS = 150;
+
+const normalizeText = (text) => (text || '').trim().toLowerCase();
+
+/**
+ * Settle with the work, or reject as soon as the signal aborts
+ */
+const untilAborted = (work, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => reject(signal.reason);
+  signal.addEventListener('abort', onAbort, { once: true });
+  Promise.resolve(work)
+    .then(resolve, reject)
+    .finally(() => signal.removeEventListener('abort', onAbort));
+});
 
+class CallPipeline {
   /**
-   * Process audio chunk in parallel pipelines
    * @param {string} callId - Call ID
-   * @param {Buffer} audioChunk - Audio data
-   * @param {object} processors - { asr, intentDetector, agentOrchestrator, actionExecutor }
+   * @param {object[]} stages - [{ name, on: 'partial' | 'final', run(input, turn, signal) }]
+   * @param {object} options - { onTurnTiming(summary) } called once a turn has first audio,
+   *                           { partialIntervalMs } minimum gap between partial runs
    */
-  async processAudioParallel(callId, audioChunk, processors) {
-    try {
-      // Launch all processors in parallel
-      const results = await Promise.allSettled([
-        // ASR: Convert audio to text
-        this.processASR(callId, audioChunk, processors.asr),
-        
-        // Intent detection from partial transcripts
-        this.processIntentDetection(callId, processors.intentDetector),
-        
-        // Agent execution if one is active
-        this.processAgentExecution(callId, processors.agentOrchestrator),
-        
-        // Execute pending actions
-        this.processActionExecution(callId, processors.actionExecutor)
-      ]);
-
-      // Collect results
-      const parallelResults = {
-        asr: results[0].status === 'fulfilled' ? results[0].value : null,
-        intent: results[1].status === 'fulfilled' ? results[1].value : null,
-        agentState: results[2].status === 'fulfilled' ? results[2].value : null,
-        actionResult: results[3].status === 'fulfilled' ? results[3].value : null
-      };
-
-      return parallelResults;
-    } catch (error) {
-      logger.error('Error in parallel processing', {
-        callId,
-        error: error.message
-      });
-      throw error;
+  constructor(callId, stages = [], options = {}) {
+    for (const stage of stages) {
+      if (!STAGE_TRIGGERS.includes(stage.on)) {
+        throw new Error(`Stage ${stage.name} must run on one of: ${STAGE_TRIGGERS.join(', ')}`);
+      }
     }
+
+    this.callId = callId;
+    this.stages = stages;
+    this.onTurnTiming = options.onTurnTiming || null;
+    this.partialIntervalMs = options.partialIntervalMs ?? PARTIAL_INTERVAL_MS;
+    this.turns = [];
+    this.current = null;
+    this.turnCount = 0;
+    // Aborted when the call ends - stops final stages and timed work
+    this.controller = new AbortController();
   }
 
   /**
-   * Process ASR in parallel
+   * Caller started speaking - open a new turn
+   * @param {string|null} itemId - Speech session item for this utterance
    */
-  async processASR(callId, audioChunk, asrProcessor) {
-    try {
-      if (!asrProcessor || !audioChunk) {
-        return null;
-      }
+  beginTurn(itemId = null) {
+    if (this.current) {
+      this.current.controller.abort();
+    }
 
-      // Simulate or call actual ASR
-      // In production, this would call Deepgram/Whisper
-      return {
-        transcript: null, // Will be filled by actual ASR
-        confidence: 0,
-        isFinal: false
-      };
-    } catch (error) {
-      logger.error('ASR processing error', { callId, error: error.message });
-      return null;
+    const turn = {
+      id: ++this.turnCount,
+      itemId,
+      startedAt: Date.now(),
+      controller: new AbortController(),
+      partialController: null,
+      partialText: null,
+      partialAt: null,
+      // stage name -> { text, promise } from the latest partial run
+      speculative: {},
+      // stage name -> { startMs, durationMs, status, reused? }
+      stages: {},
+      marks: {},
+      // { agentType, durationMs, status } for agents this turn dispatched
+      agents: [],
+      reported: false
+    };
+
+    this.current = turn;
+    this.turns.push(turn);
+    if (this.turns.length > MAX_TURNS) {
+      this.turns.shift();
     }
+    return turn;
   }
 
   /**
-   * Detect intent in parallel while ASR is still processing
+   * Turn an event belongs to (by item ID, else the current one)
    */
-  async processIntentDetection(callId, intentDetector) {
-    try {
-      if (!intentDetector) {
-        return null;
-      }
-
-      // This would use partial transcripts if available
-      // For now, return null to be updated when transcript is ready
-      return {
-        intent: null,
-        confidence: 0
-      };
-    } catch (error) {
-      logger.error('Intent detection error', { callId, error: error.message });
-      return null;
+  getTurn(itemId = null) {
+    if (itemId) {
+      const turn = this.turns.find(t => t.itemId === itemId);
+      if (turn) return turn;
     }
+    if (!this.current) {
+      return this.beginTurn(itemId);
+    }
+    if (itemId && !this.current.itemId) {
+      this.current.itemId = itemId;
+    }
+    return this.current;
   }
 
   /**
-   * Execute active agent in parallel
+   * Time one stage against the turn
+   * @returns {Promise<object>} - { status: 'ok' | 'error' | 'cancelled', result }
    */
-  async processAgentExecution(callId, agentOrchestrator) {
+  async runStage(turn, name, fn, signal = turn.controller.signal) {
+    const startMs = Date.now() - turn.startedAt;
+    const timing = { startMs, durationMs: null, status: 'running' };
+    turn.stages[name] = timing;
+
     try {
-      if (!agentOrchestrator) {
-        return null;
+      signal.throwIfAborted();
+      const result = await untilAborted(fn(signal), signal);
+      timing.status = signal.aborted ? 'cancelled' : 'ok';
+      return { status: timing.status, result: signal.aborted ? null : result };
+    } catch (error) {
+      timing.status = signal.aborted ? 'cancelled' : 'error';
+      if (!signal.aborted) {
+        logger.error('Pipeline stage failed', { callId: this.callId, stage: name, error: error.message });
       }
+      return { status: timing.status, result: null };
+    } finally {
+      timing.durationMs = Date.now() - turn.startedAt - startMs;
+    }
+  }
 
-      const agent = agentOrchestrator.getAgent(callId);
-      
-      if (!agent || !agent.isRunning) {
-        return null;
+  /**
+   * Run every stage for a trigger concurrently
+   * @returns {Promise<object>} - { [stageName]: result }
+   */
+  async runStages(turn, trigger, input, signal) {
+    const stages = this.stages.filter(stage => stage.on === trigger);
+    const runs = stages.map(stage => {
+      const promise = this.runStage(turn, stage.name, (stageSignal) => stage.run(input, turn, stageSignal), signal);
+      if (trigger === 'partial') {
+        turn.speculative[stage.name] = { text: normalizeText(input.text), promise };
       }
+      return promise;
+    });
 
-      // Continue agent execution without blocking other processors
-      return {
-        agentState: agent.getStatus(),
-        hasUpdate: true
-      };
-    } catch (error) {
-      logger.error('Agent execution error', { callId, error: error.message });
+    const outcomes = await Promise.all(runs);
+    return Object.fromEntries(stages.map((stage, i) => [stage.name, outcomes[i].result]));
+  }
+
+  /**
+   * Partial transcript - rerun speculative stages, cancelling the last run
+   */
+  async partial(text, itemId = null) {
+    const turn = this.getTurn(itemId);
+    if (normalizeText(text) === normalizeText(turn.partialText)) {
+      return null;
+    }
+    if (turn.partialAt !== null && Date.now() - turn.partialAt < this.partialIntervalMs) {
       return null;
     }
+
+    if (turn.partialController) {
+      turn.partialController.abort();
+    }
+    turn.partialController = new AbortController();
+    turn.partialText = text;
+    turn.partialAt = Date.now();
+
+    const signal = AbortSignal.any([turn.controller.signal, turn.partialController.signal]);
+    return this.runStages(turn, 'partial', { text }, signal);
   }
 
   /**
-   * Execute pending actions in parallel
+   * Final transcript - run final stages
    */
-  async processActionExecution(callId, actionExecutor) {
-    try {
-      if (!actionExecutor) {
-        return null;
-      }
+  async final(text, itemId = null) {
+    const turn = this.getTurn(itemId);
+    this.markTurn(turn, 'transcript_final');
+    return this.runStages(turn, 'final', { text }, this.controller.signal);
+  }
 
-      // Execute any pending database/API calls without blocking audio pipeline
-      // This would be batched for efficiency
-      return {
-        executed: [],
-        pending: []
-      };
-    } catch (error) {
-      logger.error('Action execution error', { callId, error: error.message });
+  /**
+   * Speculative result computed on exactly this text (null if none)
+   * Lets a final stage reuse work started while the caller was still talking.
+   */
+  async getSpeculative(turn, name, text) {
+    const entry = turn.speculative[name];
+    if (!entry || entry.text !== normalizeText(text)) {
       return null;
     }
+
+    const outcome = await entry.promise;
+    return outcome.status === 'ok' ? outcome.result : null;
   }
 
   /**
-   * Merge parallel results intelligently
+   * Time work outside the declared stages (e.g. agent dispatch)
    */
-  mergeResults(parallelResults, previousState) {
-    try {
-      const merged = { ...previousState };
+  async time(name, fn, itemId = null) {
+    const turn = this.getTurn(itemId);
+    const outcome = await this.runStage(turn, name, (signal) => fn(signal), this.controller.signal);
+    return outcome.result;
+  }
 
-      if (parallelResults.asr) {
-        merged.latestTranscript = parallelResults.asr.transcript;
-        merged.asrConfidence = parallelResults.asr.confidence;
-      }
+  /**
+   * Record when something happened in the turn (first time only)
+   */
+  mark(name, itemId = null) {
+    if (!this.current && !itemId) {
+      return;
+    }
+    const turn = this.getTurn(itemId);
+    this.markTurn(turn, name);
 
-      if (parallelResults.intent) {
-        merged.detectedIntent = parallelResults.intent.intent;
-        merged.intentConfidence = parallelResults.intent.confidence;
-      }
+    if (name === 'first_audio' && !turn.reported) {
+      turn.reported = true;
+      const summary = this.summarize(turn);
+      logger.info('Turn latency', {
+        callId: this.callId,
+        turn: summary.turn,
+        timeToFirstAudioMs: summary.timeToFirstAudioMs,
+        stages: summary.stages
+      });
+      this.onTurnTiming?.(summary);
+    }
+  }
 
-      if (parallelResults.agentState) {
-        merged.agentStatus = parallelResults.agentState;
-      }
+  /**
+   * Attribute an agent run to the turn that dispatched it
+   * Agents finish asynchronously, usually after the turn's first audio.
+   * @param {string} agentType - Agent class name
+   * @param {number} durationMs - Agent run time
+   * @param {string} status - 'ok' | 'error'
+   */
+  recordAgent(agentType, durationMs, status = 'ok') {
+    const turn = [...this.turns].reverse().find(t => t.stages.dispatch) || this.current;
+    if (!turn) {
+      return;
+    }
+    turn.agents.push({ agentType, durationMs, status });
+  }
 
-      if (parallelResults.actionResult) {
-        merged.completedActions = parallelResults.actionResult.executed;
-        merged.pendingActions = parallelResults.actionResult.pending;
-      }
+  markTurn(turn, name) {
+    if (turn.marks[name] === undefined) {
+      turn.marks[name] = Date.now() - turn.startedAt;
+    }
+  }
 
-      return merged;
-    } catch (error) {
-      logger.error('Error merging results', { error: error.message });
-      return previousState;
+  /**
+   * Timing report for one turn
+   * Breakdown: end of speech -> transcript -> intent, agent run time, and
+   * end of speech -> first audio byte (null where the turn never got there).
+   */
+  summarize(turn) {
+    const { marks, stages } = turn;
+    const between = (from, to) => (from !== undefined && to !== undefined ? Math.max(0, to - from) : null);
+    // Measured from when the caller stopped talking (or the transcript if VAD gave no stop)
+    const endOfSpeech = marks.speech_stopped ?? marks.transcript_final;
+    const intentEnd = stages.intent?.durationMs != null ? stages.intent.startMs + stages.intent.durationMs : undefined;
+
+    return {
+      turn: turn.id,
+      itemId: turn.itemId,
+      startedAt: new Date(turn.startedAt).toISOString(),
+      marks: { ...marks },
+      stages: Object.fromEntries(
+        Object.entries(stages).map(([name, timing]) => [name, { ...timing }])
+      ),
+      agents: turn.agents.map(agent => ({ ...agent })),
+      speechToTranscriptMs: between(marks.speech_stopped, marks.transcript_final),
+      transcriptToIntentMs: between(marks.transcript_final, intentEnd),
+      agentMs: turn.agents.length > 0
+        ? turn.agents.reduce((sum, agent) => sum + agent.durationMs, 0)
+        : null,
+      timeToFirstAudioMs: between(endOfSpeech, marks.first_audio)
+    };
+  }
+
+  getTurnTimings() {
+    return this.turns.map(turn => this.summarize(turn));
+  }
+
+  /**
+   * Cancel anything still running for the call
+   */
+  cancel() {
+    if (this.current) {
+      this.current.controller.abort();
     }
+    this.controller.abort();
+  }
+}
+
+class ParallelProcessor {
+  constructor() {
+    this.activeProcesses = new Map(); // callId -> CallPipeline
+  }
+
+  /**
+   * Create the pipeline for a call (replaces an existing one)
+   * @param {string} callId - Call ID
+   * @param {object[]} stages - Stage definitions (see CallPipeline)
+   * @param {object} options - { onTurnTiming }
+   * @returns {CallPipeline}
+   */
+  createPipeline(callId, stages, options = {}) {
+    this.cleanupProcess(callId);
+    const pipeline = new CallPipeline(callId, stages, options);
+    this.activeProcesses.set(callId, pipeline);
+    return pipeline;
+  }
+
+  getPipeline(callId) {
+    return this.activeProcesses.get(callId) || null;
   }
 
   /**
    * Cleanup parallel process
    */
   cleanupProcess(callId) {
-    if (this.activeProcesses.has(callId)) {
-      const process = this.activeProcesses.get(callId);
-      process.tasks.forEach(task => {
-        if (task && typeof task.cancel === 'function') {
-          task.cancel();
-        }
-      });
+    const pipeline = this.activeProcesses.get(callId);
+    if (pipeline) {
+      pipeline.cancel();
       this.activeProcesses.delete(callId);
     }
   }
@@ -200,3 +345,4 @@ class ParallelProcessor {
 const parallelProcessor = new ParallelProcessor();
 
 module.exports = parallelProcessor;
+module.exports.CallPipeline = CallPipeline;
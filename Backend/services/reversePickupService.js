@@ -0,0 +1,311 @@
+// services/reversePickupService.js - Reverse pickups for returns and exchanges
+//
+// ReturnAgent and ExchangeAgent ask the tenant's courier provider (the default
+// provider in clients.settings.tracking, see services/trackingService.js)
+// whether it collects from the customer's pincode and on which days, offer the
+// caller up to MAX_OPTIONS of them, book the one picked and keep the return in
+// the returns table (AWB, day and window) for the dashboard. Pickups need the
+// tenant's return address (settings.tracking.returnAddress) and the tenant's
+// own courier account: bookings are billed to it, so the environment's
+// SHIPROCKET_* / DELHIVERY_API_TOKEN account (fine for tracking) is never used.
+// Without them, or when the pincode is not serviceable, the return is recorded
+// as pickup_unavailable and the team arranges the pickup.
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const TrackingService = require(resolve('services/trackingService'));
+const { supportsReversePickup, TRACKING_STATUS } = require(resolve('tracking/index'));
+
+const MAX_OPTIONS = 3;
+
+const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  PICKUP_SCHEDULED: 'pickup_scheduled',
+  PICKUP_UNAVAILABLE: 'pickup_unavailable', // Not serviceable or no provider: the team arranges it
+  PICKUP_FAILED: 'pickup_failed', // The provider rejected the booking
+  PICKED_UP: 'picked_up',
+  RECEIVED: 'received', // Delivered back to the return address
+  CANCELLED: 'cancelled'
+};
+
+// What the caller may say to pick an option (Hindi and English ordinals)
+const ORDINALS = [
+  /\b(pehla|pehli|pahla|pahli|first)\b/i,
+  /\b(doosra|doosri|dusra|dusri|second)\b/i,
+  /\b(teesra|teesri|tisra|tisri|third)\b/i
+];
+
+// Reverse-shipment tracking status to the return's status (others leave it as is)
+const TRACKING_TO_RETURN = {
+  [TRACKING_STATUS.PICKED_UP]: RETURN_STATUS.PICKED_UP,
+  [TRACKING_STATUS.IN_TRANSIT]: RETURN_STATUS.PICKED_UP,
+  [TRACKING_STATUS.OUT_FOR_DELIVERY]: RETURN_STATUS.PICKED_UP,
+  [TRACKING_STATUS.DELIVERED]: RETURN_STATUS.RECEIVED,
+  [TRACKING_STATUS.CANCELLED]: RETURN_STATUS.CANCELLED
+};
+
+/**
+ * '18:00' -> '6 PM', '10:30' -> '10:30 AM'
+ */
+const speakTime = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const hour = hours % 12 || 12;
+  return minutes ? `${hour}:${String(minutes).padStart(2, '0')} ${suffix}` : `${hour} ${suffix}`;
+};
+
+class ReversePickupService {
+  static MAX_OPTIONS = MAX_OPTIONS;
+  static RETURN_STATUS = RETURN_STATUS;
+
+  /**
+   * The tenant's pickup provider and return address, or null if pickups can't be booked
+   */
+  static async providerFor(clientId) {
+    const tracking = await TrackingService.loadSettings(clientId);
+    if (!tracking.returnAddress) {
+      logger.warn('No return address configured for reverse pickups', { clientId });
+      return null;
+    }
+
+    const provider = await TrackingService.providerFor(clientId);
+    if (!supportsReversePickup(provider)) {
+      logger.warn('No reverse pickup provider configured', { clientId, provider: provider?.name });
+      return null;
+    }
+    if (!TrackingService.hasOwnCredentials(provider.name, tracking)) {
+      logger.warn('No courier account saved for reverse pickups', { clientId, provider: provider.name });
+      return null;
+    }
+    return { provider, returnAddress: tracking.returnAddress };
+  }
+
+  /**
+   * Pickup days for an order's shipping pincode
+   * @param {string} clientId - Client ID
+   * @param {object} orderData - Shopify order
+   * @returns {Promise<object>} - { serviceable, provider, courier, pincode, slots, reason }
+   *   reason: null | 'no_address' | 'not_configured' | 'not_serviceable' | 'provider_error'
+   */
+  static async getOptions(clientId, orderData, { from } = {}) {
+    const pincode = orderData.shipping_address?.zip ? String(orderData.shipping_address.zip).trim() : null;
+    const unavailable = (reason, extra = {}) => ({
+      serviceable: false, provider: null, courier: null, pincode, slots: [], reason, ...extra
+    });
+
+    if (!pincode) {
+      return unavailable('no_address');
+    }
+
+    const target = await this.providerFor(clientId);
+    if (!target) {
+      return unavailable('not_configured');
+    }
+
+    try {
+      const check = await target.provider.checkReversePickup(pincode, { returnAddress: target.returnAddress, from });
+      const slots = (check.slots || []).slice(0, MAX_OPTIONS);
+
+      logger.info('Reverse pickup options', {
+        clientId,
+        pincode,
+        provider: target.provider.name,
+        serviceable: check.serviceable,
+        slots: slots.length
+      });
+
+      if (!check.serviceable || slots.length === 0) {
+        return unavailable('not_serviceable', { provider: target.provider.name });
+      }
+      return { ...check, provider: target.provider.name, pincode, slots, reason: null };
+    } catch (error) {
+      logger.error('Error checking reverse pickup', {
+        clientId,
+        pincode,
+        error: error.response?.data || error.message
+      });
+      return unavailable('provider_error', { provider: target.provider.name });
+    }
+  }
+
+  /**
+   * Slot the caller picked: "2", "option 2", "doosra wala", "second"
+   * @returns {object|null}
+   */
+  static resolveChoice(value, slots = []) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    const text = String(value).trim();
+
+    let index = ORDINALS.findIndex(pattern => pattern.test(text));
+    if (index === -1) {
+      const digit = text.match(/\b([1-9])\b/);
+      index = digit ? parseInt(digit[1], 10) - 1 : -1;
+    }
+    return slots[index] || null;
+  }
+
+  /**
+   * How a slot is said on the call, e.g. 'Tuesday, 20 October, 10 AM - 6 PM'
+   */
+  static describeSlot(slot) {
+    const day = new Date(`${slot.date}T00:00:00Z`).toLocaleDateString('en-IN', {
+      weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC'
+    });
+    return `${day}, ${speakTime(slot.start)} - ${speakTime(slot.end)}`;
+  }
+
+  /**
+   * Question offering the slots to the caller
+   */
+  static slotPrompt(slots) {
+    const options = slots.map((slot, i) => `Option ${i + 1}: ${this.describeSlot(slot)}`).join('; ');
+    return `Ask user to pick a pickup slot: "Pickup ke liye ye slots available hain - ${options}. ` +
+      'Aapke liye kaunsa option theek rahega? Option number boliye ya keypad pe number daba ke hash dabaiye."';
+  }
+
+  /**
+   * A return or exchange filed earlier (e.g. on a call dropped while the slots
+   * were offered) whose pickup was never booked, so it isn't filed twice
+   * @param {string} type - 'return' | 'exchange'
+   */
+  static async findPending(clientId, orderId, type) {
+    return db.returns.getPendingForOrder(clientId, this.orderReference(orderId), type);
+  }
+
+  /**
+   * Order number as stored on returns ("#1042" -> "1042")
+   */
+  static orderReference(orderId) {
+    return String(orderId).trim().replace(/^#/, '');
+  }
+
+  /**
+   * Keep a return or exchange filed on a call (or refresh a pending one's pickup options)
+   * @param {object} details - { callId, type, orderId, orderData, shopifyReturnId, reason, exchangeFor, options, existing }
+   */
+  static async recordReturn(clientId, details) {
+    const { orderData, options, existing } = details;
+    const address = orderData.shipping_address || null;
+    const status = options.serviceable ? RETURN_STATUS.REQUESTED : RETURN_STATUS.PICKUP_UNAVAILABLE;
+
+    if (existing) {
+      return db.returns.update(existing.id, clientId, {
+        status,
+        pickup_address: address,
+        pickup_pincode: options.pincode,
+        provider: options.provider,
+        courier: options.courier
+      });
+    }
+
+    return db.returns.create(clientId, {
+      call_id: details.callId || null,
+      type: details.type || 'return',
+      order_id: this.orderReference(details.orderId),
+      shopify_order_id: orderData.id || null,
+      shopify_return_id: details.shopifyReturnId || null,
+      reason: details.reason || null,
+      exchange_for: details.exchangeFor || null,
+      items: (orderData.line_items || []).map(item => ({
+        id: item.id,
+        name: item.title || item.name,
+        sku: item.sku || null,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      status,
+      customer_name: address?.name || [orderData.customer?.first_name, orderData.customer?.last_name].filter(Boolean).join(' ') || null,
+      customer_phone: address?.phone || orderData.phone || orderData.customer?.phone || null,
+      pickup_address: address,
+      pickup_pincode: options.pincode,
+      provider: options.provider,
+      courier: options.courier
+    });
+  }
+
+  /**
+   * Book the chosen slot and store the AWB on the return
+   * @param {object} record - returns row from recordReturn()
+   * @param {object} orderData - Shopify order
+   * @param {object} options - getOptions() result
+   * @param {object} slot - One of options.slots
+   * @returns {Promise<object>} - Updated returns row (pickup_scheduled, or pickup_failed)
+   */
+  static async book(clientId, record, orderData, options, slot) {
+    try {
+      const target = await this.providerFor(clientId);
+      if (!target) {
+        throw new Error('Reverse pickup provider is no longer configured');
+      }
+
+      const booking = await target.provider.bookReversePickup({
+        ...options,
+        reference: `${String(orderData.name || orderData.id).replace(/^#/, '')}-R${record.id.slice(0, 8)}`,
+        customer: {
+          name: record.customer_name,
+          phone: record.customer_phone,
+          email: orderData.email || orderData.customer?.email || null
+        },
+        address: record.pickup_address || {},
+        items: record.items,
+        returnAddress: target.returnAddress,
+        slot
+      });
+
+      logger.info('Reverse pickup scheduled', {
+        clientId,
+        returnId: record.id,
+        awb: booking.awb,
+        date: slot.date
+      });
+
+      return db.returns.update(record.id, clientId, {
+        status: RETURN_STATUS.PICKUP_SCHEDULED,
+        provider: target.provider.name,
+        courier: booking.courier || options.courier,
+        awb: booking.awb,
+        pickup_reference: booking.pickup_reference || null,
+        pickup_date: slot.date,
+        pickup_window_start: slot.start,
+        pickup_window_end: slot.end
+      });
+    } catch (error) {
+      logger.error('Error booking reverse pickup', {
+        clientId,
+        returnId: record.id,
+        error: error.response?.data || error.message
+      });
+      return db.returns.update(record.id, clientId, { status: RETURN_STATUS.PICKUP_FAILED });
+    }
+  }
+
+  /**
+   * Return status a tracking result moves a return to, or null to keep it
+   */
+  static statusFromTracking(info) {
+    return info ? TRACKING_TO_RETURN[info.status] || null : null;
+  }
+
+  /**
+   * Live tracking of a return's pickup; the return's status follows it
+   * @returns {Promise<object>} - { record, tracking }
+   */
+  static async refresh(clientId, record) {
+    if (!record.awb || [RETURN_STATUS.RECEIVED, RETURN_STATUS.CANCELLED].includes(record.status)) {
+      return { record, tracking: null };
+    }
+
+    const tracking = await TrackingService.track(clientId, record.awb, record.courier);
+    const status = this.statusFromTracking(tracking);
+    if (!status || status === record.status) {
+      return { record, tracking };
+    }
+
+    const updated = await db.returns.update(record.id, clientId, { status });
+    return { record: updated || record, tracking };
+  }
+}
+
+module.exports = ReversePickupService;
@@ -0,0 +1,211 @@
+// services/sentimentService.js - Per-utterance sentiment and rolling frustration
+//
+// Scores each caller transcript with a Hindi/Hinglish/English lexicon, keeps a
+// rolling frustration score on the session and turns the call into a CSAT
+// proxy (1-5) at the end. Thresholds are configurable via env:
+//   SENTIMENT_TONE_THRESHOLD        - frustration at which the bot softens its tone (default 0.4)
+//   SENTIMENT_ESCALATION_THRESHOLD  - frustration at which the caller is handed to a human (default 0.75)
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+
+const TONE_THRESHOLD = parseFloat(process.env.SENTIMENT_TONE_THRESHOLD) || 0.4;
+const ESCALATION_THRESHOLD = parseFloat(process.env.SENTIMENT_ESCALATION_THRESHOLD) || 0.75;
+
+// Weight of the previous frustration score in the rolling average
+const FRUSTRATION_DECAY = 0.6;
+// Extra frustration for an explicit marker ("kitni baar", "bakwas")
+const FRUSTRATION_MARKER_BOOST = 0.3;
+// Per-utterance score below/above which an utterance is negative/positive
+const LABEL_THRESHOLD = 0.25;
+
+// [pattern, weight, isFrustrationMarker]
+const NEGATIVE_TERMS = [
+  [/bakwas/i, -0.9, true],
+  [/ghatiya/i, -0.9, true],
+  [/bekaa?r/i, -0.7, true],
+  [/faltu/i, -0.7, true],
+  [/pagal/i, -0.6, true],
+  [/gussa/i, -0.7, true],
+  [/dhokha|fraud|cheat/i, -0.9, true],
+  [/kitni\s+baar/i, -0.8, true],
+  [/samajh\s+nahi\s+aa\s+raha\s+kya/i, -0.7, true],
+  [/worst/i, -0.9, true],
+  [/useless/i, -0.8, true],
+  [/ridiculous/i, -0.8, true],
+  [/fed\s+up/i, -0.8, true],
+  [/pareshaa?n/i, -0.6, false],
+  [/\bbur[ai]\b/i, -0.5, false],
+  [/dikkat|problem|issue/i, -0.3, false],
+  [/abhi\s+tak/i, -0.4, false],
+  [/phir\s+se|again/i, -0.3, false],
+  [/\b(?:bad|terrible|horrible|angry|disappointed)\b/i, -0.7, false]
+];
+
+const POSITIVE_TERMS = [
+  [/dhanya?w?v?aa?d/i, 0.7],
+  [/shukriya/i, 0.7],
+  [/\bthank(?:s|\s+you)?\b/i, 0.6],
+  [/badhiya|mast|perfect|great|excellent|awesome/i, 0.7],
+  [/\b(?:accha|achha|acha|achchha)\b/i, 0.4],
+  [/helpful|\bgood\b|\bnice\b/i, 0.5],
+  [/th[ie]e?k\s+hai/i, 0.2]
+];
+
+const INTENSIFIER = /\b(?:bahut|bohot|bahot|ekdum|bilkul|very|really|so|totally)\s+$/i;
+const NEGATION_BEFORE = /\b(?:not|never|no)\s+(?:\w+\s+)?$/i;
+const NEGATION_AFTER = /^\s+(?:\w+\s+)?(?:nahi|nahin|nai|not)\b/i;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+class SentimentService {
+  static TONE_THRESHOLD = TONE_THRESHOLD;
+  static ESCALATION_THRESHOLD = ESCALATION_THRESHOLD;
+
+  /**
+   * Score one caller utterance
+   * @param {string} text - Caller transcript
+   * @returns {object} - { score (-1..1), label, frustrated, markers }
+   */
+  static scoreUtterance(text = '') {
+    let total = 0;
+    let frustrated = false;
+    const markers = [];
+
+    for (const [pattern, weight, isMarker] of NEGATIVE_TERMS) {
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      const before = text.slice(0, match.index);
+      total += INTENSIFIER.test(before) ? weight * 1.5 : weight;
+      frustrated = frustrated || isMarker;
+      markers.push(match[0].toLowerCase());
+    }
+
+    for (const [pattern, weight] of POSITIVE_TERMS) {
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      const before = text.slice(0, match.index);
+      const after = text.slice(match.index + match[0].length);
+      const intensified = INTENSIFIER.test(before) ? weight * 1.5 : weight;
+
+      // "accha nahi hai" / "not good" count against
+      total += NEGATION_BEFORE.test(before) || NEGATION_AFTER.test(after) ? -intensified * 0.8 : intensified;
+      markers.push(match[0].toLowerCase());
+    }
+
+    const score = round(clamp(total, -1, 1));
+    const label = score <= -LABEL_THRESHOLD ? 'negative' : score >= LABEL_THRESHOLD ? 'positive' : 'neutral';
+
+    return { score, label, frustrated, markers };
+  }
+
+  /**
+   * Fresh per-call sentiment state
+   */
+  static createState() {
+    return {
+      scores: [],
+      frustration: 0,
+      peakFrustration: 0,
+      toneAdjusted: false
+    };
+  }
+
+  /**
+   * Fold an utterance score into the rolling frustration score
+   * @param {object} state - Session sentiment state (mutated)
+   * @param {object} result - Output of scoreUtterance()
+   * @returns {string|null} - 'escalate' | 'soften_tone' | 'restore_tone' | null
+   */
+  static track(state, result) {
+    state.scores.push(result.score);
+
+    const negative = Math.max(0, -result.score);
+    const positive = Math.max(0, result.score);
+    state.frustration = round(clamp(
+      state.frustration * FRUSTRATION_DECAY +
+        negative * (1 - FRUSTRATION_DECAY) +
+        (result.frustrated ? FRUSTRATION_MARKER_BOOST : 0) -
+        positive * 0.2,
+      0,
+      1
+    ));
+    state.peakFrustration = Math.max(state.peakFrustration, state.frustration);
+
+    if (state.frustration >= ESCALATION_THRESHOLD) {
+      return 'escalate';
+    }
+    if (state.frustration >= TONE_THRESHOLD && !state.toneAdjusted) {
+      state.toneAdjusted = true;
+      return 'soften_tone';
+    }
+    // Hysteresis so the tone doesn't flip back and forth around the threshold
+    if (state.frustration < TONE_THRESHOLD / 2 && state.toneAdjusted) {
+      state.toneAdjusted = false;
+      return 'restore_tone';
+    }
+    return null;
+  }
+
+  /**
+   * Whether the caller got frustrated enough during the call for the bot to soften its tone
+   * @param {object} state - Session sentiment state
+   */
+  static wasFrustrated(state) {
+    return (state?.peakFrustration || 0) >= TONE_THRESHOLD;
+  }
+
+  /**
+   * CSAT proxy (1-5) for a finished call
+   *
+   * Starts at a neutral 3 and moves with the caller's average sentiment, how
+   * the call ended (last utterance) and whether it was resolved; the worst
+   * frustration reached during the call pulls it down.
+   *
+   * @param {object} state - Session sentiment state
+   * @param {string} resolution - Summary resolution (resolved | partial | pending | transferred | unresolved)
+   * @returns {number|null} - null if the caller never spoke
+   */
+  static getCsatProxy(state, resolution) {
+    if (!state || state.scores.length === 0) {
+      return null;
+    }
+
+    const average = state.scores.reduce((sum, score) => sum + score, 0) / state.scores.length;
+    const last = state.scores[state.scores.length - 1];
+    const resolutionEffect = { resolved: 1, partial: 0, pending: 0.25, transferred: 0 }[resolution] ?? -0.5;
+
+    return round(clamp(3 + average * 1.5 + last * 0.5 + resolutionEffect - state.peakFrustration * 1.5, 1, 5), 1);
+  }
+
+  /**
+   * Store sentiment metrics and the CSAT proxy on the calls row
+   * @param {object} session - Ended call session
+   * @returns {Promise<object|null>} - Stored metrics or null
+   */
+  static async recordCall(session) {
+    const state = session.sentiment;
+    if (!state || state.scores.length === 0) {
+      return null;
+    }
+
+    const metrics = {
+      sentiment_score: round(state.scores.reduce((sum, score) => sum + score, 0) / state.scores.length),
+      frustration_peak: state.peakFrustration,
+      csat_proxy: this.getCsatProxy(state, session.summary?.resolution)
+    };
+
+    try {
+      await db.calls.update(session.callId, metrics);
+      return metrics;
+    } catch (error) {
+      logger.error('Error saving call sentiment', { callId: session.callId, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = SentimentService;
@@ -0,0 +1,290 @@
+// services/shopifyOAuthService.js - Shopify app install (OAuth authorization code grant)
+//
+// Install: the dashboard asks for an authorize URL for the merchant's
+// *.myshopify.com domain and sends the browser there. Shopify redirects back to
+// /integrations/shopify/callback with a code, which is exchanged for an offline
+// access token and stored encrypted on the client (services/shopifyRegistry.js
+// builds connectors from it). An app/uninstalled webhook removes the token;
+// order webhooks keep shopify_orders current (services/shopifyOrderSync.js).
+//   SHOPIFY_API_KEY, SHOPIFY_API_SECRET - App credentials from the Partner dashboard
+//   SHOPIFY_SCOPES - Comma-separated access scopes (default: DEFAULT_SCOPES)
+//   SHOPIFY_ADMIN_ORIGIN - Local mock Shopify (see shopify/storeOrigin.js)
+const crypto = require('crypto');
+const axios = require('axios');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { encrypt } = require(resolve('utils/encryption'));
+const WebhookVerifier = require(resolve('utils/webhookVerifier'));
+const storeOrigin = require(resolve('shopify/storeOrigin'));
+const ShopifyService = require(resolve('services/ShopifyService'));
+const ShopifyOrderSync = require(resolve('services/shopifyOrderSync'));
+const { getWebhookBaseUrl } = require(resolve('routes/exotel'));
+
+// What the agents do: orders (lookup, cancel, refund, address), customers,
+// products, returns and draft-order invoices
+const DEFAULT_SCOPES = [
+  'read_orders',
+  'write_orders',
+  'read_customers',
+  'write_customers',
+  'read_products',
+  'read_fulfillments',
+  'read_returns',
+  'write_returns',
+  'write_draft_orders'
+];
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Dashboard pages the callback may send the merchant back to
+const RETURN_PAGES = ['onboarding', 'settings'];
+const WEBHOOK_API_VERSION = '2024-01';
+
+const CALLBACK_PATH = '/integrations/shopify/callback';
+const UNINSTALL_WEBHOOK_PATH = '/webhooks/shopify/app-uninstalled';
+const WEBHOOK_PATH = '/webhooks/shopify';
+
+// Constant-time string comparison
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+class ShopifyOAuthService {
+  static DEFAULT_SCOPES = DEFAULT_SCOPES;
+  static CALLBACK_PATH = CALLBACK_PATH;
+  static UNINSTALL_WEBHOOK_PATH = UNINSTALL_WEBHOOK_PATH;
+  static WEBHOOK_PATH = WEBHOOK_PATH;
+
+  /**
+   * App credentials, or null if the Shopify app isn't configured
+   */
+  static getAppCredentials() {
+    const apiKey = process.env.SHOPIFY_API_KEY;
+    const apiSecret = process.env.SHOPIFY_API_SECRET;
+    return apiKey && apiSecret ? { apiKey, apiSecret } : null;
+  }
+
+  static getScopes() {
+    return process.env.SHOPIFY_SCOPES
+      ? process.env.SHOPIFY_SCOPES.split(',').map(scope => scope.trim()).filter(Boolean)
+      : DEFAULT_SCOPES;
+  }
+
+  /**
+   * Reduce what a merchant types ("kurta-co", "https://kurta-co.myshopify.com/") to the shop domain
+   * @returns {string|null} - e.g. 'kurta-co.myshopify.com'
+   */
+  static normalizeShop(input) {
+    const host = String(input || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/\/.*$/, '');
+    const shop = host.includes('.') ? host : `${host}.myshopify.com`;
+    return SHOP_DOMAIN.test(shop) ? shop : null;
+  }
+
+  /**
+   * Signed OAuth state binding the install to the client that started it
+   */
+  static createState(clientId, shop, returnTo, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+      clientId,
+      shop,
+      returnTo,
+      nonce: crypto.randomBytes(12).toString('hex'),
+      exp: now + STATE_TTL_MS
+    })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * @returns {object|null} - { clientId, shop, returnTo } if the state is ours, unexpired and for this shop
+   */
+  static verifyState(state, shop, now = Date.now()) {
+    const [payload, signature] = String(state || '').split('.');
+    if (!payload || !signature || !safeEqual(signature, this.sign(payload))) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (data.exp < now || data.shop !== shop) {
+        return null;
+      }
+      return { clientId: data.clientId, shop: data.shop, returnTo: data.returnTo };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static sign(value) {
+    return crypto.createHmac('sha256', this.getAppCredentials().apiSecret).update(value).digest('base64url');
+  }
+
+  /**
+   * Shopify's authorize URL for an install started from the dashboard
+   * @param {string} clientId - Client installing the app
+   * @param {string} shop - Normalized shop domain
+   * @param {string} returnTo - Dashboard page to come back to (onboarding | settings)
+   */
+  static buildInstallUrl(clientId, shop, returnTo) {
+    const { apiKey } = this.getAppCredentials();
+    const params = new URLSearchParams({
+      client_id: apiKey,
+      scope: this.getScopes().join(','),
+      redirect_uri: `${getWebhookBaseUrl()}${CALLBACK_PATH}`,
+      state: this.createState(clientId, shop, RETURN_PAGES.includes(returnTo) ? returnTo : 'settings')
+    });
+    // No grant_options[]=per-user: an offline token keeps working after the merchant logs out
+    return `${storeOrigin(shop)}/admin/oauth/authorize?${params}`;
+  }
+
+  /**
+   * Verify the hmac Shopify adds to redirects (hex HMAC-SHA256 of the other
+   * query parameters, sorted and joined as key=value&...)
+   */
+  static verifyCallbackHmac(query) {
+    const { hmac, signature, ...params } = query || {};
+    if (!hmac) {
+      return false;
+    }
+
+    const message = Object.keys(params)
+      .sort()
+      .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+      .join('&');
+    const expected = crypto.createHmac('sha256', this.getAppCredentials().apiSecret).update(message).digest('hex');
+    return safeEqual(hmac, expected);
+  }
+
+  /**
+   * Verify X-Shopify-Hmac-Sha256 (base64 HMAC-SHA256 of the raw body)
+   */
+  static verifyWebhookHmac(rawBody, header) {
+    if (!header || rawBody === undefined) {
+      return false;
+    }
+    return WebhookVerifier.verifyHMAC(this.getAppCredentials().apiSecret, rawBody, header, 'sha256', 'base64');
+  }
+
+  /**
+   * Exchange the authorization code for an offline access token
+   * @returns {Promise<object>} - { accessToken, scope }
+   */
+  static async exchangeCode(shop, code) {
+    const { apiKey, apiSecret } = this.getAppCredentials();
+    const response = await axios.post(
+      `${storeOrigin(shop)}/admin/oauth/access_token`,
+      { client_id: apiKey, client_secret: apiSecret, code },
+      { timeout: 10000 }
+    );
+    return { accessToken: response.data.access_token, scope: response.data.scope };
+  }
+
+  /**
+   * Subscribe a freshly installed shop to app/uninstalled and the order topics
+   */
+  static async registerWebhooks(shop, accessToken) {
+    const subscriptions = [
+      { topic: 'app/uninstalled', path: UNINSTALL_WEBHOOK_PATH },
+      ...ShopifyOrderSync.ORDER_TOPICS.map(topic => ({ topic, path: WEBHOOK_PATH }))
+    ];
+
+    for (const { topic, path } of subscriptions) {
+      await axios.post(
+        `${storeOrigin(shop)}/admin/api/${WEBHOOK_API_VERSION}/webhooks.json`,
+        {
+          webhook: {
+            topic,
+            address: `${getWebhookBaseUrl()}${path}`,
+            format: 'json'
+          }
+        },
+        { headers: { 'X-Shopify-Access-Token': accessToken }, timeout: 10000 }
+      );
+    }
+  }
+
+  /**
+   * Finish an install from Shopify's redirect
+   * @param {object} query - Callback query string (code, hmac, shop, state, timestamp, ...)
+   * @returns {Promise<object>} - { clientId, shop, returnTo } or { error, returnTo }
+   */
+  static async completeInstall(query) {
+    if (!this.verifyCallbackHmac(query)) {
+      return { error: 'invalid_hmac' };
+    }
+
+    const shop = this.normalizeShop(query.shop);
+    const state = shop && this.verifyState(query.state, shop);
+    if (!state) {
+      return { error: 'invalid_state' };
+    }
+    if (!query.code) {
+      return { error: 'missing_code', returnTo: state.returnTo };
+    }
+
+    try {
+      const { accessToken, scope } = await this.exchangeCode(shop, query.code);
+      await db.clients.saveShopifyInstall(state.clientId, {
+        shop,
+        encryptedToken: encrypt(accessToken),
+        scopes: scope || this.getScopes().join(',')
+      });
+      ShopifyService.invalidateClient(state.clientId);
+
+      logger.info('Shopify app installed', { clientId: state.clientId, shop, scope });
+
+      // The store works without them; orders are just fetched on each lookup
+      // and the token isn't removed on uninstall
+      try {
+        await this.registerWebhooks(shop, accessToken);
+      } catch (error) {
+        logger.error('Error registering Shopify webhooks', {
+          clientId: state.clientId,
+          shop,
+          error: error.message
+        });
+      }
+
+      return { clientId: state.clientId, shop, returnTo: state.returnTo };
+    } catch (error) {
+      logger.error('Error completing Shopify install', {
+        clientId: state.clientId,
+        shop,
+        error: error.response?.data || error.message
+      });
+      return { error: 'token_exchange_failed', returnTo: state.returnTo };
+    }
+  }
+
+  /**
+   * Deactivate the integration of every client on an uninstalled shop
+   * @returns {Promise<string[]>} - Affected client ids
+   */
+  static async handleUninstall(shopDomain) {
+    const shop = this.normalizeShop(shopDomain);
+    if (!shop) {
+      return [];
+    }
+
+    const rows = await db.clients.markShopifyUninstalled(shop);
+    rows.forEach(row => ShopifyService.invalidateClient(row.id));
+
+    logger.info('Shopify app uninstalled', { shop, clients: rows.length });
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Whether a client is connected through an app install (not pasted keys)
+   */
+  static isInstalled(client) {
+    return Boolean(client?.shopify_installed_at && !client.shopify_uninstalled_at && client.shopify_api_secret);
+  }
+}
+
+module.exports = ShopifyOAuthService;
@@ -0,0 +1,145 @@
+// services/shopifyOrderSync.js - Keep a per-tenant copy of Shopify orders
+//
+// Installed stores post order changes to /webhooks/shopify (subscribed during
+// the app install, see services/shopifyOAuthService.js) and each one is stored
+// in shopify_orders, so ShopifyService.getOrder answers from the table instead
+// of the Admin API. Rows written by webhooks stay current; rows fetched on a
+// lookup (stores connected with pasted keys get no webhooks) are trusted for
+// FETCHED_TTL_MS, like the in-memory cache they replace.
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const ShopifyRegistry = require(resolve('services/shopifyRegistry'));
+
+const ORDER_TOPICS = [
+  'orders/updated',
+  'orders/cancelled',
+  'fulfillments/create',
+  'fulfillments/update',
+  'refunds/create'
+];
+
+const FETCHED_TTL_MS = 5 * 60 * 1000;
+
+// Replace the entry with the same id, or append it
+const upsertById = (items, item) => [...(items || []).filter(existing => existing.id !== item.id), item];
+
+class ShopifyOrderSync {
+  static ORDER_TOPICS = ORDER_TOPICS;
+  static FETCHED_TTL_MS = FETCHED_TTL_MS;
+
+  /**
+   * Columns of a shopify_orders row for a Shopify order (Admin API / webhook JSON)
+   */
+  static normalizeOrder(order) {
+    const tracked = this.latestShipment(order);
+
+    return {
+      shopify_order_id: order.id,
+      name: order.name || null,
+      order_number: order.order_number != null ? String(order.order_number) : null,
+      email: order.email || order.customer?.email || null,
+      phone: order.phone || order.customer?.phone || order.shipping_address?.phone || null,
+      financial_status: order.financial_status || null,
+      fulfillment_status: order.fulfillment_status || null,
+      cancelled_at: order.cancelled_at || null,
+      total_price: order.total_price ?? null,
+      currency: order.currency || null,
+      tracking_number: tracked?.tracking_number || null,
+      tracking_company: tracked?.tracking_company || null,
+      tracking_url: tracked?.tracking_url || null,
+      shopify_updated_at: order.updated_at || null,
+      data: order
+    };
+  }
+
+  /**
+   * Latest fulfillment with a tracking number (orders can ship in parts), or null
+   */
+  static latestShipment(order) {
+    return [...(order?.fulfillments || [])].reverse().find(fulfillment => fulfillment.tracking_number) || null;
+  }
+
+  /**
+   * Store an order for a client
+   * @param {string} source - 'webhook' or 'api' (fetched on a lookup)
+   */
+  static async saveOrder(clientId, order, source) {
+    return db.shopifyOrders.upsert(clientId, this.normalizeOrder(order), source);
+  }
+
+  /**
+   * Whether a stored row can be returned without asking Shopify
+   */
+  static isFresh(row, now = Date.now()) {
+    return row.source === 'webhook' || now - new Date(row.synced_at).getTime() < FETCHED_TTL_MS;
+  }
+
+  /**
+   * Apply a verified webhook to every client connected to the shop
+   * @param {string} topic - X-Shopify-Topic, e.g. 'orders/updated'
+   * @param {string} shop - X-Shopify-Shop-Domain
+   * @param {object} payload - Webhook body
+   * @returns {Promise<string[]>} - Client ids the webhook was applied to
+   */
+  static async handleWebhook(topic, shop, payload) {
+    if (!ORDER_TOPICS.includes(topic)) {
+      logger.debug('Ignoring Shopify webhook topic', { topic, shop });
+      return [];
+    }
+
+    const clients = await db.clients.getByShopifyStore(shop);
+    for (const client of clients) {
+      await this.applyWebhook(client.id, topic, payload);
+    }
+
+    logger.info('Shopify webhook synced', { topic, shop, clients: clients.length });
+    return clients.map(client => client.id);
+  }
+
+  static async applyWebhook(clientId, topic, payload) {
+    switch (topic) {
+      case 'orders/updated':
+      case 'orders/cancelled':
+        return this.saveOrder(clientId, payload, 'webhook');
+
+      case 'fulfillments/create':
+      case 'fulfillments/update':
+        return this.mergeIntoOrder(clientId, payload.order_id, order => ({
+          ...order,
+          fulfillments: upsertById(order.fulfillments, payload)
+        }));
+
+      case 'refunds/create':
+        return this.mergeIntoOrder(clientId, payload.order_id, order => ({
+          ...order,
+          refunds: upsertById(order.refunds, payload)
+        }));
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Add a fulfillment or refund to a stored order. An order we have never
+   * seen is fetched instead (it already includes the change).
+   */
+  static async mergeIntoOrder(clientId, shopifyOrderId, merge) {
+    const row = await db.shopifyOrders.getByShopifyId(clientId, shopifyOrderId);
+
+    if (!row) {
+      const connector = await ShopifyRegistry.forClient(clientId);
+      const order = connector ? await connector.getOrder(shopifyOrderId) : null;
+      if (!order) {
+        logger.warn('Shopify order not found for webhook', { clientId, shopifyOrderId });
+        return null;
+      }
+      return this.saveOrder(clientId, order, 'webhook');
+    }
+
+    return this.saveOrder(clientId, merge(row.data), 'webhook');
+  }
+}
+
+module.exports = ShopifyOrderSync;
@@ -0,0 +1,91 @@
+// services/shopifyRegistry.js - One Shopify connector per tenant
+//
+// Builds a ShopifyConnector (shopify/index.js) from the store URL, API key and
+// encrypted access token (shopify_api_secret) saved during onboarding or in
+// company settings, and caches it per client_id. Clients without a connected
+// store get null.
+const { LRUCache } = require('lru-cache');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { decrypt } = require(resolve('utils/encryption'));
+const createShopifyClient = require(resolve('shopify/index'));
+
+// Connectors per client (30 min TTL, invalidated on credential change)
+const connectorCache = new LRUCache({
+  max: 500,
+  ttl: 1000 * 60 * 30
+});
+
+// Lookups in flight, so parallel agent calls share one DB read
+const pending = new Map();
+
+class ShopifyRegistry {
+  /**
+   * Build a connector from a clients row
+   * @returns {ShopifyConnector|null} - null if the client has no store connected
+   */
+  static fromClient(client) {
+    if (!client?.shopify_store_url || !client?.shopify_api_secret) {
+      return null;
+    }
+
+    return createShopifyClient(
+      client.shopify_store_url,
+      client.shopify_api_key,
+      decrypt(client.shopify_api_secret)
+    );
+  }
+
+  /**
+   * Get the Shopify connector for a client
+   * @param {string} clientId - Client UUID
+   * @returns {Promise<ShopifyConnector|null>}
+   */
+  static async forClient(clientId) {
+    if (!clientId) {
+      return null;
+    }
+
+    const cached = connectorCache.get(clientId);
+    if (cached) {
+      return cached.connector;
+    }
+
+    if (!pending.has(clientId)) {
+      pending.set(clientId, this.load(clientId).finally(() => pending.delete(clientId)));
+    }
+    return pending.get(clientId);
+  }
+
+  /**
+   * Load and cache a client's connector (errors are not cached, the next call retries)
+   */
+  static async load(clientId) {
+    try {
+      const connector = this.fromClient(await db.clients.getById(clientId));
+      connectorCache.set(clientId, { connector });
+
+      if (!connector) {
+        logger.warn('Shopify not connected for client', { clientId });
+      }
+      return connector;
+    } catch (error) {
+      logger.error('Error building Shopify connector', {
+        clientId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Drop the cached connector after the client's Shopify credentials change
+   */
+  static invalidate(clientId) {
+    connectorCache.delete(clientId);
+    logger.debug('Shopify connector cache cleared', { clientId });
+  }
+}
+
+module.exports = ShopifyRegistry;
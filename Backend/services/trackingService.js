@@ -0,0 +1,379 @@
+// services/trackingService.js - Courier tracking per tenant
+//
+// clients.settings.tracking = {
+//   provider: 'shiprocket' | 'delhivery',             // default for every shipment ('fake' outside production)
+//   carriers: { 'blue dart': 'shiprocket' },          // per-carrier override (lower-case courier name)
+//   shiprocket: { email, password },                  // password encrypted
+//   delhivery: { apiToken },                          // apiToken encrypted
+//   returnAddress: { name, phone, address, city, state, pincode }  // where reverse pickups go
+// }
+// A shipment goes to its carrier's override, else to a provider that tracks
+// that carrier directly (tracking/index.js CARRIER_PROVIDERS) if the tenant
+// has credentials for it, else to the default. Unset values fall back to
+// TRACKING_PROVIDER, SHIPROCKET_EMAIL / SHIPROCKET_PASSWORD and DELHIVERY_API_TOKEN.
+// No provider means no tracking (null), never made-up data.
+const { LRUCache } = require('lru-cache');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { encrypt, decrypt } = require(resolve('utils/encryption'));
+const {
+  createTrackingProvider,
+  listTrackingProviders,
+  providerForCarrier,
+  TRACKING_STATUS
+} = require(resolve('tracking/index'));
+
+// Credential fields per provider; secrets are stored encrypted
+const CREDENTIAL_FIELDS = {
+  shiprocket: { email: false, password: true },
+  delhivery: { apiToken: true }
+};
+
+// Warehouse returns are shipped to (name is the registered pickup location at Delhivery)
+const RETURN_ADDRESS_FIELDS = ['name', 'phone', 'address', 'city', 'state', 'pincode'];
+
+// Made-up shipments for tests and local runs; never used in production
+const TEST_ONLY_PROVIDERS = ['fake'];
+
+const ENV_CREDENTIALS = {
+  shiprocket: () => ({ email: process.env.SHIPROCKET_EMAIL, password: process.env.SHIPROCKET_PASSWORD }),
+  delhivery: () => ({ apiToken: process.env.DELHIVERY_API_TOKEN })
+};
+
+// Tenant settings and provider instances (Shiprocket keeps its login token)
+const providerCache = new LRUCache({
+  max: 500,
+  ttl: 1000 * 60 * 30
+});
+
+// Tracking results (2 min, couriers update a few times a day)
+const trackingCache = new LRUCache({
+  max: 1000,
+  ttl: 1000 * 60 * 2
+});
+
+/**
+ * Providers tenants may use
+ */
+const selectableProviders = () => listTrackingProviders()
+  .filter(name => process.env.NODE_ENV !== 'production' || !TEST_ONLY_PROVIDERS.includes(name));
+
+class TrackingService {
+  static CREDENTIAL_FIELDS = CREDENTIAL_FIELDS;
+  static RETURN_ADDRESS_FIELDS = RETURN_ADDRESS_FIELDS;
+
+  /**
+   * Tenant tracking settings merged over environment defaults (no credentials)
+   * @param {object} tracking - clients.settings.tracking
+   */
+  static getConfig(tracking = {}) {
+    return {
+      provider: tracking.provider || process.env.TRACKING_PROVIDER || null,
+      carriers: tracking.carriers || {},
+      returnAddress: tracking.returnAddress || null
+    };
+  }
+
+  /**
+   * Provider options with decrypted secrets (tenant values first, then environment)
+   */
+  static credentialsFor(name, tracking = {}) {
+    const fields = CREDENTIAL_FIELDS[name];
+    if (!fields) {
+      return {};
+    }
+
+    const stored = tracking[name] || {};
+    const env = ENV_CREDENTIALS[name]();
+    const useStored = Object.keys(fields).every(field => stored[field]);
+
+    return Object.fromEntries(Object.entries(fields).map(([field, secret]) => {
+      if (!useStored) {
+        return [field, env[field]];
+      }
+      return [field, secret && stored[field] ? decrypt(stored[field]) : stored[field]];
+    }));
+  }
+
+  /**
+   * Whether a provider can be used for the tenant
+   */
+  static isConfigured(name, tracking = {}) {
+    if (!selectableProviders().includes(name)) {
+      return false;
+    }
+    const fields = CREDENTIAL_FIELDS[name];
+    if (!fields) {
+      return true;
+    }
+    const stored = tracking[name] || {};
+    const env = ENV_CREDENTIALS[name]();
+    return Object.keys(fields).every(field => stored[field]) || Object.keys(fields).every(field => env[field]);
+  }
+
+  /**
+   * Whether the tenant saved its own account for a provider (environment
+   * credentials don't count); providers without credentials always have one
+   */
+  static hasOwnCredentials(name, tracking = {}) {
+    const fields = CREDENTIAL_FIELDS[name];
+    if (!fields) {
+      return true;
+    }
+    const stored = tracking[name] || {};
+    return Object.keys(fields).every(field => stored[field]);
+  }
+
+  /**
+   * Validate tenant tracking settings before they are stored
+   * @returns {object} - { valid, errors }
+   */
+  static validate(tracking) {
+    const errors = [];
+
+    if (typeof tracking !== 'object' || tracking === null || Array.isArray(tracking)) {
+      return { valid: false, errors: ['tracking must be an object'] };
+    }
+
+    const providers = selectableProviders();
+    if (tracking.provider !== undefined && !providers.includes(tracking.provider)) {
+      errors.push(`provider must be one of: ${providers.join(', ')}`);
+    }
+
+    if (tracking.carriers !== undefined) {
+      if (typeof tracking.carriers !== 'object' || tracking.carriers === null || Array.isArray(tracking.carriers)) {
+        errors.push('carriers must map courier names to providers');
+      } else {
+        Object.entries(tracking.carriers)
+          .filter(([, provider]) => !providers.includes(provider))
+          .forEach(([carrier]) => errors.push(`carriers.${carrier} must be one of: ${providers.join(', ')}`));
+      }
+    }
+
+    for (const [name, fields] of Object.entries(CREDENTIAL_FIELDS)) {
+      const credentials = tracking[name];
+      if (credentials === undefined || credentials === null) {
+        continue;
+      }
+      if (typeof credentials !== 'object' || credentials === null || Array.isArray(credentials)) {
+        errors.push(`${name} must be an object with: ${Object.keys(fields).join(', ')}`);
+        continue;
+      }
+      Object.entries(credentials)
+        .filter(([field, value]) => !(field in fields) || (value != null && typeof value !== 'string'))
+        .forEach(([field]) => errors.push(`${name}.${field} is not a ${name} credential`));
+    }
+
+    const returnAddress = tracking.returnAddress;
+    if (returnAddress !== undefined && returnAddress !== null) {
+      if (typeof returnAddress !== 'object' || Array.isArray(returnAddress)) {
+        errors.push(`returnAddress must be an object with: ${RETURN_ADDRESS_FIELDS.join(', ')}`);
+      } else {
+        Object.entries(returnAddress)
+          .filter(([field, value]) => !RETURN_ADDRESS_FIELDS.includes(field) || typeof value !== 'string')
+          .forEach(([field]) => errors.push(`returnAddress.${field} is not an address field`));
+        RETURN_ADDRESS_FIELDS
+          .filter(field => !returnAddress[field] || !String(returnAddress[field]).trim())
+          .forEach(field => errors.push(`returnAddress.${field} is required`));
+        if (returnAddress.pincode && !/^[1-9]\d{5}$/.test(String(returnAddress.pincode).trim())) {
+          errors.push('returnAddress.pincode must be a 6-digit PIN code');
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Settings to store from a config update: secrets are encrypted, a blank
+   * field keeps the value already saved and null removes it
+   * ({ shiprocket: null } removes the Shiprocket account). The return address
+   * is replaced as a whole, kept when not given and removed by null.
+   * @param {object} input - Validated { provider, carriers, shiprocket, delhivery, returnAddress }
+   * @param {object} existing - Current clients.settings.tracking
+   */
+  static prepareSettings(input, existing = {}) {
+    const tracking = {};
+    if (input.provider) {
+      tracking.provider = input.provider;
+    }
+    if (input.carriers && Object.keys(input.carriers).length > 0) {
+      tracking.carriers = Object.fromEntries(
+        Object.entries(input.carriers).map(([carrier, provider]) => [carrier.trim().toLowerCase(), provider])
+      );
+    }
+
+    for (const [name, fields] of Object.entries(CREDENTIAL_FIELDS)) {
+      if (input[name] === null) {
+        continue;
+      }
+      const given = input[name] || {};
+      const saved = existing[name] || {};
+      const credentials = {};
+
+      for (const [field, secret] of Object.entries(fields)) {
+        if (given[field]) {
+          credentials[field] = secret ? encrypt(given[field]) : given[field].trim();
+        } else if (given[field] !== null && saved[field]) {
+          credentials[field] = saved[field];
+        }
+      }
+
+      if (Object.keys(credentials).length > 0) {
+        tracking[name] = credentials;
+      }
+    }
+
+    if (input.returnAddress) {
+      tracking.returnAddress = Object.fromEntries(
+        RETURN_ADDRESS_FIELDS.map(field => [field, String(input.returnAddress[field]).trim()])
+      );
+    } else if (input.returnAddress !== null && existing.returnAddress) {
+      tracking.returnAddress = existing.returnAddress;
+    }
+
+    return tracking;
+  }
+
+  /**
+   * Settings safe to show in the dashboard (which credentials are set, no secrets)
+   */
+  static describeConfig(tracking = {}) {
+    const providers = Object.fromEntries(selectableProviders().map(name => [name, {
+      configured: this.isConfigured(name, tracking),
+      source: tracking[name] ? 'client' : 'environment',
+      ...(name === 'shiprocket' && tracking.shiprocket?.email ? { email: tracking.shiprocket.email } : {})
+    }]));
+
+    return { ...this.getConfig(tracking), providers };
+  }
+
+  /**
+   * Provider name for a shipment, or null if none is configured
+   * @param {object} tracking - clients.settings.tracking
+   * @param {string} carrier - Courier name from the fulfillment (tracking_company)
+   */
+  static chooseProvider(tracking = {}, carrier = null) {
+    const config = this.getConfig(tracking);
+    const key = String(carrier || '').trim().toLowerCase();
+
+    const candidates = [
+      key ? config.carriers[key] : null,
+      providerForCarrier(carrier),
+      config.provider
+    ];
+    return candidates.find(name => name && this.isConfigured(name, tracking)) || null;
+  }
+
+  static async loadSettings(clientId) {
+    const key = `settings:${clientId}`;
+    const cached = providerCache.get(key);
+    if (cached) {
+      return cached.tracking;
+    }
+
+    const client = clientId ? await db.clients.getById(clientId) : null;
+    const tracking = client?.settings?.tracking || {};
+    providerCache.set(key, { tracking });
+    return tracking;
+  }
+
+  /**
+   * Provider instance for a client's shipment
+   * @returns {Promise<object|null>}
+   */
+  static async providerFor(clientId, carrier = null) {
+    const tracking = await this.loadSettings(clientId);
+    const name = this.chooseProvider(tracking, carrier);
+    if (!name) {
+      return null;
+    }
+
+    const key = `provider:${clientId}:${name}`;
+    let provider = providerCache.get(key);
+    if (!provider) {
+      provider = createTrackingProvider(name, this.credentialsFor(name, tracking));
+      providerCache.set(key, provider);
+    }
+    return provider;
+  }
+
+  /**
+   * Track a shipment
+   * @param {string} clientId - Client ID
+   * @param {string} trackingNumber - AWB / waybill
+   * @param {string} carrier - Courier name, if known (picks the provider)
+   * @returns {Promise<object|null>} - Tracking info (tracking/status.js) or null
+   */
+  static async track(clientId, trackingNumber, carrier = null) {
+    if (!trackingNumber) {
+      return null;
+    }
+
+    const key = `${clientId}:${trackingNumber}`;
+    const cached = trackingCache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const provider = await this.providerFor(clientId, carrier);
+      if (!provider) {
+        logger.warn('No tracking provider configured', { clientId, carrier });
+        return null;
+      }
+
+      logger.info('Fetching tracking info', { clientId, trackingNumber, provider: provider.name });
+      const info = await provider.track(trackingNumber);
+      if (info) {
+        trackingCache.set(key, info);
+      }
+      return info;
+    } catch (error) {
+      logger.error('Error fetching tracking', {
+        clientId,
+        trackingNumber,
+        error: error.response?.data || error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Sentence about a shipment for the agent to tell the caller
+   */
+  static describe(info) {
+    if (!info) {
+      return 'Live tracking is not available for this shipment.';
+    }
+
+    const parts = [`Shipment ${info.tracking_number}${info.courier ? ` (${info.courier})` : ''}: ${info.status_label}.`];
+    if (info.last_update) {
+      parts.push(`Last update: ${info.last_update}${info.current_location ? ` at ${info.current_location}` : ''}.`);
+    }
+    if (info.status === TRACKING_STATUS.DELIVERED && info.delivered_at) {
+      parts.push(`Delivered on ${new Date(info.delivered_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`);
+    } else if (info.eta) {
+      parts.push(`Expected delivery: ${new Date(info.eta).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}.`);
+    }
+    if (info.ndr) {
+      parts.push(`Delivery failed ${info.ndr.attempts} time(s)${info.ndr.reason ? `, reason: ${info.ndr.reason}` : ''}.`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Forget a client's settings, providers and tracking results after its config changes
+   */
+  static invalidateClient(clientId) {
+    [...providerCache.keys()]
+      .filter(key => key === `settings:${clientId}` || key.startsWith(`provider:${clientId}:`))
+      .forEach(key => providerCache.delete(key));
+    [...trackingCache.keys()]
+      .filter(key => key.startsWith(`${clientId}:`))
+      .forEach(key => trackingCache.delete(key));
+  }
+}
+
+module.exports = TrackingService;
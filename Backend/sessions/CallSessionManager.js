@@ -1,8 +1,23 @@
 // sessions/CallSessionManager.js - Main call session orchestrator
 const resolve = require('../utils/moduleResolver');
-const STSSession = require(resolve('realtime/stsSession'));
+const SpeechSessionFactory = require(resolve('realtime/speechSessionFactory'));
+const { AudioTranscoder, telephonyFormat } = require(resolve('realtime/audioTranscoder'));
+const CallRecorder = require(resolve('realtime/callRecorder'));
+const AnsweringMachineDetector = require(resolve('realtime/answeringMachineDetector'));
 const IntentDetector = require(resolve('agents/intentDetector'));
 const AgentOrchestrator = require(resolve('agents/orchestrator'));
+const IntentConfigService = require(resolve('services/intentConfigService'));
+const HandoffService = require(resolve('services/handoffService'));
+const CallerLookupService = require(resolve('services/callerLookupService'));
+const CustomerProfileService = require(resolve('services/customerProfileService'));
+const CallSummaryService = require(resolve('services/callSummaryService'));
+const SentimentService = require(resolve('services/sentimentService'));
+const LatencyService = require(resolve('services/latencyService'));
+const DtmfService = require(resolve('services/dtmfService'));
+const CampaignService = require(resolve('services/campaignService'));
+const CallbackService = require(resolve('services/callbackService'));
+const ShopifyService = require(resolve('services/ShopifyService'));
+const parallelProcessor = require(resolve('services/parallelProcessor'));
 const logger = require(resolve('utils/logger'));
 const db = require(resolve('db/postgres'));
 const wasabiStorage = require(resolve('services/wasabiStorage'));
@@ -12,6 +27,16 @@ const EventEmitter = require('events');
 const SESSION_TIMEOUT_MS = 15 * 60 * 1000;
 // Max conversation history to prevent unbounded memory growth
 const MAX_HISTORY_MESSAGES = 20;
+// Time for the "connecting you" line to play before the stream is closed
+const HANDOFF_ANNOUNCE_MS = 5000;
+// Stereo recording of caller + bot audio, uploaded to Wasabi at call end
+const RECORDING_ENABLED = process.env.CALL_RECORDING_ENABLED !== 'false';
+// Outbound calls listen for a person before the bot speaks
+const AMD_ENABLED = process.env.ANSWERING_MACHINE_DETECTION !== 'false';
+// Hang up a voicemail call even if the message never finished playing
+const VOICEMAIL_MAX_MS = 30000;
+// Pause after the voicemail before hanging up
+const VOICEMAIL_TAIL_MS = 500;
 
 class CallSessionManager extends EventEmitter {
   constructor() {
@@ -27,40 +52,111 @@ class CallSessionManager extends EventEmitter {
    * Create new call session
    * @param {string} callId - Call identifier
    * @param {object} callData - Call metadata
+   * @param {object} stream - Exotel stream metadata { streamSid, mediaFormat, customParameters }
    */
-  async createSession(callId, callData) {
+  async createSession(callId, callData, stream = null) {
+    let session = null;
     try {
       logger.info('Creating call session', { callId });
 
-      // Initialize STS session
-      const stsSession = new STSSession(process.env.OPENAI_API_KEY);
+      // Realtime speech-to-speech or cascaded ASR/LLM/TTS, per tenant
+      const speechSession = await SpeechSessionFactory.forClient(callData?.client_id);
 
-      const session = {
+      // Tenant-specific intent phrases, entity formats and agent mapping
+      const intentDetector = await IntentConfigService.getDetector(
+        callData?.client_id,
+        this.intentDetector
+      );
+
+      session = {
         callId,
         callData,
-        stsSession,
+        stream,
+        speechSession,
+        // Telephony (8kHz PCM/G.711) <-> whatever the speech pipeline speaks
+        inboundTranscoder: new AudioTranscoder(telephonyFormat(stream?.mediaFormat), speechSession.inputFormat),
+        outboundTranscoder: new AudioTranscoder(speechSession.outputFormat, telephonyFormat(stream?.mediaFormat)),
+        // Caller (left) and bot (right) audio as heard on the line
+        recorder: RECORDING_ENABLED ? new CallRecorder(telephonyFormat(stream?.mediaFormat)) : null,
+        intentDetector,
         conversationHistory: [],
         startTime: Date.now(),
         isActive: true,
         currentIntent: null,
-        waitingForEntity: null
+        waitingForEntity: null,
+        awaitingConfirmation: null,
+        entities: {},
+        intentHistory: [],
+        agentFailures: 0,
+        sentiment: SentimentService.createState(),
+        bargeIns: [], // { itemId, playedMs, audioMs, at } each time the caller talked over the bot
+        pipeline: null, // Per-turn stages and latency (services/parallelProcessor)
+        prefetchedOrders: new Set(),
+        dtmf: DtmfService.createState(), // Keypad entry in progress
+        keypadMenu: null, // Tenant's keypad menu, if enabled
+        handoff: null, // { status, reason, target } once a transfer is requested
+        handoffUnavailable: false, // Set once the tenant turned out to have no handoff target
+        caller: null, // Shopify customer + recent orders, if the number is known
+        profile: null, // What we remember from this caller's previous calls
+        campaign: null, // { campaign, contact, awaitingAnswer, answer } on outbound campaign calls
+        amd: null, // Answering-machine detector while we wait to hear who picked up
+        answeredBy: null, // human | machine | unknown (outbound calls)
+        voicemail: null, // { played, hangupTimer, controller } once a machine answered
+        outcomes: [], // { agentType, success, result, orderId } per finished agent
+        agentHandlers: [] // [event, handler] registered on the orchestrator for this call
       };
 
+      // Caller lookup is usually already resolved - it starts at the call start webhook
+      [session.caller, session.profile, session.keypadMenu, session.campaign] = await Promise.all([
+        CallerLookupService.lookup(callData?.client_id, callData?.phone_from),
+        CustomerProfileService.getProfile(callData?.client_id, callData?.phone_from),
+        DtmfService.getMenu(callData?.client_id),
+        CampaignService.getCallContext(callData)
+      ]);
+      const answeredByEvent = this.setupAnsweringMachineDetection(session);
+      if (session.caller) {
+        logger.info('Returning caller identified', {
+          callId,
+          customerId: session.caller.customerId,
+          recentOrders: session.caller.recentOrders.length
+        });
+      }
+
       // Setup session timeout (cleanup after inactivity)
       this.resetSessionTimeout(callId);
 
-      // Setup STS event handlers
-      this.setupSTSHandlers(session);
+      session.pipeline = this.createPipeline(session);
+
+      // Setup speech event handlers
+      this.setupSpeechHandlers(session);
 
       // Setup agent orchestrator handlers
       this.setupAgentHandlers(session);
 
-      // Start STS session
-      await stsSession.start(callId);
+      // Start speech session
+      await speechSession.start(callId, {
+        callerContext: CallerLookupService.buildPromptContext(session.caller)
+      });
+
+      // Repeat caller - pick up where their last call left off
+      const profileContext = CustomerProfileService.buildContext(session.profile);
+      if (profileContext) {
+        speechSession.updateContext(profileContext);
+      }
+      if (session.keypadMenu) {
+        speechSession.updateContext(DtmfService.buildMenuContext(session.keypadMenu));
+      }
 
       // Store session
       this.sessions.set(callId, session);
 
+      // Outbound campaign call - the bot speaks first, once a person is on the line
+      if (answeredByEvent) {
+        await this.handleAnsweredBy(session, answeredByEvent);
+      } else if (session.campaign && !session.amd) {
+        await this.startCampaignCall(session);
+      }
+
       logger.info('Call session created successfully', { callId });
 
       return session;
@@ -70,29 +166,43 @@ class CallSessionManager extends EventEmitter {
         callId,
         error: error.message 
       });
+      // Handlers may already be registered on the shared orchestrator
+      this.cleanupSession(session);
+      this.sessions.delete(callId);
       throw error;
     }
   }
 
   /**
-   * Setup STS event handlers
+   * Setup speech session event handlers
    */
-  setupSTSHandlers(session) {
-    const { callId, stsSession } = session;
+  setupSpeechHandlers(session) {
+    const { callId, speechSession } = session;
 
     // User started speaking
-    stsSession.on('speech_started', () => {
+    speechSession.on('speech_started', (data = {}) => {
       logger.debug('User speech started', { callId });
-      // User interrupted - could cancel any TTS if needed
+      session.recorder?.markCallerSpeech('started', data.item_id);
+      this.handleBargeIn(session);
+      // New input - drop speculative work for the previous utterance
+      session.pipeline.beginTurn(data.item_id);
     });
 
     // User stopped speaking
-    stsSession.on('speech_stopped', () => {
+    speechSession.on('speech_stopped', (data = {}) => {
       logger.debug('User speech stopped', { callId });
+      session.recorder?.markCallerSpeech('stopped', data.item_id);
+      session.pipeline.mark('speech_stopped', data.item_id);
+    });
+
+    // Partial transcript - detect intent and prefetch while the caller is still talking
+    speechSession.on('user_transcript_partial', (data) => {
+      if (session.handoff) return;
+      session.pipeline.partial(data.transcript, data.item_id);
     });
 
     // User transcript completed - CRITICAL EVENT
-    stsSession.on('user_transcript_completed', async (data) => {
+    speechSession.on('user_transcript_completed', async (data) => {
       logger.info('USER SAID', { 
         callId,
         transcript: data.transcript 
@@ -102,6 +212,7 @@ class CallSessionManager extends EventEmitter {
       session.conversationHistory.push({
         role: 'user',
         content: data.transcript,
+        itemId: data.item_id,
         timestamp: Date.now()
       });
 
@@ -113,41 +224,64 @@ class CallSessionManager extends EventEmitter {
       // Reset activity timeout
       this.resetSessionTimeout(callId);
 
-      // Save to database
-      try {
-        await db.entities.create({
-          call_id: callId,
-          entity_type: 'transcript_user',
-          value: data.transcript,
-          confidence: 1.0
-        });
-      } catch (error) {
-        logger.error('Error saving transcript', { 
-          callId,
-          error: error.message 
-        });
+      // Caller is being transferred - the bot no longer acts on speech
+      if (session.handoff) {
+        return;
       }
 
-      // Detect intent
-      const detection = this.intentDetector.detect(
-        data.transcript,
-        session.conversationHistory
-      );
+      // Intent detection (reusing the speculative result when the last
+      // partial matched) runs alongside saving the transcript
+      const { intent: detection } = await session.pipeline.final(data.transcript, data.item_id);
+      if (!detection) {
+        return;
+      }
 
       logger.info('Intent detected', { 
         callId,
         intent: detection.intent,
         confidence: detection.confidence,
+        classifier: detection.classifier,
+        scores: detection.scores,
         requiresAgent: detection.requiresAgent,
         entities: detection.entities
       });
 
+      // Keep what the caller told us for a possible handoff
+      Object.assign(session.entities, detection.entities);
+      if (detection.intent !== 'CHAT') {
+        session.intentHistory.push(detection.intent);
+      }
+
+      // Rolling frustration decides tone and escalation
+      const sentiment = SentimentService.scoreUtterance(data.transcript);
+      const sentimentAction = SentimentService.track(session.sentiment, sentiment);
+
+      logger.debug('Caller sentiment', {
+        callId,
+        score: sentiment.score,
+        label: sentiment.label,
+        frustration: session.sentiment.frustration
+      });
+
+      // Without a handoff target the caller was already offered a callback; keep helping them
+      if (sentimentAction === 'escalate' && !session.handoffUnavailable) {
+        await this.requestHandoff(session, HandoffService.REASONS.NEGATIVE_SENTIMENT);
+        return;
+      }
+      if (sentimentAction === 'soften_tone') {
+        session.speechSession.updateContext(
+          'SYSTEM: The caller is getting frustrated. Apologize once for the trouble, skip small talk, keep answers very short and tell them exactly what happens next. Say in Hindi: "Maaf kijiye sir, aapko pareshani hui. Main abhi dekhti hoon."'
+        );
+      } else if (sentimentAction === 'restore_tone') {
+        session.speechSession.updateContext('SYSTEM: The caller is calmer now. Continue in your normal warm tone.');
+      }
+
       // Handle based on intent
-      await this.handleIntent(session, detection);
+      await session.pipeline.time('dispatch', () => this.handleIntent(session, detection), data.item_id);
     });
 
     // AI transcript completed
-    stsSession.on('ai_transcript_completed', async (data) => {
+    speechSession.on('ai_transcript_completed', async (data) => {
       logger.info('AI SAID', { 
         callId,
         transcript: data.transcript 
@@ -157,8 +291,10 @@ class CallSessionManager extends EventEmitter {
       session.conversationHistory.push({
         role: 'assistant',
         content: data.transcript,
+        itemId: data.item_id,
         timestamp: Date.now()
       });
+      this.markInterruptedTurn(session);
 
       // Save to database
       try {
@@ -177,19 +313,161 @@ class CallSessionManager extends EventEmitter {
     });
 
     // Audio output - stream to Exotel
-    stsSession.on('audio_output', (audioChunk) => {
+    speechSession.on('audio_output', (audioChunk) => {
+      const audioData = session.outboundTranscoder.transcode(audioChunk);
+      if (audioData.length === 0) return;
+
+      session.pipeline.mark('first_audio');
+      session.recorder?.writeAssistant(audioData, session.speechSession.playback?.itemId);
+
       // Emit to be sent to Exotel
       this.emit('audio_output', {
         callId,
-        audioData: audioChunk
+        audioData
       });
     });
 
+    // End of one bot response - lets the stream flush and mark it
+    speechSession.on('audio_output_done', () => {
+      const tail = session.outboundTranscoder.flush();
+      if (tail.length > 0) {
+        session.recorder?.writeAssistant(tail, session.speechSession.playback?.itemId);
+        this.emit('audio_output', { callId, audioData: tail });
+      }
+      this.emit('audio_output_done', { callId });
+    });
+
     // Error handling
-    stsSession.on('error', (error) => {
-      logger.error('STS error', { callId, error: error.message });
-      this.emit('session_error', { callId, component: 'sts', error });
+    speechSession.on('error', (error) => {
+      logger.error('Speech session error', { callId, error: error.message });
+      this.emit('session_error', { callId, component: 'speech', error });
+    });
+  }
+
+  /**
+   * Streaming turn pipeline for a call
+   *
+   * Partial transcripts: speculative intent detection and order prefetch.
+   * Final transcript: intent detection (reusing the speculative result) and
+   * saving the transcript, concurrently.
+   */
+  createPipeline(session) {
+    const { callId } = session;
+
+    return parallelProcessor.createPipeline(callId, [
+      {
+        name: 'speculative_intent',
+        on: 'partial',
+        run: ({ text }, turn, signal) => session.intentDetector.detect(text, session.conversationHistory, { signal })
+      },
+      {
+        name: 'order_prefetch',
+        on: 'partial',
+        run: ({ text }, turn, signal) => this.prefetchOrder(session, text, signal)
+      },
+      {
+        name: 'intent',
+        on: 'final',
+        run: async ({ text }, turn, signal) => {
+          const speculative = await session.pipeline.getSpeculative(turn, 'speculative_intent', text);
+          if (speculative) {
+            turn.stages.intent.reused = true;
+            return speculative;
+          }
+          return session.intentDetector.detect(text, session.conversationHistory, { signal });
+        }
+      },
+      {
+        name: 'save_transcript',
+        on: 'final',
+        run: ({ text }) => db.entities.create({
+          call_id: callId,
+          entity_type: 'transcript_user',
+          value: text,
+          confidence: 1.0
+        })
+      }
+    ], {
+      onTurnTiming: (timing) => this.emit('turn_latency', { callId, ...timing })
+    });
+  }
+
+  /**
+   * Warm the order cache as soon as an order is mentioned, so the agent's
+   * lookup is instant once the caller finishes the sentence
+   * @param {AbortSignal} [signal] - Aborted once the caller says more
+   * @returns {Promise<object|null>} - { orderId } if a fetch was started
+   */
+  async prefetchOrder(session, text, signal = null) {
+    const entities = session.intentDetector.extractEntities(text.toLowerCase());
+    const orderId = entities.order_id ||
+      CallerLookupService.seedAgentData(session.caller, entities, text).data.order_id;
+
+    if (!orderId || session.prefetchedOrders.has(orderId) || signal?.aborted) {
+      return null;
+    }
+    session.prefetchedOrders.add(orderId);
+
+    logger.debug('Prefetching order', { callId: session.callId, orderId });
+    await ShopifyService.getOrder(session.callData?.client_id, orderId);
+    return { orderId };
+  }
+
+  /**
+   * Caller started talking - if the bot was speaking, stop it
+   *
+   * Cancels and truncates the Realtime response, drops outbound audio that
+   * is buffered here or already queued at Exotel (via `barge_in`), and
+   * records the interruption for the transcript and call metrics.
+   */
+  handleBargeIn(session) {
+    const { callId } = session;
+    const interruption = session.speechSession.interrupt();
+
+    // Clear outbound audio either way - Exotel may still be playing the tail
+    session.outboundTranscoder.reset();
+    session.recorder?.clearAssistant();
+    this.emit('barge_in', { callId, interruption });
+
+    if (!interruption) {
+      return;
+    }
+
+    session.bargeIns.push({ ...interruption, at: Date.now() });
+    this.markInterruptedTurn(session);
+
+    logger.info('Caller barged in', {
+      callId,
+      playedMs: interruption.playedMs,
+      audioMs: interruption.audioMs,
+      count: session.bargeIns.length
     });
+
+    db.entities.create({
+      call_id: callId,
+      entity_type: 'barge_in',
+      value: JSON.stringify({ playedMs: interruption.playedMs, audioMs: interruption.audioMs }),
+      confidence: 1.0
+    }).catch(error => {
+      logger.error('Error saving barge-in', { callId, error: error.message });
+    });
+  }
+
+  /**
+   * Flag the assistant turn the caller talked over
+   * The transcript may arrive before or after the barge-in, so both call this
+   */
+  markInterruptedTurn(session) {
+    const interruption = session.bargeIns[session.bargeIns.length - 1];
+    if (!interruption?.itemId) {
+      return;
+    }
+
+    const turn = session.conversationHistory.find(t => t.role === 'assistant' && t.itemId === interruption.itemId);
+    if (turn) {
+      turn.interrupted = true;
+      turn.playedMs = interruption.playedMs;
+    }
   }
 
   /**
@@ -197,9 +475,14 @@ class CallSessionManager extends EventEmitter {
    */
   setupAgentHandlers(session) {
     const { callId } = session;
+    // The orchestrator outlives the call: every handler is removed in cleanupSession()
+    const on = (event, handler) => {
+      this.agentOrchestrator.on(event, handler);
+      session.agentHandlers.push([event, handler]);
+    };
 
     // Agent needs more info
-    this.agentOrchestrator.on('agent_needs_info', (data) => {
+    on('agent_needs_info', (data) => {
       if (data.callId !== callId) return;
 
       logger.info('Agent needs info', { 
@@ -208,16 +491,67 @@ class CallSessionManager extends EventEmitter {
         prompt: data.prompt 
       });
 
-      // Update STS context so AI knows to ask for this info
-      const contextUpdate = `SYSTEM: ${data.prompt}. Ask user naturally for this information in Hindi.`;
-      session.stsSession.updateContext(contextUpdate);
+      // Update speech context so AI knows to ask for this info
+      const contextUpdate = data.reason === 'invalid'
+        ? `SYSTEM: The ${data.field} heard was "${data.value}", which is not valid. ${data.prompt}. Politely ask the user to repeat it slowly in Hindi.`
+        : `SYSTEM: ${data.prompt}. Ask user naturally for this information in Hindi.`;
+      session.speechSession.updateContext(contextUpdate);
 
       // Track what we're waiting for
       session.waitingForEntity = data.field;
+      session.awaitingConfirmation = null;
+    });
+
+    // Agent wants the caller to confirm a value before acting on it
+    on('agent_needs_confirmation', (data) => {
+      if (data.callId !== callId) return;
+
+      logger.info('Agent needs confirmation', { 
+        callId,
+        field: data.field,
+        attempt: data.attempt 
+      });
+
+      const contextUpdate = `SYSTEM: Read this back to the user exactly, digit by digit, and wait for a yes or no (they may also press 1 for yes or 2 for no): "${data.prompt}"`;
+      session.speechSession.updateContext(contextUpdate);
+
+      session.waitingForEntity = null;
+      session.awaitingConfirmation = data.field;
+    });
+
+    // Agent could not collect a valid value after several tries
+    on('agent_escalated', async (data) => {
+      if (data.callId !== callId) return;
+
+      logger.warn('Agent escalated', { 
+        callId,
+        agentType: data.agentType,
+        field: data.field,
+        attempts: data.attempts 
+      });
+
+      session.outcomes.push({
+        agentType: data.agentType,
+        success: false,
+        orderId: session.entities.order_id || null
+      });
+
+      session.currentIntent = null;
+      session.waitingForEntity = null;
+      session.awaitingConfirmation = null;
+
+      session.agentFailures++;
+      if (HandoffService.hasTooManyFailures(session)) {
+        await this.requestHandoff(session, HandoffService.REASONS.AGENT_FAILURES);
+        return;
+      }
+
+      const contextUpdate = `SYSTEM: The ${data.field} could not be captured after ${data.attempts} tries. Apologize and offer to create a support ticket. Say in Hindi: "Maaf kijiye sir, main sahi se note nahi kar paayi. Main aapka ticket create kar deti hoon, team aapko call karegi."`;
+      session.speechSession.updateContext(contextUpdate);
     });
 
     // Agent completed
-    this.agentOrchestrator.on('agent_completed', async (data) => {
+    on('agent_completed', async (data) => {
       if (data.callId !== callId) return;
 
       logger.info('Agent completed', { 
@@ -225,17 +559,45 @@ class CallSessionManager extends EventEmitter {
         agentType: data.agentType,
         success: data.result.success 
       });
+      session.pipeline.recordAgent(data.agentType, data.duration, 'ok');
+
+      // Update speech context with agent result
+      let contextUpdate = `SYSTEM: ${data.result.contextUpdate}`;
+      if (data.remainingTasks > 0) {
+        contextUpdate += ' After telling this, move on to the caller\'s next request.';
+      }
+      session.speechSession.updateContext(contextUpdate);
 
-      // Update STS context with agent result
-      const contextUpdate = `SYSTEM: ${data.result.contextUpdate}`;
-      session.stsSession.updateContext(contextUpdate);
+      session.outcomes.push({
+        agentType: data.agentType,
+        success: data.result.success,
+        result: data.result,
+        orderId: session.entities.order_id || null
+      });
 
       session.currentIntent = null;
       session.waitingForEntity = null;
+      session.awaitingConfirmation = null;
+
+      // Complaints are followed up by a person once the ticket is logged
+      if (data.result.success && HandoffService.isHandoffAgent(data.agentType)) {
+        await this.requestHandoff(session, HandoffService.REASONS.COMPLAINT);
+      }
+    });
+
+    // Agent queued behind another request from the same utterance
+    on('agent_queued', (data) => {
+      if (data.callId !== callId) return;
+
+      logger.info('Agent queued', { 
+        callId,
+        agentType: data.agentType,
+        position: data.position 
+      });
     });
 
     // Agent error
-    this.agentOrchestrator.on('agent_error', (data) => {
+    on('agent_error', async (data) => {
       if (data.callId !== callId) return;
 
       logger.error('Agent error', { 
@@ -243,14 +605,27 @@ class CallSessionManager extends EventEmitter {
         agentType: data.agentType,
         error: data.error.message 
       });
+      session.pipeline.recordAgent(data.agentType, data.duration, 'error');
 
-      // Update STS to inform user of error
+      session.outcomes.push({
+        agentType: data.agentType,
+        success: false,
+        orderId: session.entities.order_id || null
+      });
+
+      session.agentFailures++;
+      if (HandoffService.hasTooManyFailures(session)) {
+        await this.requestHandoff(session, HandoffService.REASONS.AGENT_FAILURES);
+        return;
+      }
+
+      // Update speech session to inform user of error
       const contextUpdate = `SYSTEM: Technical issue occurred. Apologize to user and offer to create a support ticket. Say in Hindi: "Maaf kijiye sir, thoda technical issue aa raha hai. Main aapka ticket create kar deti hoon, team 24 ghante mein contact karegi."`;
-      session.stsSession.updateContext(contextUpdate);
+      session.speechSession.updateContext(contextUpdate);
     });
 
     // Agent cancelled
-    this.agentOrchestrator.on('agent_cancelled', (data) => {
+    on('agent_cancelled', (data) => {
       if (data.callId !== callId) return;
 
       logger.info('Agent cancelled', { 
@@ -260,36 +635,300 @@ class CallSessionManager extends EventEmitter {
 
       session.currentIntent = null;
       session.waitingForEntity = null;
+      session.awaitingConfirmation = null;
     });
   }
 
+  /**
+   * Open an outbound campaign call with the campaign script
+   *
+   * The campaign's agent is launched with the contact's order so its details
+   * are on hand when the customer asks about it. Callbacks resume the agent
+   * the caller hung up on, with the slots it had already collected.
+   */
+  async startCampaignCall(session) {
+    const { callId } = session;
+    const { campaign, contact } = session.campaign;
+    const callback = contact.data?.callback;
+
+    logger.info('Starting campaign call', {
+      callId,
+      campaignId: campaign.id,
+      contactId: contact.id,
+      type: campaign.type
+    });
+
+    session.speechSession.updateContext(CampaignService.buildContext(session.campaign));
+    session.speechSession.requestResponse();
+
+    if (contact.order_id) {
+      session.entities.order_id = contact.order_id;
+    }
+
+    let launch = null;
+    if (callback?.agentType) {
+      session.currentIntent = callback.intent || null;
+      launch = { agentType: callback.agentType, data: callback.slots || {}, confirmedFields: callback.confirmed || [] };
+    } else if (campaign.agent_type && contact.order_id) {
+      launch = {
+        agentType: campaign.agent_type,
+        data: { order_id: contact.order_id, phone: contact.phone },
+        confirmedFields: ['order_id', 'phone']
+      };
+    }
+    if (!launch) {
+      return;
+    }
+
+    try {
+      await this.agentOrchestrator.launchAgent(callId, launch.agentType, launch.data, {
+        confirmedFields: launch.confirmedFields,
+        clientId: session.callData?.client_id
+      });
+    } catch (error) {
+      logger.error('Error launching campaign agent', { 
+        callId,
+        agentType: launch.agentType,
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Listen for who picks up an outbound call before the bot says anything
+   * @returns {object|null} - Result event if Exotel already reported AnsweredBy
+   */
+  setupAnsweringMachineDetection(session) {
+    const { callData, stream } = session;
+    if (!AMD_ENABLED || callData?.direction !== 'outbound') {
+      return null;
+    }
+
+    session.amd = new AnsweringMachineDetector(telephonyFormat(stream?.mediaFormat));
+    return session.amd.setAnsweredBy(callData.answered_by || stream?.customParameters?.AnsweredBy);
+  }
+
+  /**
+   * Act on answering-machine detection: talk to a person, or leave a
+   * voicemail once the machine's greeting is over
+   * @param {object} session - Call session
+   * @param {object} event - From AnsweringMachineDetector
+   */
+  async handleAnsweredBy(session, event) {
+    const { callId } = session;
+
+    if (event.type === 'greeting_end') {
+      await this.leaveVoicemail(session);
+      return;
+    }
+
+    session.answeredBy = event.answeredBy;
+    logger.info('Outbound call answered', {
+      callId,
+      answeredBy: event.answeredBy,
+      reason: event.reason,
+      afterMs: event.afterMs
+    });
+
+    db.calls.update(callId, { answered_by: event.answeredBy }).catch(error => {
+      logger.error('Error saving answered-by', { callId, error: error.message });
+    });
+
+    // Machine: keep listening until the greeting (and beep) is over
+    if (event.answeredBy === 'machine') {
+      return;
+    }
+
+    session.amd = null;
+    if (session.campaign) {
+      await this.startCampaignCall(session);
+    }
+  }
+
+  /**
+   * Leave the campaign's voicemail, then hang up
+   *
+   * The message is synthesized straight through TTS rather than asked of the
+   * LLM, so it is said word for word and the hang-up only waits for the audio.
+   */
+  async leaveVoicemail(session) {
+    const { callId, callData } = session;
+    session.amd = null;
+    session.voicemail = { played: false, hangupTimer: null, controller: new AbortController() };
+
+    let storeName = null;
+    try {
+      storeName = (await db.clients.getById(callData.client_id))?.name;
+    } catch (error) {
+      logger.error('Error loading store name for voicemail', { callId, error: error.message });
+    }
+
+    // Hang up even if the message never plays
+    session.voicemail.hangupTimer = setTimeout(() => this.hangUp(session), VOICEMAIL_MAX_MS);
+
+    if (!session.campaign) {
+      this.hangUp(session);
+      return;
+    }
+
+    const message = CampaignService.renderVoicemail(session.campaign, storeName);
+    logger.info('Leaving voicemail', { callId, contactId: session.campaign.contact.id });
+
+    try {
+      const tts = await SpeechSessionFactory.ttsForClient(callData.client_id);
+      const audioMs = await this.speak(session, tts, message, session.voicemail.controller.signal);
+      if (session.voicemail.controller.signal.aborted) {
+        return;
+      }
+
+      // Hang up once it has played out
+      session.voicemail.played = true;
+      clearTimeout(session.voicemail.hangupTimer);
+      session.voicemail.hangupTimer = setTimeout(() => this.hangUp(session), audioMs + VOICEMAIL_TAIL_MS);
+    } catch (error) {
+      if (!session.voicemail.controller.signal.aborted) {
+        logger.error('Error leaving voicemail', { callId, error: error.message });
+      }
+      this.hangUp(session);
+    }
+  }
+
+  /**
+   * Play text on the call through a TTS provider, bypassing the speech session
+   * @returns {Promise<number>} - Length of the audio sent, in ms
+   */
+  async speak(session, tts, text, signal) {
+    const { callId } = session;
+    const transcoder = new AudioTranscoder(tts.format, telephonyFormat(session.stream?.mediaFormat));
+    const bytesPerMs = tts.format.sampleRate * (tts.format.encoding === 'pcm16' ? 2 : 1) / 1000;
+    let audioMs = 0;
+
+    const send = (audioData) => {
+      if (audioData.length === 0) return;
+      session.recorder?.writeAssistant(audioData);
+      this.emit('audio_output', { callId, audioData });
+    };
+
+    await tts.synthesize(text, {
+      signal,
+      onAudio: (chunk) => {
+        audioMs += chunk.length / bytesPerMs;
+        send(transcoder.transcode(chunk));
+      }
+    });
+    send(transcoder.flush());
+    this.emit('audio_output_done', { callId });
+
+    return Math.round(audioMs);
+  }
+
+  /**
+   * End an outbound call from our side (closes the media stream; the call
+   * flow's next applet hangs up)
+   */
+  hangUp(session) {
+    if (session.voicemail?.hangupTimer) {
+      clearTimeout(session.voicemail.hangupTimer);
+      session.voicemail.hangupTimer = null;
+    }
+    session.voicemail?.controller?.abort();
+    if (!session.isActive) {
+      return;
+    }
+
+    logger.info('Hanging up', { callId: session.callId });
+    this.emit('hangup_ready', { callId: session.callId });
+  }
+
   /**
    * Handle detected intent
    */
   async handleIntent(session, detection) {
     const { callId } = session;
 
+    // Answer to the campaign question ("haan, confirm hai" / "nahi chahiye") - a
+    // "no" here declines the order rather than cancelling an agent
+    if (session.campaign?.awaitingAnswer && !session.awaitingConfirmation) {
+      const answer = session.intentDetector.detectConfirmation(detection.originalText);
+      if (CampaignService.recordAnswer(session, answer)) {
+        session.speechSession.updateContext(answer
+          ? 'SYSTEM: The customer confirmed. Thank them warmly in Hindi and ask if there is anything else.'
+          : 'SYSTEM: The customer declined. Acknowledge politely in Hindi, briefly ask the reason, and say the store will take care of it.');
+        if (!detection.requiresAgent) {
+          return;
+        }
+      }
+    }
+
     // Handle cancellation
     if (detection.shouldCancelAgent) {
       logger.info('User requested cancellation', { callId });
       
-      // Cancel active agent
+      // Cancel active agent and anything queued behind it
+      this.agentOrchestrator.clearQueue(callId);
       await this.agentOrchestrator.cancelAgent(callId);
       
       // Update context
-      session.stsSession.updateContext(
+      session.speechSession.updateContext(
         'SYSTEM: User cancelled the action. Acknowledge politely: "Ji sir, koi baat nahi. Kuch aur batayiye?"'
       );
       return;
     }
 
+    // Caller asked for a person
+    if (detection.shouldHandoff) {
+      await this.requestHandoff(session, HandoffService.REASONS.EXPLICIT_REQUEST);
+      return;
+    }
+
+    // Answer to a read-back ("haan sahi hai" / "nahi, 12346")
+    if (session.awaitingConfirmation) {
+      const field = session.awaitingConfirmation;
+      const correction = detection.entities[field];
+      const answer = session.intentDetector.detectConfirmation(detection.originalText);
+
+      // A new value on its own is treated as a correction
+      if (answer !== null || correction) {
+        logger.info('Received confirmation answer', { 
+          callId,
+          field,
+          confirmed: answer === true,
+          correction 
+        });
+
+        session.awaitingConfirmation = null;
+        this.agentOrchestrator.confirmAgentField(
+          callId,
+          field,
+          answer === true,
+          correction
+        );
+        return;
+      }
+    }
+
+    // Check if we're waiting for specific entity (a bare "12345" is plain chat)
+    if (session.waitingForEntity && detection.entities[session.waitingForEntity]) {
+      // User provided the entity we were waiting for
+      logger.info('Received expected entity', { 
+        callId,
+        entity: session.waitingForEntity,
+        value: detection.entities[session.waitingForEntity] 
+      });
+
+      // Update active agent with new data
+      session.waitingForEntity = null;
+      this.agentOrchestrator.updateAgent(callId, detection.entities);
+      return;
+    }
+
     // Normal chat - no agent needed
     if (!detection.requiresAgent) {
       logger.debug('Normal conversation, no agent needed', { 
         callId,
         intent: detection.intent 
       });
-      return; // STS handles conversation naturally
+      return; // Speech session handles conversation naturally
     }
 
     // Agent-triggering intent detected
@@ -302,27 +941,44 @@ class CallSessionManager extends EventEmitter {
 
     session.currentIntent = detection.intent;
 
-    // Check if we're waiting for specific entity
-    if (session.waitingForEntity && detection.entities[session.waitingForEntity]) {
-      // User provided the entity we were waiting for
-      logger.info('Received expected entity', { 
+    // Several requests in one utterance - run them one after another
+    if (detection.intents && detection.intents.length > 1) {
+      logger.info('Queueing multiple intents', { 
         callId,
-        entity: session.waitingForEntity,
-        value: detection.entities[session.waitingForEntity] 
+        intents: detection.intents.map(i => i.intent) 
       });
 
-      // Update active agent with new data
-      this.agentOrchestrator.updateAgent(callId, detection.entities);
-      session.waitingForEntity = null;
+      try {
+        await this.agentOrchestrator.queueAgents(
+          callId,
+          detection.intents.map(i => {
+            const seed = CallerLookupService.seedAgentData(session.caller, i.entities, i.text);
+            return {
+              agentType: i.agentType,
+              initialData: { ...seed.data, ...i.entities },
+              intent: i.intent,
+              confirmedFields: seed.confirmedFields,
+              clientId: session.callData?.client_id
+            };
+          })
+        );
+      } catch (error) {
+        logger.error('Error queueing agents', { 
+          callId,
+          error: error.message 
+        });
+      }
       return;
     }
 
-    // Launch new agent
+    // Launch new agent (known callers don't have to repeat what we already have)
+    const seed = CallerLookupService.seedAgentData(session.caller, detection.entities, detection.originalText);
     try {
       await this.agentOrchestrator.launchAgent(
         callId,
         detection.agentType,
-        detection.entities
+        { ...seed.data, ...detection.entities },
+        { confirmedFields: seed.confirmedFields, clientId: session.callData?.client_id }
       );
     } catch (error) {
       logger.error('Error launching agent', { 
@@ -331,12 +987,78 @@ class CallSessionManager extends EventEmitter {
       });
 
       // Inform user of error
-      session.stsSession.updateContext(
+      session.speechSession.updateContext(
         'SYSTEM: Could not process request. Apologize: "Maaf kijiye, thodi problem aa rahi hai. Kuch aur madad kar sakti hoon?"'
       );
     }
   }
 
+  /**
+   * Transfer the caller to a human agent
+   *
+   * Marks the call transfer_pending, emits `handoff_requested` with the summary,
+   * transcript and entities, and once the caller has been told, emits
+   * `handoff_ready` so the media stream is closed and Exotel's Connect applet
+   * bridges the call (see services/handoffService.js).
+   *
+   * @param {object} session - Call session
+   * @param {string} reason - One of HandoffService.REASONS
+   * @returns {Promise<boolean>} - False if no human agent is available
+   */
+  async requestHandoff(session, reason) {
+    const { callId } = session;
+
+    if (session.handoff) {
+      return true;
+    }
+
+    // Claim the handoff before awaiting so concurrent triggers don't repeat it
+    session.handoff = { status: 'transfer_pending', reason, target: null };
+    const target = await HandoffService.getTarget(session.callData?.client_id);
+
+    if (!target) {
+      session.handoff = null;
+      session.handoffUnavailable = true;
+      logger.warn('Handoff requested but no target configured', { callId, reason });
+      session.speechSession.updateContext(
+        'SYSTEM: No team member is available right now. Apologize and offer a callback: "Maaf kijiye sir, abhi koi team member available nahi hai. Main aapka ticket create kar deti hoon, team aapko call karegi."'
+      );
+      return false;
+    }
+
+    session.handoff.target = target;
+
+    logger.info('Handing off call to human agent', { callId, reason });
+
+    // Nothing automated should run during the transfer
+    this.agentOrchestrator.clearQueue(callId);
+    await this.agentOrchestrator.cancelAgent(callId);
+
+    const payload = HandoffService.buildPayload(session, reason, target);
+
+    try {
+      await HandoffService.markPending(payload);
+    } catch (error) {
+      logger.error('Error recording handoff', { 
+        callId,
+        error: error.message 
+      });
+    }
+
+    this.emit('handoff_requested', payload);
+
+    session.speechSession.updateContext(
+      'SYSTEM: Transfer the caller to a team member. Say only this in Hindi: "Ji sir, main aapko hamare team member se connect kar rahi hoon. Kripya line par bane rahiye."'
+    );
+
+    session.handoffTimer = setTimeout(() => {
+      session.handoffTimer = null;
+      this.emit('handoff_ready', { callId, target });
+    }, HANDOFF_ANNOUNCE_MS);
+
+    return true;
+  }
+
   /**
    * Process incoming audio from Exotel
    * @param {string} callId - Call identifier
@@ -352,8 +1074,120 @@ class CallSessionManager extends EventEmitter {
       return;
     }
 
-    // Send audio to STS
-    session.stsSession.sendAudio(audioData);
+    session.recorder?.writeCaller(audioData);
+
+    // Outbound call: nothing reaches the bot until we know a person picked up
+    if (session.amd || session.voicemail) {
+      const event = session.amd?.write(audioData);
+      if (event) {
+        this.handleAnsweredBy(session, event).catch(error => {
+          logger.error('Error handling answering-machine detection', { callId, error: error.message });
+        });
+      }
+      return;
+    }
+
+    // Send audio to the speech session in the format it was configured for
+    const converted = session.inboundTranscoder.transcode(audioData);
+    if (converted.length > 0) {
+      session.speechSession.sendAudio(converted);
+    }
+  }
+
+  /**
+   * Handle a keypad press from the telephony stream
+   *
+   * Digits fill the slot an agent is waiting for (order_id, phone, pin_code)
+   * once the caller presses #. Otherwise a key picks from the tenant's keypad
+   * menu, if it has one.
+   * @param {string} callId - Call ID
+   * @param {string} digit - 0-9, * or #
+   */
+  async processDtmf(callId, digit) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive || session.handoff) {
+      return;
+    }
+
+    this.resetSessionTimeout(callId);
+
+    const field = DtmfService.isNumericField(session.waitingForEntity) ? session.waitingForEntity : null;
+    if (field) {
+      const entry = DtmfService.collect(session.dtmf, field, digit);
+
+      if (entry.status === 'too_long') {
+        logger.info('Keypad entry too long', { callId, field });
+        session.speechSession.updateContext(
+          `SYSTEM: The ${field} keyed in was too long. Ask the caller to enter it again and press hash at the end.`
+        );
+        session.speechSession.requestResponse();
+      }
+      if (entry.status !== 'complete') {
+        return;
+      }
+
+      logger.info('Keypad entry received', { callId, field });
+
+      session.waitingForEntity = null;
+      session.speechSession.updateContext(
+        `SYSTEM: The caller keyed in the ${field} ${entry.value} on the keypad. It does not need to be read back. Tell them you are checking.`
+      );
+      session.speechSession.requestResponse();
+      this.agentOrchestrator.updateAgent(callId, { [field]: entry.value }, { confirmedFields: [field] });
+
+      db.entities.create({
+        call_id: callId,
+        entity_type: 'dtmf_input',
+        value: JSON.stringify({ field, value: entry.value }),
+        confidence: 1.0
+      }).catch(error => {
+        logger.error('Error saving keypad entry', { callId, error: error.message });
+      });
+      return;
+    }
+
+    // Answer to a read-back: menu keys don't apply until it is confirmed
+    if (session.awaitingConfirmation) {
+      const field = session.awaitingConfirmation;
+      const confirmed = DtmfService.confirmationAnswer(digit);
+      if (confirmed === null) {
+        logger.debug('Keypad press ignored while confirming', { callId, field, digit });
+        return;
+      }
+
+      logger.info('Received keypad confirmation', { callId, field, confirmed });
+
+      session.awaitingConfirmation = null;
+      this.agentOrchestrator.confirmAgentField(callId, field, confirmed);
+      return;
+    }
+
+    const option = DtmfService.selectOption(session.keypadMenu, digit);
+    if (!option) {
+      logger.debug('Keypad press ignored', { callId, digit });
+      return;
+    }
+
+    const agentType = session.intentDetector.intentToAgent(option.intent);
+
+    logger.info('Keypad menu option selected', { callId, digit, intent: option.intent, agentType });
+
+    session.intentHistory.push(option.intent);
+    session.speechSession.updateContext(
+      `SYSTEM: The caller pressed ${digit} on the keypad for ${option.label || option.intent}. Acknowledge it briefly and help them with that.`
+    );
+    session.speechSession.requestResponse();
+
+    await this.handleIntent(session, {
+      intent: option.intent,
+      confidence: 1.0,
+      classifier: 'dtmf',
+      entities: {},
+      requiresAgent: Boolean(agentType),
+      agentType,
+      originalText: ''
+    });
   }
 
   /**
@@ -379,35 +1213,43 @@ class CallSessionManager extends EventEmitter {
 
       session.isActive = false;
 
-      // Cancel any active agents
+      // Caller hung up while an agent was still waiting on them
+      const callbackTask = CallbackService.getPartialTask(
+        session,
+        this.agentOrchestrator.getAgent(callId),
+        this.agentOrchestrator.getAgentState(callId)?.agentType
+      );
+
+      // Cancel any active or queued agents
+      this.agentOrchestrator.clearQueue(callId);
       await this.agentOrchestrator.cancelAgent(callId);
 
-      // Stop STS session
-      if (session.stsSession && typeof session.stsSession.stop === 'function') {
-        await session.stsSession.stop();
+      // Stop speech session
+      if (session.speechSession) {
+        await session.speechSession.stop();
       }
 
       // Save final transcript
       const fullTranscript = session.conversationHistory
-        .map(t => `${t.role}: ${t.content}`)
+        .map(t => `${t.role}: ${t.content}${t.interrupted ? ' [interrupted]' : ''}`)
         .join('\n');
 
       // Calculate call duration
       const duration = Math.floor((Date.now() - session.startTime) / 1000);
 
-      // Upload recording to Wasabi if available
+      // Upload the stereo recording to Wasabi if anything was captured
       let recordingUrl = null;
-      if (session.audioBuffer && session.audioBuffer.length > 0) {
+      let recordingMetadata = null;
+      if (session.recorder && !session.recorder.isEmpty()) {
         try {
-          recordingUrl = await wasabiStorage.uploadCallRecording(
-            callId,
-            session.audioBuffer,
-            'mp3'
-          );
+          const wav = session.recorder.toWav();
+          recordingMetadata = session.recorder.getMetadata(session.conversationHistory);
+          recordingUrl = await wasabiStorage.uploadCallRecording(callId, wav, 'wav');
           logger.info('Call recording saved to Wasabi', { 
             callId, 
             url: recordingUrl,
-            size: session.audioBuffer.length 
+            size: wav.length,
+            durationMs: recordingMetadata.durationMs
           });
         } catch (error) {
           logger.error('Failed to upload recording to Wasabi', {
@@ -426,10 +1268,23 @@ class CallSessionManager extends EventEmitter {
         transcript_full: fullTranscript,
         end_ts: new Date(),
         duration_seconds: duration,
-        recording_url: recordingUrl,
-        charge_amount: chargeAmount
+        // Keep a recording URL Exotel may already have sent if ours wasn't uploaded
+        ...(recordingUrl && {
+          recording_url: recordingUrl,
+          recording_metadata: JSON.stringify(recordingMetadata)
+        }),
+        charge_amount: chargeAmount,
+        barge_in_count: session.bargeIns.length
       });
 
+      // Structured summary for supervisors, then remember it for the caller's next call
+      session.summary = await CallSummaryService.process(session);
+      await SentimentService.recordCall(session);
+      await LatencyService.recordCall(session);
+      await CustomerProfileService.recordCall(session);
+      await CampaignService.recordOutcome(session);
+      await CallbackService.scheduleForAbandonedCall(session, callbackTask);
+
       // Clean up session resources
       this.cleanupSession(session);
 
@@ -491,12 +1346,20 @@ class CallSessionManager extends EventEmitter {
     if (!session) return;
 
     try {
-      // Stop STS session
-      if (session.stsSession) {
-        session.stsSession.removeAllListeners();
-        if (session.stsSession.ws) {
-          session.stsSession.ws.close();
-        }
+      parallelProcessor.cleanupProcess(session.callId);
+
+      // Stop hearing orchestrator events meant for this call
+      for (const [event, handler] of session.agentHandlers || []) {
+        this.agentOrchestrator.off(event, handler);
+      }
+      session.agentHandlers = [];
+
+      // Stop speech session
+      if (session.speechSession) {
+        session.speechSession.removeAllListeners();
+        session.speechSession.stop().catch(error => {
+          logger.error('Error stopping speech session', { callId: session.callId, error: error.message });
+        });
       }
 
       // Limit conversation history to prevent memory leaks
@@ -504,6 +1367,17 @@ class CallSessionManager extends EventEmitter {
         session.conversationHistory = session.conversationHistory.slice(-MAX_HISTORY_MESSAGES);
       }
 
+      // Caller hung up before the transfer announcement finished
+      if (session.handoffTimer) {
+        clearTimeout(session.handoffTimer);
+        session.handoffTimer = null;
+      }
+      if (session.voicemail?.hangupTimer) {
+        clearTimeout(session.voicemail.hangupTimer);
+        session.voicemail.hangupTimer = null;
+      }
+      session.voicemail?.controller?.abort();
+
       // Remove session timeout
       if (this.sessionTimeouts.has(session.callId)) {
         clearTimeout(this.sessionTimeouts.get(session.callId));
@@ -1,13 +1,14 @@
 // Backend/shopify/index.js - Complete Shopify API Integration
 const axios = require('axios');
 const logger = require('../utils/logger');
+const storeOrigin = require('./storeOrigin');
 
 class ShopifyConnector {
   constructor(store, apiKey, apiPassword) {
     this.store = store;
     this.apiKey = apiKey;
     this.apiPassword = apiPassword;
-    this.baseUrl = `https://${store}/admin/api/2024-01`;
+    this.baseUrl = `${storeOrigin(store)}/admin/api/2024-01`;
     
     // Create axios instance with auth
     this.client = axios.create({
@@ -21,11 +22,19 @@ class ShopifyConnector {
   }
 
   /**
-   * Get order details
+   * Get order details by order number (what callers say, e.g. "1042") or ID
    */
   async getOrder(orderId) {
     try {
       logger.info('Fetching Shopify order', { orderId });
+
+      const byName = await this.client.get('/orders.json', {
+        params: { name: orderId, status: 'any', limit: 1 }
+      });
+      if (byName.data.orders?.length > 0) {
+        return byName.data.orders[0];
+      }
+
       const response = await this.client.get(`/orders/${orderId}.json`);
       return response.data.order;
     } catch (error) {
@@ -37,6 +46,22 @@ class ShopifyConnector {
     }
   }
 
+  /**
+   * List orders matching Shopify's order filters (status, fulfillment_status, created_at_min, limit)
+   */
+  async listOrders(params = {}) {
+    try {
+      const response = await this.client.get('/orders.json', { params });
+      return response.data.orders || [];
+    } catch (error) {
+      logger.error('Shopify listOrders error', {
+        params,
+        error: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get order transactions (for payment issues)
    */
@@ -91,29 +116,6 @@ class ShopifyConnector {
     }
   }
 
-  /**
-   * Schedule pickup (via Shiprocket integration)
-   */
-  async schedulePickup(orderData, returnData) {
-    try {
-      // In production, integrate with Shiprocket API
-      // For now, return mock pickup data
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-
-      return {
-        pickup_id: 'PK' + Date.now(),
-        scheduled_date: tomorrow.toISOString(),
-        time_slot: '10:00 AM - 2:00 PM',
-        address: orderData.shipping_address,
-        status: 'scheduled'
-      };
-    } catch (error) {
-      logger.error('Shopify schedulePickup error', { error: error.message });
-      return null;
-    }
-  }
-
   /**
    * Create refund
    */
@@ -188,31 +190,6 @@ class ShopifyConnector {
     }
   }
 
-  /**
-   * Get tracking info (for Shiprocket integration)
-   */
-  async getTrackingInfo(trackingNumber) {
-    try {
-      // In production, integrate with Shiprocket API
-      // For now, return mock tracking data
-      return {
-        tracking_number: trackingNumber,
-        status: 'in_transit',
-        current_location: 'Mumbai Distribution Center',
-        eta: new Date(Date.now() + 86400000).toISOString(),
-        last_update: 'Package out for delivery',
-        events: [
-          { timestamp: new Date(), status: 'Out for delivery', location: 'Mumbai' },
-          { timestamp: new Date(Date.now() - 3600000), status: 'In transit', location: 'Mumbai' },
-          { timestamp: new Date(Date.now() - 86400000), status: 'Picked up', location: 'Warehouse' }
-        ]
-      };
-    } catch (error) {
-      logger.error('Shopify getTrackingInfo error', { error: error.message });
-      return null;
-    }
-  }
-
   /**
    * Search products
    */
@@ -293,6 +270,36 @@ class ShopifyConnector {
     }
   }
 
+  /**
+   * Find customer by phone number (E.164, e.g. +919876543210)
+   */
+  async findCustomerByPhone(phone) {
+    try {
+      const response = await this.client.get('/customers/search.json', {
+        params: { query: `phone:${phone}`, limit: 1 }
+      });
+      return (response.data.customers || [])[0] || null;
+    } catch (error) {
+      logger.error('Shopify findCustomerByPhone error', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Get a customer's most recent orders (newest first)
+   */
+  async getCustomerOrders(customerId, limit = 5) {
+    try {
+      const response = await this.client.get(`/customers/${customerId}/orders.json`, {
+        params: { status: 'any', limit }
+      });
+      return response.data.orders || [];
+    } catch (error) {
+      logger.error('Shopify getCustomerOrders error', { customerId, error: error.message });
+      return [];
+    }
+  }
+
   /**
    * Get order invoice
    */
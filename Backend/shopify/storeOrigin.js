@@ -0,0 +1,13 @@
+// shopify/storeOrigin.js - Base URL of a shop's admin
+//
+// SHOPIFY_ADMIN_ORIGIN sends every shop to one server instead, with the shop
+// domain as the first path segment - e.g. http://localhost:4010 with
+// scripts/mock-shopify.js for local installs and tests.
+const storeOrigin = (shop) => {
+  const override = process.env.SHOPIFY_ADMIN_ORIGIN;
+  return override
+    ? `${override.replace(/\/+$/, '')}/${shop}`
+    : `https://${shop}`;
+};
+
+module.exports = storeOrigin;
@@ -0,0 +1,78 @@
+/**
+ * Answering Machine Detector Test Suite
+ * Tests for: greeting-length classification, Exotel AnsweredBy, end of voicemail greeting
+ */
+
+const AnsweringMachineDetector = require('../realtime/answeringMachineDetector');
+const { encode } = require('../realtime/audioTranscoder');
+
+const FORMAT = { encoding: 'pcm16', sampleRate: 8000 };
+
+// pcm16 at 8kHz: a tone for speech, zeros for silence
+const audio = (ms, amplitude) => {
+  const samples = new Int16Array(ms * 8);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(amplitude * Math.sin(i / 4));
+  }
+  return encode(samples, 'pcm16');
+};
+const speech = ms => audio(ms, 4000);
+const silence = ms => audio(ms, 0);
+
+// Feed 20ms frames, return every event
+const feed = (detector, ...chunks) => {
+  const events = [];
+  for (const chunk of chunks) {
+    for (let offset = 0; offset < chunk.length; offset += 320) {
+      const event = detector.write(chunk.subarray(offset, offset + 320));
+      if (event) events.push(event);
+    }
+  }
+  return events;
+};
+
+describe('AnsweringMachineDetector', () => {
+  test('should take a short greeting followed by a pause as a person', () => {
+    const detector = new AnsweringMachineDetector(FORMAT);
+
+    const events = feed(detector, silence(300), speech(600), silence(1000));
+
+    expect(events).toEqual([{ type: 'result', answeredBy: 'human', reason: 'short_greeting', afterMs: 1700 }]);
+  });
+
+  test('should take a long greeting as a machine and report when it ends', () => {
+    const detector = new AnsweringMachineDetector(FORMAT);
+
+    const events = feed(
+      detector,
+      speech(1500), silence(200), speech(1500), // short gaps between words don't end the greeting
+      silence(1500)
+    );
+
+    expect(events.map(event => [event.type, event.answeredBy || event.reason])).toEqual([
+      ['result', 'machine'],
+      ['greeting_end', 'silence']
+    ]);
+    expect(events[0].afterMs).toBe(2400);
+  });
+
+  test('should give up when nobody speaks', () => {
+    const detector = new AnsweringMachineDetector(FORMAT);
+
+    expect(feed(detector, silence(5000))).toEqual([
+      { type: 'result', answeredBy: 'unknown', reason: 'silence', afterMs: 4000 }
+    ]);
+  });
+
+  test('should trust Exotel metadata but still wait for the greeting to finish', () => {
+    const detector = new AnsweringMachineDetector(FORMAT);
+
+    expect(detector.setAnsweredBy('machine_start')).toMatchObject({ type: 'result', answeredBy: 'machine', reason: 'exotel' });
+    // Silence before the greeting starts is not its end
+    expect(feed(detector, silence(1500))).toEqual([]);
+    expect(feed(detector, speech(4000), silence(1200))).toEqual([
+      { type: 'greeting_end', reason: 'silence', afterMs: 6700 }
+    ]);
+    expect(new AnsweringMachineDetector(FORMAT).setAnsweredBy('unknown')).toBeNull();
+  });
+});
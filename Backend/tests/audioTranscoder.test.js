@@ -0,0 +1,159 @@
+/**
+ * Audio Transcoder Test Suite
+ * Tests for: G.711 mu-law/A-law, 8k/16k/24k resampling, streaming chunk boundaries, re-framing
+ */
+
+const {
+  AudioTranscoder,
+  Reframer,
+  decode,
+  encode,
+  mulawToLinear,
+  linearToMulaw,
+  alawToLinear,
+  linearToAlaw,
+  telephonyFormat
+} = require('../realtime/audioTranscoder');
+
+const sine = (frequency, sampleRate, count, amplitude = 10000) =>
+  Int16Array.from({ length: count }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)));
+
+const rms = (samples) => Math.sqrt(samples.reduce((sum, s) => sum + s * s, 0) / samples.length);
+
+const pcm = (samples) => encode(samples, 'pcm16');
+
+describe('G.711', () => {
+  test('should decode reference code words', () => {
+    expect(mulawToLinear(0xff)).toBe(0);
+    expect(mulawToLinear(0x00)).toBe(-32124);
+    expect(mulawToLinear(0x80)).toBe(32124);
+    expect(alawToLinear(0xd5)).toBe(8);
+    expect(alawToLinear(0x55)).toBe(-8);
+    expect(alawToLinear(0xaa)).toBe(32256);
+  });
+
+  test('should round-trip every code word', () => {
+    for (let code = 0; code < 256; code++) {
+      // 0x7f is mu-law "negative zero" and encodes back to 0xff
+      if (code !== 0x7f) {
+        expect(linearToMulaw(mulawToLinear(code))).toBe(code);
+      }
+      expect(linearToAlaw(alawToLinear(code))).toBe(code);
+    }
+  });
+
+  test.each(['mulaw', 'alaw'])('should keep a 1kHz tone above 30dB SNR through %s', (encoding) => {
+    const tone = sine(1000, 8000, 800);
+    const decoded = decode(encode(tone, encoding), encoding);
+    const noise = Int16Array.from(tone, (s, i) => s - decoded[i]);
+
+    expect(20 * Math.log10(rms(tone) / rms(noise))).toBeGreaterThan(30);
+  });
+});
+
+describe('Resampling', () => {
+  test('should upsample 8kHz to 24kHz without changing the tone', () => {
+    const transcoder = new AudioTranscoder({ encoding: 'pcm16', sampleRate: 8000 }, { encoding: 'pcm16', sampleRate: 24000 });
+
+    const output = decode(transcoder.transcode(pcm(sine(500, 8000, 800))), 'pcm16');
+    const expected = sine(500, 24000, output.length);
+    const error = Int16Array.from(output, (s, i) => s - expected[i]);
+
+    expect(Math.abs(output.length - 2400)).toBeLessThanOrEqual(3);
+    expect(rms(error) / rms(expected)).toBeLessThan(0.05);
+  });
+
+  test('should downsample 24kHz to 8kHz keeping speech and removing what would alias', () => {
+    const speech = new AudioTranscoder({ encoding: 'pcm16', sampleRate: 24000 }, { encoding: 'pcm16', sampleRate: 8000 });
+    const hiss = new AudioTranscoder({ encoding: 'pcm16', sampleRate: 24000 }, { encoding: 'pcm16', sampleRate: 8000 });
+
+    const kept = decode(speech.transcode(pcm(sine(1000, 24000, 2400))), 'pcm16');
+    const removed = decode(hiss.transcode(pcm(sine(10000, 24000, 2400))), 'pcm16');
+
+    expect(kept.length).toBe(800);
+    // Skip the filter warm-up
+    expect(rms(kept.subarray(20)) / rms(sine(1000, 8000, 800))).toBeGreaterThan(0.9);
+    expect(rms(removed.subarray(20))).toBeLessThan(rms(sine(10000, 24000, 2400)) * 0.05);
+  });
+
+  test('should convert 16kHz to 8kHz and 24kHz', () => {
+    const input = pcm(sine(1000, 16000, 1600));
+
+    expect(new AudioTranscoder({ encoding: 'pcm16', sampleRate: 16000 }, { encoding: 'pcm16', sampleRate: 8000 })
+      .transcode(input).length).toBe(1600);
+    expect(Math.abs(new AudioTranscoder({ encoding: 'pcm16', sampleRate: 16000 }, { encoding: 'pcm16', sampleRate: 24000 })
+      .transcode(input).length - 4800)).toBeLessThanOrEqual(6);
+  });
+});
+
+describe('AudioTranscoder streaming', () => {
+  test('should give the same output however the input is chunked', () => {
+    const input = encode(sine(700, 8000, 1000), 'mulaw');
+    const whole = new AudioTranscoder({ encoding: 'mulaw', sampleRate: 8000 }, { encoding: 'pcm16', sampleRate: 24000 })
+      .transcode(input);
+
+    const chunked = new AudioTranscoder({ encoding: 'mulaw', sampleRate: 8000 }, { encoding: 'pcm16', sampleRate: 24000 });
+    const parts = [];
+    for (let offset = 0; offset < input.length; offset += 37) {
+      parts.push(chunked.transcode(input.subarray(offset, offset + 37)));
+    }
+
+    expect(Buffer.concat(parts).equals(whole)).toBe(true);
+  });
+
+  test('should carry a 16-bit sample split across chunks', () => {
+    const transcoder = new AudioTranscoder({ encoding: 'pcm16', sampleRate: 24000 }, { encoding: 'mulaw', sampleRate: 24000 });
+    const sample = pcm(Int16Array.of(12345));
+
+    expect(transcoder.transcode(sample.subarray(0, 1)).length).toBe(0);
+    expect([...transcoder.transcode(sample.subarray(1))]).toEqual([linearToMulaw(12345)]);
+  });
+
+  test('should emit whole 20ms frames and pad the last one with silence', () => {
+    const transcoder = new AudioTranscoder(
+      { encoding: 'pcm16', sampleRate: 8000 },
+      { encoding: 'mulaw', sampleRate: 8000, frameMs: 20 }
+    );
+
+    expect(transcoder.transcode(pcm(new Int16Array(250))).length).toBe(160);
+    const tail = transcoder.flush();
+    expect(tail.length).toBe(160);
+    expect(tail[159]).toBe(0xff);
+  });
+
+  test('should pass audio through when formats match', () => {
+    const transcoder = new AudioTranscoder({ encoding: 'pcm16', sampleRate: 24000 }, { encoding: 'pcm16', sampleRate: 24000 });
+    const chunk = Buffer.from([1, 2, 3]);
+
+    expect(transcoder.transcode(chunk)).toBe(chunk);
+  });
+
+  test('should reject unsupported formats', () => {
+    expect(() => new AudioTranscoder({ encoding: 'opus', sampleRate: 8000 }, { encoding: 'pcm16', sampleRate: 24000 }))
+      .toThrow('Input encoding must be one of: pcm16, mulaw, alaw');
+    expect(() => new AudioTranscoder({ encoding: 'pcm16', sampleRate: 44100 }, { encoding: 'pcm16', sampleRate: 24000 }))
+      .toThrow('Input sample rate must be one of: 8000, 16000, 24000');
+  });
+});
+
+describe('Reframer', () => {
+  test('should hold partial frames until complete', () => {
+    const reframer = new Reframer(4);
+
+    expect(reframer.push(Buffer.from([1, 2, 3])).length).toBe(0);
+    expect([...reframer.push(Buffer.from([4, 5]))]).toEqual([1, 2, 3, 4]);
+    expect([...reframer.flush()]).toEqual([5, 0, 0, 0]);
+  });
+});
+
+describe('telephonyFormat', () => {
+  test('should treat Exotel base64 transport as 16-bit PCM at the stream rate', () => {
+    expect(telephonyFormat({ encoding: 'base64', sampleRate: 8000 })).toEqual({ encoding: 'pcm16', sampleRate: 8000 });
+    expect(telephonyFormat({ encoding: 'mulaw', sampleRate: 8000 })).toEqual({ encoding: 'mulaw', sampleRate: 8000 });
+    expect(telephonyFormat()).toEqual({ encoding: 'pcm16', sampleRate: 8000 });
+  });
+
+  test('should fall back to 8kHz for a sample rate it cannot transcode', () => {
+    expect(telephonyFormat({ encoding: 'base64', sampleRate: 44100 })).toEqual({ encoding: 'pcm16', sampleRate: 8000 });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Base Agent Test Suite
+ * Tests for: field validation, read-back confirmation, keypad entry, retry limit and escalation
+ */
+
+const BaseAgent = require('../agents/BaseAgent');
+
+class LookupAgent extends BaseAgent {
+  constructor(callId, initialData) {
+    super(callId, initialData);
+    this.requiredFields = ['order_id'];
+    this.executed = false;
+  }
+
+  async execute() {
+    if (!this.hasRequiredData()) {
+      this.state = 'WAITING_FOR_INFO';
+      this.requestMissingInfo();
+      return;
+    }
+    this.executed = true;
+    this.complete({ success: true });
+  }
+}
+
+const collectEvents = (agent) => {
+  const events = [];
+  ['need_info', 'need_confirmation', 'escalated'].forEach(name => {
+    agent.on(name, data => events.push({ name, ...data }));
+  });
+  return events;
+};
+
+describe('Field validation', () => {
+  test.each([
+    ['order_id', '12345', true],
+    ['order_id', 'SHOP-12345', true],
+    ['order_id', '12', false],
+    ['pin_code', '110001', true],
+    ['pin_code', '11001', false],
+    ['phone', '+91 98765 43210', true],
+    ['phone', '12345', false],
+    ['email', 'ravi@example.com', true],
+    ['email', 'ravi at example', false]
+  ])('%s "%s" valid: %s', (field, value, expected) => {
+    const agent = new BaseAgent('call-1', { [field]: value });
+    expect(agent.isFieldValid(field)).toBe(expected);
+  });
+
+  test('should drop an invalid value and ask again', async () => {
+    const agent = new LookupAgent('call-1', { order_id: '12' });
+    const events = collectEvents(agent);
+
+    await agent.execute();
+
+    expect(events).toEqual([
+      expect.objectContaining({ name: 'need_info', field: 'order_id', reason: 'invalid', value: '12', attempt: 2 })
+    ]);
+    expect(agent.data.order_id).toBeUndefined();
+  });
+});
+
+describe('Read-back confirmation', () => {
+  test('should read the value back digit by digit before executing', async () => {
+    const agent = new LookupAgent('call-1', { order_id: '12345' });
+    const events = collectEvents(agent);
+
+    await agent.execute();
+
+    expect(agent.executed).toBe(false);
+    expect(events[0]).toMatchObject({
+      name: 'need_confirmation',
+      field: 'order_id',
+      prompt: 'Order number 1 2 3 4 5, sahi hai na?'
+    });
+
+    agent.confirmField('order_id', true);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(agent.executed).toBe(true);
+  });
+
+  test('should not read back a value keyed in on the keypad', async () => {
+    const agent = new LookupAgent('call-1', {});
+    const events = collectEvents(agent);
+    await agent.execute();
+
+    agent.updateData({ order_id: '12345' }, ['order_id']);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events.map(event => event.name)).toEqual(['need_info']);
+    expect(agent.executed).toBe(true);
+  });
+
+  test('should re-confirm a corrected value', async () => {
+    const agent = new LookupAgent('call-1', { order_id: '12345' });
+    const events = collectEvents(agent);
+    await agent.execute();
+
+    agent.confirmField('order_id', false, '12346');
+
+    expect(events[1]).toMatchObject({ name: 'need_confirmation', value: '12346', attempt: 2 });
+    expect(agent.executed).toBe(false);
+  });
+
+  test('should escalate after repeated rejections', async () => {
+    const agent = new LookupAgent('call-1', { order_id: '12345' });
+    const events = collectEvents(agent);
+    await agent.execute();
+
+    agent.confirmField('order_id', false, '12346');
+    agent.confirmField('order_id', false, '12347');
+    agent.confirmField('order_id', false);
+
+    expect(events[events.length - 1]).toEqual({
+      name: 'escalated',
+      field: 'order_id',
+      reason: 'max_attempts',
+      attempts: 3
+    });
+    expect(agent.state).toBe('ESCALATED');
+  });
+});
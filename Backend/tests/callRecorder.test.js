@@ -0,0 +1,121 @@
+/**
+ * Call Recorder Test Suite
+ * Tests for: stereo WAV layout, assistant playback timing, barge-in trimming, segment offsets
+ */
+
+const CallRecorder = require('../realtime/callRecorder');
+
+const PCM_8K = { encoding: 'pcm16', sampleRate: 8000 };
+
+// ms of constant-value pcm16 at 8kHz
+const pcm = (ms, value) => {
+  const samples = 8 * ms;
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(value, i * 2);
+  }
+  return buffer;
+};
+
+// [left, right] sample pair at a time offset
+const frameAt = (wav, ms) => {
+  const offset = 44 + ms * 8 * 4;
+  return [wav.readInt16LE(offset), wav.readInt16LE(offset + 2)];
+};
+
+describe('CallRecorder', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should write a stereo 16-bit PCM WAV header', () => {
+    const recorder = new CallRecorder(PCM_8K);
+    recorder.writeCaller(pcm(100, 1000));
+
+    const wav = recorder.toWav();
+
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.readUInt32LE(4)).toBe(wav.length - 8);
+    expect(wav.toString('ascii', 8, 16)).toBe('WAVEfmt ');
+    expect(wav.readUInt16LE(20)).toBe(1);
+    expect(wav.readUInt16LE(22)).toBe(2);
+    expect(wav.readUInt32LE(24)).toBe(8000);
+    expect(wav.readUInt32LE(28)).toBe(32000);
+    expect(wav.readUInt16LE(34)).toBe(16);
+    expect(wav.readUInt32LE(40)).toBe(800 * 4);
+  });
+
+  test('should put the caller left and queued bot audio right, at playback time', () => {
+    const recorder = new CallRecorder(PCM_8K);
+    recorder.writeCaller(pcm(500, 1000));
+
+    // A 300ms reply arrives in two bursts 200ms into the call
+    now += 200;
+    recorder.writeAssistant(pcm(150, -2000), 'item-1');
+    recorder.writeAssistant(pcm(150, -2000), 'item-1');
+
+    const wav = recorder.toWav();
+
+    expect(frameAt(wav, 100)).toEqual([1000, 0]);
+    expect(frameAt(wav, 250)).toEqual([1000, -2000]);
+    expect(frameAt(wav, 450)).toEqual([1000, -2000]);
+    expect(frameAt(wav, 199)).toEqual([1000, 0]);
+    expect(recorder.getMetadata().segments).toEqual([
+      { channel: 'assistant', itemId: 'item-1', startMs: 200, endMs: 500, text: null }
+    ]);
+  });
+
+  test('should drop bot audio that was cleared before it played', () => {
+    const recorder = new CallRecorder(PCM_8K);
+    recorder.writeAssistant(pcm(1000, 3000), 'item-1');
+
+    now += 400;
+    recorder.clearAssistant();
+    recorder.writeAssistant(pcm(100, 500), 'item-2');
+
+    const wav = recorder.toWav();
+    const { segments } = recorder.getMetadata();
+
+    expect(frameAt(wav, 399)).toEqual([0, 3000]);
+    expect(frameAt(wav, 450)).toEqual([0, 500]);
+    expect(wav.readUInt32LE(40)).toBe(500 * 8 * 4);
+    expect(segments[0]).toMatchObject({ itemId: 'item-1', startMs: 0, endMs: 400, interrupted: true });
+    expect(segments[1]).toMatchObject({ itemId: 'item-2', startMs: 400, endMs: 500 });
+  });
+
+  test('should record channel offsets and label segments with the transcript', () => {
+    const recorder = new CallRecorder({ encoding: 'mulaw', sampleRate: 8000 });
+
+    now += 120;
+    recorder.writeCaller(Buffer.alloc(160, 0xff));
+    recorder.markCallerSpeech('started', 'item-1');
+    now += 900;
+    recorder.markCallerSpeech('stopped', 'item-1');
+
+    const metadata = recorder.getMetadata([{ role: 'user', content: 'order kahan hai', itemId: 'item-1' }]);
+
+    expect(metadata).toMatchObject({
+      channels: ['caller', 'assistant'],
+      offsets: { callerMs: 120, assistantMs: null },
+      truncated: false,
+      segments: [{ channel: 'caller', itemId: 'item-1', startMs: 120, endMs: 1020, text: 'order kahan hai' }]
+    });
+  });
+
+  test('should stop recording past the maximum length', () => {
+    const recorder = new CallRecorder(PCM_8K, { maxSeconds: 1 });
+
+    recorder.writeCaller(pcm(800, 1));
+    recorder.writeCaller(pcm(800, 1));
+
+    expect(recorder.getMetadata().durationMs).toBe(800);
+    expect(recorder.truncated).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Call Session Manager Test Suite
+ * Tests for: per-call orchestrator listeners are removed when the call ends, keypad read-back answers, voicemail
+ */
+
+const db = require('../db/postgres');
+const sessionManager = require('../sessions/CallSessionManager');
+const orchestrator = require('../agents/orchestrator');
+const SpeechSessionFactory = require('../realtime/speechSessionFactory');
+const { MockTTS } = require('../realtime/providers/index');
+
+describe('CallSessionManager agent handlers', () => {
+  test('should remove the orchestrator listeners a call registered', () => {
+    const events = ['agent_needs_info', 'agent_needs_confirmation', 'agent_escalated', 'agent_completed',
+      'agent_queued', 'agent_error', 'agent_cancelled'];
+    const before = events.map(event => orchestrator.listenerCount(event));
+
+    const sessions = ['call-1', 'call-2'].map(callId => ({ callId, agentHandlers: [], conversationHistory: [] }));
+    sessions.forEach(session => sessionManager.setupAgentHandlers(session));
+
+    expect(events.map(event => orchestrator.listenerCount(event))).toEqual(before.map(count => count + 2));
+
+    sessions.forEach(session => sessionManager.cleanupSession(session));
+
+    expect(events.map(event => orchestrator.listenerCount(event))).toEqual(before);
+  });
+});
+
+describe('CallSessionManager keypad', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearTimeout(sessionManager.sessionTimeouts.get('call-3'));
+    sessionManager.sessionTimeouts.delete('call-3');
+    sessionManager.sessions.delete('call-3');
+  });
+
+  test('should answer a read-back with 1 / 2 instead of picking a menu option', async () => {
+    const confirm = jest.spyOn(orchestrator, 'confirmAgentField').mockReturnValue(true);
+    const handleIntent = jest.spyOn(sessionManager, 'handleIntent').mockResolvedValue();
+    const session = {
+      callId: 'call-3',
+      isActive: true,
+      handoff: null,
+      waitingForEntity: null,
+      awaitingConfirmation: 'order_id',
+      keypadMenu: { enabled: true, options: { '1': { intent: 'ORDER_LOOKUP' }, '3': { intent: 'RETURN_REQUEST' } } }
+    };
+    sessionManager.sessions.set('call-3', session);
+
+    await sessionManager.processDtmf('call-3', '3');
+    expect(session.awaitingConfirmation).toBe('order_id');
+
+    await sessionManager.processDtmf('call-3', '1');
+    expect(confirm).toHaveBeenCalledWith('call-3', 'order_id', true);
+    expect(session.awaitingConfirmation).toBeNull();
+    expect(handleIntent).not.toHaveBeenCalled();
+  });
+});
+
+describe('CallSessionManager voicemail', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should speak the voicemail through TTS without the LLM, then hang up', async () => {
+    const tts = new MockTTS({ msPerChar: 1 });
+    jest.spyOn(db.clients, 'getById').mockResolvedValue({ name: 'Kurta Co' });
+    jest.spyOn(SpeechSessionFactory, 'ttsForClient').mockResolvedValue(tts);
+    const emit = jest.spyOn(sessionManager, 'emit');
+    const speechSession = { updateContext: jest.fn(), requestResponse: jest.fn() };
+    const session = {
+      callId: 'call-4',
+      callData: { client_id: 'client-1' },
+      isActive: true,
+      stream: { mediaFormat: { sampleRate: 8000 } },
+      speechSession,
+      campaign: {
+        campaign: { type: 'cod_confirmation' },
+        contact: { id: 'contact-1', name: 'Asha', data: { order_name: '#1042' } }
+      }
+    };
+
+    await sessionManager.leaveVoicemail(session);
+    clearTimeout(session.voicemail.hangupTimer);
+
+    expect(tts.spoken).toEqual([expect.stringContaining('Namaste Asha, Kurta Co se call tha')]);
+    expect(speechSession.requestResponse).not.toHaveBeenCalled();
+    expect(emit).toHaveBeenCalledWith('audio_output', expect.objectContaining({ callId: 'call-4' }));
+    expect(emit).toHaveBeenCalledWith('audio_output_done', { callId: 'call-4' });
+    expect(session.voicemail.played).toBe(true);
+
+    sessionManager.hangUp(session);
+    expect(emit).toHaveBeenCalledWith('hangup_ready', { callId: 'call-4' });
+  });
+});
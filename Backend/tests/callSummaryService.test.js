@@ -0,0 +1,111 @@
+/**
+ * Call Summary Test Suite
+ * Tests for: disposition codes, follow-up flag, tags, storing the summary on the call
+ */
+
+jest.mock('../db/postgres', () => ({
+  actions: { getByCall: jest.fn() },
+  calls: { update: jest.fn().mockResolvedValue({}) }
+}));
+
+const db = require('../db/postgres');
+const CallSummaryService = require('../services/callSummaryService');
+
+const { DISPOSITIONS } = CallSummaryService;
+
+const buildSession = (overrides = {}) => ({
+  callId: 'call-1',
+  caller: { name: 'Ravi Kumar' },
+  conversationHistory: [{ role: 'user', content: 'order return karna hai' }],
+  intentHistory: ['RETURN_REQUEST'],
+  entities: { order_id: '1002' },
+  agentFailures: 0,
+  sentiment: { scores: [], frustration: 0, peakFrustration: 0, toneAdjusted: false },
+  handoff: null,
+  profile: null,
+  ...overrides
+});
+
+const action = (type, status) => ({ action_type: type, status, params: { order_id: '1002' } });
+
+describe('CallSummaryService.buildSummary', () => {
+  test('should mark a call with only successful actions as resolved', () => {
+    const summary = CallSummaryService.buildSummary(buildSession(), [action('create_return', 'success')]);
+
+    expect(summary).toMatchObject({
+      reason: 'return request',
+      resolution: 'resolved',
+      disposition: DISPOSITIONS.RESOLVED,
+      followUpRequired: false,
+      tags: ['return_request'],
+      text: 'Caller Ravi Kumar called about return request (order 1002). return request: success.'
+    });
+    expect(summary.actionsTaken).toEqual([
+      { type: 'create_return', label: 'return request', status: 'success', orderId: '1002' }
+    ]);
+  });
+
+  test('should flag mixed results for follow-up', () => {
+    const summary = CallSummaryService.buildSummary(
+      buildSession({ intentHistory: ['CANCEL_ORDER', 'REFUND'] }),
+      [action('cancel_order', 'success'), action('process_refund', 'failed')]
+    );
+
+    expect(summary.disposition).toBe(DISPOSITIONS.PARTIALLY_RESOLVED);
+    expect(summary.followUpRequired).toBe(true);
+    expect(summary.tags).toEqual(['cancel_order', 'refund', 'multi_intent']);
+  });
+
+  test.each([
+    ['ticket', buildSession({ intentHistory: ['COMPLAINT'] }), [action('create_complaint', 'success')], DISPOSITIONS.TICKET_RAISED],
+    ['warranty claim', buildSession({ intentHistory: ['WARRANTY_CLAIM'] }), [action('warranty_claim', 'success')], DISPOSITIONS.TICKET_RAISED],
+    ['handoff', buildSession({ handoff: { reason: 'explicit_request' } }), [], DISPOSITIONS.TRANSFERRED],
+    ['silent caller', buildSession({ conversationHistory: [] }), [], DISPOSITIONS.ABANDONED],
+    ['chat only', buildSession({ intentHistory: [] }), [], DISPOSITIONS.INFORMATION],
+    ['escalated agent', buildSession({ agentFailures: 1 }), [], DISPOSITIONS.FAILED]
+  ])('should classify %s', (name, session, actions, expected) => {
+    expect(CallSummaryService.buildSummary(session, actions).disposition).toBe(expected);
+  });
+
+  test('should tag handoffs, frustration and repeat callers', () => {
+    const summary = CallSummaryService.buildSummary(buildSession({
+      handoff: { reason: 'negative_sentiment' },
+      sentiment: { scores: [-0.6, -0.8], frustration: 0.5, peakFrustration: 0.62, toneAdjusted: true },
+      profile: { call_count: 3 }
+    }), []);
+
+    expect(summary.tags).toEqual([
+      'return_request',
+      'handoff',
+      'handoff_negative_sentiment',
+      'frustrated',
+      'repeat_caller'
+    ]);
+  });
+});
+
+describe('CallSummaryService.process', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should store the summary on the call', async () => {
+    db.actions.getByCall.mockResolvedValue([action('create_return', 'success')]);
+
+    const summary = await CallSummaryService.process(buildSession());
+
+    expect(db.calls.update).toHaveBeenCalledWith('call-1', {
+      summary: JSON.stringify(summary),
+      disposition: 'resolved',
+      follow_up_required: false,
+      tags: ['return_request'],
+      resolved: true
+    });
+  });
+
+  test('should not throw when the database is unavailable', async () => {
+    db.actions.getByCall.mockRejectedValue(new Error('connection refused'));
+
+    await expect(CallSummaryService.process(buildSession())).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Callback Service Test Suite
+ * Tests for: partial slots of abandoned calls, callback scheduling
+ */
+
+jest.mock('../db/postgres', () => ({
+  clients: { getById: jest.fn() },
+  campaigns: {
+    getByType: jest.fn(),
+    create: jest.fn().mockImplementation(async (clientId, data) => ({ id: 'callbacks-1', client_id: clientId, ...data }))
+  },
+  campaignContacts: {
+    upsertPending: jest.fn().mockImplementation(async (campaignId, clientId, contact, nextAttemptAt) => ({
+      id: 'contact-1', campaign_id: campaignId, ...contact, next_attempt_at: nextAttemptAt
+    }))
+  }
+}));
+
+const db = require('../db/postgres');
+const CallbackService = require('../services/callbackService');
+
+const waitingAgent = () => ({
+  state: 'WAITING_FOR_INFO',
+  data: { order_id: '1042', reason: 'size chhota hai', phone: '' },
+  confirmedFields: new Set(['order_id']),
+  getMissingFields: () => ['pin_code'],
+  getUnconfirmedFields: () => []
+});
+
+const abandonedSession = (overrides = {}) => ({
+  callId: 'call-1',
+  callData: { client_id: 'client-1', phone_from: '09876543210', direction: 'inbound' },
+  currentIntent: 'RETURN_REQUEST',
+  caller: { name: 'Rahul Sharma' },
+  handoff: null,
+  ...overrides
+});
+
+describe('CallbackService.getPartialTask', () => {
+  test('should keep collected slots and what was still needed', () => {
+    expect(CallbackService.getPartialTask(abandonedSession(), waitingAgent(), 'ReturnAgent')).toEqual({
+      agentType: 'ReturnAgent',
+      intent: 'RETURN_REQUEST',
+      slots: { order_id: '1042', reason: 'size chhota hai' },
+      confirmed: ['order_id'],
+      waitingFor: 'pin_code'
+    });
+  });
+
+  test('should ignore agents that were not waiting on the caller', () => {
+    expect(CallbackService.getPartialTask(abandonedSession(), { ...waitingAgent(), state: 'RUNNING' }, 'ReturnAgent')).toBeNull();
+    expect(CallbackService.getPartialTask(abandonedSession(), null, null)).toBeNull();
+  });
+});
+
+describe('CallbackService.scheduleForAbandonedCall', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.clients.getById.mockResolvedValue({ id: 'client-1', settings: {} });
+    db.campaigns.getByType.mockResolvedValue(null);
+  });
+
+  test('should queue a callback on the tenant callback campaign', async () => {
+    const session = abandonedSession();
+    const task = CallbackService.getPartialTask(session, waitingAgent(), 'ReturnAgent');
+
+    const contact = await CallbackService.scheduleForAbandonedCall(session, task);
+
+    expect(db.campaigns.create).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      type: 'callback',
+      status: 'active'
+    }));
+    expect(contact).toMatchObject({
+      phone: '+919876543210',
+      name: 'Rahul Sharma',
+      order_id: '1042',
+      data: { callback: { agentType: 'ReturnAgent', waitingFor: 'pin_code', sourceCallId: 'call-1' } }
+    });
+    expect(contact.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should not call back outbound calls, transfers or tenants that opted out', async () => {
+    const task = CallbackService.getPartialTask(abandonedSession(), waitingAgent(), 'ReturnAgent');
+
+    expect(await CallbackService.scheduleForAbandonedCall(
+      abandonedSession({ callData: { client_id: 'client-1', phone_from: '09876543210', direction: 'outbound' } }),
+      task
+    )).toBeNull();
+    expect(await CallbackService.scheduleForAbandonedCall(abandonedSession({ handoff: { status: 'pending' } }), task)).toBeNull();
+
+    db.clients.getById.mockResolvedValueOnce({ id: 'client-1', settings: { callbacks: { enabled: false } } });
+    expect(await CallbackService.scheduleForAbandonedCall(abandonedSession(), task)).toBeNull();
+
+    expect(db.campaignContacts.upsertPending).not.toHaveBeenCalled();
+  });
+});
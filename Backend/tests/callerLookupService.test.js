@@ -0,0 +1,125 @@
+/**
+ * Caller Lookup Test Suite
+ * Tests for: phone normalization, customer lookup, agent data seeding, prompt context
+ */
+
+jest.mock('../services/ShopifyService', () => ({
+  getCustomerByPhone: jest.fn()
+}));
+
+const ShopifyService = require('../services/ShopifyService');
+const CallerLookupService = require('../services/callerLookupService');
+
+const customer = {
+  id: 501,
+  first_name: 'Ravi',
+  last_name: 'Kumar',
+  email: 'ravi@example.com',
+  orders_count: 2
+};
+
+const orders = [
+  { id: 1, order_number: 1001, created_at: '2026-09-01T10:00:00Z', fulfillment_status: 'fulfilled', total_price: '499.00' },
+  { id: 2, order_number: 1002, created_at: '2026-10-10T10:00:00Z', fulfillment_status: null, total_price: '1299.00' }
+];
+
+describe('Phone normalization', () => {
+  test.each([
+    ['09876543210', '+919876543210'],
+    ['+91 98765 43210', '+919876543210'],
+    ['919876543210', '+919876543210'],
+    ['9876543210', '+919876543210'],
+    ['01140000000', null],
+    ['', null],
+    [undefined, null]
+  ])('%s -> %s', (input, expected) => {
+    expect(CallerLookupService.normalizePhone(input)).toBe(expected);
+  });
+});
+
+describe('CallerLookupService.lookup', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should build a profile with newest orders first', async () => {
+    ShopifyService.getCustomerByPhone.mockResolvedValue({ customer, orders });
+
+    const caller = await CallerLookupService.lookup('client-1', '09876543210');
+
+    expect(ShopifyService.getCustomerByPhone).toHaveBeenCalledWith('client-1', '+919876543210', 5);
+    expect(caller).toMatchObject({
+      phone: '+919876543210',
+      customerId: 501,
+      name: 'Ravi Kumar',
+      email: 'ravi@example.com'
+    });
+    expect(caller.recentOrders.map(o => o.orderNumber)).toEqual(['1002', '1001']);
+    expect(caller.recentOrders[0].fulfillmentStatus).toBe('unfulfilled');
+  });
+
+  test('should share one lookup between prefetch and session start', async () => {
+    ShopifyService.getCustomerByPhone.mockResolvedValue({ customer, orders });
+
+    CallerLookupService.prefetch('client-1', '+919812345678');
+    await CallerLookupService.lookup('client-1', '09812345678');
+
+    expect(ShopifyService.getCustomerByPhone).toHaveBeenCalledTimes(1);
+  });
+
+  test('should look the caller up in each store separately', async () => {
+    ShopifyService.getCustomerByPhone.mockResolvedValue({ customer, orders });
+
+    await CallerLookupService.lookup('client-1', '09811111111');
+    await CallerLookupService.lookup('client-2', '09811111111');
+
+    expect(ShopifyService.getCustomerByPhone.mock.calls.map(call => call[0])).toEqual(['client-1', 'client-2']);
+  });
+
+  test('should return null for unknown or unusable numbers', async () => {
+    ShopifyService.getCustomerByPhone.mockResolvedValue(null);
+
+    expect(await CallerLookupService.lookup('client-1', '9700000000')).toBeNull();
+    expect(await CallerLookupService.lookup('client-1', 'anonymous')).toBeNull();
+    expect(ShopifyService.getCustomerByPhone).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Agent data seeding', () => {
+  const caller = CallerLookupService.toProfile('+919876543210', { customer, orders });
+
+  test('should fill the latest order when the caller asks about their last order', () => {
+    const seed = CallerLookupService.seedAgentData(caller, {}, 'mera last order kahan hai');
+
+    expect(seed.data).toEqual({
+      phone: '9876543210',
+      email: 'ravi@example.com',
+      order_id: '1002'
+    });
+    expect(seed.confirmedFields).toEqual(['phone', 'email', 'order_id']);
+  });
+
+  test('should not guess between several orders', () => {
+    const seed = CallerLookupService.seedAgentData(caller, {}, 'mera order kahan hai');
+
+    expect(seed.data.order_id).toBeUndefined();
+  });
+
+  test('should keep an order number the caller said', () => {
+    const seed = CallerLookupService.seedAgentData(caller, { order_id: '1001' }, 'last order 1001');
+
+    expect(seed.data.order_id).toBeUndefined();
+  });
+
+  test('should seed nothing for unknown callers', () => {
+    expect(CallerLookupService.seedAgentData(null, {}, 'last order')).toEqual({ data: {}, confirmedFields: [] });
+  });
+
+  test('should describe the caller for the prompt', () => {
+    const context = CallerLookupService.buildPromptContext(caller);
+
+    expect(context).toContain('Returning customer: Ravi Kumar');
+    expect(context).toContain('Order 1002');
+    expect(CallerLookupService.buildPromptContext(null)).toBeNull();
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Campaign Service Test Suite
+ * Tests for: contact list parsing, calling hours, retry rules, call outcomes
+ */
+
+jest.mock('../db/postgres', () => ({
+  campaigns: { getById: jest.fn() },
+  campaignContacts: {
+    getById: jest.fn(),
+    update: jest.fn().mockImplementation(async (id, data) => ({ id, ...data }))
+  }
+}));
+
+const db = require('../db/postgres');
+const CampaignService = require('../services/campaignService');
+
+const AGENTS = ['CODAgent', 'OrderLookupAgent', 'TrackingAgent'];
+
+const campaign = (overrides = {}) => ({
+  id: 'campaign-1',
+  client_id: 'client-1',
+  type: 'cod_confirmation',
+  agent_type: 'CODAgent',
+  script: 'Kya aap order confirm karte hain?',
+  calling_window_start: '09:00:00',
+  calling_window_end: '21:00:00',
+  timezone: 'Asia/Kolkata',
+  retry_rules: {},
+  ...overrides
+});
+
+describe('CampaignService.validate', () => {
+  test('should fill in the agent and script for the campaign type', () => {
+    const data = CampaignService.withDefaults({ name: 'COD check', type: 'cod_confirmation' });
+
+    expect(data.agent_type).toBe('CODAgent');
+    expect(data.retry_rules['no-answer']).toEqual({ maxAttempts: 3, delayMinutes: 60 });
+    expect(CampaignService.validate(data, AGENTS).valid).toBe(true);
+  });
+
+  test('should reject unknown agents, inverted calling hours and bad retry rules', () => {
+    const result = CampaignService.validate({
+      name: 'Reminders',
+      type: 'delivery_reminder',
+      agent_type: 'NoSuchAgent',
+      script: 'Hello',
+      calling_window_start: '21:00',
+      calling_window_end: '09:00',
+      retry_rules: { completed: { maxAttempts: 2, delayMinutes: 10 } }
+    }, AGENTS);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('agent_type'),
+      'calling_window_start must be before calling_window_end',
+      expect.stringContaining('retry_rules.completed')
+    ]));
+  });
+
+  test('should keep calling hours within 09:00-21:00', () => {
+    const hours = (start, end) => CampaignService.validate(
+      { calling_window_start: start, calling_window_end: end }, AGENTS, true
+    ).errors;
+
+    expect(hours('08:30', '20:00')).toEqual(['calling_window_start must be 09:00 or later']);
+    expect(hours('10:00', '22:00')).toEqual(['calling_window_end must be 21:00 or earlier']);
+    expect(hours('09:00:00', '21:00:00')).toEqual([]);
+  });
+});
+
+describe('CampaignService.parseCsv', () => {
+  test('should normalize phones and keep extra columns as contact data', () => {
+    const { contacts, errors } = CampaignService.parseCsv([
+      'Phone,Name,Order_ID,Amount',
+      '09876543210,"Sharma, Rahul",#1042,1299',
+      '',
+      '12345,Bad Number,1043,499'
+    ].join('\n'));
+
+    expect(contacts).toEqual([{
+      phone: '+919876543210',
+      name: 'Sharma, Rahul',
+      order_id: '1042',
+      data: { amount: '1299' }
+    }]);
+    expect(errors).toEqual([{ line: 4, error: 'invalid phone number "12345"' }]);
+  });
+
+  test('should require a phone column', () => {
+    expect(CampaignService.parseCsv('name,order_id\nRahul,1042').errors[0].error).toContain('phone column');
+  });
+});
+
+describe('CampaignService.isWithinCallingWindow', () => {
+  test('should use the campaign time zone', () => {
+    // 03:30 UTC is 09:00 IST, 15:30 UTC is 21:00 IST
+    expect(CampaignService.isWithinCallingWindow(campaign(), new Date('2026-10-19T03:30:00Z'))).toBe(true);
+    expect(CampaignService.isWithinCallingWindow(campaign(), new Date('2026-10-19T03:29:00Z'))).toBe(false);
+    expect(CampaignService.isWithinCallingWindow(campaign(), new Date('2026-10-19T15:30:00Z'))).toBe(false);
+  });
+
+  test('should not call outside 09:00-21:00 whatever the campaign says', () => {
+    const allDay = campaign({ calling_window_start: '00:00:00', calling_window_end: '23:59:00' });
+
+    // 02:00 UTC is 07:30 IST, 16:00 UTC is 21:30 IST
+    expect(CampaignService.isWithinCallingWindow(allDay, new Date('2026-10-19T02:00:00Z'))).toBe(false);
+    expect(CampaignService.isWithinCallingWindow(allDay, new Date('2026-10-19T16:00:00Z'))).toBe(false);
+    expect(CampaignService.isWithinCallingWindow(allDay, new Date('2026-10-19T06:00:00Z'))).toBe(true);
+  });
+});
+
+describe('CampaignService.planRetry', () => {
+  const now = new Date('2026-10-19T06:00:00Z');
+
+  test('should retry an unanswered call after the configured delay', () => {
+    const update = CampaignService.planRetry(
+      campaign({ retry_rules: { busy: { maxAttempts: 2, delayMinutes: 15 } } }),
+      { attempts: 1 },
+      'busy',
+      now
+    );
+
+    expect(update).toEqual({
+      status: 'retry',
+      last_call_status: 'busy',
+      next_attempt_at: new Date('2026-10-19T06:15:00Z')
+    });
+  });
+
+  test('should give up once attempts are used up', () => {
+    const update = CampaignService.planRetry(campaign(), { attempts: 3 }, 'no-answer', now);
+
+    expect(update).toMatchObject({ status: 'failed', outcome: 'unreachable', next_attempt_at: null });
+  });
+});
+
+describe('CampaignService.renderVoicemail', () => {
+  test('should fill in the customer, store and order', () => {
+    const context = { campaign: campaign(), contact: { name: 'Rahul', order_id: '1042', data: { order_name: '#1042' } } };
+
+    expect(CampaignService.renderVoicemail(context, 'Kurta Co')).toBe(
+      'Namaste Rahul, Kurta Co se call tha aapke Cash on Delivery order #1042 ko confirm karne ke liye. Hum thodi der mein dobara call karenge.'
+    );
+  });
+
+  test('should read naturally without a name', () => {
+    const context = { campaign: campaign({ voicemail_template: 'Namaste {name}, {store} se call tha.' }), contact: { data: {} } };
+
+    expect(CampaignService.renderVoicemail(context, 'Kurta Co')).toBe('Namaste, Kurta Co se call tha.');
+  });
+});
+
+describe('CampaignService.recordCallStatus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const call = { id: 'call-2', client_id: 'client-1', campaign_id: 'campaign-1', campaign_contact_id: 'contact-1' };
+
+  test('should schedule a retry when the customer did not pick up', async () => {
+    db.campaignContacts.getById.mockResolvedValueOnce({ id: 'contact-1', status: 'calling', attempts: 1, last_call_id: 'call-2' });
+    db.campaigns.getById.mockResolvedValueOnce(campaign());
+
+    const contact = await CampaignService.recordCallStatus(call, 'no-answer');
+
+    expect(contact).toMatchObject({ status: 'retry', last_call_status: 'no-answer' });
+  });
+
+  test('should ignore a late status from an earlier attempt', async () => {
+    db.campaignContacts.getById.mockResolvedValueOnce({ id: 'contact-1', status: 'calling', attempts: 2, last_call_id: 'call-3' });
+
+    await CampaignService.recordCallStatus(call, 'busy');
+
+    expect(db.campaignContacts.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('CampaignService.recordOutcome', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const session = (answer, outcomes = []) => ({
+    callId: 'call-2',
+    startTime: Date.now() - 45000,
+    outcomes,
+    campaign: { campaign: campaign(), contact: { id: 'contact-1' }, awaitingAnswer: answer === null, answer }
+  });
+
+  test('should store the customer answer', async () => {
+    const updated = await CampaignService.recordOutcome(session('declined', [{ agentType: 'CODAgent', success: true }]));
+
+    expect(updated).toMatchObject({ status: 'completed', outcome: 'declined' });
+    expect(updated.outcome_data).toMatchObject({ callId: 'call-2', answer: 'declined', durationSeconds: 45 });
+  });
+
+  test('should prefer a cancellation made during the call', () => {
+    const cancelled = session('confirmed', [{ agentType: 'CancelOrderAgent', success: true }]);
+
+    expect(CampaignService.resolveOutcome(cancelled)).toBe('cancelled');
+    expect(CampaignService.resolveOutcome(session(null))).toBe('no_response');
+  });
+
+  test('should retry a contact whose answering machine picked up', async () => {
+    const machine = session(null);
+    machine.answeredBy = 'machine';
+    machine.voicemail = { played: true };
+    machine.campaign.contact.attempts = 1;
+
+    const updated = await CampaignService.recordOutcome(machine);
+
+    expect(updated).toMatchObject({
+      status: 'retry',
+      last_call_status: 'machine',
+      outcome_data: { answeredBy: 'machine', voicemailLeft: true }
+    });
+  });
+
+  test('should do nothing for inbound calls', async () => {
+    expect(await CampaignService.recordOutcome({ callId: 'call-1', outcomes: [] })).toBeNull();
+    expect(db.campaignContacts.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Cascaded Speech Session Test Suite
+ * Tests for: ASR -> LLM -> TTS pipeline with mock providers, barge-in, per-tenant pipeline selection
+ */
+
+const { once } = require('events');
+const CascadedSpeechSession = require('../realtime/cascadedSpeechSession');
+const SpeechSessionFactory = require('../realtime/speechSessionFactory');
+const STSSession = require('../realtime/stsSession');
+const { MockASR, MockLLM, MockTTS } = require('../realtime/providers');
+
+const tone = (ms, sampleRate = 16000, amplitude = 8000) => {
+  const samples = Math.round(sampleRate * ms / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 300 * i / sampleRate)), i * 2);
+  }
+  return buffer;
+};
+
+const startSession = async (options = {}) => {
+  const asr = new MockASR({ script: options.script });
+  const llm = new MockLLM({ responses: options.responses });
+  const tts = new MockTTS({ msPerChar: options.msPerChar || 5 });
+  const session = new CascadedSpeechSession({ asr, llm, tts });
+  await session.start('call-1', { callerContext: 'Name: Priya' });
+  return { session, asr, llm, tts };
+};
+
+describe('CascadedSpeechSession', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should turn caller audio into a spoken reply', async () => {
+    const { session, llm, tts } = await startSession({
+      script: ['mera order kahan hai'],
+      responses: ['Ji sir, dekhti hoon. Ek minute dijiye.']
+    });
+    const events = [];
+    ['speech_started', 'speech_stopped', 'user_transcript_completed', 'audio_output_done']
+      .forEach(name => session.on(name, () => events.push(name)));
+    let audioBytes = 0;
+    session.on('audio_output', chunk => { audioBytes += chunk.length; });
+
+    const completed = once(session, 'ai_transcript_completed');
+    session.sendAudio(tone(300));
+    session.sendAudio(Buffer.alloc(32000)); // 1s of silence ends the utterance
+
+    const [reply] = await completed;
+
+    expect(events).toEqual(['speech_started', 'speech_stopped', 'user_transcript_completed', 'audio_output_done']);
+    expect(reply.transcript).toBe('Ji sir, dekhti hoon. Ek minute dijiye.');
+    expect(tts.spoken).toEqual(['Ji sir, dekhti hoon.', 'Ek minute dijiye.']);
+    expect(audioBytes).toBeGreaterThan(0);
+    expect(llm.calls[0][0].content).toContain('CALLER:\nName: Priya');
+    expect(llm.calls[0][1]).toEqual({ role: 'user', content: 'mera order kahan hai' });
+  });
+
+  test('should give the LLM system context added during the call', async () => {
+    const { session, asr, llm } = await startSession({ responses: ['Ji.'] });
+
+    session.updateContext('SYSTEM: Order 1001 was delivered yesterday.');
+    const completed = once(session, 'ai_transcript_completed');
+    asr.say('order status');
+    await completed;
+
+    expect(llm.calls[0].slice(1)).toEqual([
+      { role: 'system', content: 'SYSTEM: Order 1001 was delivered yesterday.' },
+      { role: 'user', content: 'order status' }
+    ]);
+  });
+
+  test('should not interrupt when nothing is playing', async () => {
+    const { session } = await startSession();
+
+    expect(session.interrupt()).toBeNull();
+  });
+
+  test('should stop the reply and keep only what the caller heard', async () => {
+    const { session, asr, tts } = await startSession({
+      responses: ['Pehli baat yeh hai. Doosri baat bhi hai. Teesri baat.'],
+      msPerChar: 20
+    });
+    const doneListener = jest.fn();
+    session.on('audio_output_done', doneListener);
+
+    const firstAudio = once(session, 'audio_output');
+    asr.say('batao');
+    await firstAudio;
+
+    // Caller talks 100ms into the first sentence
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 100);
+    const completed = once(session, 'ai_transcript_completed');
+    const interruption = session.interrupt();
+    const [heard] = await completed;
+
+    expect(interruption).toMatchObject({ playedMs: expect.any(Number) });
+    expect(heard.transcript).toBe('Pehli baat yeh hai.');
+    expect(session.getConversationHistory().pop()).toMatchObject({ role: 'assistant', content: 'Pehli baat yeh hai.' });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(tts.spoken).toEqual(['Pehli baat yeh hai.']);
+    expect(doneListener).not.toHaveBeenCalled();
+  });
+});
+
+describe('SpeechSessionFactory', () => {
+  test('should default to the Realtime API', () => {
+    const config = SpeechSessionFactory.getConfig();
+
+    expect(config.pipeline).toBe('realtime');
+    expect(SpeechSessionFactory.create(config)).toBeInstanceOf(STSSession);
+  });
+
+  test('should build a cascaded session from tenant settings', () => {
+    const session = SpeechSessionFactory.create(
+      SpeechSessionFactory.getConfig({ pipeline: 'cascaded', asr: 'mock', llm: 'mock', tts: 'mock' })
+    );
+
+    expect(session).toBeInstanceOf(CascadedSpeechSession);
+    expect(session.inputFormat).toEqual({ encoding: 'pcm16', sampleRate: 16000 });
+    expect(session.outputFormat).toEqual({ encoding: 'pcm16', sampleRate: 24000 });
+  });
+
+  test('should reject unknown pipelines and providers', () => {
+    expect(SpeechSessionFactory.validate({ pipeline: 'cascaded', asr: 'mock' })).toEqual({ valid: true, errors: [] });
+    expect(SpeechSessionFactory.validate({ pipeline: 'batch', tts: 'cosyvoice' }).errors).toEqual([
+      'pipeline must be one of: realtime, cascaded',
+      'tts must be one of: openai, mock'
+    ]);
+    expect(() => SpeechSessionFactory.create({ pipeline: 'cascaded', asr: 'whisper', llm: 'mock', tts: 'mock' }))
+      .toThrow('Unknown asr provider: whisper');
+  });
+
+  test('should not let tenants pick mock providers in production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(SpeechSessionFactory.validate({ pipeline: 'cascaded', asr: 'mock', tts: 'openai' }).errors).toEqual([
+        'asr must be one of: deepgram'
+      ]);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  test('should not run saved mock providers in production', async () => {
+    const nodeEnv = process.env.NODE_ENV;
+    const apiKey = process.env.OPENAI_API_KEY;
+    process.env.NODE_ENV = 'production';
+    process.env.OPENAI_API_KEY = 'sk-test';
+    jest.spyOn(SpeechSessionFactory, 'loadSettings').mockResolvedValue({ pipeline: 'cascaded', asr: 'mock', llm: 'mock', tts: 'mock' });
+    try {
+      const session = await SpeechSessionFactory.forClient('client-1');
+
+      expect(session.asr.name).toBe('deepgram');
+      expect(session.llm.name).toBe('openai');
+      expect(session.tts.name).toBe('openai');
+      expect(await SpeechSessionFactory.ttsForClient('client-1')).not.toBeInstanceOf(MockTTS);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+      if (apiKey === undefined) {
+        delete process.env.OPENAI_API_KEY;
+      } else {
+        process.env.OPENAI_API_KEY = apiKey;
+      }
+      jest.restoreAllMocks();
+    }
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Customer Profile Test Suite
+ * Tests for: recording calls on the profile, open issues, repeat-caller context
+ */
+
+jest.mock('../db/postgres', () => ({
+  customerProfiles: {
+    getByPhone: jest.fn(),
+    upsert: jest.fn((clientId, phone, data) => Promise.resolve({ client_id: clientId, phone, ...data }))
+  }
+}));
+jest.mock('../services/ShopifyService', () => ({}));
+
+const db = require('../db/postgres');
+const CustomerProfileService = require('../services/customerProfileService');
+
+const buildSession = (overrides = {}) => ({
+  callId: 'call-2',
+  callData: { client_id: 'client-1', phone_from: '09876543210' },
+  caller: { name: 'Ravi Kumar' },
+  conversationHistory: [{ role: 'user', content: 'mera order return karna hai' }],
+  intentHistory: ['RETURN_REQUEST'],
+  entities: { order_id: '1002' },
+  outcomes: [{
+    agentType: 'ReturnAgent',
+    success: true,
+    orderId: '1002',
+    result: { returnData: { return_id: 'RET1', status: 'pending' } }
+  }],
+  handoff: null,
+  ...overrides
+});
+
+describe('CustomerProfileService.recordCall', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should create a profile on the first call', async () => {
+    db.customerProfiles.getByPhone.mockResolvedValue(undefined);
+
+    const profile = await CustomerProfileService.recordCall(buildSession());
+
+    expect(db.customerProfiles.upsert).toHaveBeenCalledWith('client-1', '+919876543210', expect.any(Object));
+    expect(profile.call_count).toBe(1);
+    expect(profile.name).toBe('Ravi Kumar');
+    expect(profile.preferred_language).toBe('hinglish');
+    expect(profile.call_summaries[0]).toMatchObject({
+      callId: 'call-2',
+      outcome: 'resolved',
+      summary: 'Asked about RETURN_REQUEST; order 1002; ReturnAgent succeeded.'
+    });
+    expect(profile.open_issues).toEqual([
+      expect.objectContaining({ type: 'return', id: 'RET1', orderId: '1002', status: 'pending', callId: 'call-2' })
+    ]);
+  });
+
+  test('should keep earlier calls and issues newest first', async () => {
+    db.customerProfiles.getByPhone.mockResolvedValue({
+      call_count: 1,
+      call_summaries: [{ callId: 'call-1', summary: 'Asked about TRACK_ORDER.' }],
+      open_issues: [{ type: 'ticket', id: 'TKT1' }]
+    });
+
+    const profile = await CustomerProfileService.recordCall(buildSession());
+
+    expect(profile.call_count).toBe(2);
+    expect(profile.call_summaries.map(c => c.callId)).toEqual(['call-2', 'call-1']);
+    expect(profile.open_issues.map(i => i.id)).toEqual(['RET1', 'TKT1']);
+  });
+
+  test('should skip calls without a usable number', async () => {
+    const result = await CustomerProfileService.recordCall(buildSession({ callData: { client_id: 'client-1' } }));
+
+    expect(result).toBeNull();
+    expect(db.customerProfiles.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('CustomerProfileService.buildContext', () => {
+  test('should brief the model on previous calls and open requests', () => {
+    const context = CustomerProfileService.buildContext({
+      call_count: 2,
+      last_call_at: new Date().toISOString(),
+      call_summaries: [{ at: new Date().toISOString(), summary: 'Asked about RETURN_REQUEST; order 1002.' }],
+      open_issues: [
+        { type: 'return', id: 'RET1', orderId: '1002', status: 'pending', openedAt: new Date().toISOString() },
+        { type: 'ticket', id: 'TKT0', status: 'open', openedAt: '2020-01-01T00:00:00Z' }
+      ]
+    });
+
+    expect(context).toMatch(/^SYSTEM: Repeat caller - 2 previous call\(s\)/);
+    expect(context).toContain('Asked about RETURN_REQUEST; order 1002.');
+    expect(context).toContain('return RET1 for order 1002 (pending');
+    expect(context).not.toContain('TKT0');
+  });
+
+  test('should add nothing for first-time callers', () => {
+    expect(CustomerProfileService.buildContext(null)).toBeNull();
+  });
+});
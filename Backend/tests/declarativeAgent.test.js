@@ -0,0 +1,114 @@
+/**
+ * Declarative Agent Test Suite
+ * Tests for: definition validation, slot rules, step execution, registry wiring
+ */
+
+jest.mock('../db/postgres', () => ({
+  actions: {
+    create: jest.fn().mockResolvedValue({ id: 'action-1' }),
+    updateStatus: jest.fn().mockResolvedValue({})
+  }
+}));
+jest.mock('../services/ShopifyService', () => ({
+  getOrder: jest.fn()
+}));
+
+const db = require('../db/postgres');
+const ShopifyService = require('../services/ShopifyService');
+const { validateDefinition, createAgentClass } = require('../agents/definitionLoader');
+
+const definition = {
+  name: 'WarrantyTestAgent',
+  intent: 'WARRANTY_TEST',
+  actionType: 'warranty_test',
+  patterns: ['warranty'],
+  slots: [
+    { name: 'order_id', prompt: 'Order number batayein', validate: { pattern: '^\\d{4,10}$' }, confirm: false }
+  ],
+  steps: [
+    { action: 'getOrder', args: ['{{order_id}}'], as: 'order', required: true }
+  ],
+  responses: {
+    success: 'Claim registered for {{order.name}}',
+    not_found: 'Order {{order_id}} not found'
+  }
+};
+
+const run = (agent) => new Promise(resolve => {
+  agent.on('completed', resolve);
+  agent.on('need_info', resolve);
+  agent.execute();
+});
+
+describe('Agent definitions', () => {
+  test('should accept a complete definition', () => {
+    expect(validateDefinition(definition)).toEqual([]);
+  });
+
+  test('should report every problem in a broken definition', () => {
+    const errors = validateDefinition({
+      name: 'warranty',
+      intent: 'WARRANTY_TEST',
+      patterns: ['[unclosed'],
+      slots: [],
+      steps: [{ action: 'dropDatabase' }],
+      responses: {}
+    });
+
+    expect(errors).toEqual([
+      'name must be PascalCase and end with "Agent"',
+      expect.stringMatching(/^patterns\[0\]: invalid regex/),
+      'steps[0]: unknown action "dropDatabase"',
+      'responses.success is required'
+    ]);
+  });
+});
+
+describe('DeclarativeAgent', () => {
+  const WarrantyTestAgent = createAgentClass(definition);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should be named after the definition', () => {
+    expect(new WarrantyTestAgent('call-1').constructor.name).toBe('WarrantyTestAgent');
+  });
+
+  test('should ask for a slot that fails validation', async () => {
+    const agent = new WarrantyTestAgent('call-1', { order_id: 'abc' });
+
+    const event = await run(agent);
+
+    expect(agent.state).toBe('WAITING_FOR_INFO');
+    expect(event.field).toBe('order_id');
+    expect(event.prompt).toBe('Order number batayein');
+  });
+
+  test('should run steps and render the success response', async () => {
+    ShopifyService.getOrder.mockResolvedValue({ id: 12345, name: '#1001' });
+    const agent = new WarrantyTestAgent('call-1', { order_id: '12345' });
+    agent.clientId = 'client-1';
+
+    const result = await run(agent);
+
+    expect(ShopifyService.getOrder).toHaveBeenCalledWith('client-1', '12345');
+    expect(db.actions.create).toHaveBeenCalledWith(expect.objectContaining({
+      action_type: 'warranty_test',
+      params: { order_id: '12345' }
+    }));
+    expect(result.success).toBe(true);
+    expect(result.contextUpdate).toBe('Claim registered for #1001');
+  });
+
+  test('should fail with the onEmpty response when a required step returns nothing', async () => {
+    ShopifyService.getOrder.mockResolvedValue(null);
+    const agent = new WarrantyTestAgent('call-1', { order_id: '99999' });
+
+    const result = await run(agent);
+
+    expect(result.success).toBe(false);
+    expect(result.contextUpdate).toBe('Order 99999 not found');
+    expect(db.actions.updateStatus).toHaveBeenCalledWith('action-1', 'failed', expect.any(Object));
+  });
+});
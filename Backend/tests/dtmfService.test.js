@@ -0,0 +1,111 @@
+/**
+ * DTMF Service Test Suite
+ * Tests for: keypad slot entry, keypad menu validation and lookup
+ */
+
+jest.mock('../db/postgres', () => ({
+  clients: { getById: jest.fn() }
+}));
+
+const db = require('../db/postgres');
+const DtmfService = require('../services/dtmfService');
+
+const press = (state, field, keys) => [...keys].map(key => DtmfService.collect(state, field, key)).pop();
+
+const MENU = {
+  enabled: true,
+  options: {
+    '2': { intent: 'RETURN_REQUEST', label: 'returns' },
+    '1': { intent: 'ORDER_LOOKUP' }
+  }
+};
+
+describe('DtmfService.collect', () => {
+  test('should complete an entry on #', () => {
+    const state = DtmfService.createState();
+
+    expect(press(state, 'order_id', '12345')).toEqual({ status: 'collecting', value: null });
+    expect(press(state, 'order_id', '#')).toEqual({ status: 'complete', value: '12345' });
+    expect(state.digits).toBe('');
+  });
+
+  test('should start over on *', () => {
+    const state = DtmfService.createState();
+
+    press(state, 'pin_code', '1100*');
+
+    expect(press(state, 'pin_code', '110001#')).toEqual({ status: 'complete', value: '110001' });
+  });
+
+  test('should drop digits keyed for a different slot', () => {
+    const state = DtmfService.createState();
+
+    press(state, 'order_id', '12345');
+
+    expect(press(state, 'phone', '9876543210#').value).toBe('9876543210');
+  });
+
+  test('should reject overlong and empty entries', () => {
+    const state = DtmfService.createState();
+
+    expect(press(state, 'phone', '1234567890123456').status).toBe('too_long');
+    expect(press(state, 'phone', '#').status).toBe('empty');
+  });
+
+  test('should only collect numeric slots', () => {
+    expect(DtmfService.isNumericField('order_id')).toBe(true);
+    expect(DtmfService.isNumericField('email')).toBe(false);
+  });
+});
+
+describe('DtmfService keypad menu', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should read 1 and 2 as a confirmation answer', () => {
+    expect(DtmfService.confirmationAnswer('1')).toBe(true);
+    expect(DtmfService.confirmationAnswer('2')).toBe(false);
+    expect(DtmfService.confirmationAnswer('3')).toBeNull();
+    expect(DtmfService.confirmationAnswer('#')).toBeNull();
+  });
+
+  test('should validate menu keys, intents and labels', () => {
+    expect(DtmfService.validateMenu(MENU)).toEqual({ valid: true, errors: [] });
+    expect(DtmfService.validateMenu({
+      enabled: true,
+      options: { '10': { intent: 'ORDER_STATUS' }, '3': { intent: 'order status', label: 5 } }
+    }).errors).toEqual([
+      'options.3: intent must be an UPPER_SNAKE_CASE intent name',
+      'options.3: label must be a string of at most 50 characters',
+      'options.10: key must be a single digit 0-9'
+    ]);
+    expect(DtmfService.validateMenu({ enabled: true, options: {} }).errors)
+      .toEqual(['an enabled menu needs at least one option']);
+  });
+
+  test('should only accept intents the tenant knows', () => {
+    const intents = ['ORDER_LOOKUP', 'RETURN_REQUEST'];
+
+    expect(DtmfService.validateMenu(MENU, { intents })).toEqual({ valid: true, errors: [] });
+    expect(DtmfService.validateMenu({ enabled: true, options: { '1': { intent: 'ORDER_STATUS' } } }, { intents }).errors)
+      .toEqual(['options.1: unknown intent "ORDER_STATUS"']);
+  });
+
+  test('should load only an enabled menu', async () => {
+    db.clients.getById
+      .mockResolvedValueOnce({ settings: { dtmf: { menu: MENU } } })
+      .mockResolvedValueOnce({ settings: { dtmf: { menu: { ...MENU, enabled: false } } } });
+
+    expect(await DtmfService.getMenu('client-1')).toEqual(MENU);
+    expect(await DtmfService.getMenu('client-1')).toBeNull();
+    expect(await DtmfService.getMenu(null)).toBeNull();
+  });
+
+  test('should pick options and describe the menu in key order', () => {
+    expect(DtmfService.selectOption(MENU, '2')).toEqual({ intent: 'RETURN_REQUEST', label: 'returns' });
+    expect(DtmfService.selectOption(MENU, '9')).toBeNull();
+    expect(DtmfService.selectOption(null, '1')).toBeNull();
+    expect(DtmfService.buildMenuContext(MENU)).toContain('press 1 for order lookup, 2 for returns');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Exotel Stream Adapter Test Suite
+ * Tests for: frame parsing, outbound media chunking, marks and barge-in clear
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const ExotelStreamAdapter = require('../realtime/exotelStreamAdapter');
+
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+}
+
+const startFrame = {
+  event: 'start',
+  sequence_number: 1,
+  stream_sid: 'stream-1',
+  start: {
+    stream_sid: 'stream-1',
+    call_sid: 'CA123',
+    account_sid: 'acc-1',
+    from: '09876543210',
+    to: '08012345678',
+    custom_parameters: { callId: 'call-1' },
+    media_format: { encoding: 'base64', sample_rate: '8000', bit_rate: '128kbps' }
+  }
+};
+
+const connect = () => {
+  const ws = new FakeSocket();
+  const adapter = new ExotelStreamAdapter(ws);
+  ws.emit('message', Buffer.from(JSON.stringify(startFrame)), false);
+  return { ws, adapter };
+};
+
+describe('ExotelStreamAdapter.parseFrame', () => {
+  test('should map start metadata', () => {
+    expect(ExotelStreamAdapter.parseFrame(JSON.stringify(startFrame))).toEqual({
+      type: 'start',
+      sequenceNumber: 1,
+      streamSid: 'stream-1',
+      callSid: 'CA123',
+      accountSid: 'acc-1',
+      from: '09876543210',
+      to: '08012345678',
+      customParameters: { callId: 'call-1' },
+      mediaFormat: { encoding: 'base64', sampleRate: 8000, bitRate: '128kbps' }
+    });
+  });
+
+  test('should decode media payloads', () => {
+    const event = ExotelStreamAdapter.parseFrame(JSON.stringify({
+      event: 'media',
+      sequence_number: '3',
+      stream_sid: 'stream-1',
+      media: { chunk: '2', timestamp: '40', payload: Buffer.from([1, 2, 3, 4]).toString('base64') }
+    }));
+
+    expect(event).toMatchObject({ type: 'media', sequenceNumber: 3, chunk: 2, timestamp: 40 });
+    expect([...event.audio]).toEqual([1, 2, 3, 4]);
+  });
+
+  test.each([
+    [{ event: 'dtmf', dtmf: { digit: '5', duration: '200' } }, { type: 'dtmf', digit: '5', duration: 200 }],
+    [{ event: 'mark', mark: { name: 'response-1' } }, { type: 'mark', name: 'response-1' }],
+    [{ event: 'stop', stop: { call_sid: 'CA123', reason: 'callended' } }, { type: 'stop', callSid: 'CA123', reason: 'callended' }]
+  ])('should parse %j', (frame, expected) => {
+    expect(ExotelStreamAdapter.parseFrame(JSON.stringify(frame))).toMatchObject(expected);
+  });
+
+  test('should reject raw audio and unknown events', () => {
+    expect(ExotelStreamAdapter.parseFrame(Buffer.from([0xff, 0x00]))).toBeNull();
+    expect(ExotelStreamAdapter.parseFrame(JSON.stringify({ event: 'hello' }))).toBeNull();
+  });
+});
+
+describe('ExotelStreamAdapter outbound audio', () => {
+  test('should send media in 320-byte multiples once 3.2KB is buffered', () => {
+    const { ws, adapter } = connect();
+
+    adapter.sendAudio(Buffer.alloc(3000));
+    expect(ws.sent).toEqual([]);
+
+    adapter.sendAudio(Buffer.alloc(500));
+    expect(ws.sent).toHaveLength(1);
+    expect(ws.sent[0].event).toBe('media');
+    expect(ws.sent[0].stream_sid).toBe('stream-1');
+    expect(Buffer.from(ws.sent[0].media.payload, 'base64').length).toBe(3200);
+  });
+
+  test('should flush the remainder padded with silence, then mark', () => {
+    const { ws, adapter } = connect();
+
+    adapter.sendAudio(Buffer.alloc(3500, 1));
+    const mark = adapter.flush();
+
+    expect(ws.sent.map(frame => frame.event)).toEqual(['media', 'media', 'mark']);
+    expect(Buffer.from(ws.sent[1].media.payload, 'base64').length).toBe(3200);
+    expect(ws.sent[2].mark.name).toBe(mark);
+    expect(adapter.isPlaying()).toBe(true);
+
+    ws.emit('message', Buffer.from(JSON.stringify({ event: 'mark', stream_sid: 'stream-1', mark: { name: mark } })), false);
+    expect(adapter.isPlaying()).toBe(false);
+  });
+
+  test('should clear playback on barge-in only while audio is playing', () => {
+    const { ws, adapter } = connect();
+
+    expect(adapter.clear()).toBe(false);
+
+    adapter.sendAudio(Buffer.alloc(3200));
+    adapter.flush();
+    expect(adapter.clear()).toBe(true);
+
+    expect(ws.sent[ws.sent.length - 1]).toEqual({ event: 'clear', stream_sid: 'stream-1' });
+    expect(adapter.isPlaying()).toBe(false);
+  });
+
+  test('should clear a response still streaming before its mark', () => {
+    const { ws, adapter } = connect();
+
+    // Exactly one full chunk: sent at once, nothing buffered and no mark yet
+    adapter.sendAudio(Buffer.alloc(3200));
+    expect(adapter.isPlaying()).toBe(true);
+
+    expect(adapter.clear()).toBe(true);
+    expect(ws.sent[ws.sent.length - 1]).toEqual({ event: 'clear', stream_sid: 'stream-1' });
+  });
+
+  test('should not send before the stream has started', () => {
+    const ws = new FakeSocket();
+    const adapter = new ExotelStreamAdapter(ws);
+
+    adapter.sendAudio(Buffer.alloc(3200));
+
+    expect(ws.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Exotel Stream Handler Test Suite
+ * Tests for: finding the call a stream belongs to, stream token checks, hang-up during setup
+ */
+
+jest.mock('../db/postgres', () => ({
+  calls: { getById: jest.fn(), getBySid: jest.fn(), create: jest.fn() },
+  clients: { getActive: jest.fn() }
+}));
+
+jest.mock('../services/callerLookupService', () => ({ prefetch: jest.fn() }));
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const db = require('../db/postgres');
+const { handleStreamConnection, resolveStreamCall } = require('../realtime/exotelStreamHandler');
+const { signStreamToken } = require('../middleware/webhookVerifier');
+
+const start = { callSid: 'CA123', from: '09876543210', to: '08012345678', customParameters: {} };
+
+describe('resolveStreamCall', () => {
+  const originalSecret = process.env.EXOTEL_WEBHOOK_SECRET;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.EXOTEL_WEBHOOK_SECRET = 'stream-secret';
+    db.calls.getById.mockResolvedValue({ id: 'call-1' });
+    db.calls.getBySid.mockResolvedValue(undefined);
+    db.calls.create.mockImplementation(async (data) => ({ id: 'call-2', ...data }));
+    db.clients.getActive.mockResolvedValue([{ id: 'client-1', exotel_number: '08012345678' }]);
+  });
+
+  afterAll(() => {
+    process.env.EXOTEL_WEBHOOK_SECRET = originalSecret;
+  });
+
+  test('should accept a call ID signed by the call start webhook', async () => {
+    const call = await resolveStreamCall(start, { callId: 'call-1', token: signStreamToken('call-1') });
+
+    expect(call).toEqual({ id: 'call-1' });
+  });
+
+  test('should reject a call ID without a valid token', async () => {
+    expect(await resolveStreamCall(start, { callId: 'call-1' })).toBeNull();
+    expect(await resolveStreamCall(start, { callId: 'call-1', token: signStreamToken('call-9') })).toBeNull();
+
+    expect(db.calls.getById).not.toHaveBeenCalled();
+  });
+
+  test('should not create a call from a bare start frame', async () => {
+    expect(await resolveStreamCall(start)).toBeNull();
+
+    expect(db.calls.create).not.toHaveBeenCalled();
+  });
+
+  test('should create the call for a static applet URL signed for the dialled number', async () => {
+    const signed = { ...start, customParameters: { token: signStreamToken('08012345678') } };
+
+    const call = await resolveStreamCall(signed);
+
+    expect(db.calls.create).toHaveBeenCalledWith({
+      client_id: 'client-1',
+      call_sid: 'CA123',
+      phone_from: '09876543210',
+      phone_to: '08012345678'
+    });
+    expect(call.id).toBe('call-2');
+  });
+});
+
+describe('handleStreamConnection', () => {
+  class FakeSocket extends EventEmitter {
+    constructor() {
+      super();
+      this.readyState = WebSocket.OPEN;
+    }
+
+    send() {}
+
+    close() {
+      this.readyState = WebSocket.CLOSED;
+      this.emit('close');
+    }
+  }
+
+  const originalSecret = process.env.EXOTEL_WEBHOOK_SECRET;
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.EXOTEL_WEBHOOK_SECRET = 'stream-secret';
+    db.calls.getById.mockResolvedValue({ id: 'call-1' });
+  });
+
+  afterAll(() => {
+    process.env.EXOTEL_WEBHOOK_SECRET = originalSecret;
+  });
+
+  test('should end a session whose caller hung up while it was being created', async () => {
+    let created;
+    const sessionManager = new EventEmitter();
+    sessionManager.createSession = jest.fn(() => new Promise(resolve => { created = resolve; }));
+    sessionManager.endSession = jest.fn().mockResolvedValue();
+
+    const ws = new FakeSocket();
+    handleStreamConnection(ws, { url: `/audio?callId=call-1&token=${signStreamToken('call-1')}` }, sessionManager);
+    ws.emit('message', Buffer.from(JSON.stringify({
+      event: 'start',
+      stream_sid: 'stream-1',
+      start: { stream_sid: 'stream-1', call_sid: 'CA123', media_format: { sample_rate: '8000' } }
+    })), false);
+
+    while (!sessionManager.createSession.mock.calls.length) {
+      await flush();
+    }
+    ws.close();
+    created({});
+    await flush();
+
+    expect(sessionManager.endSession).toHaveBeenLastCalledWith('call-1');
+    expect(sessionManager.eventNames()).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Handoff Service Test Suite
+ * Tests for: escalation triggers, handoff payload, transfer target and outcome
+ */
+
+jest.mock('../db/postgres', () => ({
+  calls: {
+    update: jest.fn().mockResolvedValue({}),
+    getBySid: jest.fn()
+  },
+  clients: {
+    getById: jest.fn()
+  },
+  auditLog: jest.fn().mockResolvedValue({})
+}));
+
+const db = require('../db/postgres');
+const HandoffService = require('../services/handoffService');
+
+const session = {
+  callId: 'call-1',
+  callData: { client_id: 'client-1', phone_from: '+919876543210' },
+  entities: { order_id: '12345' },
+  intentHistory: ['ORDER_LOOKUP', 'ORDER_LOOKUP', 'COMPLAINT'],
+  conversationHistory: [
+    { role: 'user', content: 'mera order 12345 kahan hai', timestamp: 1 },
+    { role: 'assistant', content: 'Ek minute sir', timestamp: 2 },
+    { role: 'user', content: 'manager se baat karao', timestamp: 3 }
+  ]
+};
+
+describe('HandoffService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should build a payload with summary, transcript and entities', () => {
+    const payload = HandoffService.buildPayload(session, 'explicit_request', '+919800000000');
+
+    expect(payload).toMatchObject({
+      callId: 'call-1',
+      clientId: 'client-1',
+      reason: 'explicit_request',
+      target: '+919800000000',
+      entities: { order_id: '12345' }
+    });
+    expect(payload.transcript).toHaveLength(3);
+    expect(payload.summary).toBe(
+      'Handoff reason: explicit_request. Caller asked about: ORDER_LOOKUP, COMPLAINT. ' +
+      'Details: order_id=12345. Last said: "manager se baat karao".'
+    );
+  });
+
+  test('should validate single numbers and queues', () => {
+    expect(HandoffService.validateTarget('+919800000000')).toBeNull();
+    expect(HandoffService.validateTarget('9800000000, 9800000001')).toBeNull();
+    expect(HandoffService.validateTarget('98000, abc')).toBe('invalid number(s): 98000, abc');
+  });
+
+  test('should not hand off when the client has it switched off', async () => {
+    db.clients.getById.mockResolvedValue({ handoff_target: '9800000000', handoff_enabled: false });
+
+    expect(await HandoffService.getTarget('client-1')).toBeNull();
+  });
+
+  test('should only return a dial target for pending transfers', async () => {
+    db.calls.getBySid.mockResolvedValueOnce({ handoff_status: 'transfer_pending', handoff_target: '9800000000' });
+    db.calls.getBySid.mockResolvedValueOnce({ handoff_status: 'transferred', handoff_target: '9800000000' });
+
+    expect(await HandoffService.getDialTarget('sid-1')).toBe('9800000000');
+    expect(await HandoffService.getDialTarget('sid-1')).toBeNull();
+  });
+
+  test('should record the Exotel dial status on the call', async () => {
+    db.calls.getBySid.mockResolvedValue({ id: 'call-1', client_id: 'client-1' });
+
+    await HandoffService.recordOutcome('sid-1', 'no-answer');
+
+    expect(db.calls.update).toHaveBeenCalledWith('call-1', expect.objectContaining({
+      handoff_status: 'no_answer'
+    }));
+    expect(db.auditLog).toHaveBeenCalledWith(expect.objectContaining({
+      event_type: 'handoff_completed'
+    }));
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Intent Detector Test Suite
+ * Tests for: regex scoring, embedding fallback, confidence threshold
+ */
+
+const IntentDetector = require('../agents/intentDetector');
+const RegexIntentClassifier = require('../agents/classifiers/RegexIntentClassifier');
+const EmbeddingIntentClassifier = require('../agents/classifiers/EmbeddingIntentClassifier');
+const LocalEmbedder = require('../agents/classifiers/LocalEmbedder');
+
+describe('RegexIntentClassifier', () => {
+  test('should score intents by number of matching patterns', async () => {
+    const classifier = new RegexIntentClassifier({
+      A: [/foo/, /bar/],
+      B: [/foo/],
+      C: [/baz/]
+    });
+
+    const { scores } = await classifier.classify('foo bar');
+
+    expect(scores.A).toBeCloseTo(0.84);
+    expect(scores.B).toBeCloseTo(0.6);
+    expect(scores.C).toBe(0);
+  });
+});
+
+describe('IntentDetector', () => {
+  test('should report regex scores for a strong match without fallback', async () => {
+    const fallback = { name: 'stub', classify: jest.fn() };
+    const detector = new IntentDetector({ fallbackClassifier: fallback });
+
+    const result = await detector.detect('mera order 12345 kahan hai');
+
+    expect(result.intent).toBe('ORDER_LOOKUP');
+    expect(result.classifier).toBe('regex');
+    expect(result.confidence).toBeCloseTo(0.84);
+    expect(result.scores.ORDER_LOOKUP).toBeCloseTo(0.84);
+    expect(result.entities.order_id).toBe('12345');
+    expect(fallback.classify).not.toHaveBeenCalled();
+  });
+
+  test('should prefer the intent with more matching patterns', async () => {
+    const detector = new IntentDetector({ fallbackClassifier: null });
+
+    const result = await detector.detect('mera order cancel kar do');
+
+    expect(result.intent).toBe('CANCEL_ORDER');
+    expect(result.scores.ORDER_LOOKUP).toBeLessThan(result.scores.CANCEL_ORDER);
+  });
+
+  test('should still treat cancellation as highest priority on ties', async () => {
+    const detector = new IntentDetector({ fallbackClassifier: null });
+
+    const result = await detector.detect('rehne do');
+
+    expect(result.intent).toBe('CANCEL_ACTION');
+    expect(result.shouldCancelAgent).toBe(true);
+  });
+
+  test('should cancel even when another intent matches more patterns', async () => {
+    const detector = new IntentDetector({ fallbackClassifier: null });
+
+    const result = await detector.detect('mera order kahan hai, status batao... chodo rehne do');
+
+    expect(result.intent).toBe('CANCEL_ACTION');
+    expect(result.shouldCancelAgent).toBe(true);
+  });
+
+  test('should flag explicit requests for a human agent', async () => {
+    const detector = new IntentDetector({ fallbackClassifier: null });
+
+    const result = await detector.detect('mujhe manager se baat karni hai');
+
+    expect(result.intent).toBe('HUMAN_HANDOFF');
+    expect(result.shouldHandoff).toBe(true);
+    expect(result.requiresAgent).toBe(false);
+  });
+
+  test('should fall back to the embedding classifier when regexes miss', async () => {
+    const detector = new IntentDetector({
+      fallbackClassifier: new EmbeddingIntentClassifier({ embedder: new LocalEmbedder() })
+    });
+
+    const result = await detector.detect('mera parcel abhi tak nahi aaya hai');
+
+    expect(result.intent).toBe('ORDER_LOOKUP');
+    expect(result.classifier).toBe('embedding:local');
+    expect(result.requiresAgent).toBe(true);
+    expect(result.agentType).toBe('OrderLookupAgent');
+    expect(result.confidence).toBeGreaterThanOrEqual(detector.fallbackMinScore);
+  });
+
+  test('should return CHAT when the fallback is not confident enough', async () => {
+    const detector = new IntentDetector({
+      fallbackClassifier: {
+        name: 'stub',
+        classify: async () => ({ scores: { ORDER_LOOKUP: 0.3 } })
+      }
+    });
+
+    const result = await detector.detect('aaj mausam accha hai');
+
+    expect(result.intent).toBe('CHAT');
+    expect(result.requiresAgent).toBe(false);
+    expect(result.classifier).toBe('regex');
+  });
+
+  test('should keep regex result when the fallback throws', async () => {
+    const detector = new IntentDetector({
+      fallbackClassifier: {
+        name: 'broken',
+        classify: async () => { throw new Error('network down'); }
+      }
+    });
+
+    const result = await detector.detect('kuch samajh nahi aaya');
+
+    expect(result.intent).toBe('CHAT');
+  });
+});
+
+describe('Multi-intent detection', () => {
+  const detector = new IntentDetector({ fallbackClassifier: null });
+
+  test('should return every request in the order it was made', async () => {
+    const result = await detector.detect('order 12345 cancel karo aur refund kab milega');
+
+    expect(result.intent).toBe('CANCEL_ORDER');
+    expect(result.intents.map(i => i.agentType)).toEqual(['CancelOrderAgent', 'RefundAgent']);
+    expect(result.intents[1].entities.order_id).toBe('12345');
+  });
+
+  test('should return a single-entry list for one request', async () => {
+    const result = await detector.detect('mera order kahan hai');
+
+    expect(result.intents).toHaveLength(1);
+    expect(result.intents[0].intent).toBe('ORDER_LOOKUP');
+  });
+
+  test('should return an empty list when no agent is needed', async () => {
+    const result = await detector.detect('rehne do');
+
+    expect(result.intents).toEqual([]);
+  });
+});
+
+describe('Tenant overrides', () => {
+  const base = new IntentDetector({ fallbackClassifier: null });
+
+  test('should extract a tenant order-number format', async () => {
+    const detector = base.withOverrides({
+      entityPatterns: {
+        order_id: { mode: 'replace', patterns: ['#?(SHOP-\\d{5})'] }
+      }
+    });
+
+    const result = await detector.detect('mera order #SHOP-12345 kahan hai');
+
+    expect(result.entities.order_id).toBe('SHOP-12345');
+    expect(base.entityPatterns.order_id).toHaveLength(3);
+  });
+
+  test('should add intent phrases and remap intents to agents', async () => {
+    const detector = base.withOverrides({
+      intentPatterns: {
+        WARRANTY_CLAIM: { mode: 'extend', patterns: ['warranty'] }
+      },
+      intentAgentMap: {
+        WARRANTY_CLAIM: 'ComplaintAgent',
+        REFUND: 'PaymentIssueAgent'
+      }
+    });
+
+    const warranty = await detector.detect('warranty claim karna hai');
+    expect(warranty.intent).toBe('WARRANTY_CLAIM');
+    expect(warranty.agentType).toBe('ComplaintAgent');
+
+    const refund = await detector.detect('refund status batao');
+    expect(refund.agentType).toBe('PaymentIssueAgent');
+    expect(base.intentToAgent('REFUND')).toBe('RefundAgent');
+  });
+
+  test('should not launch an agent for unmapped custom intents', async () => {
+    const detector = base.withOverrides({
+      intentPatterns: { LOYALTY_POINTS: { mode: 'extend', patterns: ['points'] } }
+    });
+
+    const result = await detector.detect('mere points kitne hain');
+
+    expect(result.intent).toBe('LOYALTY_POINTS');
+    expect(result.requiresAgent).toBe(false);
+  });
+
+  test('should list built-in and custom intents', () => {
+    const detector = base.withOverrides({
+      intentPatterns: { LOYALTY_POINTS: { mode: 'extend', patterns: ['points'] } }
+    });
+
+    expect(base.getIntentNames()).toEqual(expect.arrayContaining(['ORDER_LOOKUP', 'RETURN_REQUEST', 'CANCEL_ACTION']));
+    expect(base.getIntentNames()).not.toContain('LOYALTY_POINTS');
+    expect(detector.getIntentNames()).toContain('LOYALTY_POINTS');
+  });
+
+  test('should reject invalid override payloads', () => {
+    const IntentConfigService = require('../services/intentConfigService');
+
+    const { valid, errors } = IntentConfigService.validate({
+      intentPatterns: { ORDER_LOOKUP: { mode: 'merge', patterns: ['(a+)+$'] } },
+      entityPatterns: { order_id: { mode: 'extend', patterns: ['[unclosed'] } },
+      intentAgentMap: { REFUND: 'NoSuchAgent' }
+    }, ['RefundAgent']);
+
+    expect(valid).toBe(false);
+    expect(Object.keys(errors)).toEqual([
+      'intentPatterns.ORDER_LOOKUP',
+      'entityPatterns.order_id',
+      'intentAgentMap.REFUND'
+    ]);
+  });
+});
+
+describe('Confirmation answers', () => {
+  const detector = new IntentDetector({ fallbackClassifier: null });
+
+  test.each([
+    ['haan sahi hai', true],
+    ['ji bilkul', true],
+    ['sahi nahi hai', false],
+    ['nahi, 12346 hai', false],
+    ['ek minute', null]
+  ])('"%s" -> %s', (text, expected) => {
+    expect(detector.detectConfirmation(text)).toBe(expected);
+  });
+
+  test('should keep the original text on short answers detected as greetings', async () => {
+    const result = await detector.detect('haan');
+
+    expect(result.intent).toBe('GREETING');
+    expect(detector.detectConfirmation(result.originalText)).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Latency Service Test Suite
+ * Tests for: per-turn latency rows, tenant-scoped percentile breakdown
+ */
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn(),
+  turnLatency: { createMany: jest.fn().mockResolvedValue([]) }
+}));
+
+const db = require('../db/postgres');
+const LatencyService = require('../services/latencyService');
+const { CallPipeline } = require('../services/parallelProcessor');
+
+const endedSession = () => {
+  const pipeline = new CallPipeline('call-1', [{ name: 'intent', on: 'final', run: async () => 'ORDER_STATUS' }]);
+  return { callId: 'call-1', callData: { client_id: 'client-1' }, pipeline };
+};
+
+describe('LatencyService.recordCall', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should store one row per caller turn with a transcript', async () => {
+    const session = endedSession();
+    session.pipeline.beginTurn('item-1');
+    session.pipeline.mark('speech_stopped', 'item-1');
+    await session.pipeline.final('order kahan hai', 'item-1');
+    await session.pipeline.time('dispatch', async () => null, 'item-1');
+    session.pipeline.recordAgent('OrderStatusAgent', 420);
+    session.pipeline.mark('first_audio', 'item-1');
+    // Noise that never became a transcript
+    session.pipeline.beginTurn('item-2');
+
+    const stored = await LatencyService.recordCall(session);
+
+    expect(stored).toBe(1);
+    const [rows] = db.turnLatency.createMany.mock.calls[0];
+    expect(rows).toEqual([expect.objectContaining({
+      call_id: 'call-1',
+      client_id: 'client-1',
+      turn_number: 1,
+      item_id: 'item-1',
+      agent_type: 'OrderStatusAgent',
+      agent_ms: 420,
+      speech_to_transcript_ms: expect.any(Number),
+      transcript_to_intent_ms: expect.any(Number),
+      time_to_first_audio_ms: expect.any(Number)
+    })]);
+    expect(rows[0].timings.stages.intent.status).toBe('ok');
+  });
+
+  test('should not write anything for a call without caller turns', async () => {
+    expect(await LatencyService.recordCall(endedSession())).toBe(0);
+    expect(db.turnLatency.createMany).not.toHaveBeenCalled();
+  });
+
+  test('should not fail the call end when saving fails', async () => {
+    const session = endedSession();
+    session.pipeline.beginTurn('item-1');
+    await session.pipeline.final('hello', 'item-1');
+    db.turnLatency.createMany.mockRejectedValueOnce(new Error('connection lost'));
+
+    expect(await LatencyService.recordCall(session)).toBe(0);
+  });
+});
+
+describe('LatencyService.getBreakdown', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should scope to the tenant and report percentiles per agent type', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{
+        turns: '40',
+        calls: '9',
+        speech_to_transcript_ms: [180.4, 420, 610],
+        transcript_to_intent_ms: [35, 90.6, 140],
+        agent_ms: [700, 1900, 2600],
+        time_to_first_audio_ms: [640, 910, 1200]
+      }] })
+      .mockResolvedValueOnce({ rows: [{
+        agent_type: 'OrderStatusAgent',
+        turns: '12',
+        calls: '7',
+        speech_to_transcript_ms: [200, 400, 500],
+        transcript_to_intent_ms: [40, 80, 100],
+        agent_ms: [650, 1200, 1500],
+        time_to_first_audio_ms: [700, 950, 1100]
+      }] });
+
+    const breakdown = await LatencyService.getBreakdown('client-1', { startDate: '2026-10-01', agentType: 'OrderStatusAgent' });
+
+    expect(db.query.mock.calls[0][0]).toContain('WHERE l.client_id = $1 AND l.created_at >= $2 AND l.agent_type = $3');
+    expect(db.query.mock.calls[0][1]).toEqual(['client-1', '2026-10-01', 'OrderStatusAgent']);
+    expect(breakdown.overall).toMatchObject({
+      turns: 40,
+      calls: 9,
+      speech_to_transcript_ms: { p50: 180, p95: 420, p99: 610 },
+      transcript_to_intent_ms: { p50: 35, p95: 91, p99: 140 }
+    });
+    expect(breakdown.byAgentType).toEqual([expect.objectContaining({
+      agentType: 'OrderStatusAgent',
+      turns: 12,
+      agent_ms: { p50: 650, p95: 1200, p99: 1500 }
+    })]);
+  });
+
+  test('should report null percentiles when there is no data', () => {
+    expect(LatencyService.formatRow({ turns: '0', calls: '0', agent_ms: null })).toMatchObject({
+      turns: 0,
+      agent_ms: { p50: null, p95: null, p99: null }
+    });
+  });
+});
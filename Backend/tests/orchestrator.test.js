@@ -0,0 +1,103 @@
+/**
+ * Agent Orchestrator Test Suite
+ * Tests for: per-call task queue, sequential agent execution
+ */
+
+// The orchestrator singleton schedules a cleanup interval on load
+jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+
+const BaseAgent = require('../agents/BaseAgent');
+const orchestrator = require('../agents/orchestrator');
+
+// Stub agents that complete (or wait) without touching Shopify or the database
+class InstantAgent extends BaseAgent {
+  async execute() {
+    this.complete({ success: true, contextUpdate: `${this.constructor.name} done` });
+  }
+}
+class FirstAgent extends InstantAgent {}
+class SecondAgent extends InstantAgent {}
+class WaitingAgent extends BaseAgent {
+  constructor(callId, initialData) {
+    super(callId, initialData);
+    this.requiredFields = ['order_id'];
+    this.confirmFields = [];
+  }
+
+  async execute() {
+    if (!this.hasRequiredData()) {
+      this.state = 'WAITING_FOR_INFO';
+      this.requestMissingInfo();
+      return;
+    }
+    this.complete({ success: true, contextUpdate: 'waiting agent done' });
+  }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('AgentOrchestrator task queue', () => {
+  beforeAll(() => {
+    Object.assign(orchestrator.agentRegistry, { FirstAgent, SecondAgent, WaitingAgent });
+  });
+
+  afterEach(async () => {
+    orchestrator.removeAllListeners();
+    for (const callId of ['call-1', 'call-2', 'call-3']) {
+      orchestrator.clearQueue(callId);
+      await orchestrator.cancelAgent(callId);
+    }
+  });
+
+  test('should run queued agents in order', async () => {
+    const completed = [];
+    orchestrator.on('agent_completed', (data) => {
+      completed.push({ agentType: data.agentType, remaining: data.remainingTasks });
+    });
+
+    await orchestrator.queueAgents('call-1', [
+      { agentType: 'FirstAgent', initialData: {} },
+      { agentType: 'SecondAgent', initialData: {} }
+    ]);
+    await flush();
+
+    expect(completed).toEqual([
+      { agentType: 'FirstAgent', remaining: 1 },
+      { agentType: 'SecondAgent', remaining: 0 }
+    ]);
+    expect(orchestrator.getQueuedTasks('call-1')).toEqual([]);
+  });
+
+  test('should wait for an agent collecting info before starting the next one', async () => {
+    const cancelled = jest.fn();
+    orchestrator.on('agent_cancelled', cancelled);
+
+    await orchestrator.queueAgents('call-2', [
+      { agentType: 'WaitingAgent', initialData: {} },
+      { agentType: 'SecondAgent', initialData: {} }
+    ]);
+    await flush();
+
+    expect(orchestrator.getAgentState('call-2').agentType).toBe('WaitingAgent');
+    expect(orchestrator.getQueuedTasks('call-2')).toHaveLength(1);
+
+    orchestrator.updateAgent('call-2', { order_id: '12345' });
+    await flush();
+
+    expect(orchestrator.getAgentState('call-2').agentType).toBe('SecondAgent');
+    expect(cancelled).not.toHaveBeenCalled();
+  });
+
+  test('should drop queued tasks when the queue is cleared', async () => {
+    await orchestrator.queueAgents('call-3', [
+      { agentType: 'WaitingAgent', initialData: {} },
+      { agentType: 'SecondAgent', initialData: {} }
+    ]);
+
+    orchestrator.clearQueue('call-3');
+    await orchestrator.cancelAgent('call-3');
+
+    expect(orchestrator.getQueuedTasks('call-3')).toEqual([]);
+    expect(orchestrator.hasActiveAgent('call-3')).toBe(false);
+  });
+});
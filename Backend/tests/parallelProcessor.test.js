@@ -0,0 +1,223 @@
+/**
+ * Parallel Processor Test Suite
+ * Tests for: concurrent partial/final stages, cancellation on new input, speculative reuse, turn latency breakdown
+ */
+
+const parallelProcessor = require('../services/parallelProcessor');
+const { CallPipeline } = require('../services/parallelProcessor');
+
+// Resolves when release() is called, or rejects once the stage is cancelled
+const controllableStage = (name, on) => {
+  const runs = [];
+  return {
+    runs,
+    stage: {
+      name,
+      on,
+      run: ({ text }, turn, signal) => new Promise((resolve, reject) => {
+        runs.push({ text, signal, release: (value) => resolve(value ?? `${name}:${text}`) });
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      })
+    }
+  };
+};
+
+describe('CallPipeline', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should run partial stages concurrently', async () => {
+    const intent = controllableStage('speculative_intent', 'partial');
+    const prefetch = controllableStage('order_prefetch', 'partial');
+    const pipeline = new CallPipeline('call-1', [intent.stage, prefetch.stage], { partialIntervalMs: 0 });
+
+    pipeline.beginTurn('item-1');
+    const results = pipeline.partial('order 12345');
+
+    expect(intent.runs).toHaveLength(1);
+    expect(prefetch.runs).toHaveLength(1);
+
+    intent.runs[0].release();
+    prefetch.runs[0].release();
+    expect(await results).toEqual({
+      speculative_intent: 'speculative_intent:order 12345',
+      order_prefetch: 'order_prefetch:order 12345'
+    });
+  });
+
+  test('should cancel the previous partial run when more speech arrives', async () => {
+    const intent = controllableStage('speculative_intent', 'partial');
+    const pipeline = new CallPipeline('call-1', [intent.stage], { partialIntervalMs: 0 });
+
+    pipeline.beginTurn('item-1');
+    const first = pipeline.partial('mera order');
+    pipeline.partial('mera order cancel');
+
+    expect(intent.runs[0].signal.aborted).toBe(true);
+    expect(await first).toEqual({ speculative_intent: null });
+    expect(pipeline.current.stages.speculative_intent.status).toBe('running');
+  });
+
+  test('should cancel speculative work when the caller starts a new turn', async () => {
+    const intent = controllableStage('speculative_intent', 'partial');
+    const pipeline = new CallPipeline('call-1', [intent.stage], { partialIntervalMs: 0 });
+
+    const firstTurn = pipeline.beginTurn('item-1');
+    pipeline.partial('refund chahiye');
+    pipeline.beginTurn('item-2');
+
+    expect(intent.runs[0].signal.aborted).toBe(true);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(firstTurn.stages.speculative_intent.status).toBe('cancelled');
+  });
+
+  test('should reuse the speculative result when the final transcript matches', async () => {
+    const detect = jest.fn(async (text) => ({ intent: 'ORDER_STATUS', text }));
+    let pipeline;
+    pipeline = new CallPipeline('call-1', [
+      { name: 'speculative_intent', on: 'partial', run: ({ text }) => detect(text) },
+      {
+        name: 'intent',
+        on: 'final',
+        run: async ({ text }, turn) => (await pipeline.getSpeculative(turn, 'speculative_intent', text)) || detect(text)
+      }
+    ], { partialIntervalMs: 0 });
+
+    pipeline.beginTurn('item-1');
+    pipeline.partial('Order kahan hai');
+    const { intent } = await pipeline.final('order kahan hai ', 'item-1');
+
+    expect(intent).toEqual({ intent: 'ORDER_STATUS', text: 'Order kahan hai' });
+    expect(detect).toHaveBeenCalledTimes(1);
+  });
+
+  test('should throttle partial runs', async () => {
+    const run = jest.fn(async () => null);
+    const pipeline = new CallPipeline('call-1', [{ name: 'speculative_intent', on: 'partial', run }], { partialIntervalMs: 150 });
+
+    pipeline.beginTurn();
+    await pipeline.partial('mera');
+    await pipeline.partial('mera order');
+
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('should attribute late final transcripts to their own turn', async () => {
+    const pipeline = new CallPipeline('call-1', [{ name: 'intent', on: 'final', run: async () => 'ok' }]);
+
+    const firstTurn = pipeline.beginTurn('item-1');
+    pipeline.beginTurn('item-2');
+    await pipeline.final('pehla sawaal', 'item-1');
+
+    expect(firstTurn.stages.intent.status).toBe('ok');
+    expect(pipeline.current.stages.intent).toBeUndefined();
+  });
+
+  test('should report time to first audio once per turn', () => {
+    const onTurnTiming = jest.fn();
+    const pipeline = new CallPipeline('call-1', [], { onTurnTiming });
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now');
+
+    clock.mockReturnValue(now);
+    pipeline.beginTurn('item-1');
+    clock.mockReturnValue(now + 1200);
+    pipeline.mark('speech_stopped', 'item-1');
+    clock.mockReturnValue(now + 1950);
+    pipeline.mark('first_audio');
+    clock.mockReturnValue(now + 2000);
+    pipeline.mark('first_audio');
+
+    expect(onTurnTiming).toHaveBeenCalledTimes(1);
+    expect(onTurnTiming.mock.calls[0][0]).toMatchObject({
+      turn: 1,
+      itemId: 'item-1',
+      marks: { speech_stopped: 1200, first_audio: 1950 },
+      timeToFirstAudioMs: 750
+    });
+  });
+
+  test('should break a turn down into transcript, intent and agent time', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    const pipeline = new CallPipeline('call-1', [{
+      name: 'intent',
+      on: 'final',
+      run: async () => { clock.mockReturnValue(now + 1500); return 'ORDER_STATUS'; }
+    }]);
+
+    pipeline.beginTurn('item-1');
+    clock.mockReturnValue(now + 1000);
+    pipeline.mark('speech_stopped', 'item-1');
+    clock.mockReturnValue(now + 1300);
+    await pipeline.final('order kahan hai', 'item-1');
+    await pipeline.time('dispatch', async () => null, 'item-1');
+    pipeline.beginTurn('item-2');
+    pipeline.recordAgent('OrderStatusAgent', 900);
+    clock.mockReturnValue(now + 1800);
+    pipeline.mark('first_audio', 'item-1');
+
+    expect(pipeline.getTurnTimings()[0]).toMatchObject({
+      agents: [{ agentType: 'OrderStatusAgent', durationMs: 900, status: 'ok' }],
+      speechToTranscriptMs: 300,
+      transcriptToIntentMs: 200,
+      agentMs: 900,
+      timeToFirstAudioMs: 800
+    });
+    expect(pipeline.getTurnTimings()[1].agentMs).toBeNull();
+  });
+
+  test('should ignore bot audio before the caller has spoken', () => {
+    const onTurnTiming = jest.fn();
+    const pipeline = new CallPipeline('call-1', [], { onTurnTiming });
+
+    pipeline.mark('first_audio');
+
+    expect(pipeline.getTurnTimings()).toEqual([]);
+    expect(onTurnTiming).not.toHaveBeenCalled();
+  });
+
+  test('should stop final stages when the call ends, even ones ignoring the signal', async () => {
+    const save = controllableStage('save_transcript', 'final');
+    const stuck = { name: 'intent', on: 'final', run: () => new Promise(() => {}) };
+    const pipeline = new CallPipeline('call-1', [stuck, save.stage]);
+
+    pipeline.beginTurn('item-1');
+    const results = pipeline.final('refund chahiye', 'item-1');
+    pipeline.cancel();
+
+    expect(save.runs[0].signal.aborted).toBe(true);
+    expect(await results).toEqual({ intent: null, save_transcript: null });
+    expect(pipeline.current.stages.intent.status).toBe('cancelled');
+  });
+
+  test('should not start stages once the call has ended', async () => {
+    const run = jest.fn();
+    const pipeline = new CallPipeline('call-1', [{ name: 'intent', on: 'final', run }]);
+
+    pipeline.cancel();
+
+    expect(await pipeline.final('hello', 'item-1')).toEqual({ intent: null });
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown stage triggers', () => {
+    expect(() => new CallPipeline('call-1', [{ name: 'asr', on: 'audio', run: () => null }]))
+      .toThrow('Stage asr must run on one of: partial, final');
+  });
+});
+
+describe('ParallelProcessor', () => {
+  test('should cancel a call pipeline on cleanup', () => {
+    const intent = controllableStage('speculative_intent', 'partial');
+    const pipeline = parallelProcessor.createPipeline('call-2', [intent.stage], { partialIntervalMs: 0 });
+
+    pipeline.beginTurn();
+    pipeline.partial('return karna hai').catch(() => {});
+    parallelProcessor.cleanupProcess('call-2');
+
+    expect(intent.runs[0].signal.aborted).toBe(true);
+    expect(parallelProcessor.getPipeline('call-2')).toBeNull();
+  });
+});
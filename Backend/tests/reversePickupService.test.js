@@ -0,0 +1,242 @@
+/**
+ * Reverse Pickup Test Suite
+ * Tests for: courier serviceability and booking, slot choice, ReturnAgent / ExchangeAgent pickup flow, returns records
+ */
+
+jest.mock('axios');
+
+jest.mock('../db/postgres', () => ({
+  clients: { getById: jest.fn() },
+  actions: {
+    create: jest.fn().mockResolvedValue({ id: 'action-1' }),
+    updateStatus: jest.fn().mockResolvedValue({})
+  },
+  returns: {
+    create: jest.fn(),
+    update: jest.fn(),
+    getPendingForOrder: jest.fn()
+  }
+}));
+
+jest.mock('../services/ShopifyService', () => ({
+  getOrder: jest.fn(),
+  createReturn: jest.fn(),
+  createExchange: jest.fn()
+}));
+
+const axios = require('axios');
+const db = require('../db/postgres');
+const ShopifyService = require('../services/ShopifyService');
+const TrackingService = require('../services/trackingService');
+const ReversePickupService = require('../services/reversePickupService');
+const ReturnAgent = require('../agents/types/ReturnAgent');
+const { ExchangeAgent } = require('../agents/types/RemainingAgents');
+const { createTrackingProvider, pickupDays } = require('../tracking/index');
+
+const returnAddress = {
+  name: 'Kurta Co Warehouse',
+  phone: '9820012345',
+  address: 'Plot 12, MIDC Andheri East',
+  city: 'Mumbai',
+  state: 'Maharashtra',
+  pincode: '400093'
+};
+
+const order = {
+  id: 5551042,
+  name: '#1042',
+  email: 'asha@example.com',
+  fulfillment_status: 'fulfilled',
+  fulfilled_at: new Date().toISOString(),
+  shipping_address: {
+    name: 'Asha Rao', phone: '9876543210', address1: '14 MG Road', city: 'Pune', province: 'Maharashtra', zip: '411001'
+  },
+  line_items: [{ id: 11, title: 'Cotton Kurta', sku: 'KRT-M', quantity: 1, price: '1299.00' }]
+};
+
+// Resolves with the first need_info or completed event
+const next = (agent) => new Promise(resolve => {
+  agent.once('need_info', info => resolve({ event: 'need_info', ...info }));
+  agent.once('completed', result => resolve({ event: 'completed', ...result }));
+});
+
+describe('Courier reverse pickups', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('pickup days skip Sundays', () => {
+    // Friday evening IST
+    expect(pickupDays(3, { from: new Date('2026-10-23T13:00:00Z') }).map(slot => slot.date))
+      .toEqual(['2026-10-24', '2026-10-26', '2026-10-27']);
+  });
+
+  test('Shiprocket books a return order on the recommended courier for the chosen day', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { token: 'sr-token' } })
+      .mockResolvedValueOnce({ data: { order_id: 901, shipment_id: 7001 } })
+      .mockResolvedValueOnce({ data: { awb_assign_status: 1, response: { data: { awb_code: 'SR-R-555', courier_name: 'Xpressbees Reverse' } } } })
+      .mockResolvedValueOnce({ data: { pickup_status: 1 } });
+    axios.get.mockResolvedValueOnce({
+      data: {
+        data: {
+          recommended_courier_company_id: 33,
+          available_courier_companies: [
+            { courier_company_id: 12, courier_name: 'Delhivery Reverse' },
+            { courier_company_id: 33, courier_name: 'Xpressbees Reverse' }
+          ]
+        }
+      }
+    });
+
+    const provider = createTrackingProvider('shiprocket', { email: 'ops@kurta.co', password: 'secret' });
+    const check = await provider.checkReversePickup('411001', { returnAddress, from: new Date('2026-10-19T05:00:00Z') });
+
+    expect(axios.get).toHaveBeenCalledWith(
+      'https://apiv2.shiprocket.in/v1/external/courier/serviceability/',
+      expect.objectContaining({ params: expect.objectContaining({ pickup_postcode: '411001', delivery_postcode: '400093', is_return: 1 }) })
+    );
+    expect(check).toEqual(expect.objectContaining({ serviceable: true, courier_id: 33, courier: 'Xpressbees Reverse' }));
+    expect(check.slots.map(slot => slot.date)).toEqual(['2026-10-20', '2026-10-21', '2026-10-22']);
+
+    const booking = await provider.bookReversePickup({
+      ...check,
+      reference: '1042-Rabc',
+      customer: { name: 'Asha Rao', phone: '9876543210' },
+      address: order.shipping_address,
+      items: [{ name: 'Cotton Kurta', sku: 'KRT-M', quantity: 1, price: '1299.00' }],
+      returnAddress,
+      slot: check.slots[1]
+    });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://apiv2.shiprocket.in/v1/external/courier/assign/awb',
+      { shipment_id: 7001, courier_id: 33, is_return: 1 },
+      expect.anything()
+    );
+    expect(axios.post).toHaveBeenLastCalledWith(
+      'https://apiv2.shiprocket.in/v1/external/courier/generate/pickup',
+      { shipment_id: [7001], pickup_date: ['2026-10-21'] },
+      expect.anything()
+    );
+    expect(booking).toEqual({ awb: 'SR-R-555', courier: 'Xpressbees Reverse', pickup_reference: '7001', slot: check.slots[1] });
+  });
+
+  test('Delhivery offers no slots where it does not collect', async () => {
+    axios.get.mockResolvedValueOnce({ data: { delivery_codes: [{ postal_code: { pin: 794001, pickup: 'N' } }] } });
+
+    const check = await createTrackingProvider('delhivery', { apiToken: 'dl-token' }).checkReversePickup('794001');
+
+    expect(check).toEqual({ serviceable: false, courier: 'Delhivery', slots: [] });
+  });
+
+  test('should understand the caller picking an option', () => {
+    const slots = pickupDays(3, { from: new Date('2026-10-19T05:00:00Z') });
+
+    expect(ReversePickupService.resolveChoice('doosra wala', slots)).toBe(slots[1]);
+    expect(ReversePickupService.resolveChoice('option 3', slots)).toBe(slots[2]);
+    expect(ReversePickupService.resolveChoice('1', slots)).toBe(slots[0]);
+    expect(ReversePickupService.resolveChoice('5', slots)).toBeNull();
+    expect(ReversePickupService.describeSlot(slots[0])).toBe('Tuesday, 20 October, 10 AM - 6 PM');
+  });
+});
+
+describe('Return and exchange pickups', () => {
+  let fake;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    TrackingService.invalidateClient('client-1');
+    db.clients.getById.mockResolvedValue({ id: 'client-1', settings: { tracking: { provider: 'fake', returnAddress } } });
+    db.returns.getPendingForOrder.mockResolvedValue(undefined);
+    db.returns.create.mockImplementation(async (clientId, data) => ({ id: 'ret-00000001', client_id: clientId, ...data }));
+    db.returns.update.mockImplementation(async (id, clientId, data) => ({ id, client_id: clientId, ...data }));
+    ShopifyService.getOrder.mockResolvedValue(order);
+    ShopifyService.createReturn.mockResolvedValue({ return_id: 'RET1', order_id: order.id, requires_pickup: true });
+    fake = await TrackingService.providerFor('client-1');
+  });
+
+  test('ReturnAgent offers the pickup slots, books the one picked and records the AWB', async () => {
+    const agent = new ReturnAgent('call-1', { order_id: '1042', pickup_slot: 'first' });
+    agent.clientId = 'client-1';
+    agent.confirmedFields.add('order_id');
+
+    const asked = next(agent);
+    agent.execute();
+    const info = await asked;
+
+    const slots = pickupDays(3);
+    expect(info).toEqual(expect.objectContaining({ event: 'need_info', field: 'pickup_slot' }));
+    expect(info.prompt).toContain(`Option 2: ${ReversePickupService.describeSlot(slots[1])}`);
+    expect(db.returns.create).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      call_id: 'call-1', type: 'return', order_id: '1042', status: 'requested', pickup_pincode: '411001', provider: 'fake'
+    }));
+
+    const done = next(agent);
+    agent.updateData({ pickup_slot: 'doosra wala' });
+    const result = await done;
+
+    expect(ShopifyService.createReturn).toHaveBeenCalledTimes(1);
+    expect(fake.pickups).toEqual([expect.objectContaining({ slot: slots[1], returnAddress, reference: '1042-Rret-0000' })]);
+    expect(db.returns.update).toHaveBeenCalledWith('ret-00000001', 'client-1', expect.objectContaining({
+      status: 'pickup_scheduled', awb: 'FAKER1001', pickup_date: slots[1].date, pickup_window_start: '10:00'
+    }));
+    expect(result.pickupData).toEqual(expect.objectContaining({ awb: 'FAKER1001', slot: slots[1] }));
+    expect(result.contextUpdate).toContain(ReversePickupService.describeSlot(slots[1]));
+  });
+
+  test('ExchangeAgent records an unserviceable pincode without booking', async () => {
+    fake.unserviceable.push('411001');
+    ShopifyService.createExchange.mockResolvedValue({ exchange_id: 'EX1', requires_pickup: true });
+
+    const agent = new ExchangeAgent('call-2', { order_id: '1042', reason: 'size chhota hai', exchange_for: 'L' });
+    agent.clientId = 'client-1';
+    agent.confirmedFields.add('order_id');
+
+    const done = next(agent);
+    agent.execute();
+    const result = await done;
+
+    expect(db.returns.create).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      type: 'exchange', status: 'pickup_unavailable', exchange_for: 'L', shopify_return_id: 'EX1'
+    }));
+    expect(fake.pickups).toEqual([]);
+    expect(result.pickupData.status).toBe('pickup_unavailable');
+    expect(result.contextUpdate).toContain('could not be booked');
+  });
+
+  test('should not book pickups on the environment courier account', async () => {
+    process.env.SHIPROCKET_EMAIL = 'ops@platform.in';
+    process.env.SHIPROCKET_PASSWORD = 'platform-secret';
+    try {
+      TrackingService.invalidateClient('client-1');
+      db.clients.getById.mockResolvedValue({ id: 'client-1', settings: { tracking: { provider: 'shiprocket', returnAddress } } });
+
+      const options = await ReversePickupService.getOptions('client-1', order);
+
+      expect(options).toEqual(expect.objectContaining({ serviceable: false, reason: 'not_configured' }));
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(axios.get).not.toHaveBeenCalled();
+    } finally {
+      delete process.env.SHIPROCKET_EMAIL;
+      delete process.env.SHIPROCKET_PASSWORD;
+    }
+  });
+
+  test('should take up a return filed on a dropped call instead of filing it again', async () => {
+    db.returns.getPendingForOrder.mockResolvedValue({ id: 'ret-00000009', shopify_return_id: 'RET0', status: 'requested' });
+
+    const agent = new ReturnAgent('call-3', { order_id: '#1042' });
+    agent.clientId = 'client-1';
+    agent.confirmedFields.add('order_id');
+
+    const asked = next(agent);
+    agent.execute();
+    await asked;
+
+    expect(db.returns.getPendingForOrder).toHaveBeenCalledWith('client-1', '1042', 'return');
+    expect(ShopifyService.createReturn).not.toHaveBeenCalled();
+    expect(db.returns.create).not.toHaveBeenCalled();
+    expect(db.returns.update).toHaveBeenCalledWith('ret-00000009', 'client-1', expect.objectContaining({ status: 'requested' }));
+  });
+});
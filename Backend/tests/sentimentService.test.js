@@ -0,0 +1,95 @@
+/**
+ * Sentiment Service Test Suite
+ * Tests for: utterance scoring, rolling frustration thresholds, CSAT proxy
+ */
+
+jest.mock('../db/postgres', () => ({
+  calls: { update: jest.fn().mockResolvedValue({}) }
+}));
+
+const db = require('../db/postgres');
+const SentimentService = require('../services/sentimentService');
+
+describe('SentimentService.scoreUtterance', () => {
+  test.each([
+    ['kitni baar bataun, bakwas service hai', 'negative', true],
+    ['mera order kahan hai', 'neutral', false],
+    ['bahut bahut dhanyavaad, bahut badhiya', 'positive', false],
+    ['service accha nahi hai', 'negative', false],
+    ['not good at all', 'negative', false]
+  ])('"%s" is %s (frustrated: %s)', (text, label, frustrated) => {
+    const result = SentimentService.scoreUtterance(text);
+
+    expect(result.label).toBe(label);
+    expect(result.frustrated).toBe(frustrated);
+    expect(result.score).toBeGreaterThanOrEqual(-1);
+    expect(result.score).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('SentimentService.track', () => {
+  test('should soften tone first and escalate on sustained frustration', () => {
+    const state = SentimentService.createState();
+    const angry = SentimentService.scoreUtterance('bakwas service hai');
+
+    expect(SentimentService.track(state, angry)).toBe('soften_tone');
+    expect(SentimentService.track(state, angry)).toBe('escalate');
+    expect(state.peakFrustration).toBeGreaterThanOrEqual(SentimentService.ESCALATION_THRESHOLD);
+  });
+
+  test('should not escalate on a single mild complaint', () => {
+    const state = SentimentService.createState();
+
+    expect(SentimentService.track(state, SentimentService.scoreUtterance('order mein problem hai'))).toBeNull();
+    expect(state.frustration).toBeLessThan(SentimentService.TONE_THRESHOLD);
+  });
+
+  test('should restore tone once the caller calms down', () => {
+    const state = SentimentService.createState();
+    SentimentService.track(state, SentimentService.scoreUtterance('bakwas service hai'));
+
+    const thanks = SentimentService.scoreUtterance('accha theek hai, thank you');
+    const actions = [SentimentService.track(state, thanks), SentimentService.track(state, thanks)];
+
+    expect(actions).toContain('restore_tone');
+    expect(state.toneAdjusted).toBe(false);
+  });
+});
+
+describe('CSAT proxy', () => {
+  const stateFor = (...texts) => {
+    const state = SentimentService.createState();
+    texts.forEach(text => SentimentService.track(state, SentimentService.scoreUtterance(text)));
+    return state;
+  };
+
+  test('should rate a calm resolved call above a frustrated unresolved one', () => {
+    const happy = SentimentService.getCsatProxy(stateFor('order kahan hai', 'bahut dhanyavaad'), 'resolved');
+    const angry = SentimentService.getCsatProxy(stateFor('kitni baar bataun', 'bakwas hai'), 'unresolved');
+
+    expect(happy).toBeGreaterThanOrEqual(4);
+    expect(angry).toBeLessThanOrEqual(2);
+  });
+
+  test('should skip calls where the caller never spoke', async () => {
+    expect(SentimentService.getCsatProxy(SentimentService.createState(), 'resolved')).toBeNull();
+    await expect(SentimentService.recordCall({ callId: 'call-1', sentiment: SentimentService.createState() })).resolves.toBeNull();
+  });
+
+  test('should store metrics on the call', async () => {
+    const session = {
+      callId: 'call-1',
+      sentiment: stateFor('order kahan hai', 'thank you'),
+      summary: { resolution: 'resolved' }
+    };
+
+    const metrics = await SentimentService.recordCall(session);
+
+    expect(db.calls.update).toHaveBeenCalledWith('call-1', metrics);
+    expect(metrics).toEqual({
+      sentiment_score: 0.3,
+      frustration_peak: 0,
+      csat_proxy: expect.any(Number)
+    });
+  });
+});
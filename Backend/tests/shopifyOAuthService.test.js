@@ -0,0 +1,131 @@
+/**
+ * Shopify OAuth Service Test Suite
+ * Tests for: shop domains, signed state, install against a local mock Shopify, webhooks
+ */
+
+jest.mock('../db/postgres', () => ({
+  clients: {
+    saveShopifyInstall: jest.fn().mockImplementation(async (id, data) => ({ id, shopify_store_url: data.shop })),
+    markShopifyUninstalled: jest.fn()
+  }
+}));
+
+jest.mock('../utils/encryption', () => ({
+  encrypt: jest.fn(value => `enc:${value}`)
+}));
+
+jest.mock('../services/ShopifyService', () => ({
+  invalidateClient: jest.fn()
+}));
+
+jest.mock('../routes/exotel', () => ({
+  getWebhookBaseUrl: () => 'https://voice.example.com'
+}));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('../db/postgres');
+const ShopifyService = require('../services/ShopifyService');
+const ShopifyOAuthService = require('../services/shopifyOAuthService');
+const { createMockShopify } = require('../scripts/mock-shopify');
+
+const SHOP = 'kurta-co.myshopify.com';
+
+// Follow the authorize URL and return the query Shopify redirects back with
+const approveInstall = async (authorizeUrl) => {
+  const response = await axios.get(authorizeUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+  const location = new URL(response.headers.location);
+  expect(`${location.origin}${location.pathname}`).toBe('https://voice.example.com/integrations/shopify/callback');
+  return Object.fromEntries(location.searchParams);
+};
+
+describe('ShopifyOAuthService', () => {
+  let server;
+  let mock;
+
+  beforeAll(done => {
+    process.env.SHOPIFY_API_KEY = 'test-key';
+    process.env.SHOPIFY_API_SECRET = 'test-secret';
+    mock = createMockShopify({ apiKey: 'test-key', apiSecret: 'test-secret' });
+    server = mock.listen(0, () => {
+      process.env.SHOPIFY_ADMIN_ORIGIN = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    delete process.env.SHOPIFY_ADMIN_ORIGIN;
+    delete process.env.SHOPIFY_API_KEY;
+    delete process.env.SHOPIFY_API_SECRET;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should accept what merchants type for their store', () => {
+    expect(ShopifyOAuthService.normalizeShop('https://Kurta-Co.myshopify.com/admin')).toBe(SHOP);
+    expect(ShopifyOAuthService.normalizeShop('kurta-co')).toBe(SHOP);
+    expect(ShopifyOAuthService.normalizeShop('kurta.co.in')).toBeNull();
+    expect(ShopifyOAuthService.normalizeShop('evil.com/x.myshopify.com')).toBeNull();
+  });
+
+  test('should install the app and store the offline token for the client', async () => {
+    const authorizeUrl = ShopifyOAuthService.buildInstallUrl('client-1', SHOP, 'onboarding');
+    expect(new URL(authorizeUrl).searchParams.get('scope')).toContain('write_orders');
+
+    const result = await ShopifyOAuthService.completeInstall(await approveInstall(authorizeUrl));
+
+    expect(result).toEqual({ clientId: 'client-1', shop: SHOP, returnTo: 'onboarding' });
+    const token = mock.locals.shops.get(SHOP).token;
+    expect(db.clients.saveShopifyInstall).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      shop: SHOP,
+      encryptedToken: `enc:${token}`
+    }));
+    expect(ShopifyService.invalidateClient).toHaveBeenCalledWith('client-1');
+    const webhooks = mock.locals.shops.get(SHOP).webhooks;
+    expect(webhooks).toContainEqual(expect.objectContaining({
+      topic: 'app/uninstalled',
+      address: 'https://voice.example.com/webhooks/shopify/app-uninstalled'
+    }));
+    expect(webhooks.filter(hook => hook.address === 'https://voice.example.com/webhooks/shopify').map(hook => hook.topic))
+      .toEqual(['orders/updated', 'orders/cancelled', 'fulfillments/create', 'fulfillments/update', 'refunds/create']);
+  });
+
+  test('should reject a tampered callback or a state issued for another shop', async () => {
+    const query = await approveInstall(ShopifyOAuthService.buildInstallUrl('client-1', SHOP, 'settings'));
+
+    expect(await ShopifyOAuthService.completeInstall({ ...query, shop: 'other.myshopify.com' }))
+      .toEqual({ error: 'invalid_hmac' });
+
+    const otherState = ShopifyOAuthService.createState('client-2', 'other.myshopify.com', 'settings');
+    const params = { ...query, state: otherState };
+    delete params.hmac;
+    const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    const hmac = crypto.createHmac('sha256', 'test-secret').update(message).digest('hex');
+
+    expect(await ShopifyOAuthService.completeInstall({ ...params, hmac })).toEqual({ error: 'invalid_state' });
+    expect(db.clients.saveShopifyInstall).not.toHaveBeenCalled();
+  });
+
+  test('should expire install state', () => {
+    const state = ShopifyOAuthService.createState('client-1', SHOP, 'settings', Date.now() - 11 * 60 * 1000);
+
+    expect(ShopifyOAuthService.verifyState(state, SHOP)).toBeNull();
+    expect(ShopifyOAuthService.verifyState(ShopifyOAuthService.createState('client-1', SHOP, 'settings'), SHOP))
+      .toEqual({ clientId: 'client-1', shop: SHOP, returnTo: 'settings' });
+  });
+
+  test('should deactivate the integration when the app is uninstalled', async () => {
+    const body = JSON.stringify({ myshopify_domain: SHOP });
+    const signature = crypto.createHmac('sha256', 'test-secret').update(body).digest('base64');
+    db.clients.markShopifyUninstalled.mockResolvedValueOnce([{ id: 'client-1' }]);
+
+    expect(ShopifyOAuthService.verifyWebhookHmac(body, signature)).toBe(true);
+    expect(ShopifyOAuthService.verifyWebhookHmac(body.replace('kurta', 'chai'), signature)).toBe(false);
+    expect(await ShopifyOAuthService.handleUninstall(SHOP)).toEqual(['client-1']);
+    expect(db.clients.markShopifyUninstalled).toHaveBeenCalledWith(SHOP);
+    expect(ShopifyService.invalidateClient).toHaveBeenCalledWith('client-1');
+  });
+});
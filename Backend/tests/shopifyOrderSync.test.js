@@ -0,0 +1,149 @@
+/**
+ * Shopify Order Sync Test Suite
+ * Tests for: webhook verification, order/fulfillment/refund webhooks, reading orders from the table first
+ */
+
+jest.mock('../db/postgres', () => ({
+  clients: { getByShopifyStore: jest.fn() },
+  shopifyOrders: {
+    upsert: jest.fn().mockImplementation(async (clientId, order, source) => ({ client_id: clientId, ...order, source })),
+    getByShopifyId: jest.fn(),
+    findByReference: jest.fn(),
+    remove: jest.fn()
+  }
+}));
+
+jest.mock('../services/shopifyRegistry', () => ({
+  forClient: jest.fn(),
+  invalidate: jest.fn()
+}));
+
+jest.mock('../routes/exotel', () => ({
+  getWebhookBaseUrl: () => 'https://voice.example.com'
+}));
+
+const crypto = require('crypto');
+const db = require('../db/postgres');
+const ShopifyRegistry = require('../services/shopifyRegistry');
+const ShopifyService = require('../services/ShopifyService');
+const ShopifyOrderSync = require('../services/shopifyOrderSync');
+const { handleShopifyWebhook } = require('../routes/integrations');
+
+const SHOP = 'kurta-co.myshopify.com';
+
+const order = (overrides = {}) => ({
+  id: 5550001,
+  name: '#1042',
+  order_number: 1042,
+  email: 'asha@example.com',
+  financial_status: 'paid',
+  fulfillment_status: null,
+  total_price: '1499.00',
+  currency: 'INR',
+  updated_at: '2026-10-19T10:00:00+05:30',
+  fulfillments: [],
+  refunds: [],
+  ...overrides
+});
+
+// Minimal req/res for the webhook handler
+const deliver = async (topic, payload, secret = 'test-secret') => {
+  const rawBody = JSON.stringify(payload);
+  const headers = {
+    'x-shopify-topic': topic,
+    'x-shopify-shop-domain': SHOP,
+    'x-shopify-hmac-sha256': crypto.createHmac('sha256', secret).update(rawBody).digest('base64')
+  };
+  const req = { path: '/webhooks/shopify', rawBody, body: payload, get: name => headers[name.toLowerCase()] };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  await handleShopifyWebhook(req, res);
+  return res.status.mock.calls[0][0];
+};
+
+describe('Shopify order sync', () => {
+  beforeAll(() => {
+    process.env.SHOPIFY_API_KEY = 'test-key';
+    process.env.SHOPIFY_API_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.SHOPIFY_API_KEY;
+    delete process.env.SHOPIFY_API_SECRET;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.clients.getByShopifyStore.mockResolvedValue([{ id: 'client-1' }]);
+  });
+
+  test('should store updated orders for the clients on the shop and reject unsigned deliveries', async () => {
+    expect(await deliver('orders/updated', order(), 'wrong-secret')).toBe(401);
+    expect(db.shopifyOrders.upsert).not.toHaveBeenCalled();
+
+    expect(await deliver('orders/cancelled', order({ cancelled_at: '2026-10-19T11:00:00+05:30' }))).toBe(200);
+
+    expect(db.clients.getByShopifyStore).toHaveBeenCalledWith(SHOP);
+    expect(db.shopifyOrders.upsert).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      shopify_order_id: 5550001,
+      name: '#1042',
+      order_number: '1042',
+      cancelled_at: '2026-10-19T11:00:00+05:30',
+      shopify_updated_at: '2026-10-19T10:00:00+05:30'
+    }), 'webhook');
+  });
+
+  test('should add a shipment to the stored order', async () => {
+    db.shopifyOrders.getByShopifyId.mockResolvedValueOnce({ data: order() });
+
+    await ShopifyOrderSync.handleWebhook('fulfillments/create', SHOP, {
+      id: 77,
+      order_id: 5550001,
+      status: 'success',
+      tracking_number: 'SR123456789',
+      tracking_company: 'Delhivery',
+      tracking_url: 'https://track.example.com/SR123456789'
+    });
+
+    expect(db.shopifyOrders.getByShopifyId).toHaveBeenCalledWith('client-1', 5550001);
+    const [, stored, source] = db.shopifyOrders.upsert.mock.calls[0];
+    expect(source).toBe('webhook');
+    expect(stored).toEqual(expect.objectContaining({ tracking_number: 'SR123456789', tracking_company: 'Delhivery' }));
+    expect(stored.data.fulfillments).toHaveLength(1);
+  });
+
+  test('should fetch an order it has never seen when a refund arrives', async () => {
+    db.shopifyOrders.getByShopifyId.mockResolvedValueOnce(undefined);
+    const getOrder = jest.fn().mockResolvedValue(order({ financial_status: 'refunded', refunds: [{ id: 9 }] }));
+    ShopifyRegistry.forClient.mockResolvedValue({ getOrder });
+
+    await ShopifyOrderSync.handleWebhook('refunds/create', SHOP, { id: 9, order_id: 5550001 });
+
+    expect(getOrder).toHaveBeenCalledWith(5550001);
+    expect(db.shopifyOrders.upsert).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      financial_status: 'refunded'
+    }), 'webhook');
+  });
+
+  test('should answer order lookups from the table without calling Shopify', async () => {
+    db.shopifyOrders.findByReference.mockResolvedValueOnce({ source: 'webhook', synced_at: '2026-01-01T00:00:00Z', data: order() });
+
+    expect(await ShopifyService.getOrder('client-1', '#1042')).toEqual(order());
+    expect(db.shopifyOrders.findByReference).toHaveBeenCalledWith('client-1', '#1042');
+    expect(ShopifyRegistry.forClient).not.toHaveBeenCalled();
+  });
+
+  test('should refetch a looked-up order once it is stale and store it', async () => {
+    const stale = new Date(Date.now() - ShopifyOrderSync.FETCHED_TTL_MS - 1000).toISOString();
+    db.shopifyOrders.findByReference.mockResolvedValueOnce({ source: 'api', synced_at: stale, data: order() });
+    const fresh = order({ fulfillment_status: 'fulfilled' });
+    ShopifyRegistry.forClient.mockResolvedValue({ getOrder: jest.fn().mockResolvedValue(fresh) });
+
+    expect(await ShopifyService.getOrder('client-1', '1042')).toEqual(fresh);
+    expect(db.shopifyOrders.upsert).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      fulfillment_status: 'fulfilled'
+    }), 'api');
+  });
+});
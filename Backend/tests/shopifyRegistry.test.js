@@ -0,0 +1,78 @@
+/**
+ * Shopify Registry Test Suite
+ * Tests for: per-tenant connectors from encrypted credentials, caching, invalidation
+ */
+
+jest.mock('../db/postgres', () => ({
+  clients: { getById: jest.fn() }
+}));
+
+jest.mock('../utils/encryption', () => ({
+  decrypt: jest.fn(value => value.replace('enc:', ''))
+}));
+
+jest.mock('../shopify/index', () =>
+  jest.fn((store, apiKey, accessToken) => ({ store, apiKey, accessToken }))
+);
+
+const db = require('../db/postgres');
+const createShopifyClient = require('../shopify/index');
+const ShopifyRegistry = require('../services/shopifyRegistry');
+
+const client = (id, store) => ({
+  id,
+  shopify_store_url: store,
+  shopify_api_key: `key-${id}`,
+  shopify_api_secret: `enc:token-${id}`
+});
+
+describe('ShopifyRegistry.forClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.clients.getById.mockImplementation(async id => ({
+      'client-1': client('client-1', 'kurta-co.myshopify.com'),
+      'client-2': client('client-2', 'chai-house.myshopify.com'),
+      'client-3': { id: 'client-3', shopify_store_url: null, shopify_api_secret: null }
+    })[id]);
+    ['client-1', 'client-2', 'client-3'].forEach(id => ShopifyRegistry.invalidate(id));
+  });
+
+  test('should connect each client to its own store with the decrypted token', async () => {
+    const [first, second] = await Promise.all([
+      ShopifyRegistry.forClient('client-1'),
+      ShopifyRegistry.forClient('client-2')
+    ]);
+
+    expect(first).toEqual({ store: 'kurta-co.myshopify.com', apiKey: 'key-client-1', accessToken: 'token-client-1' });
+    expect(second.store).toBe('chai-house.myshopify.com');
+  });
+
+  test('should build a client connector once until it is invalidated', async () => {
+    const [a, b] = await Promise.all([
+      ShopifyRegistry.forClient('client-1'),
+      ShopifyRegistry.forClient('client-1')
+    ]);
+    expect(a).toBe(b);
+    expect(await ShopifyRegistry.forClient('client-1')).toBe(a);
+    expect(db.clients.getById).toHaveBeenCalledTimes(1);
+
+    db.clients.getById.mockResolvedValueOnce(client('client-1', 'kurta-co-new.myshopify.com'));
+    ShopifyRegistry.invalidate('client-1');
+
+    expect((await ShopifyRegistry.forClient('client-1')).store).toBe('kurta-co-new.myshopify.com');
+    expect(createShopifyClient).toHaveBeenCalledTimes(2);
+  });
+
+  test('should return null for clients without a connected store', async () => {
+    expect(await ShopifyRegistry.forClient('client-3')).toBeNull();
+    expect(await ShopifyRegistry.forClient(null)).toBeNull();
+    expect(createShopifyClient).not.toHaveBeenCalled();
+  });
+
+  test('should not cache a failed lookup', async () => {
+    db.clients.getById.mockRejectedValueOnce(new Error('connection reset'));
+
+    expect(await ShopifyRegistry.forClient('client-2')).toBeNull();
+    expect((await ShopifyRegistry.forClient('client-2')).store).toBe('chai-house.myshopify.com');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * STS Session Test Suite
+ * Tests for: assistant playback tracking, barge-in truncation and requested responses
+ */
+
+const STSSession = require('../realtime/stsSession');
+
+// 100ms of 24kHz pcm16
+const audioDelta = (itemId) => ({
+  type: 'response.audio.delta',
+  item_id: itemId,
+  content_index: 0,
+  delta: Buffer.alloc(4800).toString('base64')
+});
+
+const connectedSession = () => {
+  const session = new STSSession('test-key');
+  session.isConnected = true;
+  session.sent = [];
+  session.send = (event) => session.sent.push(event);
+  return session;
+};
+
+describe('STSSession barge-in', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should do nothing when no assistant audio is playing', () => {
+    const session = connectedSession();
+
+    expect(session.interrupt()).toBeNull();
+    expect(session.sent).toEqual([]);
+  });
+
+  test('should cancel and truncate at the played offset', () => {
+    jest.useFakeTimers();
+    const session = connectedSession();
+
+    for (let i = 0; i < 10; i++) {
+      session.handleEvent(audioDelta('item-1'));
+    }
+    jest.advanceTimersByTime(400);
+
+    expect(session.interrupt()).toEqual({ itemId: 'item-1', playedMs: 400, audioMs: 1000 });
+    expect(session.sent).toEqual([
+      { type: 'response.cancel' },
+      { type: 'conversation.item.truncate', item_id: 'item-1', content_index: 0, audio_end_ms: 400 }
+    ]);
+  });
+
+  test('should not cancel a finished response that is still playing', () => {
+    jest.useFakeTimers();
+    const session = connectedSession();
+
+    session.handleEvent(audioDelta('item-1'));
+    session.handleEvent({ type: 'response.done', response: { id: 'resp-1' } });
+    jest.advanceTimersByTime(50);
+
+    expect(session.interrupt()).toMatchObject({ playedMs: 50 });
+    expect(session.sent.map(event => event.type)).toEqual(['conversation.item.truncate']);
+  });
+
+  test('should treat audio as heard once playback time has passed', () => {
+    jest.useFakeTimers();
+    const session = connectedSession();
+
+    session.handleEvent(audioDelta('item-1'));
+    session.handleEvent({ type: 'response.done', response: { id: 'resp-1' } });
+    jest.advanceTimersByTime(500);
+
+    expect(session.isPlaying()).toBe(false);
+    expect(session.interrupt()).toBeNull();
+  });
+
+  test('should drop late audio from the truncated item', () => {
+    const session = connectedSession();
+    const output = jest.fn();
+    session.on('audio_output', output);
+
+    session.handleEvent(audioDelta('item-1'));
+    session.interrupt();
+    session.handleEvent(audioDelta('item-1'));
+    session.handleEvent(audioDelta('item-2'));
+
+    expect(output).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('STSSession.requestResponse', () => {
+  test('should not start a second response while one is running', () => {
+    const session = connectedSession();
+
+    session.requestResponse();
+    session.requestResponse();
+    session.handleEvent({ type: 'response.done', response: { id: 'resp-1' } });
+    session.requestResponse();
+
+    expect(session.sent).toEqual([{ type: 'response.create' }, { type: 'response.create' }]);
+  });
+});
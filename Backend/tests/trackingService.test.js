@@ -0,0 +1,184 @@
+/**
+ * Tracking Service Test Suite
+ * Tests for: Shiprocket / Delhivery adapters, normalized statuses, NDR, provider choice per tenant and carrier
+ */
+
+jest.mock('axios');
+
+jest.mock('../db/postgres', () => ({
+  clients: { getById: jest.fn() }
+}));
+
+jest.mock('../utils/encryption', () => ({
+  encrypt: jest.fn(value => `enc:${value}`),
+  decrypt: jest.fn(value => value.replace('enc:', ''))
+}));
+
+const axios = require('axios');
+const db = require('../db/postgres');
+const TrackingService = require('../services/trackingService');
+const { createTrackingProvider, TRACKING_STATUS } = require('../tracking/index');
+
+describe('ShiprocketTracking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should log in once and normalize an undelivered shipment with its NDR', async () => {
+    axios.post.mockResolvedValue({ data: { token: 'sr-token' } });
+    axios.get.mockResolvedValue({
+      data: {
+        tracking_data: {
+          shipment_status: 21,
+          etd: '2026-10-21 18:00:00',
+          track_url: 'https://shiprocket.co/tracking/SR123',
+          shipment_track: [{ awb_code: 'SR123', courier_name: 'Xpressbees', current_status: 'UNDELIVERED' }],
+          shipment_track_activities: [
+            { date: '2026-10-19 19:10:00', activity: 'Consignee not available', location: 'Pune_Hub', 'sr-status': 21 },
+            { date: '2026-10-19 08:30:00', activity: 'Out for delivery', location: 'Pune_Hub', 'sr-status': 17 },
+            { date: '2026-10-17 12:00:00', activity: 'Picked up', location: 'Mumbai', 'sr-status': 42 }
+          ]
+        }
+      }
+    });
+
+    const provider = createTrackingProvider('shiprocket', { email: 'ops@kurta.co', password: 'secret' });
+    const info = await provider.track('SR123');
+    await provider.track('SR123');
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith(
+      'https://apiv2.shiprocket.in/v1/external/courier/track/awb/SR123',
+      expect.objectContaining({ headers: { Authorization: 'Bearer sr-token' } })
+    );
+    expect(info).toEqual(expect.objectContaining({
+      provider: 'shiprocket',
+      courier: 'Xpressbees',
+      status: TRACKING_STATUS.FAILED_ATTEMPT,
+      current_location: 'Pune_Hub',
+      last_update: 'Consignee not available',
+      eta: '2026-10-21T12:30:00.000Z'
+    }));
+    expect(info.events.map(event => event.status)).toEqual(['failed_attempt', 'out_for_delivery', 'picked_up']);
+    expect(info.ndr).toEqual({
+      reason: 'Consignee not available',
+      attempts: 1,
+      last_attempt_at: '2026-10-19T13:40:00.000Z',
+      action_required: true
+    });
+  });
+
+  test('should return null for an AWB Shiprocket does not know', async () => {
+    axios.post.mockResolvedValue({ data: { token: 'sr-token' } });
+    axios.get.mockResolvedValue({ data: { tracking_data: { track_status: 0, error: 'Awb not found' } } });
+
+    const provider = createTrackingProvider('shiprocket', { email: 'ops@kurta.co', password: 'secret' });
+    expect(await provider.track('NOPE')).toBeNull();
+  });
+});
+
+describe('DelhiveryTracking', () => {
+  test('should map Delhivery scans to statuses and drop the ETA once delivered', async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        ShipmentData: [{
+          Shipment: {
+            AWB: '1490812345',
+            Status: { Status: 'Delivered', StatusType: 'DL', StatusLocation: 'Jaipur_DC', StatusDateTime: '2026-10-19T15:02:11.000' },
+            ExpectedDeliveryDate: '2026-10-19T23:59:00',
+            Scans: [
+              { ScanDetail: { Scan: 'Manifested', ScanType: 'UD', ScanDateTime: '2026-10-16T10:00:00', ScannedLocation: 'Delhi_Okhla' } },
+              { ScanDetail: { Scan: 'Pending', ScanType: 'UD', StatusCode: 'EOD-11', Instructions: 'Consignee refused to accept', ScanDateTime: '2026-10-18T18:00:00', ScannedLocation: 'Jaipur_DC' } },
+              { ScanDetail: { Scan: 'Delivered', ScanType: 'DL', ScanDateTime: '2026-10-19T15:02:11', ScannedLocation: 'Jaipur_DC' } }
+            ]
+          }
+        }]
+      }
+    });
+
+    const info = await createTrackingProvider('delhivery', { apiToken: 'dl-token' }).track('1490812345');
+
+    expect(axios.get).toHaveBeenCalledWith('https://track.delhivery.com/api/v1/packages/json/', expect.objectContaining({
+      params: { waybill: '1490812345' },
+      headers: { Authorization: 'Token dl-token' }
+    }));
+    expect(info).toEqual(expect.objectContaining({
+      provider: 'delhivery',
+      status: TRACKING_STATUS.DELIVERED,
+      current_location: 'Jaipur_DC',
+      eta: null,
+      ndr: null
+    }));
+    expect(info.events.map(event => event.status)).toEqual(['delivered', 'failed_attempt', 'pending']);
+  });
+});
+
+describe('TrackingService', () => {
+  const fakeSettings = { provider: 'fake' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.TRACKING_PROVIDER;
+    delete process.env.DELHIVERY_API_TOKEN;
+    TrackingService.invalidateClient('client-1');
+  });
+
+  test('should route a shipment to its carrier, an override or the tenant default', () => {
+    const tracking = {
+      provider: 'shiprocket',
+      carriers: { 'blue dart': 'fake' },
+      shiprocket: { email: 'ops@kurta.co', password: 'enc:secret' },
+      delhivery: { apiToken: 'enc:dl-token' }
+    };
+
+    expect(TrackingService.chooseProvider(tracking, 'Delhivery')).toBe('delhivery');
+    expect(TrackingService.chooseProvider(tracking, 'Blue Dart')).toBe('fake');
+    expect(TrackingService.chooseProvider(tracking, 'Xpressbees')).toBe('shiprocket');
+    // No Delhivery account: Delhivery shipments booked through Shiprocket
+    expect(TrackingService.chooseProvider({ ...tracking, delhivery: undefined }, 'Delhivery')).toBe('shiprocket');
+    expect(TrackingService.chooseProvider({}, 'Delhivery')).toBeNull();
+    expect(TrackingService.credentialsFor('shiprocket', tracking)).toEqual({ email: 'ops@kurta.co', password: 'secret' });
+  });
+
+  test('should track through the tenant provider and return null without one', async () => {
+    db.clients.getById.mockResolvedValueOnce({ id: 'client-1', settings: { tracking: fakeSettings } });
+    const fake = await TrackingService.providerFor('client-1');
+    fake.setShipment('AWB1', { courier: 'Delhivery', status: 'in_transit', events: [] });
+
+    expect(await TrackingService.track('client-1', 'AWB1')).toEqual(expect.objectContaining({
+      provider: 'fake',
+      status: 'in_transit',
+      status_label: 'In transit'
+    }));
+    expect(await TrackingService.track('client-1', 'AWB1')).toBeTruthy();
+    expect(fake.requests).toEqual(['AWB1']);
+
+    TrackingService.invalidateClient('client-1');
+    db.clients.getById.mockResolvedValueOnce({ id: 'client-1', settings: {} });
+    expect(await TrackingService.track('client-1', 'AWB1')).toBeNull();
+  });
+
+  test('should encrypt new credentials and keep saved ones left blank', () => {
+    const existing = { provider: 'shiprocket', shiprocket: { email: 'ops@kurta.co', password: 'enc:old' } };
+
+    expect(TrackingService.validate({ provider: 'bluedart' }).valid).toBe(false);
+    expect(TrackingService.validate({ shiprocket: { token: 'x' } }).valid).toBe(false);
+
+    expect(TrackingService.prepareSettings({ provider: 'shiprocket', shiprocket: { email: 'ops@kurta.co', password: '' } }, existing))
+      .toEqual(existing);
+    expect(TrackingService.prepareSettings({ provider: 'delhivery', delhivery: { apiToken: 'new' }, shiprocket: null }, existing))
+      .toEqual({ provider: 'delhivery', delhivery: { apiToken: 'enc:new' } });
+  });
+
+  test('should not offer the fake provider in production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(TrackingService.validate({ provider: 'fake' }).errors).toEqual(['provider must be one of: shiprocket, delhivery']);
+      expect(TrackingService.chooseProvider(fakeSettings, 'Xpressbees')).toBeNull();
+      expect(Object.keys(TrackingService.describeConfig({}).providers)).toEqual(['shiprocket', 'delhivery']);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Webhook Verifier Test Suite
+ * Tests for: Exotel signatures over POST bodies and GET query strings
+ */
+
+const crypto = require('crypto');
+const { verifyExotelWebhook } = require('../middleware/webhookVerifier');
+
+const sign = (payload) => crypto.createHmac('sha1', 'test-secret').update(payload).digest('base64');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('verifyExotelWebhook', () => {
+  beforeEach(() => {
+    process.env.EXOTEL_WEBHOOK_SECRET = 'test-secret';
+  });
+
+  test('should verify a GET callback against its query string', () => {
+    const req = {
+      method: 'GET',
+      originalUrl: '/webhooks/exotel/handoff-target?CallSid=CA123&From=09876543210',
+      query: { CallSid: 'CA123', From: '09876543210' },
+      body: {},
+      headers: { 'x-exotel-signature': sign('CallSid=CA123&From=09876543210') }
+    };
+    const next = jest.fn();
+
+    verifyExotelWebhook(req, response(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject a GET signature replayed for another call', () => {
+    const res = response();
+    const next = jest.fn();
+    const req = {
+      method: 'GET',
+      originalUrl: '/webhooks/exotel/handoff-target?CallSid=CA999',
+      query: { CallSid: 'CA999' },
+      body: {},
+      // Signature of an empty body, the same for every GET before
+      headers: { 'x-exotel-signature': sign('{}') }
+    };
+
+    verifyExotelWebhook(req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
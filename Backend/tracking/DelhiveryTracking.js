@@ -0,0 +1,180 @@
+// tracking/DelhiveryTracking.js - Delhivery shipment tracking by waybill
+//
+// For merchants shipping on their own Delhivery account (API token from
+// Delhivery One). Shipments booked through Shiprocket on Delhivery are tracked
+// by ShiprocketTracking instead. Delhivery schedules reverse pickups itself
+// (first attempt the next working day), so it offers that one day as the slot.
+const axios = require('axios');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const { TRACKING_STATUS, statusFromText, buildTrackingInfo, toISO } = require('./status');
+const { DEFAULT_PACKAGE, pickupDays, streetAddress } = require('./pickup');
+
+const API_URL = 'https://track.delhivery.com';
+
+class DelhiveryTracking {
+  constructor(options = {}) {
+    this.name = 'delhivery';
+    this.apiToken = options.apiToken;
+    this.baseUrl = options.baseUrl || API_URL;
+  }
+
+  get configured() {
+    return Boolean(this.apiToken);
+  }
+
+  /**
+   * Map Delhivery's StatusType (UD forward, DL delivered, RT return, PP/PU
+   * pickup, CN cancelled, LT lost) and status text to a status
+   */
+  mapStatus(type, status, code) {
+    const text = String(status || '');
+
+    switch (type) {
+      case 'DL':
+        return /rto|returned/i.test(text) ? TRACKING_STATUS.RTO_DELIVERED : TRACKING_STATUS.DELIVERED;
+      case 'RT':
+        return TRACKING_STATUS.RTO;
+      case 'CN':
+        return TRACKING_STATUS.CANCELLED;
+      case 'LT':
+        return TRACKING_STATUS.LOST;
+      case 'PP':
+        return TRACKING_STATUS.PENDING;
+      case 'PU':
+        return TRACKING_STATUS.PICKED_UP;
+      default:
+        break;
+    }
+
+    // "Pending" is a forward shipment waiting for a reattempt; EOD-* scans are
+    // the end-of-day "not delivered" reasons
+    if (/^pending$/i.test(text) || /^EOD-/i.test(code || '')) {
+      return TRACKING_STATUS.FAILED_ATTEMPT;
+    }
+    if (/^manifested$/i.test(text)) {
+      return TRACKING_STATUS.PENDING;
+    }
+    return statusFromText(text);
+  }
+
+  /**
+   * @param {string} trackingNumber - Waybill
+   * @returns {Promise<object|null>} - Tracking info (tracking/status.js), null if Delhivery doesn't know the waybill
+   */
+  async track(trackingNumber) {
+    const response = await axios.get(`${this.baseUrl}/api/v1/packages/json/`, {
+      params: { waybill: trackingNumber },
+      headers: { Authorization: `Token ${this.apiToken}` },
+      timeout: 10000
+    });
+
+    const shipment = response.data?.ShipmentData?.[0]?.Shipment;
+    if (!shipment) {
+      logger.info('Delhivery has no tracking for waybill', { trackingNumber, error: response.data?.Error });
+      return null;
+    }
+
+    const events = (shipment.Scans || []).map(({ ScanDetail: scan = {} }) => ({
+      timestamp: toISO(scan.StatusDateTime || scan.ScanDateTime),
+      status: this.mapStatus(scan.ScanType, scan.Scan, scan.StatusCode),
+      // Instructions carry the reason on failed attempts ("Consignee unavailable")
+      description: scan.Instructions || scan.Scan || null,
+      location: scan.ScannedLocation || null
+    }));
+
+    const current = shipment.Status || {};
+    const status = this.mapStatus(current.StatusType, current.Status, current.StatusCode);
+
+    return buildTrackingInfo({
+      provider: this.name,
+      tracking_number: trackingNumber,
+      courier: 'Delhivery',
+      status,
+      events,
+      eta: toISO(shipment.ExpectedDeliveryDate || shipment.PromisedDeliveryDate),
+      delivered_at: status === TRACKING_STATUS.DELIVERED ? toISO(current.StatusDateTime) : null,
+      track_url: `https://www.delhivery.com/track/package/${encodeURIComponent(trackingNumber)}`
+    });
+  }
+
+  /**
+   * Whether Delhivery collects reverse pickups from a pincode
+   * @param {string} pincode - Customer's pincode
+   * @param {object} options - { from }
+   * @returns {Promise<object>} - { serviceable, courier, slots }
+   */
+  async checkReversePickup(pincode, { from } = {}) {
+    const response = await axios.get(`${this.baseUrl}/c/api/pin-codes/json/`, {
+      params: { filter_codes: pincode },
+      headers: { Authorization: `Token ${this.apiToken}` },
+      timeout: 10000
+    });
+
+    const postalCode = response.data?.delivery_codes?.[0]?.postal_code;
+    const serviceable = postalCode?.pickup === 'Y';
+
+    return {
+      serviceable,
+      courier: 'Delhivery',
+      slots: serviceable ? pickupDays(1, { from }) : []
+    };
+  }
+
+  /**
+   * Manifest a reverse shipment ("Pickup" payment mode) to the tenant's
+   * registered warehouse (returnAddress.name)
+   * @param {object} request - See tracking/pickup.js
+   * @returns {Promise<object>} - { awb, courier, pickup_reference, slot }
+   */
+  async bookReversePickup(request) {
+    const { customer = {}, address = {}, items = [], returnAddress, slot } = request;
+
+    const payload = {
+      pickup_location: { name: returnAddress.name },
+      shipments: [{
+        name: customer.name,
+        add: streetAddress(address),
+        pin: address.zip,
+        city: address.city,
+        state: address.province,
+        country: 'India',
+        phone: customer.phone,
+        order: request.reference,
+        payment_mode: 'Pickup',
+        products_desc: items.map(item => item.name).join(', '),
+        quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        total_amount: items.reduce((sum, item) => sum + Number(item.price || 0) * item.quantity, 0),
+        weight: DEFAULT_PACKAGE.weightKg * 1000
+      }]
+    };
+
+    const response = await axios.post(
+      `${this.baseUrl}/api/cmu/create.json`,
+      `format=json&data=${encodeURIComponent(JSON.stringify(payload))}`,
+      {
+        headers: {
+          Authorization: `Token ${this.apiToken}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 10000
+      }
+    );
+
+    const pkg = response.data?.packages?.[0];
+    if (!response.data?.success || !pkg?.waybill) {
+      throw new Error(`Delhivery rejected the reverse pickup: ${pkg?.remarks || response.data?.rmk || 'unknown error'}`);
+    }
+
+    logger.info('Delhivery reverse pickup booked', { reference: request.reference, awb: pkg.waybill });
+
+    return {
+      awb: pkg.waybill,
+      courier: 'Delhivery',
+      pickup_reference: response.data.upload_wbn || null,
+      slot
+    };
+  }
+}
+
+module.exports = DelhiveryTracking;
@@ -0,0 +1,61 @@
+// tracking/FakeTracking.js - Scripted shipments for tests and local runs
+//
+// shipments: { [trackingNumber]: { status, courier, events, eta, ndr, ... } }
+// Unknown tracking numbers are not found, like a real courier.
+// Reverse pickups: every pincode except options.unserviceable is collected,
+// on options.pickupDays (default 3) days; booked pickups land in `pickups`.
+const { buildTrackingInfo } = require('./status');
+const { pickupDays } = require('./pickup');
+
+class FakeTracking {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.shipments = { ...(options.shipments || {}) };
+    this.requests = [];
+    this.unserviceable = options.unserviceable || [];
+    this.pickupDays = options.pickupDays || 3;
+    this.pickups = [];
+  }
+
+  get configured() {
+    return true;
+  }
+
+  /**
+   * Add or replace a scripted shipment
+   */
+  setShipment(trackingNumber, shipment) {
+    this.shipments[trackingNumber] = shipment;
+  }
+
+  async track(trackingNumber) {
+    this.requests.push(trackingNumber);
+    const shipment = this.shipments[trackingNumber];
+    if (!shipment) {
+      return null;
+    }
+
+    return buildTrackingInfo({
+      ...shipment,
+      provider: this.name,
+      tracking_number: trackingNumber
+    });
+  }
+
+  async checkReversePickup(pincode, { from } = {}) {
+    const serviceable = !this.unserviceable.includes(pincode);
+    return {
+      serviceable,
+      courier: serviceable ? 'Fake Courier' : null,
+      slots: serviceable ? pickupDays(this.pickupDays, { from }) : []
+    };
+  }
+
+  async bookReversePickup(request) {
+    const awb = `FAKER${1000 + this.pickups.length + 1}`;
+    this.pickups.push({ ...request, awb });
+    return { awb, courier: 'Fake Courier', pickup_reference: `PU${this.pickups.length}`, slot: request.slot };
+  }
+}
+
+module.exports = FakeTracking;
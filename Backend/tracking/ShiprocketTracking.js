@@ -0,0 +1,232 @@
+// tracking/ShiprocketTracking.js - Shiprocket shipment tracking by AWB
+//
+// Shiprocket books shipments on many couriers, so it tracks any AWB created
+// from the merchant's Shiprocket account. It logs in with an API user's email
+// and password; the token is kept on the instance and renewed when it expires.
+// Reverse pickups are return orders on the recommended courier that collects
+// from the customer's pincode (see tracking/pickup.js).
+const axios = require('axios');
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const { TRACKING_STATUS, statusFromText, buildTrackingInfo, toISO } = require('./status');
+const { DEFAULT_PACKAGE, pickupDays, streetAddress } = require('./pickup');
+
+const API_URL = 'https://apiv2.shiprocket.in/v1/external';
+// Tokens are valid for 10 days; renew a day early
+const TOKEN_TTL_MS = 9 * 24 * 60 * 60 * 1000;
+
+// Pickup days offered to the caller
+const PICKUP_DAYS = 3;
+
+// Shiprocket shipment status codes (shipment_status, sr-status)
+const STATUS_CODES = {
+  6: TRACKING_STATUS.IN_TRANSIT, // Shipped
+  7: TRACKING_STATUS.DELIVERED,
+  8: TRACKING_STATUS.CANCELLED,
+  9: TRACKING_STATUS.RTO, // RTO initiated
+  10: TRACKING_STATUS.RTO_DELIVERED,
+  12: TRACKING_STATUS.LOST,
+  13: TRACKING_STATUS.PENDING, // Pickup error
+  14: TRACKING_STATUS.RTO, // RTO acknowledged
+  15: TRACKING_STATUS.PENDING, // Pickup rescheduled
+  17: TRACKING_STATUS.OUT_FOR_DELIVERY,
+  18: TRACKING_STATUS.IN_TRANSIT,
+  19: TRACKING_STATUS.PENDING, // Out for pickup
+  20: TRACKING_STATUS.PENDING, // Pickup exception
+  21: TRACKING_STATUS.FAILED_ATTEMPT, // Undelivered
+  22: TRACKING_STATUS.IN_TRANSIT, // Delayed
+  38: TRACKING_STATUS.IN_TRANSIT, // Reached destination hub
+  42: TRACKING_STATUS.PICKED_UP
+};
+
+class ShiprocketTracking {
+  constructor(options = {}) {
+    this.name = 'shiprocket';
+    this.email = options.email;
+    this.password = options.password;
+    this.baseUrl = options.baseUrl || API_URL;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  get configured() {
+    return Boolean(this.email && this.password);
+  }
+
+  async authenticate() {
+    const response = await axios.post(
+      `${this.baseUrl}/auth/login`,
+      { email: this.email, password: this.password },
+      { timeout: 10000 }
+    );
+    this.token = response.data.token;
+    this.tokenExpiresAt = Date.now() + TOKEN_TTL_MS;
+  }
+
+  /**
+   * Call the API with the login token
+   * @param {string} path - e.g. /courier/track/awb/123
+   * @param {object} options - { method: 'get' | 'post', params, data }
+   */
+  async request(path, { method = 'get', params, data } = {}, retried = false) {
+    if (!this.token || Date.now() >= this.tokenExpiresAt) {
+      await this.authenticate();
+    }
+
+    const config = {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: 10000,
+      ...(params ? { params } : {})
+    };
+
+    try {
+      const response = method === 'post'
+        ? await axios.post(`${this.baseUrl}${path}`, data, config)
+        : await axios.get(`${this.baseUrl}${path}`, config);
+      return response.data;
+    } catch (error) {
+      // Token revoked or password changed: log in again once
+      if (error.response?.status === 401 && !retried) {
+        this.token = null;
+        return this.request(path, { method, params, data }, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} trackingNumber - AWB
+   * @returns {Promise<object|null>} - Tracking info (tracking/status.js), null if Shiprocket doesn't know the AWB
+   */
+  async track(trackingNumber) {
+    const data = await this.request(`/courier/track/awb/${encodeURIComponent(trackingNumber)}`);
+    const tracking = data?.tracking_data;
+
+    if (!tracking || tracking.error || !tracking.shipment_track?.length) {
+      logger.info('Shiprocket has no tracking for AWB', { trackingNumber, error: tracking?.error });
+      return null;
+    }
+
+    const shipment = tracking.shipment_track[0];
+    const events = (tracking.shipment_track_activities || []).map(activity => ({
+      timestamp: toISO(activity.date),
+      status: STATUS_CODES[activity['sr-status']] || statusFromText(activity['sr-status-label'] || activity.activity),
+      description: activity.activity || null,
+      location: activity.location || null
+    }));
+
+    return buildTrackingInfo({
+      provider: this.name,
+      tracking_number: trackingNumber,
+      courier: shipment.courier_name || null,
+      status: STATUS_CODES[tracking.shipment_status] || statusFromText(shipment.current_status),
+      events,
+      eta: toISO(tracking.etd || shipment.edd),
+      delivered_at: toISO(shipment.delivered_date),
+      track_url: tracking.track_url || null
+    });
+  }
+
+  /**
+   * Couriers that collect returns from a pincode and deliver them to the
+   * tenant's return address
+   * @param {string} pincode - Customer's pincode
+   * @param {object} options - { returnAddress, from }
+   * @returns {Promise<object>} - { serviceable, courier, courier_id, slots }
+   */
+  async checkReversePickup(pincode, { returnAddress, from } = {}) {
+    const data = await this.request('/courier/serviceability/', {
+      params: {
+        pickup_postcode: pincode,
+        delivery_postcode: returnAddress?.pincode,
+        is_return: 1,
+        weight: DEFAULT_PACKAGE.weightKg
+      }
+    });
+
+    const couriers = data?.data?.available_courier_companies || [];
+    const courier = couriers.find(company => company.courier_company_id === data.data.recommended_courier_company_id) ||
+      couriers[0];
+
+    if (!courier) {
+      return { serviceable: false, courier: null, courier_id: null, slots: [] };
+    }
+
+    return {
+      serviceable: true,
+      courier: courier.courier_name,
+      courier_id: courier.courier_company_id,
+      slots: pickupDays(PICKUP_DAYS, { from })
+    };
+  }
+
+  /**
+   * Create the return order, assign its AWB and request the pickup for the slot's day
+   * @param {object} request - See tracking/pickup.js (courier_id from checkReversePickup)
+   * @returns {Promise<object>} - { awb, courier, pickup_reference, slot }
+   */
+  async bookReversePickup(request) {
+    const { customer = {}, address = {}, items = [], returnAddress, slot } = request;
+    const subTotal = items.reduce((sum, item) => sum + Number(item.price || 0) * item.quantity, 0);
+
+    const order = await this.request('/orders/create/return', {
+      method: 'post',
+      data: {
+        order_id: request.reference,
+        order_date: new Date().toISOString().slice(0, 10),
+        pickup_customer_name: customer.name,
+        pickup_address: streetAddress(address),
+        pickup_city: address.city,
+        pickup_state: address.province,
+        pickup_country: 'India',
+        pickup_pincode: address.zip,
+        pickup_email: customer.email,
+        pickup_phone: customer.phone,
+        shipping_customer_name: returnAddress.name,
+        shipping_address: returnAddress.address,
+        shipping_city: returnAddress.city,
+        shipping_state: returnAddress.state,
+        shipping_country: 'India',
+        shipping_pincode: returnAddress.pincode,
+        shipping_phone: returnAddress.phone,
+        order_items: items.map(item => ({
+          name: item.name,
+          sku: item.sku || String(item.id),
+          units: item.quantity,
+          selling_price: item.price
+        })),
+        payment_method: 'Prepaid',
+        sub_total: subTotal,
+        length: DEFAULT_PACKAGE.lengthCm,
+        breadth: DEFAULT_PACKAGE.breadthCm,
+        height: DEFAULT_PACKAGE.heightCm,
+        weight: DEFAULT_PACKAGE.weightKg
+      }
+    });
+
+    const assigned = await this.request('/courier/assign/awb', {
+      method: 'post',
+      data: { shipment_id: order.shipment_id, courier_id: request.courier_id, is_return: 1 }
+    });
+    const awb = assigned?.response?.data?.awb_code;
+    if (!awb) {
+      throw new Error(`Shiprocket did not assign an AWB: ${assigned?.message || 'no courier'}`);
+    }
+
+    await this.request('/courier/generate/pickup', {
+      method: 'post',
+      data: { shipment_id: [order.shipment_id], pickup_date: [slot.date] }
+    });
+
+    logger.info('Shiprocket reverse pickup booked', { reference: request.reference, awb, date: slot.date });
+
+    return {
+      awb,
+      courier: assigned.response.data.courier_name || request.courier || null,
+      pickup_reference: String(order.shipment_id),
+      slot
+    };
+  }
+}
+
+module.exports = ShiprocketTracking;
@@ -0,0 +1,69 @@
+// tracking/index.js - Courier tracking providers
+//
+// Provider: { name, configured }, track(trackingNumber) -> Promise<object|null>
+// resolving to tracking/status.js buildTrackingInfo() output (null = unknown AWB).
+// services/trackingService.js picks one per tenant and carrier. Providers that
+// also book reverse pickups implement tracking/pickup.js (all three do today).
+//
+// Adding a courier (e.g. Blue Dart, Ecom Express) means writing one adapter,
+// registering it here and, if it tracks one carrier only, adding its name to
+// CARRIER_PROVIDERS.
+const ShiprocketTracking = require('./ShiprocketTracking');
+const DelhiveryTracking = require('./DelhiveryTracking');
+const FakeTracking = require('./FakeTracking');
+const status = require('./status');
+const pickup = require('./pickup');
+
+const PROVIDERS = {
+  shiprocket: (options) => new ShiprocketTracking(options),
+  delhivery: (options) => new DelhiveryTracking(options),
+  fake: (options) => new FakeTracking(options)
+};
+
+// Couriers a provider tracks directly, by the name Shopify fulfillments carry
+// (tracking_company)
+const CARRIER_PROVIDERS = [
+  { pattern: /delhivery/i, provider: 'delhivery' }
+];
+
+/**
+ * Create one provider
+ * @param {string} name - Registered provider name
+ * @param {object} options - Credentials ({ email, password } / { apiToken }) or { shipments } for fake
+ */
+const createTrackingProvider = (name, options = {}) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown tracking provider: ${name}`);
+  }
+  return factory(options);
+};
+
+const listTrackingProviders = () => Object.keys(PROVIDERS);
+
+/**
+ * Whether a provider instance can book reverse pickups
+ */
+const supportsReversePickup = (provider) =>
+  typeof provider?.checkReversePickup === 'function' && typeof provider?.bookReversePickup === 'function';
+
+/**
+ * Provider that tracks a carrier directly, or null
+ * @param {string} carrier - e.g. 'Delhivery', 'Blue Dart'
+ */
+const providerForCarrier = (carrier) => {
+  const match = CARRIER_PROVIDERS.find(({ pattern }) => pattern.test(carrier || ''));
+  return match ? match.provider : null;
+};
+
+module.exports = {
+  createTrackingProvider,
+  listTrackingProviders,
+  providerForCarrier,
+  supportsReversePickup,
+  ...status,
+  ...pickup,
+  ShiprocketTracking,
+  DelhiveryTracking,
+  FakeTracking
+};
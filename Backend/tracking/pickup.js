@@ -0,0 +1,50 @@
+// tracking/pickup.js - Reverse pickups (returns collected from the customer)
+//
+// Couriers book reverse pickups by day: the rider comes during the courier's
+// pickup window on the booked date. A slot is
+// { date: 'YYYY-MM-DD', start: 'HH:MM', end: 'HH:MM' } in IST.
+//
+// Providers that book reverse pickups add:
+//   checkReversePickup(pincode, { returnAddress, from }) -> Promise<{ serviceable, courier, slots, ... }>
+//   bookReversePickup(request) -> Promise<{ awb, courier, pickup_reference, slot }>
+// request = { reference, customer: { name, phone, email }, address: { address1,
+//   address2, city, province, zip }, items: [{ name, sku, quantity, price }],
+//   returnAddress: { name, phone, address, city, state, pincode }, slot, ...check result }
+
+// Window riders collect returns in, when the courier doesn't say
+const PICKUP_WINDOW = { start: '10:00', end: '18:00' };
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Without package details (Shopify orders rarely carry them) book the smallest slab
+const DEFAULT_PACKAGE = { weightKg: 0.5, lengthCm: 20, breadthCm: 15, heightCm: 10 };
+
+/**
+ * Next pickup days after `from` (IST), skipping Sundays when couriers don't collect
+ * @param {number} count - Days to offer
+ * @returns {object[]} - Slots
+ */
+const pickupDays = (count, { from = new Date(), window = PICKUP_WINDOW } = {}) => {
+  // IST wall clock held in the UTC fields
+  const day = new Date(new Date(from).getTime() + IST_OFFSET_MS);
+  const slots = [];
+
+  while (slots.length < count) {
+    day.setUTCDate(day.getUTCDate() + 1);
+    if (day.getUTCDay() !== 0) {
+      slots.push({ date: day.toISOString().slice(0, 10), start: window.start, end: window.end });
+    }
+  }
+  return slots;
+};
+
+/**
+ * One-line street address of a Shopify address
+ */
+const streetAddress = (address = {}) => [address.address1, address.address2].filter(Boolean).join(', ');
+
+module.exports = {
+  PICKUP_WINDOW,
+  DEFAULT_PACKAGE,
+  pickupDays,
+  streetAddress
+};
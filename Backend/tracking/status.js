@@ -0,0 +1,127 @@
+// tracking/status.js - Normalized shipment statuses shared by the tracking providers
+//
+// Every provider maps its courier codes to one of these, so agents can talk
+// about a Delhivery and a Shiprocket shipment the same way.
+
+const TRACKING_STATUS = {
+  PENDING: 'pending', // Manifested, waiting for pickup
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  FAILED_ATTEMPT: 'failed_attempt', // Delivery tried and failed (NDR raised)
+  RTO: 'rto', // Returning to the seller
+  RTO_DELIVERED: 'rto_delivered',
+  CANCELLED: 'cancelled',
+  LOST: 'lost',
+  UNKNOWN: 'unknown'
+};
+
+// How agents say each status
+const STATUS_LABELS = {
+  pending: 'Waiting for pickup',
+  picked_up: 'Picked up',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  failed_attempt: 'Delivery attempt failed',
+  rto: 'Returning to seller',
+  rto_delivered: 'Returned to seller',
+  cancelled: 'Cancelled',
+  lost: 'Lost in transit',
+  unknown: 'Status unavailable'
+};
+
+// Courier status text to a status, for codes a provider doesn't map (first match wins)
+const TEXT_PATTERNS = [
+  [/out for delivery|dispatched/i, TRACKING_STATUS.OUT_FOR_DELIVERY],
+  [/undelivered|not delivered|delivery attempt|ndr/i, TRACKING_STATUS.FAILED_ATTEMPT],
+  [/rto.*deliver|returned to (origin|seller|shipper)/i, TRACKING_STATUS.RTO_DELIVERED],
+  [/\brto\b|return to origin/i, TRACKING_STATUS.RTO],
+  [/delivered/i, TRACKING_STATUS.DELIVERED],
+  [/cancel/i, TRACKING_STATUS.CANCELLED],
+  [/\blost\b/i, TRACKING_STATUS.LOST],
+  [/picked up|pickup done/i, TRACKING_STATUS.PICKED_UP],
+  [/pickup|manifest|not picked/i, TRACKING_STATUS.PENDING],
+  [/transit|shipped|hub|in scan|bagged|connected/i, TRACKING_STATUS.IN_TRANSIT]
+];
+
+const statusFromText = (text) => {
+  const match = TEXT_PATTERNS.find(([pattern]) => pattern.test(text || ''));
+  return match ? match[1] : TRACKING_STATUS.UNKNOWN;
+};
+
+/**
+ * Non-delivery report from the scans: why and how often delivery failed
+ * @returns {object|null} - { reason, attempts, last_attempt_at, action_required }
+ */
+const ndrFromEvents = (status, events) => {
+  const failed = events
+    .filter(event => event.status === TRACKING_STATUS.FAILED_ATTEMPT)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  if (failed.length === 0 || status === TRACKING_STATUS.DELIVERED) {
+    return null;
+  }
+
+  return {
+    reason: failed[0].description || null,
+    attempts: failed.length,
+    last_attempt_at: failed[0].timestamp,
+    // The courier is waiting for the customer (reattempt, new address or time)
+    action_required: status === TRACKING_STATUS.FAILED_ATTEMPT
+  };
+};
+
+/**
+ * Tracking result every provider returns
+ * @param {object} fields - provider, tracking_number, courier, status, events, eta, track_url, ...
+ *   (ndr defaults to what the failed attempts in events show)
+ * @returns {object} - Includes current_location and last_update from the latest event
+ */
+const buildTrackingInfo = (fields) => {
+  // Newest scan first
+  const events = [...(fields.events || [])].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const latest = events[0] || null;
+  const status = fields.status || TRACKING_STATUS.UNKNOWN;
+
+  return {
+    provider: fields.provider,
+    tracking_number: fields.tracking_number,
+    courier: fields.courier || null,
+    status,
+    status_label: STATUS_LABELS[status] || STATUS_LABELS.unknown,
+    current_location: latest?.location || null,
+    last_update: latest?.description || null,
+    last_update_at: latest?.timestamp || null,
+    eta: status === TRACKING_STATUS.DELIVERED ? null : (fields.eta || null),
+    delivered_at: fields.delivered_at || null,
+    track_url: fields.track_url || null,
+    ndr: fields.ndr === undefined ? ndrFromEvents(status, events) : fields.ndr,
+    events
+  };
+};
+
+/**
+ * Date string from a courier ("2026-10-18 14:05:00", ISO, ...) as ISO, or null.
+ * Indian couriers report local times without a zone, so those are read as IST.
+ */
+const toISO = (value) => {
+  if (!value) {
+    return null;
+  }
+  let text = String(value).trim().replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2');
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text += '+05:30';
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+module.exports = {
+  TRACKING_STATUS,
+  STATUS_LABELS,
+  statusFromText,
+  ndrFromEvents,
+  buildTrackingInfo,
+  toISO
+};
@@ -24,6 +24,8 @@ class EnvValidator {
       EXOTEL_SID: { required: false },
       EXOTEL_TOKEN: { required: false },
       SHOPIFY_API_KEY: { required: false },
+      SHOPIFY_API_SECRET: { required: false },
+      TRACKING_PROVIDER: { required: false, values: ['shiprocket', 'delhivery', 'fake'] },
       WASABI_ACCESS_KEY_ID: { required: false },
       WASABI_SECRET_ACCESS_KEY: { required: false },
       WASABI_BUCKET_NAME: { required: false },
@@ -20,9 +20,10 @@ class WebhookVerifier {
    * @param {string|Object} payload - Request body as string or object
    * @param {string} signature - Signature from webhook header
    * @param {string} algorithm - Hash algorithm (default: sha256)
+   * @param {string} encoding - Signature encoding: hex (default) or base64 (e.g. Shopify)
    * @returns {boolean} True if signature is valid
    */
-  static verifyHMAC(secret, payload, signature, algorithm = 'sha256') {
+  static verifyHMAC(secret, payload, signature, algorithm = 'sha256', encoding = 'hex') {
     try {
       // Normalize payload (ensure it's a string)
       const payloadStr = typeof payload === 'string' 
@@ -33,7 +34,12 @@ class WebhookVerifier {
       const hash = crypto
         .createHmac(algorithm, secret)
         .update(payloadStr)
-        .digest('hex');
+        .digest(encoding);
+
+      // Different lengths can't match (and timingSafeEqual would throw)
+      if (!signature || hash.length !== signature.length) {
+        return false;
+      }
 
       // Timing-safe comparison (prevents timing attacks)
       return crypto.timingSafeEqual(
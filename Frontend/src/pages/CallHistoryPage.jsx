@@ -2,10 +2,21 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import PageHeader from '../components/PageHeader';
 import Breadcrumb from '../components/Breadcrumb';
-import { Phone, Search, Filter, Clock, User, CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import { Phone, Search, Filter, Clock, User, CheckCircle, AlertCircle, Loader, Flag } from 'lucide-react';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
 
+// Post-call disposition codes (see Backend/services/callSummaryService.js)
+const DISPOSITION_STYLES = {
+  resolved: { label: 'Resolved', className: 'bg-green-100 text-green-800' },
+  information: { label: 'Information', className: 'bg-green-100 text-green-800' },
+  partially_resolved: { label: 'Partially resolved', className: 'bg-yellow-100 text-yellow-800' },
+  ticket_raised: { label: 'Ticket raised', className: 'bg-blue-100 text-blue-800' },
+  transferred: { label: 'Transferred', className: 'bg-purple-100 text-purple-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+  abandoned: { label: 'Abandoned', className: 'bg-gray-100 text-gray-800' }
+};
+
 /**
  * CallHistoryPage Component
  * 
@@ -13,8 +24,8 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
  * Features:
  * - Real-time call list
  * - Search by phone number
- * - Filter by status (all, active, resolved)
- * - Call details display
+ * - Filter by status (all, active, resolved, follow-up needed)
+ * - Call details display with post-call summary, disposition and tags
  * - Integration with call playback (future)
  */
 const CallHistoryPage = () => {
@@ -24,7 +35,7 @@ const CallHistoryPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
-  const [filterStatus, setFilterStatus] = useState('all'); // all, active, resolved
+  const [filterStatus, setFilterStatus] = useState('all'); // all, active, resolved, follow_up
   const [selectedCall, setSelectedCall] = useState(null);
 
   useEffect(() => {
@@ -39,7 +50,9 @@ const CallHistoryPage = () => {
     let filtered = calls;
 
     // Apply status filter
-    if (filterStatus !== 'all') {
+    if (filterStatus === 'follow_up') {
+      filtered = filtered.filter(call => call.follow_up_required);
+    } else if (filterStatus !== 'all') {
       const isResolved = filterStatus === 'resolved';
       filtered = filtered.filter(call => (call.resolved || false) === isResolved);
     }
@@ -84,6 +97,16 @@ const CallHistoryPage = () => {
     return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
   };
 
+  const renderDisposition = (disposition) => {
+    const style = DISPOSITION_STYLES[disposition];
+    if (!style) return null;
+    return (
+      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.className}`}>
+        {style.label}
+      </span>
+    );
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     return new Date(dateString).toLocaleString();
@@ -137,6 +160,7 @@ const CallHistoryPage = () => {
                 <option value="all">All Statuses</option>
                 <option value="active">Active</option>
                 <option value="resolved">Resolved</option>
+                <option value="follow_up">Follow-up needed</option>
               </select>
             </div>
           </div>
@@ -181,6 +205,10 @@ const CallHistoryPage = () => {
                       <span className="font-semibold text-gray-900">{call.phone_from || 'Unknown'}</span>
                       <span className="text-gray-400">→</span>
                       <span className="text-gray-600">{call.phone_to || 'N/A'}</span>
+                      {renderDisposition(call.disposition)}
+                      {call.follow_up_required && (
+                        <Flag className="w-4 h-4 text-red-500" aria-label="Follow-up needed" />
+                      )}
                     </div>
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3 text-sm">
                       <div>
@@ -207,7 +235,7 @@ const CallHistoryPage = () => {
                       </div>
                       <div>
                         <p className="text-gray-500">Intent</p>
-                        <p className="font-medium text-gray-900 mt-1">{call.intent || 'General'}</p>
+                        <p className="font-medium text-gray-900 mt-1">{call.summary?.reason || call.intent || 'General'}</p>
                       </div>
                       <div>
                         <p className="text-gray-500">Time</p>
@@ -261,7 +289,7 @@ const CallHistoryPage = () => {
               </div>
               <div>
                 <p className="text-gray-500 text-sm">Intent</p>
-                <p className="font-semibold text-gray-900 mt-1">{selectedCall.intent || 'General'}</p>
+                <p className="font-semibold text-gray-900 mt-1">{selectedCall.summary?.reason || selectedCall.intent || 'General'}</p>
               </div>
               <div>
                 <p className="text-gray-500 text-sm">Started</p>
@@ -269,10 +297,50 @@ const CallHistoryPage = () => {
                   {formatDate(selectedCall.created_at)}
                 </p>
               </div>
-              {selectedCall.transcript_summary && (
+              {selectedCall.disposition && (
+                <div>
+                  <p className="text-gray-500 text-sm">Disposition</p>
+                  <div className="flex items-center gap-2 mt-1">
+                    {renderDisposition(selectedCall.disposition)}
+                    {selectedCall.follow_up_required && (
+                      <span className="text-xs font-medium text-red-600">Follow-up needed</span>
+                    )}
+                  </div>
+                </div>
+              )}
+              {selectedCall.summary && (
                 <div>
                   <p className="text-gray-500 text-sm">Summary</p>
-                  <p className="text-gray-700 mt-1 text-sm">{selectedCall.transcript_summary}</p>
+                  <p className="text-gray-700 mt-1 text-sm">{selectedCall.summary.text}</p>
+                </div>
+              )}
+              {selectedCall.summary?.actionsTaken?.length > 0 && (
+                <div>
+                  <p className="text-gray-500 text-sm">Actions Taken</p>
+                  <ul className="mt-1 space-y-1 text-sm">
+                    {selectedCall.summary.actionsTaken.map((action, index) => (
+                      <li key={index} className="flex justify-between">
+                        <span className="text-gray-700">
+                          {action.label}{action.orderId ? ` (#${action.orderId})` : ''}
+                        </span>
+                        <span className={action.status === 'success' ? 'text-green-600' : 'text-red-600'}>
+                          {action.status}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {selectedCall.tags?.length > 0 && (
+                <div>
+                  <p className="text-gray-500 text-sm">Tags</p>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {selectedCall.tags.map(tag => (
+                      <span key={tag} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded text-xs">
+                        {tag}
+                      </span>
+                    ))}
+                  </div>
                 </div>
               )}
             </div>
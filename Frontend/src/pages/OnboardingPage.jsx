@@ -1,10 +1,10 @@
 // Frontend/src/pages/OnboardingPage.jsx - Company setup wizard after login
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { 
   Building, Globe, Phone, Settings, CheckCircle, AlertCircle, Loader,
-  ChevronRight, Key, DollarSign, Clock
+  ChevronRight, DollarSign, Clock
 } from 'lucide-react';
 
 if (!process.env.REACT_APP_API_URL && process.env.NODE_ENV === 'production') {
@@ -13,16 +13,19 @@ if (!process.env.REACT_APP_API_URL && process.env.NODE_ENV === 'production') {
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
 
+// Wizard answers are kept here while the merchant is on Shopify approving the install
+const DRAFT_KEY = 'onboardingDraft';
+
 const OnboardingPage = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { user, getAuthHeader, setOnboardingCompletedStatus } = useAuth();
   const [step, setStep] = useState(1);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [validationErrors, setValidationErrors] = useState({});
   const [testResults, setTestResults] = useState({
-    shopifyTested: false,
-    shopifyValid: false,
+    shopifyConnected: false,
     exotelTested: false,
     exotelValid: false
   });
@@ -37,8 +40,6 @@ const OnboardingPage = () => {
     // Step 2: Shopify Integration (Optional)
     skipShopify: false,
     shopifyStore: '',
-    shopifyApiKey: '',
-    shopifyApiSecret: '',
     
     // Step 3: Exotel Setup (Optional)
     skipExotel: false,
@@ -56,14 +57,33 @@ const OnboardingPage = () => {
     enableEmail: true
   });
 
+  // Back from Shopify's install page: restore the wizard on the Shopify step
+  useEffect(() => {
+    const result = searchParams.get('shopify');
+    if (!result) return;
+
+    const draft = sessionStorage.getItem(DRAFT_KEY);
+    if (draft) {
+      setFormData(prev => ({ ...prev, ...JSON.parse(draft) }));
+      sessionStorage.removeItem(DRAFT_KEY);
+    }
+    setStep(2);
+    if (result === 'connected') {
+      setTestResults(prev => ({ ...prev, shopifyConnected: true }));
+    } else {
+      setError(`Shopify install failed (${searchParams.get('reason') || 'unknown error'}). Please try again.`);
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
   const updateField = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     if (validationErrors[field]) {
       setValidationErrors(prev => ({ ...prev, [field]: '' }));
     }
-    // Reset test results when credentials change
-    if (['shopifyApiKey', 'shopifyApiSecret', 'shopifyStore'].includes(field)) {
-      setTestResults(prev => ({ ...prev, shopifyTested: false }));
+    // A different store has to be installed again
+    if (field === 'shopifyStore') {
+      setTestResults(prev => ({ ...prev, shopifyConnected: false }));
     }
     if (['exotelSid', 'exotelToken'].includes(field)) {
       setTestResults(prev => ({ ...prev, exotelTested: false }));
@@ -83,9 +103,7 @@ const OnboardingPage = () => {
         // If Shopify is skipped, no validation needed
         if (!formData.skipShopify) {
           if (!formData.shopifyStore) errors.shopifyStore = 'Shopify store URL required';
-          if (!formData.shopifyApiKey) errors.shopifyApiKey = 'API key required';
-          if (!formData.shopifyApiSecret) errors.shopifyApiSecret = 'API secret required';
-          if (!testResults.shopifyValid) errors.shopifyTest = 'Please test and verify Shopify credentials';
+          if (!testResults.shopifyConnected) errors.shopifyTest = 'Please connect your Shopify store';
         }
         break;
       case 3:
@@ -105,36 +123,36 @@ const OnboardingPage = () => {
     return Object.keys(errors).length === 0;
   };
 
-  const testShopifyConnection = async () => {
+  // Send the merchant to Shopify to approve the app install
+  const connectShopify = async () => {
     setError('');
     setLoading(true);
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/onboarding/test-shopify`, {
+      const response = await fetch(`${API_BASE_URL}/api/integrations/shopify/install`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
         },
         body: JSON.stringify({
-          shopifyStore: formData.shopifyStore,
-          shopifyApiKey: formData.shopifyApiKey,
-          shopifyApiSecret: formData.shopifyApiSecret
+          shop: formData.shopifyStore,
+          returnTo: 'onboarding'
         })
       });
 
+      const data = await response.json();
       if (!response.ok) {
-        const data = await response.json();
-        setError(data.error || 'Shopify connection failed');
-        setTestResults(prev => ({ ...prev, shopifyTested: true, shopifyValid: false }));
+        setError(data.error || 'Could not start the Shopify install');
+        setLoading(false);
         return;
       }
 
-      setTestResults(prev => ({ ...prev, shopifyTested: true, shopifyValid: true }));
+      const { companyLogo, ...draft } = formData;
+      sessionStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+      window.location.assign(data.authorizeUrl);
     } catch (err) {
-      setError('Failed to test Shopify connection');
-      setTestResults(prev => ({ ...prev, shopifyTested: true, shopifyValid: false }));
-    } finally {
+      setError('Failed to connect to Shopify');
       setLoading(false);
     }
   };
@@ -190,10 +208,7 @@ const OnboardingPage = () => {
       // Call real onboarding API endpoint
       const payload = {
         companyName: formData.companyName,
-        // Only include Shopify fields if not skipped
-        shopifyStore: formData.skipShopify ? null : formData.shopifyStore,
-        shopifyApiKey: formData.skipShopify ? null : formData.shopifyApiKey,
-        shopifyApiSecret: formData.skipShopify ? null : formData.shopifyApiSecret,
+        // The Shopify store is connected by the app install (stored server-side)
         skipShopify: formData.skipShopify,
         // Only include Exotel fields if not skipped
         exotelNumber: formData.skipExotel ? null : formData.exotelNumber,
@@ -220,7 +235,7 @@ const OnboardingPage = () => {
 
       if (!response.ok) {
         const data = await response.json();
-        setError(data.error || data.errors?.shopifyApiKey || 'Setup failed');
+        setError(data.error || data.errors?.shopifyStore || 'Setup failed');
         return;
       }
 
@@ -395,7 +410,7 @@ const OnboardingPage = () => {
                       updateField('skipShopify', e.target.checked);
                       // Reset test results when toggling
                       if (!e.target.checked) {
-                        setTestResults(prev => ({ ...prev, shopifyTested: false, shopifyValid: false }));
+                        setTestResults(prev => ({ ...prev, shopifyConnected: false }));
                       }
                     }}
                     className="w-4 h-4 text-yellow-600 rounded"
@@ -420,51 +435,26 @@ const OnboardingPage = () => {
                     required
                   />
 
-                  <InputField
-                    label="API Key"
-                    field="shopifyApiKey"
-                    placeholder="shppa_xxxx..."
-                    icon={Key}
-                    required
-                  />
-
-                  <InputField
-                    label="API Secret"
-                    field="shopifyApiSecret"
-                    type="password"
-                    placeholder="shpss_xxxx..."
-                    icon={Key}
-                    required
-                  />
-
-                  {/* Test Shopify Connection */}
+                  {/* Install the Caly app on the store */}
                   <div className="border-t pt-4">
                     <button
-                      onClick={testShopifyConnection}
-                      disabled={!formData.shopifyStore || !formData.shopifyApiKey || !formData.shopifyApiSecret || loading}
+                      onClick={connectShopify}
+                      disabled={!formData.shopifyStore || testResults.shopifyConnected || loading}
                       className="w-full px-4 py-2 bg-green-50 border border-green-200 text-green-700 rounded-lg hover:bg-green-100 disabled:opacity-50 font-medium flex items-center justify-center gap-2"
                     >
-                      {loading && testResults.shopifyTested === false ? (
+                      {loading ? (
                         <Loader className="w-4 h-4 animate-spin" />
-                      ) : testResults.shopifyValid ? (
+                      ) : testResults.shopifyConnected ? (
                         <CheckCircle className="w-4 h-4 text-green-600" />
                       ) : null}
-                      {testResults.shopifyTested ? (testResults.shopifyValid ? '✓ Shopify Connected' : '✗ Test Failed') : 'Test Shopify Connection'}
+                      {testResults.shopifyConnected ? '✓ Shopify Connected' : 'Connect with Shopify'}
                     </button>
                   </div>
 
                   <div className="p-4 bg-blue-50 rounded-lg">
-                    <p className="text-sm text-blue-800 mb-2">
-                      <strong>How to get your API credentials:</strong>
+                    <p className="text-sm text-blue-800">
+                      You'll be taken to Shopify to approve the Caly app for your store, then brought back here. No API keys needed.
                     </p>
-                    <ol className="list-decimal list-inside text-xs text-blue-800 space-y-1">
-                      <li>Go to your Shopify Admin → Apps → Develop apps</li>
-                      <li>Create a new app or select existing app</li>
-                      <li>Go to Configuration tab</li>
-                      <li>Under Admin API access scopes, enable required scopes</li>
-                      <li>Click "Save" and then "Reveal" next to "Admin API access token"</li>
-                      <li>Copy API Key and Secret from API credentials section</li>
-                    </ol>
                   </div>
                 </>
               )}
@@ -84,7 +84,7 @@ const SettingsPage = () => {
           language: settings.localization?.language || 'hi',
           shopifyStore: settings.shopify?.store || '',
           shopifyApiKey: settings.shopify?.apiKey || '',
-          shopifyApiSecret: settings.shopify?.apiSecret || '',
+          shopifyApiSecret: '',
           exotelNumber: settings.exotel?.number || '',
           exotelSid: settings.exotel?.sid || '',
           exotelToken: settings.exotel?.token || '',
@@ -374,7 +374,7 @@ const SettingsPage = () => {
                     type="password"
                     placeholder="shpss_1234567890abcdef..."
                     icon={Lock}
-                    helper="Keep this secure (32+ characters)"
+                    helper="Stored encrypted - leave blank to keep the saved secret"
                   />
                 </div>
               </div>